@@ -0,0 +1,47 @@
+import pgPool from './src/PostgresPool.js';
+import { MigrationRunner } from './src/MigrationRunner.js';
+
+/**
+ * Schema migrations CLI (same PG_* / DATABASE_URL env as the server)
+ *
+ *   node migrate.js            apply pending migrations
+ *   node migrate.js --dry-run  run them in a transaction that is rolled back
+ *   node migrate.js --status   list applied / pending migrations
+ */
+
+const args = process.argv.slice(2);
+const runner = new MigrationRunner(pgPool);
+
+try {
+  await pgPool.initialize();
+
+  if (args.includes('--status')) {
+    const { applied, pending, modified, missing } = await runner.status();
+    console.log(`\n📋 Applied (${applied.length}):`);
+    for (const m of applied) {
+      console.log(`   ${String(m.version).padStart(3, '0')} ${m.name}  ${m.appliedAt.toISOString()}`);
+    }
+    console.log(`\n⏳ Pending (${pending.length}):`);
+    for (const m of pending) {
+      console.log(`   ${m.file}`);
+    }
+    for (const file of modified) {
+      console.warn(`⚠ ${file} changed after it was applied`);
+    }
+    for (const version of missing) {
+      console.warn(`⚠ Applied migration ${version} has no file`);
+    }
+  } else {
+    const dryRun = args.includes('--dry-run');
+    console.log(`🗄 Running migrations${dryRun ? ' (dry run)' : ''}…`);
+    const { applied } = await runner.migrate({ dryRun });
+    console.log(applied.length === 0
+      ? '✓ Nothing to migrate'
+      : `✓ ${applied.length} migration(s) ${dryRun ? 'checked, rolled back' : 'applied'}`);
+  }
+} catch (error) {
+  console.error('✗', error.message);
+  process.exitCode = 1;
+} finally {
+  await pgPool.close();
+}
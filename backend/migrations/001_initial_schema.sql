@@ -0,0 +1,277 @@
+-- Schema as the managers created it in initialize() before migrations.
+-- Everything is IF NOT EXISTS, so existing databases adopt it unchanged;
+-- the ALTERs bring databases from before QC up to date.
+
+-- DatabaseManager: 5-minute measurements
+CREATE TABLE IF NOT EXISTS wind_data (
+  id                 SERIAL PRIMARY KEY,
+  timestamp          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  station_id         TEXT NOT NULL DEFAULT 'pak_nam_pran',
+  wind_speed_knots   DOUBLE PRECISION NOT NULL,
+  wind_gust_knots    DOUBLE PRECISION,
+  max_gust_knots     DOUBLE PRECISION,
+  wind_direction     INTEGER NOT NULL,
+  wind_direction_avg INTEGER,
+  temperature        DOUBLE PRECISION,
+  humidity           DOUBLE PRECISION,
+  pressure           DOUBLE PRECISION,
+  qc_flags           TEXT[] NOT NULL DEFAULT '{}',
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- Tables created before QC: existing rows stay unflagged until recheckQuality()
+ALTER TABLE wind_data ADD COLUMN IF NOT EXISTS qc_flags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_wind_data_timestamp ON wind_data (timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_wind_station_ts ON wind_data (station_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_wind_data_flagged ON wind_data (station_id, timestamp DESC) WHERE qc_flags <> '{}';
+
+-- (station_id, timestamp) is unique so historical imports are idempotent.
+-- Old databases may hold duplicates from before the index; keep the first row.
+DELETE FROM wind_data a USING wind_data b
+WHERE a.id > b.id AND a.station_id = b.station_id AND a.timestamp = b.timestamp;
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_wind_station_ts ON wind_data (station_id, timestamp);
+
+-- ArchiveManager: hourly aggregates
+CREATE TABLE IF NOT EXISTS hourly_archive (
+  id                      SERIAL PRIMARY KEY,
+  hour_timestamp          TIMESTAMPTZ NOT NULL,
+  station_id              TEXT NOT NULL DEFAULT 'pak_nam_pran',
+  avg_wind_speed          DOUBLE PRECISION NOT NULL,
+  min_wind_speed          DOUBLE PRECISION NOT NULL,
+  max_wind_speed          DOUBLE PRECISION NOT NULL,
+  avg_wind_gust           DOUBLE PRECISION,
+  max_wind_gust           DOUBLE PRECISION,
+  avg_wind_direction      INTEGER NOT NULL,
+  dominant_wind_direction INTEGER,
+  avg_temperature         DOUBLE PRECISION,
+  avg_humidity            DOUBLE PRECISION,
+  avg_pressure            DOUBLE PRECISION,
+  measurement_count       INTEGER NOT NULL,
+  qc_excluded_count       INTEGER NOT NULL DEFAULT 0,
+  created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (station_id, hour_timestamp)
+);
+-- measurement_count = rows used; qc_excluded_count = rows dropped by QC (DataQuality.js)
+ALTER TABLE hourly_archive ADD COLUMN IF NOT EXISTS qc_excluded_count INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_hourly_archive_timestamp ON hourly_archive (hour_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_archive_station_ts ON hourly_archive (station_id, hour_timestamp DESC);
+
+-- SpotManager
+CREATE TABLE IF NOT EXISTS spots (
+  id                 TEXT PRIMARY KEY,
+  name               TEXT NOT NULL,
+  lat                DOUBLE PRECISION NOT NULL,
+  lon                DOUBLE PRECISION NOT NULL,
+  timezone           TEXT NOT NULL DEFAULT 'Asia/Bangkok',
+  shore_bearing      INTEGER NOT NULL,
+  primary_station_id TEXT NOT NULL,
+  station_ids        TEXT[] NOT NULL DEFAULT '{}',
+  is_default         BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order         INTEGER NOT NULL DEFAULT 0,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ForecastModelManager: forecast snapshots, daily accuracy, per-model scores
+CREATE TABLE IF NOT EXISTS forecast_snapshots (
+  id            SERIAL PRIMARY KEY,
+  snapshot_time TIMESTAMPTZ NOT NULL,
+  model_id      TEXT NOT NULL,
+  target_date   DATE NOT NULL,
+  target_hour   INTEGER NOT NULL,
+  speed         DOUBLE PRECISION NOT NULL,
+  gust          DOUBLE PRECISION NOT NULL,
+  direction     INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_snap_lookup ON forecast_snapshots (model_id, target_date, target_hour);
+CREATE INDEX IF NOT EXISTS idx_snap_time ON forecast_snapshots (snapshot_time);
+
+CREATE TABLE IF NOT EXISTS model_accuracy (
+  id                 SERIAL PRIMARY KEY,
+  model_id           TEXT NOT NULL,
+  eval_date          DATE NOT NULL,
+  target_hour        INTEGER NOT NULL,
+  actual_speed       DOUBLE PRECISION,
+  actual_direction   INTEGER,
+  forecast_speed     DOUBLE PRECISION,
+  forecast_direction INTEGER,
+  speed_error        DOUBLE PRECISION,
+  direction_error    DOUBLE PRECISION,
+  UNIQUE (model_id, eval_date, target_hour)
+);
+
+CREATE TABLE IF NOT EXISTS model_scores (
+  model_id          TEXT PRIMARY KEY,
+  rmse_speed        DOUBLE PRECISION,
+  mae_speed         DOUBLE PRECISION,
+  rmse_direction    DOUBLE PRECISION,
+  mae_direction     DOUBLE PRECISION,
+  correlation_speed DOUBLE PRECISION,
+  correction_factor DOUBLE PRECISION DEFAULT 1.0,
+  eval_count        INTEGER DEFAULT 0,
+  score             DOUBLE PRECISION DEFAULT 0.0,
+  last_updated      TIMESTAMPTZ
+);
+
+-- ForecastBacktestImporter
+CREATE TABLE IF NOT EXISTS forecast_backtest (
+  id                 SERIAL PRIMARY KEY,
+  model_id           TEXT NOT NULL,
+  target_date        DATE NOT NULL,
+  target_hour        INTEGER NOT NULL,
+  forecast_speed     DOUBLE PRECISION NOT NULL,
+  forecast_direction INTEGER NOT NULL,
+  forecast_gust      DOUBLE PRECISION,
+  actual_speed       DOUBLE PRECISION,
+  actual_direction   INTEGER,
+  speed_error        DOUBLE PRECISION,
+  direction_error    DOUBLE PRECISION,
+  UNIQUE (model_id, target_date, target_hour)
+);
+CREATE INDEX IF NOT EXISTS idx_backtest_model_date ON forecast_backtest (model_id, target_date);
+
+-- CalibrationManager
+CREATE TABLE IF NOT EXISTS station_calibrations (
+  id          SERIAL PRIMARY KEY,
+  station_id  TEXT NOT NULL,
+  valid_from  TIMESTAMPTZ NOT NULL,
+  dir_offset  INTEGER NOT NULL DEFAULT 0,
+  speed_scale DOUBLE PRECISION NOT NULL DEFAULT 1,
+  source      TEXT NOT NULL DEFAULT 'manual',  -- manual | auto | legacy
+  confidence  DOUBLE PRECISION,
+  details     JSONB,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (station_id, valid_from)
+);
+
+-- AlertRuleManager
+CREATE TABLE IF NOT EXISTS notification_rules (
+  id               SERIAL PRIMARY KEY,
+  target_type      TEXT NOT NULL,
+  target_id        TEXT NOT NULL,
+  name             TEXT,
+  min_wind         DOUBLE PRECISION,
+  max_wind         DOUBLE PRECISION,
+  sectors          TEXT[] NOT NULL DEFAULT '{}',
+  sport            TEXT,
+  rider_weight     DOUBLE PRECISION,
+  max_gust_spread  DOUBLE PRECISION,
+  quiet_start      INTEGER,
+  quiet_end        INTEGER,
+  cooldown_minutes INTEGER,
+  enabled          BOOLEAN NOT NULL DEFAULT TRUE,
+  last_notified_at TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notification_rules_target ON notification_rules (target_type, target_id);
+
+-- SafetyAlertManager
+CREATE TABLE IF NOT EXISTS safety_alerts (
+  target_type    TEXT NOT NULL,
+  target_id      TEXT NOT NULL,
+  kinds          TEXT[] NOT NULL,
+  gust_threshold DOUBLE PRECISION NOT NULL,
+  last_sent      JSONB NOT NULL DEFAULT '{}',
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (target_type, target_id)
+);
+
+-- NotificationManager / APNsProvider
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  endpoint        TEXT PRIMARY KEY,
+  keys            JSONB NOT NULL,
+  expiration_time BIGINT,
+  spot_id         TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id          SERIAL PRIMARY KEY,
+  target_type TEXT NOT NULL,
+  target_id   TEXT NOT NULL,
+  spot_id     TEXT,
+  kind        TEXT NOT NULL,
+  rule_id     INTEGER,
+  title       TEXT,
+  status      TEXT NOT NULL,
+  error       TEXT,
+  sent_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_deliveries_target ON notification_deliveries (target_type, target_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_deliveries_sent_at ON notification_deliveries (sent_at);
+
+CREATE TABLE IF NOT EXISTS apns_devices (
+  token      TEXT PRIMARY KEY,
+  spot_id    TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ForecastAlertManager
+CREATE TABLE IF NOT EXISTS forecast_alerts (
+  id          SERIAL PRIMARY KEY,
+  spot_id     TEXT NOT NULL,
+  target_date DATE NOT NULL,
+  status      TEXT NOT NULL,
+  start_hour  INTEGER,
+  end_hour    INTEGER,
+  avg_speed   DOUBLE PRECISION,
+  max_speed   DOUBLE PRECISION,
+  model_id    TEXT,
+  mae_speed   DOUBLE PRECISION,
+  sent_count  INTEGER DEFAULT 0,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (spot_id, target_date)
+);
+
+-- AdminAuthManager
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id           SERIAL PRIMARY KEY,
+  name         TEXT NOT NULL UNIQUE,
+  key_hash     TEXT NOT NULL UNIQUE,
+  key_prefix   TEXT NOT NULL,
+  scopes       TEXT[] NOT NULL,
+  created_by   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id         BIGSERIAL PRIMARY KEY,
+  key_id     INTEGER,
+  key_name   TEXT,
+  method     TEXT NOT NULL,
+  path       TEXT NOT NULL,
+  scope      TEXT NOT NULL,
+  params     JSONB,
+  changes    JSONB,
+  status     INTEGER,
+  ip         TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log (created_at DESC);
+
+-- JobManager
+CREATE TABLE IF NOT EXISTS jobs (
+  id               SERIAL PRIMARY KEY,
+  type             TEXT NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'queued',
+  params           JSONB NOT NULL DEFAULT '{}',
+  progress         JSONB NOT NULL DEFAULT '{}',
+  result           JSONB,
+  error            TEXT,
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  worker_id        TEXT,
+  created_by       TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at       TIMESTAMPTZ,
+  run_started_at   TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at      TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, created_at);
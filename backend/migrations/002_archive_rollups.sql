@@ -0,0 +1,79 @@
+-- Daily / monthly rollups of hourly_archive for long-range statistics
+-- (rideable days per month over up to 10 years). Only riding hours
+-- 6:00–19:00 Bangkok are rolled up. speed_bands[i] (1-based) counts hours
+-- whose avg_wind_speed falls into [(i-1) * 0.5, i * 0.5) knots; the last
+-- band (81) holds everything from 40 knots up.
+-- ArchiveManager keeps them current on every archive write.
+
+CREATE TABLE IF NOT EXISTS archive_daily (
+  station_id     TEXT NOT NULL,
+  day            DATE NOT NULL,             -- Bangkok calendar day
+  hours          INTEGER NOT NULL,          -- archived riding hours
+  speed_bands    INTEGER[] NOT NULL,
+  avg_wind_speed DOUBLE PRECISION,
+  max_wind_speed DOUBLE PRECISION,
+  max_wind_gust  DOUBLE PRECISION,
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (station_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS archive_monthly (
+  station_id     TEXT NOT NULL,
+  month          DATE NOT NULL,             -- first day of the Bangkok month
+  days           INTEGER NOT NULL,          -- days with any riding-hour data
+  hours          INTEGER NOT NULL,
+  speed_bands    INTEGER[] NOT NULL,
+  avg_wind_speed DOUBLE PRECISION,
+  max_wind_speed DOUBLE PRECISION,
+  max_wind_gust  DOUBLE PRECISION,
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (station_id, month)
+);
+
+-- Backfill from the existing archive
+INSERT INTO archive_daily (station_id, day, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust)
+WITH h AS (
+  SELECT station_id,
+         (hour_timestamp AT TIME ZONE 'Asia/Bangkok')::date AS day,
+         avg_wind_speed, max_wind_speed, max_wind_gust,
+         LEAST(FLOOR(avg_wind_speed / 0.5)::int, 80) AS band
+  FROM hourly_archive
+  WHERE EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok') >= 6
+    AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok') < 19
+),
+counts AS (
+  SELECT station_id, day, band, COUNT(*)::int AS n FROM h GROUP BY station_id, day, band
+),
+bands AS (
+  SELECT d.station_id, d.day, array_agg(COALESCE(c.n, 0) ORDER BY b.band) AS speed_bands
+  FROM (SELECT DISTINCT station_id, day FROM h) d
+  CROSS JOIN generate_series(0, 80) AS b(band)
+  LEFT JOIN counts c ON c.station_id = d.station_id AND c.day = d.day AND c.band = b.band
+  GROUP BY d.station_id, d.day
+)
+SELECT h.station_id, h.day, COUNT(*)::int, bands.speed_bands,
+       AVG(h.avg_wind_speed), MAX(h.max_wind_speed), MAX(h.max_wind_gust)
+FROM h JOIN bands ON bands.station_id = h.station_id AND bands.day = h.day
+GROUP BY h.station_id, h.day, bands.speed_bands
+ON CONFLICT (station_id, day) DO NOTHING;
+
+INSERT INTO archive_monthly (station_id, month, days, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust)
+WITH bands AS (
+  SELECT d.station_id, date_trunc('month', d.day)::date AS month, u.i, SUM(u.n)::int AS n
+  FROM archive_daily d, unnest(d.speed_bands) WITH ORDINALITY AS u(n, i)
+  GROUP BY d.station_id, month, u.i
+),
+arrays AS (
+  SELECT station_id, month, array_agg(n ORDER BY i) AS speed_bands FROM bands GROUP BY station_id, month
+),
+totals AS (
+  SELECT station_id, date_trunc('month', day)::date AS month,
+         COUNT(*)::int AS days, SUM(hours)::int AS hours,
+         SUM(avg_wind_speed * hours) / NULLIF(SUM(hours), 0) AS avg_wind_speed,
+         MAX(max_wind_speed) AS max_wind_speed, MAX(max_wind_gust) AS max_wind_gust
+  FROM archive_daily
+  GROUP BY station_id, month
+)
+SELECT t.station_id, t.month, t.days, t.hours, a.speed_bands, t.avg_wind_speed, t.max_wind_speed, t.max_wind_gust
+FROM totals t JOIN arrays a ON a.station_id = t.station_id AND a.month = t.month
+ON CONFLICT (station_id, month) DO NOTHING;
@@ -0,0 +1,22 @@
+-- Per-spot hour windows, local hours of the spot's timezone, end exclusive.
+--   collect_*  - when the spot's stations are polled (0-24 = around the clock)
+--   forecast_* - forecast hours returned, snapshotted and scored
+--   working_*  - when the PWA shows live data and keeps the SSE stream open
+-- Defaults keep the previous fixed behaviour (6:00-19:00, forecast 6:00-19:00
+-- inclusive).
+
+ALTER TABLE spots
+  ADD COLUMN IF NOT EXISTS collect_start_hour  SMALLINT NOT NULL DEFAULT 6,
+  ADD COLUMN IF NOT EXISTS collect_end_hour    SMALLINT NOT NULL DEFAULT 19,
+  ADD COLUMN IF NOT EXISTS forecast_start_hour SMALLINT NOT NULL DEFAULT 6,
+  ADD COLUMN IF NOT EXISTS forecast_end_hour   SMALLINT NOT NULL DEFAULT 20,
+  ADD COLUMN IF NOT EXISTS working_start_hour  SMALLINT NOT NULL DEFAULT 6,
+  ADD COLUMN IF NOT EXISTS working_end_hour    SMALLINT NOT NULL DEFAULT 19;
+
+ALTER TABLE spots
+  ADD CONSTRAINT spots_collect_hours_check
+    CHECK (collect_start_hour BETWEEN 0 AND 23 AND collect_end_hour BETWEEN 1 AND 24 AND collect_start_hour < collect_end_hour),
+  ADD CONSTRAINT spots_forecast_hours_check
+    CHECK (forecast_start_hour BETWEEN 0 AND 23 AND forecast_end_hour BETWEEN 1 AND 24 AND forecast_start_hour < forecast_end_hour),
+  ADD CONSTRAINT spots_working_hours_check
+    CHECK (working_start_hour BETWEEN 0 AND 23 AND working_end_hour BETWEEN 1 AND 24 AND working_start_hour < working_end_hour);
@@ -0,0 +1,53 @@
+-- Structured forecast bias correction (ForecastBiasCorrector).
+--
+-- model_accuracy gets the lead time of the snapshot it was scored against and
+-- keeps one row per lead day (0: <24 h before the target hour, 1: 24-48 h,
+-- 2: 48-72 h). model_scores are computed from lead day 0 only, as before.
+--
+-- forecast_bias_cells holds linear corrections actual = intercept + slope * forecast
+-- per model at five levels, from model x hour x lead x sector x season (level 1)
+-- down to the whole model (level 5). NULL in a key column = any value.
+-- forecast_bias_fits keeps one row per model with the holdout validation of
+-- the last fit; a model whose correction did not beat the raw forecast on the
+-- holdout is disabled and falls back to model_scores.correction_factor.
+
+ALTER TABLE model_accuracy
+  ADD COLUMN IF NOT EXISTS lead_day   SMALLINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS lead_hours DOUBLE PRECISION;
+
+ALTER TABLE model_accuracy DROP CONSTRAINT IF EXISTS model_accuracy_model_id_eval_date_target_hour_key;
+ALTER TABLE model_accuracy
+  ADD CONSTRAINT model_accuracy_model_id_eval_date_target_hour_lead_day_key
+    UNIQUE (model_id, eval_date, target_hour, lead_day);
+
+CREATE TABLE IF NOT EXISTS forecast_bias_cells (
+  id                    SERIAL PRIMARY KEY,
+  model_id              TEXT NOT NULL,
+  level                 SMALLINT NOT NULL,          -- 1 (most specific) .. 5 (model-wide)
+  target_hour           SMALLINT,                   -- local hour of the spot
+  lead_day              SMALLINT,
+  sector                SMALLINT,                   -- forecast direction, 8 x 45° from north
+  season                TEXT,                       -- northeast | hot | southwest
+  intercept             DOUBLE PRECISION NOT NULL,
+  slope                 DOUBLE PRECISION NOT NULL,
+  sample_count          INTEGER NOT NULL,
+  holdout_count         INTEGER NOT NULL DEFAULT 0,
+  holdout_mae_raw       DOUBLE PRECISION,
+  holdout_mae_corrected DOUBLE PRECISION,
+  enabled               BOOLEAN NOT NULL DEFAULT TRUE
+);
+CREATE INDEX IF NOT EXISTS idx_bias_cells_model ON forecast_bias_cells (model_id);
+
+CREATE TABLE IF NOT EXISTS forecast_bias_fits (
+  model_id               TEXT PRIMARY KEY,
+  fitted_at              TIMESTAMPTZ NOT NULL,
+  sample_count           INTEGER NOT NULL,
+  cell_count             INTEGER NOT NULL,
+  holdout_from           DATE,
+  holdout_count          INTEGER NOT NULL DEFAULT 0,
+  holdout_mae_raw        DOUBLE PRECISION,
+  holdout_mae_corrected  DOUBLE PRECISION,
+  holdout_rmse_raw       DOUBLE PRECISION,
+  holdout_rmse_corrected DOUBLE PRECISION,
+  enabled                BOOLEAN NOT NULL DEFAULT FALSE
+);
@@ -6,16 +6,39 @@ import { WindDataCollector } from './src/WindDataCollector.js';
 import { DatabaseManager } from './src/DatabaseManager.js';
 import { ArchiveManager } from './src/ArchiveManager.js';
 import { ApiRouter } from './src/ApiRouter.js';
-import { NotificationManager } from './src/NotificationManager.js';
+import { NotificationManager, alertMeasurements } from './src/NotificationManager.js';
 import { ForecastCollector } from './src/ForecastCollector.js';
 import { CalibrationManager } from './src/CalibrationManager.js';
 import { ForecastModelManager } from './src/ForecastModelManager.js';
 import { AmbientHistoryImporter } from './src/AmbientHistoryImporter.js';
 import { ForecastBacktestImporter } from './src/ForecastBacktestImporter.js';
+import { SpotManager, DEFAULT_HOURS, localHour } from './src/SpotManager.js';
+import { AlertRuleManager } from './src/AlertRuleManager.js';
+import { ForecastAlertManager } from './src/ForecastAlertManager.js';
+import { SeaBreezePredictor } from './src/SeaBreezePredictor.js';
+import { NowcastEngine } from './src/NowcastEngine.js';
+import { ForecastVerification } from './src/ForecastVerification.js';
+import { SafetyAlertManager } from './src/SafetyAlertManager.js';
+import { AdminAuthManager } from './src/AdminAuthManager.js';
+import { RateLimiter } from './src/RateLimiter.js';
+import { StationHealthMonitor } from './src/StationHealthMonitor.js';
+import { SpotEstimator } from './src/SpotEstimator.js';
+import { GapScanner } from './src/GapScanner.js';
+import { JobManager } from './src/JobManager.js';
+import { MigrationRunner } from './src/MigrationRunner.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// pg_advisory_lock keys of crons that must run once for all replicas (MigrationRunner uses 74521001)
+const NOTIFY_LOCK_KEY = 74521002;
+const FORECAST_ALERT_LOCK_KEY = 74521003;
+const GAP_SCAN_LOCK_KEY = 74521004;
+const ARCHIVE_LOCK_KEY = 74521005;
+const SNAPSHOT_LOCK_KEY = 74521006;
+const ACCURACY_LOCK_KEY = 74521007;
+const BACKTEST_LOCK_KEY = 74521008;
+
 // Configuration
 const config = {
   stations: [
@@ -63,26 +86,110 @@ const config = {
   openMeteoApi: process.env.OPEN_METEO_API || 'https://api.open-meteo.com/v1/forecast',
   dataCollectionInterval: parseInt(process.env.DATA_COLLECTION_INTERVAL) || 60000, // 1 minute
   archiveInterval: parseInt(process.env.ARCHIVE_INTERVAL) || 3600000, // 1 hour
-  spotLocation: [12.346596280786017, 99.99817902532192],
   timezone: 'Asia/Bangkok'
 };
 
 // Initialize managers (pgPool passed to DB-backed managers)
+const spotManager = new SpotManager(pgPool);
 const dbManager = new DatabaseManager(pgPool);
-const archiveManager = new ArchiveManager(pgPool);
-const notificationManager = new NotificationManager('./data/subscriptions.json');
-const windCollector = new WindDataCollector(config, dbManager, archiveManager);
-const forecastCollector = new ForecastCollector(config);
-const calibrationManager = new CalibrationManager('./data/calibration.json');
+const archiveManager = new ArchiveManager(pgPool, spotManager);
+const alertRuleManager = new AlertRuleManager(pgPool);
+const safetyAlertManager = new SafetyAlertManager(pgPool);
+const notificationManager = new NotificationManager(pgPool, alertRuleManager, safetyAlertManager);
+const stationHealthMonitor = new StationHealthMonitor(config.stations, dbManager);
+const windCollector = new WindDataCollector(config, dbManager, archiveManager, stationHealthMonitor);
+const forecastCollector = new ForecastCollector(config, spotManager);
 const forecastModelManager = new ForecastModelManager(pgPool, forecastCollector, archiveManager, dbManager);
 const historyImporter = new AmbientHistoryImporter(
-  config.stations, dbManager, archiveManager, windCollector, windCollector.ambientProxy
+  config.stations, dbManager, archiveManager, windCollector
+);
+const gapScanner = new GapScanner(
+  config.stations, dbManager, archiveManager, windCollector, historyImporter, spotManager
 );
 const backtestImporter = new ForecastBacktestImporter(
-  pgPool, forecastModelManager.models, forecastCollector.dispatcher
+  pgPool, forecastModelManager.models, forecastCollector.dispatcher, spotManager
+);
+const calibrationManager = new CalibrationManager(
+  pgPool, './data/calibration.json', config.stations, { archiveManager, backtestImporter }
+);
+const spotEstimator = new SpotEstimator(
+  config.stations, dbManager, archiveManager, calibrationManager, stationHealthMonitor
+);
+const adminAuthManager = new AdminAuthManager(pgPool);
+const rateLimiter = new RateLimiter();
+const forecastAlertManager = new ForecastAlertManager(
+  pgPool, forecastModelManager, forecastCollector, notificationManager, spotManager
+);
+const seaBreezePredictor = new SeaBreezePredictor(
+  pgPool, forecastCollector, forecastModelManager, spotManager
+);
+const nowcastEngine = new NowcastEngine(
+  pgPool, spotEstimator, forecastCollector, forecastModelManager, spotManager
 );
+const forecastVerification = new ForecastVerification(pgPool, forecastModelManager, spotManager);
+const jobManager = new JobManager(pgPool);
+
+// Background jobs. A job fails if any station / model failed; retrying it
+// resumes the failed ones from their last checkpoint and skips the rest.
+const failOnErrors = (results, idField) => {
+  const failed = results.filter(r => r.error);
+  if (failed.length > 0) {
+    throw new Error(failed.map(r => `${r[idField]}: ${r.error}`).join('; '));
+  }
+  return { results };
+};
+jobManager.register('history_import', {
+  scope: 'import',
+  run: async ({ from, to, stationIds }, job) => failOnErrors(
+    await historyImporter.importAll(Date.parse(from), Date.parse(to), stationIds, {
+      state: job.state,
+      onCheckpoint: job.checkpoint
+    }),
+    'stationId'
+  )
+});
+jobManager.register('qc_recheck', {
+  scope: 'collect',
+  run: async ({ from, to, stationIds }, job) => failOnErrors(
+    await windCollector.recheckQuality(Date.parse(from), Date.parse(to), stationIds, {
+      state: job.state,
+      onCheckpoint: job.checkpoint
+    }),
+    'stationId'
+  )
+});
+jobManager.register('gap_backfill', {
+  scope: 'import',
+  run: async ({ days, stationIds }, job) => {
+    const result = await gapScanner.run({ days, stationIds }, {
+      state: job.state,
+      onCheckpoint: job.checkpoint
+    });
+    for (const r of result.results) {
+      const b = r.backfill;
+      console.log(
+        `  ${r.stationId}: ${r.missingSlots}/${r.expectedSlots} slots missing, `
+        + `${b.inserted} backfilled, ${b.archivedHours} hours re-archived${b.error ? ` (stopped: ${b.error})` : ''}`
+      );
+    }
+    failOnErrors(result.results.map(r => ({ stationId: r.stationId, error: r.backfill.error })), 'stationId');
+    return result;
+  }
+});
+jobManager.register('forecast_backtest', {
+  scope: 'forecast',
+  run: async ({ from, to, modelIds }, job) => failOnErrors(
+    await backtestImporter.importAll(Date.parse(from), Date.parse(to), modelIds, {
+      state: job.state,
+      onCheckpoint: job.checkpoint
+    }),
+    'modelId'
+  )
+});
 
 // Middleware
+// Behind nginx: req.ip comes from X-Forwarded-For (rate limits, admin audit log)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 1);
 app.use(cors());
 app.use(express.json());
 
@@ -90,7 +197,7 @@ app.use(express.json());
 app.use(express.static('../frontend'));
 
 // API Routes
-const apiRouter = new ApiRouter(dbManager, archiveManager, windCollector, notificationManager, forecastCollector, calibrationManager, forecastModelManager, config.stations, historyImporter, backtestImporter);
+const apiRouter = new ApiRouter(dbManager, archiveManager, windCollector, notificationManager, forecastCollector, calibrationManager, forecastModelManager, config.stations, historyImporter, backtestImporter, spotManager, forecastAlertManager, adminAuthManager, rateLimiter, stationHealthMonitor, spotEstimator, gapScanner, jobManager, seaBreezePredictor, nowcastEngine, forecastVerification);
 app.use('/api', apiRouter.getRouter());
 
 // Health check
@@ -110,78 +217,131 @@ async function initialize() {
     // Initialize PostgreSQL connection pool
     await pgPool.initialize();
 
-    // Initialize database tables
+    // Bring the schema up to date (backend/migrations), then load manager state
+    const { applied } = await new MigrationRunner(pgPool).migrate();
+    console.log(`✓ Schema up to date (${applied.length} migration(s) applied)`);
+    await spotManager.initialize();
     await dbManager.initialize();
-    await archiveManager.initialize();
     await forecastModelManager.initialize();
-    await backtestImporter.initialize();
+    await calibrationManager.initialize();
+    await alertRuleManager.initialize();
+    await safetyAlertManager.initialize();
+    await notificationManager.initialize();
+    await adminAuthManager.initialize();
+    await jobManager.initialize();
     console.log('✓ Databases initialized');
 
-    // Collect initial data only during working hours (6:00-19:00 Bangkok time)
-    const currentHour = new Date().toLocaleString('en-US', {
-      timeZone: 'Asia/Bangkok',
-      hour: 'numeric',
-      hour12: false
-    });
-    const hour = parseInt(currentHour);
-    if (hour >= 6 && hour < 19) {
-      await windCollector.collectWindData();
-      console.log(`✓ Initial wind data collected (Bangkok time: ${hour}:xx)`);
+    // Collect initial data from the stations inside their spots' collection hours
+    const allStationIds = config.stations.map(s => s.id);
+    const initialStationIds = spotManager.getCollectingStationIds(allStationIds);
+    if (initialStationIds.length > 0) {
+      await windCollector.collectWindData(initialStationIds);
+      console.log(`✓ Initial wind data collected (${initialStationIds.length} station(s))`);
     } else {
-      console.log(`⏸ Outside working hours (6:00-19:00 Bangkok time), current hour: ${hour}:xx`);
+      console.log('⏸ Outside the collection hours of every spot');
     }
 
-    // Schedule periodic data collection (every 5 minutes, only 6:00-19:00 Bangkok time)
+    // Schedule periodic data collection (every 5 minutes, within each spot's collection hours)
     cron.schedule('*/5 * * * *', async () => {
       try {
-        // Check if within working hours (6:00-19:00 Bangkok time)
-        const currentHour = new Date().toLocaleString('en-US', {
-          timeZone: 'Asia/Bangkok',
-          hour: 'numeric',
-          hour12: false
-        });
-        const hour = parseInt(currentHour);
-
-        if (hour < 6 || hour >= 19) {
-          // Outside working hours, skip
+        // Collection hours may have been changed through another replica
+        await spotManager.reload();
+        const stationIds = spotManager.getCollectingStationIds(allStationIds);
+        if (stationIds.length === 0) {
+          // Outside the collection hours of every spot, skip
           return;
         }
 
-        const windData = await windCollector.collectWindData();
-        console.log(`✓ Wind data collected at ${new Date().toISOString()} (Bangkok: ${hour}:xx)`);
+        const windData = await windCollector.collectWindData(stationIds);
+        console.log(`✓ Wind data collected at ${new Date().toISOString()} (${stationIds.length} station(s))`);
+
+        // Calibrations may have been changed through another replica
+        await calibrationManager.reload();
+
+        // Fresh health report: stale / stuck primaries fail over to a nearby station
+        await stationHealthMonitor.evaluate();
 
-        // Get latest data and trend for broadcast
-        const latestData = await dbManager.getLatestData();
-        const trend = await dbManager.calculateTrend();
+        // Every replica broadcasts to its own SSE clients
+        const collecting = [];
+        for (const spot of spotManager.getAll()) {
+          if (!spotManager.isCollecting(spot)) continue;
+          const live = await apiRouter.resolveLiveStation(spot);
+
+          // Get latest data and trend for broadcast (backup station while failed over)
+          const latestData = await dbManager.getLatestData(live.stationId);
+          const trend = await dbManager.calculateTrend(live.stationId);
+          collecting.push({ spot, live, trend });
+
+          // Broadcast to SSE clients following this spot
+          if (latestData) {
+            apiRouter.broadcastWindUpdate(apiRouter.formatLiveWindData(latestData, live), trend, spot.id);
+          }
 
-        // Broadcast to connected SSE clients
-        if (latestData) {
-          const formattedData = apiRouter.formatWindData ? apiRouter.formatWindData(latestData) : latestData;
-          apiRouter.broadcastWindUpdate(formattedData, trend);
+          // Fresh nowcast for the spot's open streams
+          if (apiRouter.hasStreamClients(spot.id)) {
+            try {
+              apiRouter.broadcastNowcast(await nowcastEngine.nowcast(spot, { refresh: true }), spot.id);
+            } catch (error) {
+              console.error(`✗ Nowcast failed for ${spot.id}:`, error.message);
+            }
+          }
         }
 
-        // Check if we should send push notifications
-        // Get last 3 measurements (15 minutes) for stability check
-        const recentMeasurements = await dbManager.getLastMeasurements(3);
+        // Pushes go out from one replica per tick. The delivery log and rule
+        // cooldowns are reloaded under the lock, so a replica that runs late
+        // sees what the first one sent.
+        const notify = await pgPool.withTryLock(NOTIFY_LOCK_KEY, async () => {
+          await notificationManager.refresh();
+
+          for (const { spot, live, trend } of collecting) {
+            // Notifications are tuned to the primary station's exposure — none
+            // from a backup station or a stale / stuck sensor
+            if (live.failover || live.health === 'down') {
+              continue;
+            }
+            const stationId = spot.primaryStationId;
+
+            // Check if we should send push notifications
+            // Last 6 measurements (30 minutes): the stability check uses the last 3,
+            // safety warnings look for a swing offshore within the whole window.
+            // Alert rules check shore sectors and speeds, so use calibrated
+            // readings without QC-excluded rows and failed gusts
+            const calibrated = alertMeasurements(await dbManager.getLastMeasurements(6, stationId), calibrationManager);
 
-        if (recentMeasurements && recentMeasurements.length >= 3) {
-          // Send notifications if conditions are met (stable wind for 20 min)
-          const result = await notificationManager.sendNotifications(recentMeasurements);
+            if (calibrated.length >= 3) {
+              // Send notifications to subscribers whose rules match (stable wind for 15 min)
+              const result = await notificationManager.sendNotifications(calibrated, spot);
 
-          if (result.sent > 0) {
-            console.log(`📨 Sent ${result.sent} push notifications (stable wind detected)`);
+              if (result.sent > 0) {
+                console.log(`📨 Sent ${result.sent} push notifications for ${spot.name} (stable wind detected)`);
+              }
+
+              // Warn opted-in riders already on the water (offshore swing, wind collapse, gusts)
+              const safety = await notificationManager.sendSafetyAlerts(calibrated, trend, spot);
+              if (safety.sent > 0) {
+                console.log(`⚠️  Sent ${safety.sent} safety alerts for ${spot.name}`);
+              }
+            }
           }
+        });
+        if (!notify.locked) {
+          // Still pick up subscribers/rules changed through other replicas for the API
+          await notificationManager.refresh();
         }
       } catch (error) {
         console.error('✗ Error collecting wind data:', error.message);
       }
     });
-    console.log('✓ Data collection scheduler started (every 5 minutes, 6:00-19:00 Bangkok time)');
+    console.log('✓ Data collection scheduler started (every 5 minutes, per-spot collection hours)');
 
-    // Schedule hourly archiving (every hour at minute 0)
+    // Schedule hourly archiving (every hour at minute 0), one replica per run
     cron.schedule('0 * * * *', async () => {
       try {
-        await windCollector.archiveHourlyData();
+        const { locked } = await pgPool.withTryLock(ARCHIVE_LOCK_KEY, () => windCollector.archiveHourlyData());
+        if (!locked) {
+          console.log('⏭ Hourly archive skipped: another replica is archiving');
+          return;
+        }
         console.log(`✓ Hourly data archived at ${new Date().toISOString()}`);
       } catch (error) {
         console.error('✗ Error archiving data:', error.message);
@@ -193,7 +353,8 @@ async function initialize() {
     cron.schedule('5 0 * * *', async () => {
       try {
         await dbManager.cleanupOldData(3650); // Keep ~10 years of raw 5-min data (effectively never)
-        notificationManager.resetDailyLog(); // Reset notification log
+        await notificationManager.cleanupDeliveries(180); // Delivery history is kept ~6 months
+        await adminAuthManager.cleanupAuditLog(365); // Admin audit log is kept a year
         console.log(`✓ Old data cleaned up at ${new Date().toISOString()}`);
       } catch (error) {
         console.error('✗ Error cleaning up data:', error.message);
@@ -201,18 +362,26 @@ async function initialize() {
     });
     console.log('✓ Cleanup scheduler started (daily at 00:05)');
 
-    // Schedule forecast snapshot saving (every 3 hours, 5:00-20:00 Bangkok time = UTC-7 → 22:00-13:00 UTC)
+    // Schedule forecast snapshot saving (every 3 hours, from an hour before the
+    // default spot's forecastHours to their end, spot local time). One replica
+    // per run: under the lock a replica that runs late sees the fresh
+    // snapshot and skips, so forecast_snapshots gets no duplicate rows.
     cron.schedule('0 */3 * * *', async () => {
       try {
-        const currentHour = new Date().toLocaleString('en-US', {
-          timeZone: 'Asia/Bangkok',
-          hour: 'numeric',
-          hour12: false
-        });
-        const hour = parseInt(currentHour);
-        if (hour >= 5 && hour <= 20) {
+        const spot = spotManager.getDefault();
+        const hours = spot?.forecastHours || DEFAULT_HOURS.forecastHours;
+        const hour = localHour(spot?.timezone);
+        if (hour < hours.start - 1 || hour > hours.end) return;
+
+        const { locked } = await pgPool.withTryLock(SNAPSHOT_LOCK_KEY, async () => {
+          const latest = await forecastModelManager.getLatestSnapshotTime();
+          if (latest && Date.now() - latest.getTime() < 2 * 60 * 60 * 1000) {
+            console.log(`⏭ Forecast snapshots skipped: already saved at ${latest.toISOString()}`);
+            return;
+          }
           await forecastModelManager.saveForcastSnapshots();
-        }
+        });
+        if (!locked) console.log('⏭ Forecast snapshots skipped: another replica is saving');
       } catch (error) {
         console.error('✗ Error saving forecast snapshots:', error.message);
       }
@@ -222,13 +391,51 @@ async function initialize() {
     // Schedule daily accuracy evaluation (20:00 Bangkok = 13:00 UTC)
     cron.schedule('0 13 * * *', async () => {
       try {
-        await forecastModelManager.evaluateAccuracy();
+        const { locked } = await pgPool.withTryLock(ACCURACY_LOCK_KEY, () => forecastModelManager.evaluateAccuracy());
+        if (!locked) console.log('⏭ Forecast accuracy evaluation skipped: another replica is evaluating');
       } catch (error) {
         console.error('✗ Error evaluating forecast accuracy:', error.message);
       }
     });
     console.log('✓ Forecast accuracy evaluation scheduler started (daily at 20:00 Bangkok)');
 
+    // Forecast digest: evening run plans the next days, morning run catches
+    // downgrades before people drive out (18:00 and 06:30 Bangkok = 11:00 and 23:30 UTC)
+    const runForecastAlerts = async () => {
+      try {
+        // One replica per run; the next one to get the lock sees the saved alert state
+        const { locked, result: results } = await pgPool.withTryLock(FORECAST_ALERT_LOCK_KEY, () => forecastAlertManager.checkAll());
+        if (!locked) {
+          console.log('⏭ Forecast alerts skipped: another replica is sending');
+          return;
+        }
+        const sent = results.reduce((s, r) => s + r.messages.reduce((n, m) => n + m.sent, 0), 0);
+        console.log(`✓ Forecast alerts checked for ${results.length} spots (${sent} sent)`);
+      } catch (error) {
+        console.error('✗ Error checking forecast alerts:', error.message);
+      }
+    };
+    cron.schedule('0 11 * * *', runForecastAlerts);
+    cron.schedule('30 23 * * *', runForecastAlerts);
+    console.log('✓ Forecast alert scheduler started (18:00 and 06:30 Bangkok)');
+
+    // Daily gap scan + backfill of the last 7 days (02:30 Bangkok = 19:30 UTC),
+    // queued once for all replicas and run by the job worker
+    cron.schedule('30 19 * * *', async () => {
+      try {
+        const { result: job } = await pgPool.withTryLock(GAP_SCAN_LOCK_KEY, () =>
+          jobManager.enqueueUnique('gap_backfill', { days: 7, stationIds: null }, 'cron')
+        );
+        if (job) console.log(`🕳 Gap scan queued (job ${job.id})`);
+      } catch (error) {
+        console.error('✗ Gap scan failed:', error.message);
+      }
+    });
+    console.log('✓ Gap scan scheduler started (daily 02:30 Bangkok, last 7 days)');
+
+    // Imports / backtests queued through the API
+    jobManager.start();
+
     // Schedule weekly snapshot cleanup (Sunday 01:00 Bangkok = Saturday 18:00 UTC)
     cron.schedule('0 18 * * 6', async () => {
       try {
@@ -241,15 +448,16 @@ async function initialize() {
 
     // Weekly historical-forecast-api backtest: pulls the last 14 days from each
     // model (incremental, idempotent) and re-joins against actuals. Sunday 03:00
-    // Bangkok = Saturday 20:00 UTC. Lightweight: ~14 days × 5 models × 14h ≈ 1k rows.
+    // Bangkok = Saturday 20:00 UTC. Queued once for all replicas as a
+    // forecast_backtest job, run by the job worker.
     cron.schedule('0 20 * * 6', async () => {
       try {
-        const toMs = Date.now();
-        const fromMs = toMs - 14 * 24 * 60 * 60 * 1000;
-        console.log('🎯 Weekly forecast backtest starting…');
-        const results = await backtestImporter.importAll(fromMs, toMs);
-        const total = results.reduce((s, r) => s + (r.inserted || 0), 0);
-        console.log(`✓ Weekly backtest done: ${total} rows across ${results.length} models`);
+        const to = new Date();
+        const from = new Date(to.getTime() - 14 * 24 * 60 * 60 * 1000);
+        const { result: job } = await pgPool.withTryLock(BACKTEST_LOCK_KEY, () =>
+          jobManager.enqueueUnique('forecast_backtest', { from: from.toISOString(), to: to.toISOString(), modelIds: null }, 'cron')
+        );
+        if (job) console.log(`🎯 Weekly forecast backtest queued (job ${job.id})`);
       } catch (error) {
         console.error('✗ Weekly backtest failed:', error.message);
       }
@@ -272,6 +480,7 @@ async function initialize() {
 // Graceful shutdown
 async function shutdown() {
   console.log('\n🛑 Shutting down gracefully...');
+  await jobManager.stop();
   await pgPool.close();
   process.exit(0);
 }
@@ -12,11 +12,15 @@ import http2 from 'http2';
  * 2. Download .p8 file, note Key ID and Team ID
  * 3. Set environment variables or place config in ./data/apns-config.json:
  *    { "keyFile": "./data/AuthKey_XXXXXXXX.p8", "keyId": "XXXXXXXX", "teamId": "XXXXXXXXXX", "bundleId": "com.jollykite.app" }
+ *
+ * Device tokens live in the `apns_devices` table; `devices` is an in-memory
+ * copy refreshed by loadDevices() before each send run.
  */
 export class APNsProvider {
-  constructor(configPath = './data/apns-config.json') {
+  constructor(pgPool, configPath = './data/apns-config.json') {
+    this.pool = pgPool;
     this.configPath = configPath;
-    this.devicesPath = './data/apns-devices.json';
+    this.legacyDevicesPath = './data/apns-devices.json';
     this.devices = [];
     this.jwtToken = null;
     this.jwtIssuedAt = 0;
@@ -24,7 +28,11 @@ export class APNsProvider {
     this.enabled = false;
 
     this.loadConfig();
-    this.loadDevices();
+  }
+
+  async initialize() {
+    await this.migrateLegacyDevices();
+    await this.loadDevices();
   }
 
   loadConfig() {
@@ -71,56 +79,75 @@ export class APNsProvider {
     }
   }
 
-  loadDevices() {
+  /**
+   * One-time import of ./data/apns-devices.json (pre-PostgreSQL storage).
+   * The file is renamed to *.migrated so the import never repeats.
+   */
+  async migrateLegacyDevices() {
+    if (!fs.existsSync(this.legacyDevicesPath)) return;
+
     try {
-      if (fs.existsSync(this.devicesPath)) {
-        const data = fs.readFileSync(this.devicesPath, 'utf8');
-        this.devices = JSON.parse(data);
-        console.log(`✓ Loaded ${this.devices.length} APNs device tokens`);
+      const devices = JSON.parse(fs.readFileSync(this.legacyDevicesPath, 'utf8'));
+      for (const device of devices) {
+        await this.pool.query(
+          `INSERT INTO apns_devices (token, spot_id, created_at)
+           VALUES ($1, $2, COALESCE($3::timestamptz, NOW()))
+           ON CONFLICT (token) DO NOTHING`,
+          [device.token, device.spotId || null, device.createdAt || null]
+        );
       }
+      fs.renameSync(this.legacyDevicesPath, `${this.legacyDevicesPath}.migrated`);
+      console.log(`✓ Migrated ${devices.length} APNs devices from JSON to PostgreSQL`);
     } catch (error) {
-      console.error('Error loading APNs devices:', error.message);
-      this.devices = [];
+      console.error('Error migrating APNs devices:', error.message);
     }
   }
 
-  saveDevices() {
-    try {
-      const dir = path.dirname(this.devicesPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(this.devicesPath, JSON.stringify(this.devices, null, 2));
-    } catch (error) {
-      console.error('Error saving APNs devices:', error.message);
-    }
+  async loadDevices() {
+    const { rows } = await this.pool.query(
+      'SELECT token, spot_id, created_at FROM apns_devices ORDER BY created_at ASC'
+    );
+    this.devices = rows.map(row => ({
+      token: row.token,
+      spotId: row.spot_id,
+      createdAt: row.created_at
+    }));
   }
 
   /**
-   * Register an iOS device token
+   * Register an iOS device token (re-registering moves it to another spot)
+   * @returns {boolean} true if the token is new
    */
-  addDevice(deviceToken) {
-    const exists = this.devices.some(d => d.token === deviceToken);
-    if (!exists) {
-      this.devices.push({
-        token: deviceToken,
-        createdAt: new Date().toISOString()
-      });
-      this.saveDevices();
+  async addDevice(deviceToken, spotId = null) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO apns_devices (token, spot_id)
+       VALUES ($1, $2)
+       ON CONFLICT (token) DO UPDATE SET spot_id = EXCLUDED.spot_id, updated_at = NOW()
+       RETURNING (xmax = 0) AS inserted, created_at`,
+      [deviceToken, spotId]
+    );
+    const added = rows[0].inserted;
+
+    const existing = this.devices.find(d => d.token === deviceToken);
+    if (existing) {
+      existing.spotId = spotId;
+    } else {
+      this.devices.push({ token: deviceToken, spotId, createdAt: rows[0].created_at });
+    }
+
+    if (added) {
       console.log(`✓ APNs device registered: ${deviceToken.substring(0, 16)}...`);
-      return true;
     }
-    return false;
+    return added;
   }
 
   /**
    * Remove an iOS device token
    */
-  removeDevice(deviceToken) {
-    const initialLength = this.devices.length;
+  async removeDevice(deviceToken) {
+    const { rowCount } = await this.pool.query('DELETE FROM apns_devices WHERE token = $1', [deviceToken]);
     this.devices = this.devices.filter(d => d.token !== deviceToken);
-    if (this.devices.length < initialLength) {
-      this.saveDevices();
+    if (rowCount > 0) {
       console.log(`✓ APNs device removed: ${deviceToken.substring(0, 16)}...`);
       return true;
     }
@@ -216,11 +243,25 @@ export class APNsProvider {
 
   /**
    * Send push notification to all registered iOS devices
+   * @param {Function|null} filter - optional predicate selecting devices (e.g. by spot)
    * @returns {Object} { sent, failed, total }
    */
-  async sendToAll(title, body, windSpeed, avgSpeed) {
-    if (!this.enabled || this.devices.length === 0) {
-      return { sent: 0, failed: 0, total: this.devices.length };
+  async sendToAll(title, body, windSpeed, avgSpeed, filter = null) {
+    return this.sendMessage(title, body, { windSpeed, avgSpeed }, filter);
+  }
+
+  /**
+   * Send an alert with custom payload fields to the selected devices
+   * @param {Object} data - extra top-level payload fields for the app
+   * @param {Function|null} filter - optional predicate selecting devices
+   * @param {Object} options - { threadId, interruptionLevel }
+   * @returns {Object} { sent, failed, total, results: [{ token, ok, error }] }
+   */
+  async sendMessage(title, body, data = {}, filter = null, options = {}) {
+    const { threadId = 'wind-conditions', interruptionLevel = 'time-sensitive' } = options;
+    const targets = filter ? this.devices.filter(filter) : [...this.devices];
+    if (!this.enabled || targets.length === 0) {
+      return { sent: 0, failed: 0, total: targets.length, results: [] };
     }
 
     const payload = {
@@ -228,35 +269,37 @@ export class APNsProvider {
         alert: { title, body },
         sound: 'default',
         badge: 1,
-        'thread-id': 'wind-conditions',
-        'interruption-level': 'time-sensitive'
+        'thread-id': threadId,
+        'interruption-level': interruptionLevel
       },
-      windSpeed,
-      avgSpeed,
+      ...data,
       timestamp: new Date().toISOString()
     };
 
     let sent = 0;
     let failed = 0;
+    const results = [];
 
-    for (const device of [...this.devices]) {
+    for (const device of targets) {
       try {
         await this.sendToDevice(device.token, payload);
         sent++;
+        results.push({ token: device.token, ok: true });
         console.log(`📱 APNs sent to: ${device.token.substring(0, 16)}...`);
       } catch (error) {
         failed++;
+        results.push({ token: device.token, ok: false, error: error.reason || error.message });
         console.error(`✗ APNs error for ${device.token.substring(0, 16)}...: ${error.reason || error.message}`);
 
         // Remove invalid tokens
         if (error.statusCode === 410 || error.reason === 'BadDeviceToken' || error.reason === 'Unregistered') {
           console.log(`🗑️  Removing invalid APNs token: ${device.token.substring(0, 16)}...`);
-          this.removeDevice(device.token);
+          await this.removeDevice(device.token);
         }
       }
     }
 
-    return { sent, failed, total: this.devices.length + failed };
+    return { sent, failed, total: targets.length, results };
   }
 
   getStats() {
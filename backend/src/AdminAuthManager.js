@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+
+/**
+ * AdminAuthManager - API keys for privileged endpoints + audit log.
+ *
+ * Keys are random `jk_...` strings shown once on creation; only their SHA-256
+ * hash is stored in `admin_api_keys`, together with the scopes they grant
+ * ('*' grants everything). The ADMIN_API_KEY env var is upserted on startup
+ * as the `bootstrap` key with scope '*', so a fresh deployment can create
+ * narrower keys through /api/admin/keys.
+ *
+ * requireScope() is the Express middleware used by ApiRouter. Every call that
+ * reaches it — accepted or rejected — is written to `admin_audit_log` once the
+ * response is finished. Handlers can describe what they changed by filling
+ * `req.audit` (e.g. { before, after }).
+ *
+ * Keys are looked up in the database on every call, so revocation takes
+ * effect immediately on all replicas.
+ */
+
+export const ADMIN_SCOPES = ['calibration', 'collect', 'import', 'forecast', 'notifications', 'debug', 'admin'];
+
+const KEY_PREFIX = 'jk_';
+const BOOTSTRAP_KEY_NAME = 'bootstrap';
+
+// Request params that never go into the audit log
+const SECRET_PARAM = /key|token|secret|password|auth|p256dh/i;
+const MAX_AUDIT_PARAMS_LENGTH = 4000;
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Request params with secrets masked (shallow, audit log only)
+ */
+function sanitizeParams(params) {
+  const clean = {};
+  for (const [name, value] of Object.entries(params || {})) {
+    clean[name] = SECRET_PARAM.test(name) ? '[redacted]' : value;
+  }
+  return JSON.stringify(clean).length > MAX_AUDIT_PARAMS_LENGTH ? { truncated: true } : clean;
+}
+
+export class AdminAuthManager {
+  constructor(pgPool, bootstrapKey = process.env.ADMIN_API_KEY) {
+    this.pool = pgPool;
+    this.bootstrapKey = bootstrapKey || null;
+  }
+
+  async initialize() {
+    if (this.bootstrapKey) {
+      await this.pool.query(
+        `INSERT INTO admin_api_keys (name, key_hash, key_prefix, scopes, created_by)
+         VALUES ($1, $2, $3, $4, 'env')
+         ON CONFLICT (name) DO UPDATE SET
+           key_hash = EXCLUDED.key_hash,
+           key_prefix = EXCLUDED.key_prefix,
+           scopes = EXCLUDED.scopes,
+           revoked_at = NULL`,
+        [BOOTSTRAP_KEY_NAME, hashApiKey(this.bootstrapKey), this.bootstrapKey.substring(0, 6), ['*']]
+      );
+    }
+
+    const { rows } = await this.pool.query('SELECT COUNT(*)::int AS count FROM admin_api_keys WHERE revoked_at IS NULL');
+    if (rows[0].count === 0) {
+      console.warn('⚠ No admin API keys configured (set ADMIN_API_KEY) — privileged endpoints are locked');
+    } else {
+      console.log(`✓ Admin auth initialized (${rows[0].count} active keys)`);
+    }
+  }
+
+  /**
+   * Key from `Authorization: Bearer <key>` or `X-Admin-Key: <key>`
+   */
+  extractKey(req) {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) {
+      return header.replace(/^bearer\s+/i, '').trim();
+    }
+    return req.get('x-admin-key')?.trim() || null;
+  }
+
+  /**
+   * Active key record for a plaintext key, or null
+   */
+  async authenticate(key) {
+    if (!key) return null;
+    const { rows } = await this.pool.query(
+      `UPDATE admin_api_keys SET last_used_at = NOW()
+       WHERE key_hash = $1 AND revoked_at IS NULL
+       RETURNING id, name, scopes`,
+      [hashApiKey(key)]
+    );
+    return rows[0] || null;
+  }
+
+  hasScope(admin, scope) {
+    return admin.scopes.includes('*') || admin.scopes.includes(scope);
+  }
+
+  /**
+   * Express middleware: 401 without a valid key, 403 without the scope.
+   * Sets req.admin = { id, name, scopes } for the handler.
+   */
+  requireScope(scope) {
+    return async (req, res, next) => {
+      req.audit = {};
+      res.on('finish', () => {
+        this.writeAudit(req, scope, res.statusCode).catch(error => {
+          console.error('✗ Failed to write admin audit log:', error.message);
+        });
+      });
+
+      try {
+        const key = this.extractKey(req);
+        if (!key) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return res.status(401).json({ error: 'Admin API key required' });
+        }
+
+        const admin = await this.authenticate(key);
+        if (!admin) {
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        req.admin = admin;
+        if (!this.hasScope(admin, scope)) {
+          return res.status(403).json({ error: `API key lacks scope: ${scope}` });
+        }
+
+        next();
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  async writeAudit(req, scope, status) {
+    const hasChanges = req.audit && Object.keys(req.audit).length > 0;
+    await this.pool.query(
+      `INSERT INTO admin_audit_log (key_id, key_name, method, path, scope, params, changes, status, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        req.admin?.id ?? null,
+        req.admin?.name ?? null,
+        req.method,
+        req.originalUrl.split('?')[0],
+        scope,
+        JSON.stringify(sanitizeParams({ ...req.query, ...(req.body || {}) })),
+        hasChanges ? JSON.stringify(req.audit) : null,
+        status,
+        req.ip
+      ]
+    );
+  }
+
+  /**
+   * Validate a new key definition from the API
+   * @returns {Object} { key } or { error }
+   */
+  validateKey(input) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    const scopes = input?.scopes;
+
+    if (!name || name.length > 64) {
+      return { error: 'name is required (max 64 characters)' };
+    }
+    if (name === BOOTSTRAP_KEY_NAME) {
+      return { error: `name "${BOOTSTRAP_KEY_NAME}" is reserved for ADMIN_API_KEY` };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        !scopes.every(s => s === '*' || ADMIN_SCOPES.includes(s))) {
+      return { error: `scopes must be a non-empty subset of: *, ${ADMIN_SCOPES.join(', ')}` };
+    }
+
+    return { key: { name, scopes: [...new Set(scopes)] } };
+  }
+
+  /**
+   * Create a key. The plaintext is returned only here.
+   * @returns {Object} { key: { id, name, scopes, ... }, secret } or { error }
+   */
+  async createKey(input, createdBy = null) {
+    const { key, error } = this.validateKey(input);
+    if (error) return { error };
+
+    const secret = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    try {
+      const { rows } = await this.pool.query(
+        `INSERT INTO admin_api_keys (name, key_hash, key_prefix, scopes, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [key.name, hashApiKey(secret), secret.substring(0, 6), key.scopes, createdBy]
+      );
+      return { key: this._rowToKey(rows[0]), secret };
+    } catch (error) {
+      if (error.code === '23505') return { error: `A key named "${key.name}" already exists` };
+      throw error;
+    }
+  }
+
+  async listKeys() {
+    const { rows } = await this.pool.query('SELECT * FROM admin_api_keys ORDER BY id');
+    return rows.map(row => this._rowToKey(row));
+  }
+
+  /**
+   * Revoke a key (kept for the audit trail)
+   * @returns {Object|null} revoked key or null if not found / already revoked
+   */
+  async revokeKey(id) {
+    const { rows } = await this.pool.query(
+      `UPDATE admin_api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return rows[0] ? this._rowToKey(rows[0]) : null;
+  }
+
+  /**
+   * Recent audit entries, newest first
+   */
+  async getAuditLog({ limit = 100, keyId = null, scope = null } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM admin_audit_log
+       WHERE ($1::int IS NULL OR key_id = $1)
+         AND ($2::text IS NULL OR scope = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [keyId, scope, Math.min(Math.max(parseInt(limit) || 100, 1), 1000)]
+    );
+
+    return rows.map(row => ({
+      id: parseInt(row.id),
+      keyId: row.key_id,
+      keyName: row.key_name,
+      method: row.method,
+      path: row.path,
+      scope: row.scope,
+      params: row.params,
+      changes: row.changes,
+      status: row.status,
+      ip: row.ip,
+      createdAt: row.created_at
+    }));
+  }
+
+  async cleanupAuditLog(daysToKeep = 365) {
+    await this.pool.query(
+      `DELETE FROM admin_audit_log WHERE created_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [daysToKeep]
+    );
+  }
+
+  _rowToKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      scopes: row.scopes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
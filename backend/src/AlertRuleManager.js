@@ -0,0 +1,366 @@
+import { getShoreSector, SECTORS } from './SafetyEngine.js';
+import { getRideableRange, SPORT_KITE_CONFIG } from './RideableRange.js';
+
+/**
+ * AlertRuleManager - per-subscriber push alert rules.
+ *
+ * Every Web Push subscription (target_type 'webpush', keyed by endpoint) and
+ * APNs device ('apns', keyed by device token) can own any number of rules.
+ * A subscriber is alerted when ANY of its enabled rules matches the last
+ * 15 minutes of wind. Subscribers without rules keep the legacy behaviour
+ * (DEFAULT_RULE, at most one alert per Bangkok day).
+ *
+ * A rule combines:
+ *   - min/max wind (knots), optionally narrowed by sport + rider weight
+ *     (same kite-size math as /archive/monthly-rideable)
+ *   - allowed direction sectors relative to the spot's shoreline
+ *   - max gust spread (gust − average)
+ *   - quiet hours in the spot's timezone (wrap past midnight allowed)
+ *   - re-alert cooldown in minutes (DEFAULT_COOLDOWN_MINUTES when omitted;
+ *     explicit null = at most once per Bangkok day)
+ *
+ * Rules live in the `notification_rules` table; an in-memory copy keyed by
+ * target is used by the 5-minute notification cron.
+ */
+
+export const TARGET_TYPES = ['webpush', 'apns'];
+
+const SECTOR_IDS = SECTORS.map(s => s.id);
+
+// Re-alert cooldown of a new rule that does not set one
+export const DEFAULT_COOLDOWN_MINUTES = 180;
+
+// Legacy global trigger: ≥8 kn, not offshore, gusts within 8 kn, once a day
+export const DEFAULT_RULE = {
+  id: null,
+  minWind: 8,
+  maxWind: null,
+  sectors: ['onshore', 'sideOnshore', 'sideOffshore'],
+  sport: null,
+  riderWeight: null,
+  maxGustSpread: 8,
+  quietStart: null,
+  quietEnd: null,
+  cooldownMinutes: null,
+  enabled: true,
+  lastNotifiedAt: null
+};
+
+// Direction must be steady to count as "stable" wind (max deviation from mean)
+const MAX_DIRECTION_VARIANCE = 45;
+// Speed drop over 15 minutes that counts as weakening
+const MAX_TREND_DROP = 2;
+
+/**
+ * Effective speed window of a rule: explicit bounds narrowed by the
+ * sport/weight rideable range when a sport is set
+ */
+export function getRuleWindRange(rule) {
+  let minWind = rule.minWind ?? 0;
+  let maxWind = rule.maxWind ?? Infinity;
+
+  if (rule.sport) {
+    const range = getRideableRange(rule.sport, rule.riderWeight);
+    minWind = Math.max(minWind, range.minWind);
+    maxWind = Math.min(maxWind, range.maxWind);
+  }
+  return { minWind, maxWind };
+}
+
+function localDate(date, timezone) {
+  return date.toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+/**
+ * Whether the hour (0..23) falls into the rule's quiet window
+ */
+export function isQuietHour(rule, hour) {
+  if (rule.quietStart === null || rule.quietEnd === null || rule.quietStart === rule.quietEnd) {
+    return false;
+  }
+  if (rule.quietStart < rule.quietEnd) {
+    return hour >= rule.quietStart && hour < rule.quietEnd;
+  }
+  // Wraps past midnight, e.g. 21 → 7
+  return hour >= rule.quietStart || hour < rule.quietEnd;
+}
+
+/**
+ * Check a rule against recent conditions.
+ * @param {Object} rule - stored rule or DEFAULT_RULE
+ * @param {Object} conditions - from NotificationManager.summarizeConditions()
+ * @param {Object} spot - spot the conditions belong to
+ * @param {Date} now
+ * @returns {Object} { match, reason }
+ */
+export function evaluateAlertRule(rule, conditions, spot, now = new Date()) {
+  if (!rule.enabled) {
+    return { match: false, reason: 'Rule disabled' };
+  }
+
+  const timezone = spot?.timezone || 'Asia/Bangkok';
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hour: 'numeric', hour12: false
+  }).format(now), 10) % 24;
+  if (isQuietHour(rule, hour)) {
+    return { match: false, reason: `Quiet hours (${rule.quietStart}:00–${rule.quietEnd}:00)` };
+  }
+
+  if (rule.lastNotifiedAt) {
+    if (rule.cooldownMinutes) {
+      const elapsed = (now - new Date(rule.lastNotifiedAt)) / 60000;
+      if (elapsed < rule.cooldownMinutes) {
+        return { match: false, reason: `Cooldown (${Math.ceil(rule.cooldownMinutes - elapsed)} min left)` };
+      }
+    } else if (localDate(new Date(rule.lastNotifiedAt), timezone) === localDate(now, timezone)) {
+      // No cooldown means once per day, same as the legacy limit
+      return { match: false, reason: 'Already notified today' };
+    }
+  }
+
+  const { minWind, maxWind } = getRuleWindRange(rule);
+  const { speeds } = conditions;
+  if (!speeds.every(s => s >= minWind)) {
+    return { match: false, reason: `Wind below ${minWind.toFixed(1)} knots (speeds: ${speeds.map(s => s.toFixed(1)).join(', ')})` };
+  }
+  if (!speeds.every(s => s <= maxWind)) {
+    return { match: false, reason: `Wind above ${maxWind.toFixed(1)} knots (speeds: ${speeds.map(s => s.toFixed(1)).join(', ')})` };
+  }
+
+  // Without a direction reading the sector is unknown: judge speed and gusts only
+  let sector = null;
+  if (conditions.direction !== null) {
+    if (conditions.directionVariance > MAX_DIRECTION_VARIANCE) {
+      return { match: false, reason: `Direction too variable (${conditions.directionVariance.toFixed(1)}°)` };
+    }
+
+    sector = getShoreSector(conditions.direction, spot?.shoreBearing);
+    if (!rule.sectors.includes(sector)) {
+      return { match: false, reason: `Direction sector ${sector} not allowed` };
+    }
+  }
+
+  const maxGustSpread = rule.maxGustSpread ?? DEFAULT_RULE.maxGustSpread;
+  if (conditions.gustDiff > maxGustSpread) {
+    return { match: false, reason: `Gusts too strong (${conditions.gustDiff.toFixed(1)} knots difference)` };
+  }
+
+  if (conditions.trendChange < -MAX_TREND_DROP) {
+    return { match: false, reason: `Wind is weakening (${conditions.trendChange.toFixed(1)} knots)` };
+  }
+
+  return { match: true, sector, minWind, maxWind };
+}
+
+export class AlertRuleManager {
+  constructor(pgPool) {
+    this.pool = pgPool;
+    this.rules = new Map(); // `${targetType}:${targetId}` → [rule]
+  }
+
+  async initialize() {
+    await this.reload();
+    console.log(`✓ Notification rules initialized (${this.countRules()} rules)`);
+  }
+
+  async reload() {
+    const { rows } = await this.pool.query('SELECT * FROM notification_rules ORDER BY id ASC');
+    this.rules.clear();
+    for (const row of rows) {
+      const rule = this._rowToRule(row);
+      const key = this._key(rule.targetType, rule.targetId);
+      if (!this.rules.has(key)) this.rules.set(key, []);
+      this.rules.get(key).push(rule);
+    }
+  }
+
+  _key(targetType, targetId) {
+    return `${targetType}:${targetId}`;
+  }
+
+  _num(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  _rowToRule(row) {
+    return {
+      id: row.id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      name: row.name,
+      minWind: this._num(row.min_wind),
+      maxWind: this._num(row.max_wind),
+      sectors: row.sectors || [],
+      sport: row.sport,
+      riderWeight: this._num(row.rider_weight),
+      maxGustSpread: this._num(row.max_gust_spread),
+      quietStart: row.quiet_start,
+      quietEnd: row.quiet_end,
+      cooldownMinutes: row.cooldown_minutes,
+      enabled: row.enabled,
+      lastNotifiedAt: row.last_notified_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  countRules() {
+    let count = 0;
+    for (const list of this.rules.values()) count += list.length;
+    return count;
+  }
+
+  /**
+   * Rules owned by a subscription/device (empty array if none)
+   */
+  getRules(targetType, targetId) {
+    return this.rules.get(this._key(targetType, targetId)) || [];
+  }
+
+  getRule(id) {
+    for (const list of this.rules.values()) {
+      const rule = list.find(r => r.id === id);
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  /**
+   * Validate and normalize a rule payload from the API.
+   * @returns {Object} { rule } or { error }
+   */
+  validateRule(input, existing = null) {
+    const merged = {
+      ...DEFAULT_RULE,
+      cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+      ...(existing || {}),
+      ...(input || {})
+    };
+    const rule = {
+      name: merged.name ? String(merged.name).slice(0, 100) : null,
+      minWind: merged.minWind === null || merged.minWind === '' ? null : parseFloat(merged.minWind),
+      maxWind: merged.maxWind === null || merged.maxWind === '' ? null : parseFloat(merged.maxWind),
+      sectors: merged.sectors,
+      sport: merged.sport || null,
+      riderWeight: merged.riderWeight === null || merged.riderWeight === '' ? null : parseFloat(merged.riderWeight),
+      maxGustSpread: merged.maxGustSpread === null || merged.maxGustSpread === '' ? null : parseFloat(merged.maxGustSpread),
+      quietStart: merged.quietStart === null || merged.quietStart === '' ? null : parseInt(merged.quietStart, 10),
+      quietEnd: merged.quietEnd === null || merged.quietEnd === '' ? null : parseInt(merged.quietEnd, 10),
+      cooldownMinutes: merged.cooldownMinutes === null || merged.cooldownMinutes === '' ? null : parseInt(merged.cooldownMinutes, 10),
+      enabled: merged.enabled !== false
+    };
+
+    for (const field of ['minWind', 'maxWind', 'riderWeight', 'maxGustSpread']) {
+      if (rule[field] !== null && (!isFinite(rule[field]) || rule[field] < 0)) {
+        return { error: `${field} must be a non-negative number` };
+      }
+    }
+    if (rule.minWind !== null && rule.maxWind !== null && rule.minWind > rule.maxWind) {
+      return { error: 'minWind must not exceed maxWind' };
+    }
+    if (!Array.isArray(rule.sectors) || rule.sectors.length === 0 ||
+        !rule.sectors.every(s => SECTOR_IDS.includes(s))) {
+      return { error: `sectors must be a non-empty subset of: ${SECTOR_IDS.join(', ')}` };
+    }
+    if (rule.sport !== null && !SPORT_KITE_CONFIG[rule.sport]) {
+      return { error: `sport must be one of: ${Object.keys(SPORT_KITE_CONFIG).join(', ')}` };
+    }
+    if (rule.riderWeight !== null && (rule.riderWeight < 40 || rule.riderWeight > 120)) {
+      return { error: 'riderWeight must be between 40 and 120 kg' };
+    }
+    for (const field of ['quietStart', 'quietEnd']) {
+      if (rule[field] !== null && (!Number.isInteger(rule[field]) || rule[field] < 0 || rule[field] > 23)) {
+        return { error: `${field} must be an hour 0..23` };
+      }
+    }
+    if ((rule.quietStart === null) !== (rule.quietEnd === null)) {
+      return { error: 'quietStart and quietEnd must be set together' };
+    }
+    if (rule.cooldownMinutes !== null &&
+        (!Number.isInteger(rule.cooldownMinutes) || rule.cooldownMinutes < 15 || rule.cooldownMinutes > 10080)) {
+      return { error: 'cooldownMinutes must be between 15 and 10080' };
+    }
+
+    return { rule };
+  }
+
+  async createRule(targetType, targetId, input) {
+    const { rule, error } = this.validateRule(input);
+    if (error) return { error };
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO notification_rules
+         (target_type, target_id, name, min_wind, max_wind, sectors, sport, rider_weight,
+          max_gust_spread, quiet_start, quiet_end, cooldown_minutes, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [targetType, targetId, rule.name, rule.minWind, rule.maxWind, rule.sectors, rule.sport,
+       rule.riderWeight, rule.maxGustSpread, rule.quietStart, rule.quietEnd,
+       rule.cooldownMinutes, rule.enabled]
+    );
+
+    const created = this._rowToRule(rows[0]);
+    const key = this._key(targetType, targetId);
+    if (!this.rules.has(key)) this.rules.set(key, []);
+    this.rules.get(key).push(created);
+    return { rule: created };
+  }
+
+  async updateRule(id, input) {
+    const existing = this.getRule(id);
+    if (!existing) return { error: 'Rule not found', notFound: true };
+
+    const { rule, error } = this.validateRule(input, existing);
+    if (error) return { error };
+
+    const { rows } = await this.pool.query(
+      `UPDATE notification_rules SET
+         name = $2, min_wind = $3, max_wind = $4, sectors = $5, sport = $6, rider_weight = $7,
+         max_gust_spread = $8, quiet_start = $9, quiet_end = $10, cooldown_minutes = $11,
+         enabled = $12, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, rule.name, rule.minWind, rule.maxWind, rule.sectors, rule.sport, rule.riderWeight,
+       rule.maxGustSpread, rule.quietStart, rule.quietEnd, rule.cooldownMinutes, rule.enabled]
+    );
+
+    const updated = this._rowToRule(rows[0]);
+    const list = this.getRules(updated.targetType, updated.targetId);
+    list.splice(list.findIndex(r => r.id === id), 1, updated);
+    return { rule: updated };
+  }
+
+  async deleteRule(id) {
+    const existing = this.getRule(id);
+    if (!existing) return false;
+
+    await this.pool.query('DELETE FROM notification_rules WHERE id = $1', [id]);
+    const list = this.getRules(existing.targetType, existing.targetId);
+    list.splice(list.findIndex(r => r.id === id), 1);
+    return true;
+  }
+
+  /**
+   * Drop all rules of a subscription/device (on unsubscribe or expired token)
+   */
+  async deleteRulesForTarget(targetType, targetId) {
+    const key = this._key(targetType, targetId);
+    if (!this.rules.has(key)) return 0;
+
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM notification_rules WHERE target_type = $1 AND target_id = $2',
+      [targetType, targetId]
+    );
+    this.rules.delete(key);
+    return rowCount;
+  }
+
+  async markNotified(rule, at = new Date()) {
+    if (!rule.id) return;
+    rule.lastNotifiedAt = at;
+    await this.pool.query(
+      'UPDATE notification_rules SET last_notified_at = $2 WHERE id = $1',
+      [rule.id, at]
+    );
+  }
+}
@@ -2,6 +2,17 @@ import express from 'express';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { evaluateSafety, getSafetyRules, SECTORS } from './SafetyEngine.js';
+import { getRideableRange, SPORT_KITE_CONFIG } from './RideableRange.js';
+import { DEFAULT_RULE } from './AlertRuleManager.js';
+import { SAFETY_ALERT_KINDS, DEFAULT_SAFETY_SETTINGS, SAFETY_ALERT_COOLDOWN_MINUTES } from './SafetyAlertManager.js';
+import { ADMIN_SCOPES } from './AdminAuthManager.js';
+import { SSE_MAX_PER_IP } from './RateLimiter.js';
+import { ESTIMATE_STATION_ID } from './SpotEstimator.js';
+import { QC_FLAGS, qcWeight, isGustUsable, isDirectionUsable } from './DataQuality.js';
+import { JOB_STATUSES } from './JobManager.js';
+import { alertMeasurements } from './NotificationManager.js';
+import { DEFAULT_HOURS } from './SpotManager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,7 +32,7 @@ try {
  * ApiRouter - defines all API endpoints for frontend
  */
 export class ApiRouter {
-  constructor(dbManager, archiveManager, windCollector, notificationManager, forecastCollector, calibrationManager, forecastModelManager, stations = [], historyImporter = null, backtestImporter = null) {
+  constructor(dbManager, archiveManager, windCollector, notificationManager, forecastCollector, calibrationManager, forecastModelManager, stations = [], historyImporter = null, backtestImporter = null, spotManager = null, forecastAlertManager = null, adminAuth = null, rateLimiter = null, stationHealth = null, spotEstimator = null, gapScanner = null, jobManager = null, seaBreezePredictor = null, nowcastEngine = null, forecastVerification = null) {
     this.dbManager = dbManager;
     this.archiveManager = archiveManager;
     this.windCollector = windCollector;
@@ -32,33 +43,379 @@ export class ApiRouter {
     this.stations = stations;
     this.historyImporter = historyImporter;
     this.backtestImporter = backtestImporter;
+    this.spotManager = spotManager;
+    this.forecastAlertManager = forecastAlertManager;
+    this.adminAuth = adminAuth;
+    this.rateLimiter = rateLimiter;
+    this.stationHealth = stationHealth;
+    this.spotEstimator = spotEstimator;
+    this.gapScanner = gapScanner;
+    this.jobManager = jobManager;
+    this.seaBreezePredictor = seaBreezePredictor;
+    this.nowcastEngine = nowcastEngine;
+    this.forecastVerification = forecastVerification;
     this.router = express.Router();
-    this.sseClients = []; // Connected SSE clients
+    // Mirror of the spot-aware routes under /api/spots/:spotId/...
+    this.spotRouter = express.Router({ mergeParams: true });
+    this.sseClients = []; // Connected SSE clients: { res, spotId, ip }
+    this.setupRateLimits();
+    this.setupSpotRouting();
     this.setupRoutes();
   }
 
   /**
-   * Broadcast new wind data to all connected SSE clients
+   * Default spot for the unscoped /api/... routes
    */
-  broadcastWindUpdate(windData, trend) {
+  getDefaultSpot() {
+    if (this.spotManager) {
+      return this.spotManager.getDefault();
+    }
+    const primary = this.stations.find(s => s.isPrimary);
+    return {
+      id: 'pak_nam_pran',
+      name: 'Pak Nam Pran',
+      lat: primary?.lat,
+      lon: primary?.lon,
+      timezone: 'Asia/Bangkok',
+      shoreBearing: 90,
+      primaryStationId: primary?.id || 'pak_nam_pran',
+      stationIds: primary ? [primary.id] : [],
+      isDefault: true,
+      ...DEFAULT_HOURS
+    };
+  }
+
+  /**
+   * Hour query param (0–24), `fallback` when missing or invalid
+   */
+  parseHour(value, fallback) {
+    const hour = parseInt(value, 10);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 24 ? hour : fallback;
+  }
+
+  /**
+   * Spot metadata for API responses
+   */
+  formatSpot(spot) {
+    return {
+      id: spot.id,
+      name: spot.name,
+      lat: spot.lat,
+      lon: spot.lon,
+      timezone: spot.timezone,
+      shoreBearing: spot.shoreBearing,
+      primaryStationId: spot.primaryStationId,
+      isDefault: !!spot.isDefault,
+      collectHours: spot.collectHours || DEFAULT_HOURS.collectHours,
+      forecastHours: spot.forecastHours || DEFAULT_HOURS.forecastHours,
+      workingHours: spot.workingHours || DEFAULT_HOURS.workingHours,
+      stations: (spot.stationIds || [])
+        .map(id => this.stations.find(s => s.id === id))
+        .filter(Boolean)
+        .map(s => ({
+          id: s.id,
+          name: s.name,
+          lat: s.lat,
+          lon: s.lon,
+          isPrimary: s.id === spot.primaryStationId
+        }))
+    };
+  }
+
+  /**
+   * Register a spot-aware route on both /api/<path> (default spot)
+   * and /api/spots/:spotId/<path>. Handlers read the spot from req.spot.
+   */
+  spotRoute(method, path, ...handlers) {
+    this.router[method](path, ...handlers);
+    this.spotRouter[method](path, ...handlers);
+  }
+
+  /**
+   * Middleware for privileged routes: API key with `scope` + audit log entry.
+   * Without AdminAuthManager the routes are closed (503), never open.
+   */
+  requireAdmin(scope) {
+    if (!this.adminAuth) {
+      return (req, res) => res.status(503).json({ error: 'Admin auth not configured' });
+    }
+    return [this.limit('admin'), this.adminAuth.requireScope(scope)];
+  }
+
+  /**
+   * requireAdmin() for /jobs/:id routes: the scope depends on the job type.
+   * Sets req.job (404 for an unknown job).
+   */
+  requireJobAdmin() {
+    if (!this.adminAuth || !this.jobManager) {
+      return (req, res) => res.status(503).json({ error: 'Job manager is not configured' });
+    }
+    return [this.limit('admin'), async (req, res, next) => {
+      try {
+        req.job = await this.jobManager.get(parseInt(req.params.id) || 0);
+        if (!req.job) {
+          return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+        }
+        this.adminAuth.requireScope(this.jobManager.getScope(req.job.type))(req, res, next);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }];
+  }
+
+  /**
+   * { from, to } ISO strings of an import request (from / to as ISO or epoch
+   * ms, or `days` back from `to`), or { error }
+   */
+  parseImportRange(params, defaultDays) {
+    const parseTime = (v) => {
+      if (v === undefined || v === null || v === '') return null;
+      if (typeof v === 'number') return v;
+      if (/^\d+$/.test(String(v))) return parseInt(v, 10);
+      const t = Date.parse(v);
+      return Number.isNaN(t) ? null : t;
+    };
+
+    let fromMs = parseTime(params.from);
+    let toMs = parseTime(params.to);
+    const days = params.days ? parseInt(params.days, 10) : null;
+    if (toMs === null) toMs = Date.now();
+    if (fromMs === null) {
+      const span = days && days > 0 ? days : defaultDays;
+      fromMs = toMs - span * 24 * 60 * 60 * 1000;
+    }
+    if (fromMs >= toMs) {
+      return { error: 'from must be earlier than to' };
+    }
+    return { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString() };
+  }
+
+  /**
+   * Array or comma-separated list of ids, null if empty
+   */
+  parseIdList(value) {
+    const ids = typeof value === 'string'
+      ? value.split(',').map(s => s.trim()).filter(Boolean)
+      : value;
+    return ids?.length ? ids : null;
+  }
+
+  /**
+   * Validators for a response built from one ForecastCache entry: sets
+   * ETag / Last-Modified and answers 304 if the client's copy is current.
+   * @param {Object} cached - ForecastCollector.getForecast() result
+   * @param {string} variant - anything else the body depends on (model, correction)
+   * @returns {boolean} true if the 304 was sent
+   */
+  sendNotModified(req, res, cached, variant = '') {
+    const tag = cached.etag.slice(1, -1);
+    res.set('Cache-Control', 'no-cache');
+    res.set('ETag', `"${variant ? `${tag}-${variant}` : tag}"`);
+    res.set('Last-Modified', cached.fetchedAt.toUTCString());
+    if (req.fresh) {
+      res.status(304).end();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Per-IP rate limit middleware for a RateLimiter group (no-op without a limiter)
+   */
+  limit(group) {
+    if (!this.rateLimiter) {
+      return (req, res, next) => next();
+    }
+    return this.rateLimiter.middleware(group);
+  }
+
+  /**
+   * Rate limits shared by many routes; route-specific groups are added per route
+   */
+  setupRateLimits() {
+    this.router.use(this.limit('default'));
+    this.router.use(['/notifications', '/spots/:spotId/notifications'], this.limit('notifications'));
+  }
+
+  /**
+   * Spot list + req.spot resolution for scoped and unscoped routes
+   */
+  setupSpotRouting() {
+    this.router.get('/spots', (req, res) => {
+      try {
+        const spots = this.spotManager ? this.spotManager.getAll() : [this.getDefaultSpot()];
+        res.json(spots.map(spot => this.formatSpot(spot)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.router.use('/spots/:spotId', (req, res, next) => {
+      const spot = this.spotManager
+        ? this.spotManager.get(req.params.spotId)
+        : (req.params.spotId === this.getDefaultSpot().id ? this.getDefaultSpot() : null);
+      if (!spot) {
+        return res.status(404).json({ error: `Spot '${req.params.spotId}' not found` });
+      }
+      req.spot = spot;
+      next();
+    }, this.spotRouter);
+
+    this.spotRouter.get('/', (req, res) => {
+      res.json(this.formatSpot(req.spot));
+    });
+
+    // Hour windows of a spot. Body: any of { collectHours, forecastHours,
+    // workingHours } as { start, end } local hours, end exclusive; 0–24 = full day.
+    // workingHours also rebuild the archive rollups of the spot's stations
+    // (rideable-day statistics count working hours only).
+    this.spotRouter.put('/hours', this.requireAdmin('collect'), async (req, res) => {
+      try {
+        if (!this.spotManager) {
+          return res.status(503).json({ error: 'Spot manager is not configured' });
+        }
+        const result = await this.spotManager.setHours(req.spot.id, req.body || {});
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        const windows = spot => ({
+          collectHours: spot.collectHours,
+          forecastHours: spot.forecastHours,
+          workingHours: spot.workingHours
+        });
+        req.audit.before = { spotId: req.spot.id, ...windows(result.previous) };
+        req.audit.after = { spotId: req.spot.id, ...windows(result.spot) };
+
+        const rollups = {};
+        if (req.body?.workingHours !== undefined && this.archiveManager) {
+          for (const stationId of new Set([result.spot.primaryStationId, ...result.spot.stationIds])) {
+            rollups[stationId] = await this.archiveManager.rebuildRollups(stationId);
+          }
+        }
+
+        console.log(`🕒 Hours of ${req.spot.id} set: collect ${result.spot.collectHours.start}–${result.spot.collectHours.end}, `
+          + `forecast ${result.spot.forecastHours.start}–${result.spot.forecastHours.end}, `
+          + `working ${result.spot.workingHours.start}–${result.spot.workingHours.end}`);
+        res.json({ success: true, spot: this.formatSpot(result.spot), rollups });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.router.use((req, res, next) => {
+      if (!req.spot) {
+        req.spot = this.getDefaultSpot();
+      }
+      next();
+    });
+  }
+
+  /**
+   * Broadcast new wind data to connected SSE clients of a spot (all clients if spotId is omitted)
+   */
+  broadcastWindUpdate(windData, trend, spotId = null) {
     const message = JSON.stringify({
       type: 'wind_update',
       data: windData,
       trend: trend,
       timestamp: new Date().toISOString()
     });
+    this.sendToClients(message, spotId);
+  }
+
+  /**
+   * Broadcast a fresh nowcast (NowcastEngine) to connected SSE clients of a spot
+   */
+  broadcastNowcast(nowcast, spotId) {
+    const message = JSON.stringify({
+      type: 'nowcast',
+      data: nowcast,
+      timestamp: new Date().toISOString()
+    });
+    this.sendToClients(message, spotId);
+  }
+
+  /**
+   * Whether any SSE client follows the spot
+   */
+  hasStreamClients(spotId) {
+    return this.sseClients.some(client => client.spotId === spotId);
+  }
 
+  /**
+   * Write one SSE message to the clients of a spot (all clients if spotId is omitted)
+   */
+  sendToClients(message, spotId = null) {
+    let delivered = 0;
     this.sseClients = this.sseClients.filter(client => {
+      if (spotId && client.spotId !== spotId) {
+        return true;
+      }
       try {
-        client.write(`data: ${message}\n\n`);
+        client.res.write(`data: ${message}\n\n`);
+        delivered++;
         return true;
       } catch (error) {
         return false; // Remove dead clients
       }
     });
 
-    if (this.sseClients.length > 0) {
-      console.log(`📡 Broadcast to ${this.sseClients.length} client(s)`);
+    if (delivered > 0) {
+      console.log(`📡 Broadcast to ${delivered} client(s)${spotId ? ` of ${spotId}` : ''}`);
+    }
+  }
+
+  /**
+   * Station serving a spot's live readings: the primary, or a nearby backup
+   * while the primary is down (StationHealthMonitor)
+   * @returns {Object} { stationId, health, failover }
+   */
+  async resolveLiveStation(spot) {
+    if (!this.stationHealth) {
+      return { stationId: spot.primaryStationId, health: 'unknown', failover: null };
+    }
+    const report = await this.stationHealth.getReport();
+    return this.stationHealth.resolveStation(spot, report);
+  }
+
+  /**
+   * formatWindData() plus the station it comes from and the failover flag
+   */
+  formatLiveWindData(data, live) {
+    const formatted = this.formatWindData(data);
+    if (!formatted) return null;
+    return { ...formatted, stationId: live.stationId, health: live.health, failover: live.failover };
+  }
+
+  /**
+   * Broadcast a fresh measurement of one station (a console upload) to the
+   * spots whose live readings currently come from it
+   * @param {Object} record - normalized record (providers/StationProvider.js)
+   */
+  async broadcastStationUpdate(stationId, record) {
+    const spots = this.spotManager ? this.spotManager.getAll() : [this.getDefaultSpot()];
+    const targets = [];
+    for (const spot of spots) {
+      const live = await this.resolveLiveStation(spot);
+      if (live.stationId === stationId) targets.push({ spot, live });
+    }
+    if (targets.length === 0) return;
+
+    const trend = await this.dbManager.calculateTrend(stationId);
+    const row = {
+      station_id: stationId,
+      timestamp: record.timestamp,
+      wind_speed_knots: record.windSpeedKnots,
+      wind_gust_knots: record.windGustKnots,
+      max_gust_knots: record.maxGustKnots,
+      wind_direction: record.windDir,
+      wind_direction_avg: record.windDirAvg,
+      temperature: record.temperature,
+      humidity: record.humidity,
+      pressure: record.pressure
+    };
+    for (const { spot, live } of targets) {
+      this.broadcastWindUpdate(this.formatLiveWindData(row, live), trend, spot.id);
     }
   }
 
@@ -73,28 +430,25 @@ export class ApiRouter {
     });
 
     // Server-Sent Events endpoint for real-time updates
-    this.router.get('/wind/stream', async (req, res) => {
+    this.spotRoute('get', '/wind/stream', this.limit('stream'), async (req, res) => {
+      const openFromIp = this.sseClients.filter(client => client.ip === req.ip).length;
+      if (openFromIp >= SSE_MAX_PER_IP) {
+        res.set('Retry-After', '60');
+        return res.status(429).json({ error: `Too many open streams (max ${SSE_MAX_PER_IP} per client)` });
+      }
+
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
       res.setHeader('Access-Control-Allow-Origin', '*');
+      res.flushHeaders();
 
-      // Send initial data
-      const currentData = await this.dbManager.getLatestData();
-      const trend = await this.dbManager.calculateTrend();
-
-      if (currentData) {
-        const message = JSON.stringify({
-          type: 'wind_update',
-          data: this.formatWindData(currentData),
-          trend: trend,
-          timestamp: new Date().toISOString()
-        });
-        res.write(`data: ${message}\n\n`);
-      }
+      const spot = req.spot;
 
-      // Add client to broadcast list
-      this.sseClients.push(res);
+      // Register before the first await: parallel connects from one IP see
+      // each other in the cap above, and an early disconnect is cleaned up
+      const client = { res, spotId: spot.id, ip: req.ip };
+      this.sseClients.push(client);
       console.log(`📡 SSE client connected (total: ${this.sseClients.length})`);
 
       // Keep-alive heartbeat (send comment every 30 seconds to keep connection alive)
@@ -107,65 +461,129 @@ export class ApiRouter {
       }, 30000); // 30 seconds
 
       // Remove client on disconnect
+      let closed = false;
       req.on('close', () => {
+        closed = true;
         clearInterval(heartbeatInterval);
-        this.sseClients = this.sseClients.filter(client => client !== res);
+        this.sseClients = this.sseClients.filter(c => c !== client);
         console.log(`📡 SSE client disconnected (total: ${this.sseClients.length})`);
       });
+
+      try {
+        // Send initial data
+        const live = await this.resolveLiveStation(spot);
+        const currentData = await this.dbManager.getLatestData(live.stationId);
+        const trend = await this.dbManager.calculateTrend(live.stationId);
+
+        if (currentData && !closed) {
+          const message = JSON.stringify({
+            type: 'wind_update',
+            data: this.formatLiveWindData(currentData, live),
+            trend: trend,
+            timestamp: new Date().toISOString()
+          });
+          res.write(`data: ${message}\n\n`);
+        }
+      } catch (error) {
+        // The stream stays open; the next collection broadcast fills it in
+        console.error('SSE initial data error:', error.message);
+      }
+
+      // Latest nowcast right away, without holding up the stream
+      if (this.nowcastEngine && !closed) {
+        this.nowcastEngine.nowcast(spot)
+          .then(nowcast => {
+            if (closed) return;
+            res.write(`data: ${JSON.stringify({ type: 'nowcast', data: nowcast, timestamp: new Date().toISOString() })}\n\n`);
+          })
+          .catch(error => console.error('Initial nowcast error:', error.message));
+      }
     });
 
     // Get current wind data
-    this.router.get('/wind/current', async (req, res) => {
+    // (from a backup station while the primary is down — see `failover`).
+    // ?stationId=spot_estimate — the blended estimate of all nearby stations
+    this.spotRoute('get', '/wind/current', async (req, res) => {
       try {
-        const data = await this.dbManager.getLatestData();
+        if (req.query.stationId === ESTIMATE_STATION_ID) {
+          if (!this.spotEstimator) {
+            return res.status(503).json({ error: 'Spot estimate is not configured' });
+          }
+          const estimate = await this.spotEstimator.estimate(req.spot);
+          if (!estimate) {
+            return res.status(404).json({ error: 'No wind data available' });
+          }
+          return res.json(estimate);
+        }
+
+        const live = await this.resolveLiveStation(req.spot);
+        const data = await this.dbManager.getLatestData(live.stationId);
         if (!data) {
           return res.status(404).json({ error: 'No wind data available' });
         }
-        res.json(this.formatWindData(data));
+        res.json(this.formatLiveWindData(data, live));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get wind history for last 7 days (grouped by day, 6:00-19:00 only)
+    // Get wind history for last 7 days (grouped by day, collection hours of the spot only)
     // IMPORTANT: This must be before the generic /wind/history/:hours? route
-    this.router.get('/wind/history/week', async (req, res) => {
+    this.spotRoute('get', '/wind/history/week', async (req, res) => {
       try {
         const days = parseInt(req.query.days) || 7;
-        const data = await this.dbManager.getDataByHours(days * 24);
+        const timeZone = req.spot.timezone || 'Asia/Bangkok';
+        const hours = req.spot.collectHours || DEFAULT_HOURS.collectHours;
+        const live = await this.resolveLiveStation(req.spot);
+        const data = await this.dbManager.getDataByHours(days * 24, live.stationId);
 
         // Group data by day
         const groupedByDay = {};
 
         data.forEach(record => {
-          // Get Bangkok time hour for filtering
+          // Measurements excluded by QC (spikes, stuck sensor, ...) stay off the charts
+          if (qcWeight(record.qc_flags || []) === 0) {
+            return;
+          }
+
+          // Get spot-local hour for filtering
           const timestamp = new Date(record.timestamp);
-          const bangkokHour = parseInt(timestamp.toLocaleString('en-US', {
-            timeZone: 'Asia/Bangkok',
+          const localHour = parseInt(timestamp.toLocaleString('en-US', {
+            timeZone,
             hour: 'numeric',
             hour12: false
-          }));
+          })) % 24;
 
-          // Only include data from 6:00 to 19:00 Bangkok time
-          if (bangkokHour < 6 || bangkokHour >= 19) {
+          // Only include data from the spot's collection hours
+          if (localHour < hours.start || localHour >= hours.end) {
             return;
           }
 
           // Get Bangkok date for grouping (en-CA format gives YYYY-MM-DD)
-          const dateKey = timestamp.toLocaleDateString('en-CA', { timeZone: 'Asia/Bangkok' });
+          const dateKey = timestamp.toLocaleDateString('en-CA', { timeZone });
 
           if (!groupedByDay[dateKey]) {
             groupedByDay[dateKey] = {
               date: dateKey,
+              stationId: live.stationId,
+              failover: live.failover,
               data: []
             };
           }
 
+          // Calibration valid at the time of the reading, as in formatWindData()
+          const flags = record.qc_flags || [];
+          const speed = this.calibrationManager.applySpeed(parseFloat(record.wind_speed_knots) || 0, record.station_id, record.timestamp);
+          const gust = record.wind_gust_knots !== null && isGustUsable(flags)
+            ? this.calibrationManager.applySpeed(parseFloat(record.wind_gust_knots), record.station_id, record.timestamp)
+            : speed;
           groupedByDay[dateKey].data.push({
             time: record.timestamp,
-            avg_speed: parseFloat(record.wind_speed_knots) || 0,
-            max_gust: parseFloat(record.wind_gust_knots || record.wind_speed_knots) || 0,
-            direction: this.calibrationManager.applyOffset(parseInt(record.wind_direction) || 0)
+            avg_speed: parseFloat(speed.toFixed(1)),
+            max_gust: parseFloat(gust.toFixed(1)),
+            direction: isDirectionUsable(flags)
+              ? this.calibrationManager.applyOffset(parseInt(record.wind_direction), record.station_id, record.timestamp)
+              : null
           });
         });
 
@@ -181,11 +599,12 @@ export class ApiRouter {
     });
 
     // Get wind history for last N hours
-    this.router.get('/wind/history/:hours?', async (req, res) => {
+    this.spotRoute('get', '/wind/history/:hours?', async (req, res) => {
       try {
         const hours = parseInt(req.params.hours) || 24;
-        const data = await this.dbManager.getDataByHours(hours);
-        res.json(data.map(d => this.formatWindData(d)));
+        const live = await this.resolveLiveStation(req.spot);
+        const data = await this.dbManager.getDataByHours(hours, live.stationId);
+        res.json(data.map(d => this.formatLiveWindData(d, live)));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -193,51 +612,53 @@ export class ApiRouter {
 
     // Get today's aggregate for gradient display
     // Supports both hourly (default) and custom interval (e.g., 5-minute) aggregation
-    this.router.get('/wind/today/gradient', async (req, res) => {
+    this.spotRoute('get', '/wind/today/gradient', async (req, res) => {
       try {
-        const startHour = parseInt(req.query.start) || 6;
-        const endHour = parseInt(req.query.end) || 20;
+        const hours = req.spot.collectHours || DEFAULT_HOURS.collectHours;
+        const startHour = this.parseHour(req.query.start, hours.start);
+        const endHour = this.parseHour(req.query.end, hours.end);
         const interval = parseInt(req.query.interval);
 
+        // Same station as /wind/current (a backup while the primary is down)
+        const live = await this.resolveLiveStation(req.spot);
         let data;
         if (interval && interval > 0) {
-          data = await this.dbManager.getIntervalAggregateToday(startHour, endHour, interval);
+          data = await this.dbManager.getIntervalAggregateToday(startHour, endHour, interval, live.stationId, req.spot.timezone);
         } else {
-          data = await this.dbManager.getHourlyAggregateToday(startHour, endHour);
+          data = await this.dbManager.getHourlyAggregateToday(startHour, endHour, live.stationId, req.spot.timezone);
         }
 
-        // Apply calibration offset to direction data
-        data.forEach(d => {
-          if (d.avg_direction !== undefined) {
-            d.avg_direction = this.calibrationManager.applyOffset(d.avg_direction);
-          }
-        });
-
-        res.json(data);
+        res.json(data.map(d => ({
+          ...this.calibrateAggregate(d, live.stationId),
+          stationId: live.stationId,
+          failover: live.failover
+        })));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
     // Get wind statistics
-    this.router.get('/wind/statistics/:hours?', async (req, res) => {
+    this.spotRoute('get', '/wind/statistics/:hours?', async (req, res) => {
       try {
         const hours = parseInt(req.params.hours) || 24;
-        const stats = await this.dbManager.getStatistics(hours);
+        const live = await this.resolveLiveStation(req.spot);
+        const stats = await this.dbManager.getStatistics(hours, live.stationId);
         if (stats && stats.avg_direction !== undefined) {
-          stats.avg_direction = this.calibrationManager.applyOffset(stats.avg_direction);
+          stats.avg_direction = this.calibrationManager.applyOffset(stats.avg_direction, live.stationId);
         }
-        res.json(stats);
+        res.json(stats && { ...stats, stationId: live.stationId, failover: live.failover });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
     // Get wind trend (increasing/decreasing/stable)
-    this.router.get('/wind/trend', async (req, res) => {
+    this.spotRoute('get', '/wind/trend', async (req, res) => {
       try {
-        const trend = await this.dbManager.calculateTrend();
-        res.json(trend);
+        const live = await this.resolveLiveStation(req.spot);
+        const trend = await this.dbManager.calculateTrend(live.stationId);
+        res.json(trend && { ...trend, stationId: live.stationId, failover: live.failover });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -280,23 +701,172 @@ export class ApiRouter {
     });
 
     // Compare all forecast models side-by-side
-    this.router.get('/wind/forecast/compare', async (req, res) => {
+    this.spotRoute('get', '/wind/forecast/compare', this.limit('forecast'), async (req, res) => {
       try {
         if (!this.forecastModelManager) {
           return res.status(503).json({ error: 'Forecast model service not available' });
         }
 
-        const forecasts = await this.forecastModelManager.fetchAllModelForecasts();
+        const { forecasts, fetchedAt } = await this.forecastModelManager.fetchAllModelForecasts(req.spot);
         forecasts.bestModel = await this.forecastModelManager.getBestModel();
-        res.json(forecasts);
+        res.set('Cache-Control', 'no-cache');
+        if (fetchedAt) {
+          res.set('Last-Modified', fetchedAt.toUTCString());
+        }
+        res.json(forecasts); // Express adds an ETag and answers 304 when it matches
       } catch (error) {
         console.error('Forecast compare API error:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Skill-weighted ensemble of all models with a P10-P90 band and exceedance
+    // probabilities per hour
+    // Query:
+    //   sport, weight - rider, for the rideable range (see /archive/monthly-rideable)
+    //   thresholds    - comma-separated knots for `exceedance` (default: the rideable range bounds)
+    this.spotRoute('get', '/wind/forecast/ensemble', this.limit('forecast'), async (req, res) => {
+      try {
+        if (!this.forecastModelManager) {
+          return res.status(503).json({ error: 'Forecast model service not available' });
+        }
+
+        const { sport, weight, minWind, maxWind } = getRideableRange(
+          (req.query.sport || 'twintip').toString(),
+          req.query.weight
+        );
+        const round1 = value => Math.round(value * 10) / 10;
+        let thresholds = [round1(minWind), round1(maxWind)];
+        if (req.query.thresholds) {
+          thresholds = req.query.thresholds.toString().split(',').map(Number);
+          if (thresholds.length > 5 || thresholds.some(kn => !Number.isFinite(kn) || kn < 0 || kn > 80)) {
+            return res.status(400).json({ error: 'thresholds must be up to 5 comma-separated knots within 0..80' });
+          }
+        }
+
+        const { hours, members, fetchedAt } = await this.forecastModelManager.getEnsembleForecast(req.spot, {
+          thresholds,
+          minWind,
+          maxWind
+        });
+
+        res.set('Cache-Control', 'no-cache');
+        if (fetchedAt) {
+          res.set('Last-Modified', fetchedAt.toUTCString());
+        }
+        res.json({
+          sport,
+          weight,
+          minWind: round1(minWind),
+          maxWind: round1(maxWind),
+          thresholds,
+          members: members.map(m => ({
+            id: m.id,
+            name: m.name,
+            weight: Math.round(m.weight * 1000) / 1000,
+            sigma: Math.round(m.sigma * 100) / 100,
+            correctionFactor: Math.round(m.correctionFactor * 1000) / 1000,
+            correction: m.correction || null,
+            evaluationCount: m.evalCount,
+            scored: m.scored,
+            available: m.available
+          })),
+          hours
+        });
+      } catch (error) {
+        console.error('Forecast ensemble API error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Nowcast: the next 3 hours in 15-minute steps from the spot's live stations
+    // blended with the best model's forecast, with an 80% interval (see NowcastEngine).
+    // Also pushed through /wind/stream as { type: 'nowcast' } after each collection
+    this.spotRoute('get', '/wind/nowcast', this.limit('forecast'), async (req, res) => {
+      try {
+        if (!this.nowcastEngine) {
+          return res.status(503).json({ error: 'Nowcast service not available' });
+        }
+
+        const nowcast = await this.nowcastEngine.nowcast(req.spot);
+
+        res.set('Cache-Control', 'no-cache');
+        res.json(nowcast);
+      } catch (error) {
+        console.error('Nowcast API error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Sea breeze for today and tomorrow: probability, onset window, peak and
+    // duration from archive analogs + the best model's forecast (see SeaBreezePredictor)
+    this.spotRoute('get', '/wind/seabreeze', this.limit('forecast'), async (req, res) => {
+      try {
+        if (!this.seaBreezePredictor) {
+          return res.status(503).json({ error: 'Sea breeze service not available' });
+        }
+
+        const { fetchedAt, ...prediction } = await this.seaBreezePredictor.predict(req.spot);
+
+        res.set('Cache-Control', 'no-cache');
+        if (fetchedAt) {
+          res.set('Last-Modified', fetchedAt.toUTCString());
+        }
+        res.json(prediction);
+      } catch (error) {
+        console.error('Sea breeze API error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Structured bias correction: fit summary per model with holdout validation
+    this.router.get('/wind/forecast/bias', async (req, res) => {
+      try {
+        if (!this.forecastModelManager) {
+          return res.status(503).json({ error: 'Forecast model service not available' });
+        }
+        res.json({ models: this.forecastModelManager.biasCorrector.getSummary() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Correction cells of one model (?hour= limits to that target hour + model-wide cells)
+    this.router.get('/wind/forecast/bias/:modelId', async (req, res) => {
+      try {
+        if (!this.forecastModelManager) {
+          return res.status(503).json({ error: 'Forecast model service not available' });
+        }
+        const { modelId } = req.params;
+        if (!this.forecastModelManager.models.some(m => m.id === modelId)) {
+          return res.status(404).json({ error: `Unknown model: ${modelId}` });
+        }
+        const hour = req.query.hour !== undefined ? this.parseHour(req.query.hour, null) : null;
+        const corrector = this.forecastModelManager.biasCorrector;
+        res.json({
+          fit: corrector.getFit(modelId),
+          cells: corrector.getCells(modelId, hour)
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Refit the bias corrections now (normally daily after the accuracy evaluation)
+    this.router.post('/wind/forecast/bias/fit', this.requireAdmin('forecast'), async (req, res) => {
+      try {
+        if (!this.forecastModelManager) {
+          return res.status(503).json({ error: 'Forecast model service not available' });
+        }
+        const models = await this.forecastModelManager.biasCorrector.fit();
+        res.json({ success: true, models });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Debug: Force save forecast snapshots
-    this.router.post('/wind/forecast/snapshot', async (req, res) => {
+    this.router.post('/wind/forecast/snapshot', this.requireAdmin('forecast'), async (req, res) => {
       try {
         if (!this.forecastModelManager) {
           return res.status(503).json({ error: 'Forecast model service not available' });
@@ -309,7 +879,7 @@ export class ApiRouter {
     });
 
     // Debug: Force accuracy evaluation
-    this.router.post('/wind/forecast/evaluate', async (req, res) => {
+    this.router.post('/wind/forecast/evaluate', this.requireAdmin('forecast'), async (req, res) => {
       try {
         if (!this.forecastModelManager) {
           return res.status(503).json({ error: 'Forecast model service not available' });
@@ -323,35 +893,33 @@ export class ApiRouter {
     });
 
     // Get wind forecast from Open-Meteo (supports ?model= query param)
-    this.router.get('/wind/forecast', async (req, res) => {
+    this.spotRoute('get', '/wind/forecast', this.limit('forecast'), async (req, res) => {
       try {
         if (!this.forecastCollector) {
           return res.status(503).json({ error: 'Forecast service not available' });
         }
 
         let modelId = req.query.model;
-        let baseUrl = null;
+        let modelDef = null;
 
         if (this.forecastModelManager) {
           modelId = modelId || await this.forecastModelManager.getBestModel();
-          const modelDef = this.forecastModelManager.models.find(m => m.id === modelId);
-          if (modelDef) {
-            baseUrl = modelDef.baseUrl;
-          }
+          modelDef = this.forecastModelManager.models.find(m => m.id === modelId) || null;
         }
 
         const days = req.query.days ? parseInt(req.query.days, 10) : 3;
-        const forecast = await this.forecastCollector.fetchWindForecast(baseUrl, days);
+        const cached = await this.forecastCollector.getForecast(modelDef, days, req.spot);
 
-        // Apply model-specific correction and tag entries
+        // Apply model-specific correction (bias model or scalar factor) and tag entries
         if (this.forecastModelManager && modelId) {
-          const correctionFactor = await this.forecastModelManager.getCorrectionFactor(modelId);
-          const corrected = this.forecastCollector.applyCorrection(forecast, correctionFactor);
-          corrected.forEach(entry => { entry.model = modelId; });
-          return res.json(corrected);
+          const { entries, version } = await this.forecastModelManager.correctForecast(modelId, cached.data, cached.fetchedAt);
+          if (this.sendNotModified(req, res, cached, `${modelId}-${version}`)) return;
+          entries.forEach(entry => { entry.model = modelId; });
+          return res.json(entries);
         }
 
-        res.json(forecast);
+        if (this.sendNotModified(req, res, cached)) return;
+        res.json(cached.data);
       } catch (error) {
         console.error('Forecast API error:', error);
         res.status(500).json({ error: error.message });
@@ -359,36 +927,35 @@ export class ApiRouter {
     });
 
     // Get combined history + extrapolated forecast for today's full timeline
-    this.router.get('/wind/today/full', async (req, res) => {
+    this.spotRoute('get', '/wind/today/full', this.limit('forecast'), async (req, res) => {
       try {
-        const startHour = parseInt(req.query.start) || 6;
-        const endHour = parseInt(req.query.end) || 19;
+        const spot = req.spot;
+        const hours = spot.collectHours || DEFAULT_HOURS.collectHours;
+        const startHour = this.parseHour(req.query.start, hours.start);
+        const endHour = this.parseHour(req.query.end, hours.end);
         const interval = parseInt(req.query.interval) || 5;
 
         // Get today's actual wind data (history)
-        const historyData = await this.dbManager.getIntervalAggregateToday(startHour, endHour, interval);
-
-        // Apply calibration offset to direction data
-        if (historyData) {
-          historyData.forEach(d => {
-            if (d.avg_direction !== undefined) {
-              d.avg_direction = this.calibrationManager.applyOffset(d.avg_direction);
-            }
-          });
-        }
+        // Same station as /wind/current (a backup while the primary is down)
+        const live = await this.resolveLiveStation(spot);
+        const station = { stationId: live.stationId, failover: live.failover };
+        const historyData = (await this.dbManager.getIntervalAggregateToday(startHour, endHour, interval, live.stationId, spot.timezone))
+          .map(d => this.calibrateAggregate(d, live.stationId));
 
         if (!historyData || historyData.length === 0) {
           return res.json({
             history: [],
             forecast: [],
             correctionFactor: 1.0,
-            currentTime: null
+            currentTime: null,
+            hours: { start: startHour, end: endHour },
+            ...station
           });
         }
 
-        // Get current time in Bangkok timezone
+        // Get current time in the spot's timezone
         const now = new Date();
-        const bangkokTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Bangkok' }));
+        const bangkokTime = new Date(now.toLocaleString('en-US', { timeZone: spot.timezone || 'Asia/Bangkok' }));
         const currentHour = bangkokTime.getHours();
         const currentMinute = bangkokTime.getMinutes();
 
@@ -398,7 +965,9 @@ export class ApiRouter {
             history: historyData,
             forecast: [],
             correctionFactor: 1.0,
-            currentTime: { hour: currentHour, minute: currentMinute }
+            currentTime: { hour: currentHour, minute: currentMinute },
+            hours: { start: startHour, end: endHour },
+            ...station
           });
         }
 
@@ -407,7 +976,7 @@ export class ApiRouter {
         const bestModelDef = bestModelId && this.forecastModelManager
           ? this.forecastModelManager.models.find(m => m.id === bestModelId)
           : null;
-        const fullForecast = await this.forecastCollector.fetchWindForecast(bestModelDef?.baseUrl || null);
+        const { data: fullForecast } = await this.forecastCollector.getForecast(bestModelDef, 3, spot);
 
         // Filter forecast for today only
         const todayForecast = fullForecast.filter(f => {
@@ -442,7 +1011,9 @@ export class ApiRouter {
           history: historyData,
           forecast: correctedForecast,
           correctionFactor: parseFloat(correctionFactor.toFixed(2)),
-          currentTime: { hour: currentHour, minute: currentMinute }
+          currentTime: { hour: currentHour, minute: currentMinute },
+          hours: { start: startHour, end: endHour },
+          ...station
         };
         if (bestModelId) {
           response.model = bestModelId;
@@ -454,20 +1025,60 @@ export class ApiRouter {
       }
     });
 
-    // Get current calibration offset and live direction preview
+    // Safety rule engine as an ES module — the PWA imports this exact file,
+    // so frontend and backend classify wind with the same code
+    this.router.get('/safety/engine.js', (req, res) => {
+      res.type('application/javascript');
+      res.set('Cache-Control', 'no-cache');
+      res.sendFile(path.join(__dirname, 'SafetyEngine.js'));
+    });
+
+    // Safety thresholds/sectors for the spot's shoreline
+    this.spotRoute('get', '/safety/rules', (req, res) => {
+      res.json(getSafetyRules(req.spot.shoreBearing));
+    });
+
+    // Classify arbitrary conditions at the spot
+    // Query params: direction, speed (knots), gust (knots, optional), sport
+    this.spotRoute('get', '/safety/evaluate', (req, res) => {
+      try {
+        const direction = parseFloat(req.query.direction);
+        const speed = parseFloat(req.query.speed);
+        if (!isFinite(direction) || !isFinite(speed)) {
+          return res.status(400).json({ error: 'direction and speed are required' });
+        }
+
+        res.json(evaluateSafety({
+          direction,
+          speed,
+          gust: req.query.gust !== undefined ? parseFloat(req.query.gust) : null,
+          shoreBearing: req.spot.shoreBearing,
+          sport: req.query.sport
+        }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get current calibration of a station (?stationId=, primary by default) and live direction preview
     this.router.get('/calibration', async (req, res) => {
       try {
-        const offset = this.calibrationManager.getOffset();
-        const latest = await this.dbManager.getLatestData();
+        const stationId = (req.query.stationId || this.calibrationManager.defaultStationId).toString();
+        const calibration = this.calibrationManager.getCalibration(stationId);
+        const latest = await this.dbManager.getLatestData(stationId);
         const rawDir = latest ? parseInt(latest.wind_direction || 0) : null;
         const rawDirAvg = latest && latest.wind_direction_avg ? parseInt(latest.wind_direction_avg) : null;
 
         res.json({
-          offset,
+          stationId,
+          offset: calibration.dirOffset,
+          speedScale: calibration.speedScale,
+          validFrom: calibration.validFrom,
+          source: calibration.source,
           rawDirection: rawDir,
-          correctedDirection: rawDir !== null ? this.calibrationManager.applyOffset(rawDir) : null,
+          correctedDirection: rawDir !== null ? this.calibrationManager.applyOffset(rawDir, stationId) : null,
           rawDirectionAvg: rawDirAvg,
-          correctedDirectionAvg: rawDirAvg !== null ? this.calibrationManager.applyOffset(rawDirAvg) : null,
+          correctedDirectionAvg: rawDirAvg !== null ? this.calibrationManager.applyOffset(rawDirAvg, stationId) : null,
           windSpeed: latest ? parseFloat(parseFloat(latest.wind_speed_knots).toFixed(1) || 0) : null,
           timestamp: latest ? latest.timestamp : null
         });
@@ -476,37 +1087,127 @@ export class ApiRouter {
       }
     });
 
-    // Set calibration offset
-    this.router.post('/calibration', (req, res) => {
+    // Add a calibration version. Body: { offset?, speedScale?, stationId?, validFrom?, note? }
+    // (primary station, valid from now by default). A past validFrom re-renders history from that date.
+    this.router.post('/calibration', this.requireAdmin('calibration'), async (req, res) => {
       try {
-        const { offset } = req.body;
-        if (offset === undefined || offset === null) {
-          return res.status(400).json({ error: 'offset is required' });
+        const { offset, speedScale, validFrom, note } = req.body;
+        const stationId = (req.body.stationId || this.calibrationManager.defaultStationId).toString();
+        if ((offset === undefined || offset === null) && (speedScale === undefined || speedScale === null)) {
+          return res.status(400).json({ error: 'offset or speedScale is required' });
         }
 
-        const success = this.calibrationManager.setOffset(offset);
-        if (!success) {
-          return res.status(400).json({ error: 'Invalid offset value (must be integer -180 to +180)' });
+        const { calibration, previous, error } = await this.calibrationManager.setCalibration(stationId, {
+          dirOffset: offset ?? undefined,
+          speedScale: speedScale ?? undefined,
+          validFrom,
+          source: 'manual',
+          details: note ? { note } : null,
+          createdBy: req.admin.name
+        });
+        if (error) {
+          return res.status(400).json({ error });
         }
+        req.audit.before = { stationId, offset: previous.dirOffset, speedScale: previous.speedScale };
+        req.audit.after = { stationId, offset: calibration.dirOffset, speedScale: calibration.speedScale, validFrom: calibration.validFrom };
 
-        console.log(`🧭 Wind direction calibration offset set to: ${offset}°`);
-        res.json({ success: true, offset: this.calibrationManager.getOffset() });
+        console.log(`🧭 Calibration of ${stationId} set to ${calibration.dirOffset}° / ×${calibration.speedScale} from ${calibration.validFrom}`);
+        res.json({ success: true, offset: calibration.dirOffset, calibration });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Debug: Get database statistics
-    this.router.get('/debug/db-stats', async (req, res) => {
+    // Current calibration of every station
+    this.router.get('/calibration/stations', (req, res) => {
       try {
-        const stats = await this.dbManager.getStatistics(24);
-        const totalCount = await this.dbManager.getTotalCount();
-        const recentTimestamps = await this.dbManager.getRecentTimestamps(12);
+        res.json(this.calibrationManager.getAllCurrent());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Calibration versions of a station, newest first
+    this.router.get('/calibration/:stationId/history', (req, res) => {
+      try {
+        const stationId = req.params.stationId;
+        if (!this.stations.some(s => s.id === stationId)) {
+          return res.status(404).json({ error: `Station '${stationId}' not found` });
+        }
+        res.json({ stationId, versions: this.calibrationManager.getHistory(stationId) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Review: calibration estimated from history (?days=90&referenceId=&modelId=)
+    // with per-source offsets, sample counts and confidence. Nothing is applied.
+    this.router.get('/calibration/:stationId/proposal', this.requireAdmin('calibration'), async (req, res) => {
+      try {
+        const proposal = await this.calibrationManager.proposeCalibration(req.params.stationId, {
+          days: Math.min(365, Math.max(7, parseInt(req.query.days) || 90)),
+          referenceId: req.query.referenceId || null,
+          modelId: req.query.modelId || undefined
+        });
+        if (proposal.error) {
+          return res.status(400).json({ error: proposal.error });
+        }
+        res.json(proposal);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Apply the current proposal as a new version. Body: { days?, referenceId?, modelId?, validFrom? }
+    this.router.post('/calibration/:stationId/proposal/apply', this.requireAdmin('calibration'), async (req, res) => {
+      try {
+        const stationId = req.params.stationId;
+        const proposal = await this.calibrationManager.proposeCalibration(stationId, {
+          days: Math.min(365, Math.max(7, parseInt(req.body.days) || 90)),
+          referenceId: req.body.referenceId || null,
+          modelId: req.body.modelId || undefined
+        });
+        if (proposal.error) {
+          return res.status(400).json({ error: proposal.error });
+        }
+        if (!proposal.proposed) {
+          return res.status(409).json({ error: 'Not enough overlapping history to propose a calibration', proposal });
+        }
+
+        const { calibration, previous, error } = await this.calibrationManager.setCalibration(stationId, {
+          dirOffset: proposal.proposed.dirOffset,
+          speedScale: proposal.proposed.speedScale,
+          validFrom: req.body.validFrom,
+          source: 'auto',
+          confidence: proposal.confidence,
+          details: { sources: proposal.sources },
+          createdBy: req.admin.name
+        });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        req.audit.before = { stationId, offset: previous.dirOffset, speedScale: previous.speedScale };
+        req.audit.after = { stationId, offset: calibration.dirOffset, speedScale: calibration.speedScale, confidence: proposal.confidence };
+
+        console.log(`🧭 Auto calibration of ${stationId}: ${calibration.dirOffset}° / ×${calibration.speedScale} (confidence ${proposal.confidence})`);
+        res.json({ success: true, calibration, proposal });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Debug: Get database statistics
+    this.router.get('/debug/db-stats', this.requireAdmin('debug'), async (req, res) => {
+      try {
+        const stats = await this.dbManager.getStatistics(24);
+        const totalCount = await this.dbManager.getTotalCount();
+        const recentTimestamps = await this.dbManager.getRecentTimestamps(12);
 
         res.json({
           totalRecords: totalCount,
           statistics: stats,
-          recent12Timestamps: recentTimestamps
+          recent12Timestamps: recentTimestamps,
+          forecastCache: this.forecastCollector?.cache.getStats() || null
         });
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -514,10 +1215,10 @@ export class ApiRouter {
     });
 
     // Get archived data for last N days
-    this.router.get('/archive/days/:days?', async (req, res) => {
+    this.spotRoute('get', '/archive/days/:days?', async (req, res) => {
       try {
         const days = parseInt(req.params.days) || 30;
-        const data = await this.archiveManager.getArchivedDataByDays(days);
+        const data = await this.archiveManager.getArchivedDataByDays(days, req.spot.primaryStationId);
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -525,12 +1226,14 @@ export class ApiRouter {
     });
 
     // Get archived data for specific day (for history gradient)
-    this.router.get('/archive/day/:date', async (req, res) => {
+    this.spotRoute('get', '/archive/day/:date', async (req, res) => {
       try {
         const date = req.params.date; // Format: YYYY-MM-DD
-        const startHour = parseInt(req.query.start) || 6;
-        const endHour = parseInt(req.query.end) || 19;
-        const data = await this.archiveManager.getArchivedDataForDay(date, startHour, endHour);
+        // Collection hours of the spot by default; `end` is inclusive here
+        const hours = req.spot.collectHours || DEFAULT_HOURS.collectHours;
+        const startHour = this.parseHour(req.query.start, hours.start);
+        const endHour = this.parseHour(req.query.end, hours.end - 1);
+        const data = await this.archiveManager.getArchivedDataForDay(date, startHour, endHour, req.spot.primaryStationId, req.spot.timezone);
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -538,10 +1241,10 @@ export class ApiRouter {
     });
 
     // Get archive statistics
-    this.router.get('/archive/statistics/:days?', async (req, res) => {
+    this.spotRoute('get', '/archive/statistics/:days?', async (req, res) => {
       try {
         const days = parseInt(req.params.days) || 30;
-        const stats = await this.archiveManager.getArchiveStatistics(days);
+        const stats = await this.archiveManager.getArchiveStatistics(days, req.spot.primaryStationId);
         res.json(stats);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -551,66 +1254,41 @@ export class ApiRouter {
     // Get monthly "rideable days" statistics for the selected sport,
     // personalized for the rider's weight + available kite quiver.
     //
-    // A day counts as rideable if during 6:00–19:00 Bangkok time there were
-    // ≥ minHours hours where wind speed falls into a range where at least
-    // one kite size in the sport's quiver is within ±35% of the optimal
-    // size for the rider's weight (mirrors the "acceptable" tolerance from
-    // the frontend KiteSizeCalculator.getSuitability).
+    // A day counts as rideable if during the station's rollup hours (the
+    // spots' workingHours in their timezone, ArchiveManager.rollupHours)
+    // there were ≥ minHours hours where wind speed falls into a range where
+    // at least one kite size in the sport's quiver is within ±35% of the
+    // optimal size for the rider's weight (mirrors the "acceptable"
+    // tolerance from the frontend KiteSizeCalculator.getSuitability).
+    // Hours are read from the archive_daily speed bands: an hour counts by
+    // the midpoint of its 0.5 kn band, so the range limits are exact to
+    // ±0.25 kn (/archive/month-days classifies hours the same way).
     //
     // Wind direction is not considered — station calibration is unreliable
     // for some sensors, so offshore filtering would distort historical
     // aggregates more than it helps.
     //
     // Query params:
-    //   months   - how many past months to return (default 12, max 24)
+    //   months   - how many past months to return (default 12, clamped to 1..60)
     //   sport    - twintip | hydrofoil | wingfoil (default twintip)
     //   weight   - rider weight in kg (default 75, clamped to 40..120)
     //   minHours - min hours of suitable wind required (default 2)
-    this.router.get('/archive/monthly-rideable', async (req, res) => {
+    this.spotRoute('get', '/archive/monthly-rideable', async (req, res) => {
       try {
-        const sport = (req.query.sport || 'twintip').toString();
-
-        // Mirrors frontend config.kiteSize.calculation
-        const sportConfig = {
-          twintip:   { factor: 35, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17],     minWind: 8,  maxWind: 35 },
-          hydrofoil: { factor: 25, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17],     minWind: 6,  maxWind: 30 },
-          wingfoil:  { factor: 22, sizes: [3, 3.5, 4, 4.5, 5, 5.5, 6, 7],       minWind: 10, maxWind: 35 }
-        };
-        const cfg = sportConfig[sport] || sportConfig.twintip;
-        const TOLERANCE = 0.35; // matches KiteSizeCalculator's "acceptable" band
+        const { sport, weight, minWind, maxWind } = getRideableRange(
+          (req.query.sport || 'twintip').toString(),
+          req.query.weight
+        );
 
         const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 60);
         const minHours = Math.max(parseInt(req.query.minHours) || 2, 1);
 
-        const rawWeight = parseFloat(req.query.weight);
-        const weight = isFinite(rawWeight)
-          ? Math.min(Math.max(rawWeight, 40), 120)
-          : 75;
-
-        // Effective wind range for this rider:
-        //   smallest kite covers the high-wind end, largest kite covers the low-wind end.
-        // Acceptability: |kite - optimal| / optimal ≤ TOLERANCE
-        // optimal = weight * factor / wind²
-        const sMin = Math.min(...cfg.sizes);
-        const sMax = Math.max(...cfg.sizes);
-
-        // Lowest wind where the largest kite is still within tolerance:
-        //   s_max ≥ (1 - TOL) * optimal  →  wind ≥ sqrt((1-TOL) * weight * factor / s_max)
-        const minWindRider = Math.sqrt((1 - TOLERANCE) * weight * cfg.factor / sMax);
-        // Highest wind where the smallest kite is still within tolerance:
-        //   s_min ≤ (1 + TOL) * optimal  →  wind ≤ sqrt((1+TOL) * weight * factor / s_min)
-        const maxWindRider = Math.sqrt((1 + TOLERANCE) * weight * cfg.factor / sMin);
-
-        // Clamp to the absolute sport bounds (below sport.minWind it's pointless,
-        // above sport.maxWind it's not safe)
-        const minWind = Math.max(minWindRider, cfg.minWind);
-        const maxWind = Math.min(maxWindRider, cfg.maxWind);
-
         const stats = await this.archiveManager.getMonthlyRideableStats({
           months,
           minWind,
           maxWind,
-          minHours
+          minHours,
+          stationId: req.spot.primaryStationId
         });
 
         res.json({
@@ -629,71 +1307,30 @@ export class ApiRouter {
 
     // Per-day breakdown for one calendar month with rideable flag per hour.
     // Used by the frontend to expand a month row into daily mini-charts.
+    // Counts hours the same way as /archive/monthly-rideable: only
+    // [startHour, endHour) of the station's working hours in its spot's
+    // timezone, classified by 0.5 kn speed band.
     //
     // Query params:
     //   month    - 'YYYY-MM' (Bangkok calendar)
     //   sport    - twintip | hydrofoil | wingfoil (default twintip)
     //   weight   - rider weight in kg (default 75)
-    //   stationId - default 'pak_nam_pran'
-    this.router.get('/archive/month-days', async (req, res) => {
+    //   stationId - defaults to the spot's primary station
+    this.spotRoute('get', '/archive/month-days', async (req, res) => {
       try {
         const month = (req.query.month || '').toString();
         if (!/^\d{4}-\d{2}$/.test(month)) {
           return res.status(400).json({ error: 'month=YYYY-MM is required' });
         }
 
-        const sport = (req.query.sport || 'twintip').toString();
-        const stationId = (req.query.stationId || 'pak_nam_pran').toString();
-
-        const sportConfig = {
-          twintip:   { factor: 35, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17], minWind: 8,  maxWind: 35 },
-          hydrofoil: { factor: 25, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17], minWind: 6,  maxWind: 30 },
-          wingfoil:  { factor: 22, sizes: [3, 3.5, 4, 4.5, 5, 5.5, 6, 7],   minWind: 10, maxWind: 35 }
-        };
-        const cfg = sportConfig[sport] || sportConfig.twintip;
-        const TOLERANCE = 0.35;
-
-        const rawWeight = parseFloat(req.query.weight);
-        const weight = isFinite(rawWeight) ? Math.min(Math.max(rawWeight, 40), 120) : 75;
-
-        const sMin = Math.min(...cfg.sizes);
-        const sMax = Math.max(...cfg.sizes);
-        const minWindRider = Math.sqrt((1 - TOLERANCE) * weight * cfg.factor / sMax);
-        const maxWindRider = Math.sqrt((1 + TOLERANCE) * weight * cfg.factor / sMin);
-        const minWind = Math.max(minWindRider, cfg.minWind);
-        const maxWind = Math.min(maxWindRider, cfg.maxWind);
-
-        const rows = await this.archiveManager.getHourlyRowsForMonth(month, stationId);
-
-        const bkkDate = new Intl.DateTimeFormat('en-CA', {
-          timeZone: 'Asia/Bangkok', year: 'numeric', month: '2-digit', day: '2-digit'
-        });
-        const bkkHour = new Intl.DateTimeFormat('en-US', {
-          timeZone: 'Asia/Bangkok', hour: 'numeric', hour12: false
-        });
-
-        const days = new Map();
-        for (const row of rows) {
-          const ts = new Date(row.hour_timestamp);
-          const date = bkkDate.format(ts);
-          const hour = parseInt(bkkHour.format(ts), 10);
-          const speed = parseFloat(row.avg_wind_speed);
-          const speedNum = isFinite(speed) ? +speed.toFixed(1) : null;
-          const maxSpeed = row.max_wind_speed !== null ? +parseFloat(row.max_wind_speed).toFixed(1) : null;
-          const gust = row.max_wind_gust !== null ? +parseFloat(row.max_wind_gust).toFixed(1) : null;
-          const dir = row.dominant_wind_direction !== null ? parseInt(row.dominant_wind_direction, 10) : null;
-          const rideable = speedNum !== null && speedNum >= minWind && speedNum <= maxWind;
+        const stationId = (req.query.stationId || req.spot.primaryStationId).toString();
+        const { sport, weight, minWind, maxWind } = getRideableRange(
+          (req.query.sport || 'twintip').toString(),
+          req.query.weight
+        );
 
-          if (!days.has(date)) days.set(date, []);
-          days.get(date).push({ hour, avgWind: speedNum, maxWind: maxSpeed, maxGust: gust, dir, rideable });
-        }
-
-        const result = [];
-        for (const [date, hours] of Array.from(days.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
-          hours.sort((a, b) => a.hour - b.hour);
-          const rideableHours = hours.filter(h => h.rideable).length;
-          result.push({ date, rideableHours, hours });
-        }
+        const days = await this.archiveManager.getMonthDays(month, { minWind, maxWind, stationId });
+        const hours = this.archiveManager.rollupHours(stationId);
 
         res.json({
           month,
@@ -701,7 +1338,10 @@ export class ApiRouter {
           weight,
           minWind: +minWind.toFixed(1),
           maxWind: +maxWind.toFixed(1),
-          days: result
+          startHour: hours.start,
+          endHour: hours.end,
+          timezone: this.archiveManager.rollupTimezone(stationId),
+          days
         });
       } catch (error) {
         console.error('Daily breakdown error:', error);
@@ -710,10 +1350,10 @@ export class ApiRouter {
     });
 
     // Get wind patterns by hour of day
-    this.router.get('/archive/patterns/:days?', async (req, res) => {
+    this.spotRoute('get', '/archive/patterns/:days?', async (req, res) => {
       try {
         const days = parseInt(req.params.days) || 30;
-        const patterns = await this.archiveManager.getWindPatternByHour(days);
+        const patterns = await this.archiveManager.getWindPatternByHour(days, req.spot.primaryStationId, req.spot.timezone);
         res.json(patterns);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -721,7 +1361,7 @@ export class ApiRouter {
     });
 
     // Force data collection (for testing)
-    this.router.post('/wind/collect', async (req, res) => {
+    this.router.post('/wind/collect', this.requireAdmin('collect'), async (req, res) => {
       try {
         const data = await this.windCollector.collectWindData();
         res.json({ success: true, data: this.formatWindData(data) });
@@ -730,101 +1370,153 @@ export class ApiRouter {
       }
     });
 
+    // Console "custom server" uploads: Ecowitt POSTs a form, Ambient consoles
+    // GET with a query string. The station is identified by PASSKEY
+    // (STATION_PASSKEYS). Every upload is broadcast to the station's spots.
+    const ingest = async (req, res) => {
+      const params = req.method === 'GET' ? req.query : req.body;
+      const station = this.windCollector.findStationByPasskey(params?.PASSKEY);
+      if (!station) {
+        console.warn(`⚠ Upload with unknown PASSKEY from ${req.ip}`);
+        return res.status(401).json({ error: 'Unknown PASSKEY' });
+      }
+      try {
+        const { record, stored, error } = await this.windCollector.ingestPush(station, params);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        await this.broadcastStationUpdate(station.id, record);
+        res.json({ success: true, stationId: station.id, stored });
+      } catch (error) {
+        console.error(`✗ Upload from ${station.id} failed:`, error.message);
+        res.status(500).json({ error: error.message });
+      }
+    };
+    this.router.post('/ingest/ecowitt', express.urlencoded({ extended: false }), ingest);
+    this.router.get('/ingest/ambient', ingest);
+
     // Historical import — pulls 5-min measurements from the public Ambient
-    // Weather endpoint and writes them with dedupe.
+    // Weather endpoint and writes them with dedupe. Runs as a background job;
+    // poll GET /api/jobs/:id for progress.
     // Body / query: { from?: ISO|epochMs, to?: ISO|epochMs, days?: number, stationIds?: string[] }
     // Defaults: full year history for all ambient stations.
-    this.router.post('/wind/import', async (req, res) => {
-      if (!this.historyImporter) {
+    this.router.post('/wind/import', this.requireAdmin('import'), async (req, res) => {
+      if (!this.historyImporter || !this.jobManager) {
         return res.status(503).json({ error: 'History importer is not configured' });
       }
       try {
         const params = { ...req.query, ...req.body };
-        const now = Date.now();
-
-        const parseTime = (v) => {
-          if (v === undefined || v === null || v === '') return null;
-          if (typeof v === 'number') return v;
-          if (/^\d+$/.test(String(v))) return parseInt(v, 10);
-          const t = Date.parse(v);
-          return Number.isNaN(t) ? null : t;
-        };
-
-        let fromMs = parseTime(params.from);
-        let toMs = parseTime(params.to);
-        const days = params.days ? parseInt(params.days, 10) : null;
-
-        if (toMs === null) toMs = now;
-        if (fromMs === null) {
-          const span = days && days > 0 ? days : 365;
-          fromMs = toMs - span * 24 * 60 * 60 * 1000;
-        }
-        if (fromMs >= toMs) {
-          return res.status(400).json({ error: 'from must be earlier than to' });
-        }
-
-        let stationIds = params.stationIds || params.stationId;
-        if (typeof stationIds === 'string') {
-          stationIds = stationIds.split(',').map(s => s.trim()).filter(Boolean);
+        const range = this.parseImportRange(params, 365);
+        if (range.error) {
+          return res.status(400).json({ error: range.error });
         }
-
-        const results = await this.historyImporter.importAll(fromMs, toMs, stationIds);
-        res.json({
-          success: true,
-          from: new Date(fromMs).toISOString(),
-          to: new Date(toMs).toISOString(),
-          results
-        });
+        const job = await this.jobManager.enqueue('history_import', {
+          ...range,
+          stationIds: this.parseIdList(params.stationIds || params.stationId)
+        }, req.admin.name);
+        req.audit.after = { jobId: job.id };
+        res.status(202).json({ success: true, ...range, job });
       } catch (error) {
         console.error('Import failed:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Backtest forecast models vs hourly_archive using historical-forecast-api.
-    // Body/query: { from?, to?, days?, modelIds? }. Defaults: last 730 days, all models.
-    this.router.post('/wind/forecast/backtest', async (req, res) => {
-      if (!this.backtestImporter) {
+    // Backtest forecast models vs hourly_archive using historical-forecast-api,
+    // as a background job. Body/query: { from?, to?, days?, modelIds? }.
+    // Defaults: last 730 days, all models.
+    this.router.post('/wind/forecast/backtest', this.requireAdmin('forecast'), async (req, res) => {
+      if (!this.backtestImporter || !this.jobManager) {
         return res.status(503).json({ error: 'Backtest importer is not configured' });
       }
       try {
         const params = { ...req.query, ...req.body };
-        const now = Date.now();
-        const parseTime = (v) => {
-          if (v === undefined || v === null || v === '') return null;
-          if (typeof v === 'number') return v;
-          if (/^\d+$/.test(String(v))) return parseInt(v, 10);
-          const t = Date.parse(v);
-          return Number.isNaN(t) ? null : t;
-        };
-        let fromMs = parseTime(params.from);
-        let toMs = parseTime(params.to);
-        const days = params.days ? parseInt(params.days, 10) : null;
-        if (toMs === null) toMs = now;
-        if (fromMs === null) {
-          const span = days && days > 0 ? days : 730;
-          fromMs = toMs - span * 24 * 60 * 60 * 1000;
-        }
-        if (fromMs >= toMs) {
-          return res.status(400).json({ error: 'from must be earlier than to' });
-        }
-        let modelIds = params.modelIds || params.modelId;
-        if (typeof modelIds === 'string') {
-          modelIds = modelIds.split(',').map(s => s.trim()).filter(Boolean);
-        }
-        const results = await this.backtestImporter.importAll(fromMs, toMs, modelIds);
-        res.json({
-          success: true,
-          from: new Date(fromMs).toISOString(),
-          to: new Date(toMs).toISOString(),
-          results
-        });
+        const range = this.parseImportRange(params, 730);
+        if (range.error) {
+          return res.status(400).json({ error: range.error });
+        }
+        const job = await this.jobManager.enqueue('forecast_backtest', {
+          ...range,
+          modelIds: this.parseIdList(params.modelIds || params.modelId)
+        }, req.admin.name);
+        req.audit.after = { jobId: job.id };
+        res.status(202).json({ success: true, ...range, job });
       } catch (error) {
         console.error('Backtest failed:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Background jobs (?status=&type=&limit=50), newest first. Read-only and
+    // public like the backtest summary; the key that queued a job is not shown.
+    this.router.get('/jobs', async (req, res) => {
+      if (!this.jobManager) {
+        return res.status(503).json({ error: 'Job manager is not configured' });
+      }
+      try {
+        const status = req.query.status ? req.query.status.toString() : null;
+        if (status && !JOB_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `Unknown status. Valid: ${JOB_STATUSES.join(', ')}` });
+        }
+        const type = req.query.type ? req.query.type.toString() : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const jobs = await this.jobManager.list({ status, type, limit });
+        res.json(jobs.map(({ createdBy, ...job }) => job));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // One job with progress ({ done, total, unit, percent }) and ETA
+    this.router.get('/jobs/:id', async (req, res) => {
+      if (!this.jobManager) {
+        return res.status(503).json({ error: 'Job manager is not configured' });
+      }
+      try {
+        const job = await this.jobManager.get(parseInt(req.params.id) || 0);
+        if (!job) {
+          return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+        }
+        const { createdBy, ...publicJob } = job;
+        res.json(publicJob);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Cancel a queued job, or a running one at its next checkpoint
+    // (🔒 scope of the job type: import / forecast)
+    this.router.post('/jobs/:id/cancel', this.requireJobAdmin(), async (req, res) => {
+      try {
+        const { job, error } = await this.jobManager.cancel(req.job.id);
+        if (error) {
+          return res.status(409).json({ error });
+        }
+        req.audit.before = { status: req.job.status };
+        req.audit.after = { status: job.status, cancelRequested: job.cancelRequested };
+        res.json({ success: true, job });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Queue a failed / cancelled job again; it resumes from its last
+    // checkpoint unless { reset: true }
+    this.router.post('/jobs/:id/retry', this.requireJobAdmin(), async (req, res) => {
+      try {
+        const reset = req.body?.reset === true || req.query.reset === 'true';
+        const { job, error } = await this.jobManager.retry(req.job.id, { reset });
+        if (error) {
+          return res.status(409).json({ error });
+        }
+        req.audit.before = { status: req.job.status };
+        req.audit.after = { status: job.status, reset };
+        res.json({ success: true, job });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Per-model aggregate accuracy from backtest data.
     this.router.get('/wind/forecast/backtest/summary', async (req, res) => {
       if (!this.backtestImporter) {
@@ -859,8 +1551,60 @@ export class ApiRouter {
       }
     });
 
+    // Verification dashboard (see ForecastVerification):
+    //   models     - comma-separated model ids (default: all)
+    //   from, to   - YYYY-MM-DD, Bangkok dates (default: the last 365 days)
+    //   source     - all | live (snapshots) | backtest
+    //   sport, weight - rider, for the rideable contingency table and reliability
+    this.router.get('/wind/forecast/verification', async (req, res) => {
+      if (!this.forecastVerification || !this.forecastModelManager) {
+        return res.status(503).json({ error: 'Forecast verification is not configured' });
+      }
+      try {
+        const knownModels = this.forecastModelManager.models.map(m => m.id);
+        const models = req.query.models
+          ? req.query.models.toString().split(',').map(id => id.trim()).filter(Boolean)
+          : knownModels;
+        const unknown = models.filter(id => !knownModels.includes(id));
+        if (models.length === 0 || unknown.length > 0) {
+          return res.status(400).json({ error: `Unknown model(s): ${unknown.join(', ')}` });
+        }
+
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Bangkok' });
+        const to = (req.query.to || today).toString();
+        const from = (req.query.from
+          || new Date(Date.parse(to) - 364 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)).toString();
+        if (!isDate(from) || !isDate(to) || from > to) {
+          return res.status(400).json({ error: 'from / to must be YYYY-MM-DD dates with from <= to' });
+        }
+
+        const source = (req.query.source || 'all').toString();
+        if (!['all', 'live', 'backtest'].includes(source)) {
+          return res.status(400).json({ error: 'source must be all, live or backtest' });
+        }
+
+        const { sport, weight, minWind, maxWind } = getRideableRange(
+          (req.query.sport || 'twintip').toString(),
+          req.query.weight
+        );
+
+        const report = await this.forecastVerification.getReport({ from, to, models, source, minWind, maxWind });
+        res.json({
+          ...report,
+          sport,
+          weight,
+          minWind: Math.round(minWind * 10) / 10,
+          maxWind: Math.round(maxWind * 10) / 10
+        });
+      } catch (error) {
+        console.error('Forecast verification failed:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Refresh the last 24 hours for all ambient stations (gap fill).
-    this.router.post('/wind/import/daily', async (req, res) => {
+    this.router.post('/wind/import/daily', this.requireAdmin('import'), async (req, res) => {
       if (!this.historyImporter) {
         return res.status(503).json({ error: 'History importer is not configured' });
       }
@@ -877,8 +1621,115 @@ export class ApiRouter {
       }
     });
 
+    // Completeness per station per Bangkok day (?stationId=&days=30, up to ~10 years)
+    this.router.get('/archive/coverage', async (req, res) => {
+      if (!this.gapScanner) {
+        return res.status(503).json({ error: 'Gap scanner is not configured' });
+      }
+      try {
+        const stationId = req.query.stationId ? req.query.stationId.toString() : null;
+        if (stationId && !this.stations.some(s => s.id === stationId)) {
+          return res.status(404).json({ error: `Station '${stationId}' not found` });
+        }
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 3660);
+        const coverage = await this.gapScanner.getCoverage({ days, stationIds: stationId ? [stationId] : null });
+        res.json({ ...coverage, lastBackfill: this.gapScanner.lastRun });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Scan for gaps and backfill them from the station history APIs as a background
+    // job (poll GET /api/jobs/:id); dryRun only scans and answers right away.
+    // Body / query: { days?: number (default 7, max 60), stationIds?: string[], dryRun?: boolean }
+    this.router.post('/archive/backfill', this.requireAdmin('import'), async (req, res) => {
+      if (!this.gapScanner || !this.jobManager) {
+        return res.status(503).json({ error: 'Gap scanner is not configured' });
+      }
+      try {
+        const days = Math.min(Math.max(parseInt(req.body?.days ?? req.query.days) || 7, 1), 60);
+        let stationIds = req.body?.stationIds || req.query?.stationIds;
+        if (typeof stationIds === 'string') {
+          stationIds = stationIds.split(',').map(s => s.trim()).filter(Boolean);
+        }
+        const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+
+        if (dryRun) {
+          const result = await this.gapScanner.run({ days, stationIds, dryRun });
+          req.audit.after = { days, dryRun, stations: result.results.length };
+          return res.json({ success: true, ...result });
+        }
+
+        const job = await this.jobManager.enqueue('gap_backfill', { days, stationIds: stationIds || null }, req.admin.name);
+        req.audit.after = { days, jobId: job.id };
+        res.status(202).json({ success: true, days, job });
+      } catch (error) {
+        console.error('Backfill failed:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Measurements flagged by QC (?stationId=&days=7&flag=&limit=200), newest first
+    this.router.get('/qc/flagged', async (req, res) => {
+      try {
+        const stationId = req.query.stationId ? req.query.stationId.toString() : null;
+        if (stationId && !this.stations.some(s => s.id === stationId)) {
+          return res.status(404).json({ error: `Station '${stationId}' not found` });
+        }
+        const flag = req.query.flag ? req.query.flag.toString() : null;
+        if (flag && !QC_FLAGS.includes(flag)) {
+          return res.status(400).json({ error: `Unknown flag. Valid: ${QC_FLAGS.join(', ')}` });
+        }
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+
+        const { records, summary } = await this.dbManager.getFlaggedData({ stationId, days, flag, limit });
+        res.json({
+          days,
+          summary,
+          records: records.map(d => ({ stationId: d.station_id, ...this.formatWindData(d) }))
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Re-run QC over stored measurements and re-aggregate the hours whose flags changed,
+    // as a background job (one checkpoint per station and day); poll GET /api/jobs/:id.
+    // Body / query: { days?: number (default 7, max 400), stationIds?: string[] }
+    this.router.post('/qc/recheck', this.requireAdmin('collect'), async (req, res) => {
+      if (!this.jobManager) {
+        return res.status(503).json({ error: 'Job manager is not configured' });
+      }
+      try {
+        const days = Math.min(Math.max(parseInt(req.body?.days ?? req.query.days) || 7, 1), 400);
+        const requested = req.body?.stationIds;
+        const stations = Array.isArray(requested)
+          ? this.stations.filter(s => requested.includes(s.id))
+          : this.stations;
+        if (stations.length === 0) {
+          return res.status(400).json({ error: 'No known stations in stationIds' });
+        }
+
+        const toMs = Date.now();
+        const range = {
+          from: new Date(toMs - days * 24 * 60 * 60 * 1000).toISOString(),
+          to: new Date(toMs).toISOString()
+        };
+        const job = await this.jobManager.enqueue('qc_recheck', {
+          ...range,
+          stationIds: stations.map(s => s.id)
+        }, req.admin.name);
+        req.audit.after = { days, jobId: job.id };
+        res.status(202).json({ success: true, days, ...range, job });
+      } catch (error) {
+        console.error('QC recheck failed:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Force hourly archiving (for testing)
-    this.router.post('/archive/hourly', async (req, res) => {
+    this.router.post('/archive/hourly', this.requireAdmin('collect'), async (req, res) => {
       try {
         const data = await this.windCollector.archiveHourlyData();
         if (!data) {
@@ -890,40 +1741,48 @@ export class ApiRouter {
       }
     });
 
-    // Subscribe to push notifications
-    this.router.post('/notifications/subscribe', (req, res) => {
+    // Subscribe to push notifications (scoped route ties the subscription to that spot)
+    this.spotRoute('post', '/notifications/subscribe', async (req, res) => {
       try {
         const subscription = req.body;
         if (!subscription || !subscription.endpoint) {
           return res.status(400).json({ error: 'Invalid subscription' });
         }
 
-        const added = this.notificationManager.addSubscription(subscription);
-        res.json({ success: true, added });
+        const spotId = req.params.spotId ? req.spot.id : null;
+        const added = await this.notificationManager.addSubscription(subscription, spotId);
+        res.json({ success: true, added, spotId: req.spot.id });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
     // Unsubscribe from push notifications
-    this.router.post('/notifications/unsubscribe', (req, res) => {
+    this.spotRoute('post', '/notifications/unsubscribe', async (req, res) => {
       try {
         const { endpoint } = req.body;
         if (!endpoint) {
           return res.status(400).json({ error: 'Endpoint required' });
         }
 
-        const removed = this.notificationManager.removeSubscription(endpoint);
+        const removed = await this.notificationManager.removeSubscription(endpoint);
         res.json({ success: true, removed });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get notification statistics
-    this.router.get('/notifications/stats', (req, res) => {
+    // Notification statistics + delivery history (?days=7&limit=50&kind=&spotId=).
+    // Admin only: the history carries endpoint/token prefixes and provider errors
+    this.router.get('/notifications/stats', this.requireAdmin('notifications'), async (req, res) => {
       try {
-        const stats = this.notificationManager.getStats();
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 365);
+        const stats = await this.notificationManager.getStats({
+          days,
+          limit: req.query.limit,
+          kind: req.query.kind || null,
+          spotId: req.query.spotId || null
+        });
         res.json(stats);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -931,8 +1790,9 @@ export class ApiRouter {
     });
 
     // Test push notification (for debugging)
-    this.router.post('/notifications/test', async (req, res) => {
+    this.router.post('/notifications/test', this.requireAdmin('notifications'), async (req, res) => {
       try {
+        await this.notificationManager.refresh();
         const subscriptions = this.notificationManager.subscriptions;
         if (subscriptions.length === 0) {
           return res.status(400).json({ error: 'No subscriptions found' });
@@ -954,11 +1814,14 @@ export class ApiRouter {
         const webpush = (await import('web-push')).default;
 
         for (const subscription of subscriptions) {
+          const meta = { targetType: 'webpush', targetId: subscription.endpoint, spotId: subscription.spotId, kind: 'test', title: 'Test Notification' };
           try {
             await webpush.sendNotification(subscription, payload);
             sentCount++;
+            await this.notificationManager.recordDelivery({ ...meta, ok: true });
             console.log(`Test notification sent to: ${subscription.endpoint.substring(0, 50)}...`);
           } catch (error) {
+            await this.notificationManager.recordDelivery({ ...meta, ok: false, error: error.message });
             errors.push({
               endpoint: subscription.endpoint.substring(0, 50),
               error: error.message,
@@ -978,30 +1841,185 @@ export class ApiRouter {
       }
     });
 
+    // Per-subscriber alert rules. The caller identifies itself with its Web Push
+    // `endpoint` or APNs `deviceToken` (query for GET/DELETE, body otherwise);
+    // rules of other subscribers are never visible.
+    this.router.get('/notifications/rules', async (req, res) => {
+      try {
+        if (!this.notificationManager.alertRules) {
+          return res.status(503).json({ error: 'Notification rules not available' });
+        }
+        const target = await this.resolveRuleTarget(req.query);
+        if (target.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+
+        res.json({
+          rules: this.notificationManager.alertRules.getRules(target.targetType, target.targetId),
+          defaults: DEFAULT_RULE,
+          sectors: SECTORS.map(sector => sector.id),
+          sports: Object.keys(SPORT_KITE_CONFIG)
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.router.post('/notifications/rules', async (req, res) => {
+      try {
+        if (!this.notificationManager.alertRules) {
+          return res.status(503).json({ error: 'Notification rules not available' });
+        }
+        const target = await this.resolveRuleTarget(req.body);
+        if (target.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+
+        const result = await this.notificationManager.alertRules.createRule(
+          target.targetType, target.targetId, req.body.rule || req.body
+        );
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json({ success: true, rule: result.rule });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.router.put('/notifications/rules/:id', async (req, res) => {
+      try {
+        if (!this.notificationManager.alertRules) {
+          return res.status(503).json({ error: 'Notification rules not available' });
+        }
+        const owned = await this.resolveOwnedRule(req.params.id, req.body);
+        if (owned.error) {
+          return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await this.notificationManager.alertRules.updateRule(
+          owned.rule.id, req.body.rule || req.body
+        );
+        if (result.error) {
+          return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+        }
+        res.json({ success: true, rule: result.rule });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.router.delete('/notifications/rules/:id', async (req, res) => {
+      try {
+        if (!this.notificationManager.alertRules) {
+          return res.status(503).json({ error: 'Notification rules not available' });
+        }
+        const owned = await this.resolveOwnedRule(req.params.id, { ...req.query, ...req.body });
+        if (owned.error) {
+          return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const removed = await this.notificationManager.alertRules.deleteRule(owned.rule.id);
+        res.json({ success: true, removed });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Safety warnings opt-in of a subscriber (?endpoint= or ?deviceToken=); null = not opted in
+    this.router.get('/notifications/safety-alerts', async (req, res) => {
+      try {
+        if (!this.notificationManager.safetyAlerts) {
+          return res.status(503).json({ error: 'Safety alerts not available' });
+        }
+        const target = await this.resolveRuleTarget(req.query);
+        if (target.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+
+        const settings = this.notificationManager.safetyAlerts.getSettings(target.targetType, target.targetId);
+        res.json({
+          settings: settings && { kinds: settings.kinds, gustThreshold: settings.gustThreshold, lastSent: settings.lastSent },
+          defaults: DEFAULT_SAFETY_SETTINGS,
+          kinds: SAFETY_ALERT_KINDS,
+          cooldownMinutes: SAFETY_ALERT_COOLDOWN_MINUTES
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Opt in / change safety warnings (body: endpoint|deviceToken, kinds?, gustThreshold?)
+    this.router.put('/notifications/safety-alerts', async (req, res) => {
+      try {
+        if (!this.notificationManager.safetyAlerts) {
+          return res.status(503).json({ error: 'Safety alerts not available' });
+        }
+        const target = await this.resolveRuleTarget(req.body);
+        if (target.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+
+        const { endpoint, deviceToken, ...input } = req.body;
+        const result = await this.notificationManager.safetyAlerts.saveSettings(target.targetType, target.targetId, input);
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json({
+          success: true,
+          settings: { kinds: result.settings.kinds, gustThreshold: result.settings.gustThreshold }
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Opt out of safety warnings
+    this.router.delete('/notifications/safety-alerts', async (req, res) => {
+      try {
+        if (!this.notificationManager.safetyAlerts) {
+          return res.status(503).json({ error: 'Safety alerts not available' });
+        }
+        const target = await this.resolveRuleTarget({ ...req.query, ...req.body });
+        if (target.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+
+        const removed = await this.notificationManager.safetyAlerts.removeTarget(target.targetType, target.targetId);
+        res.json({ success: true, removed });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Register APNs device token (iOS)
-    this.router.post('/notifications/apns/register', (req, res) => {
+    this.spotRoute('post', '/notifications/apns/register', async (req, res) => {
       try {
         const { deviceToken } = req.body;
         if (!deviceToken || typeof deviceToken !== 'string' || deviceToken.length < 32) {
           return res.status(400).json({ error: 'Valid deviceToken required' });
         }
 
-        const added = this.notificationManager.apns.addDevice(deviceToken);
-        res.json({ success: true, added });
+        const spotId = req.params.spotId ? req.spot.id : null;
+        const added = await this.notificationManager.apns.addDevice(deviceToken, spotId);
+        res.json({ success: true, added, spotId: req.spot.id });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
     // Unregister APNs device token (iOS)
-    this.router.post('/notifications/apns/unregister', (req, res) => {
+    this.spotRoute('post', '/notifications/apns/unregister', async (req, res) => {
       try {
         const { deviceToken } = req.body;
         if (!deviceToken) {
           return res.status(400).json({ error: 'deviceToken required' });
         }
 
-        const removed = this.notificationManager.apns.removeDevice(deviceToken);
+        const removed = await this.notificationManager.apns.removeDevice(deviceToken);
+        if (removed) {
+          this.notificationManager.removeRules('apns', deviceToken);
+        }
         res.json({ success: true, removed });
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1027,13 +2045,45 @@ export class ApiRouter {
       }
     });
 
-    // Get current wind data from all stations
-    this.router.get('/stations/current', async (req, res) => {
+    // Health of every station + which station serves each spot
+    this.router.get('/stations/health', async (req, res) => {
+      if (!this.stationHealth) {
+        return res.status(503).json({ error: 'Station health monitor is not configured' });
+      }
+      try {
+        const report = await this.stationHealth.getReport();
+        const spots = this.spotManager ? this.spotManager.getAll() : [this.getDefaultSpot()];
+        res.json({
+          evaluatedAt: new Date(report.evaluatedAt).toISOString(),
+          lastCollectionAt: report.referenceAt ? new Date(report.referenceAt).toISOString() : null,
+          stations: this.stations.map(s => ({ ...report.stations[s.id], type: s.type || 'ambient' })),
+          spots: spots.map(spot => {
+            const live = this.stationHealth.resolveStation(spot, report);
+            return {
+              spotId: spot.id,
+              primaryStationId: spot.primaryStationId,
+              activeStationId: live.stationId,
+              health: live.health,
+              failover: live.failover
+            };
+          })
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get current wind data from all stations (scoped route: the spot's linked stations)
+    this.spotRoute('get', '/stations/current', async (req, res) => {
       try {
         const allLatest = await this.dbManager.getLatestDataAllStations();
+        const report = this.stationHealth ? await this.stationHealth.getReport() : null;
         const result = {};
+        const stations = req.params.spotId
+          ? this.stations.filter(s => req.spot.stationIds.includes(s.id))
+          : this.stations;
 
-        for (const station of this.stations) {
+        for (const station of stations) {
           const data = allLatest.find(d => d.station_id === station.id);
           result[station.id] = {
             station: {
@@ -1041,12 +2091,28 @@ export class ApiRouter {
               name: station.name,
               lat: station.lat,
               lon: station.lon,
-              isPrimary: station.isPrimary
+              isPrimary: station.id === req.spot.primaryStationId,
+              health: report?.stations[station.id]?.status || 'unknown'
             },
             wind: data ? this.formatWindData(data) : null
           };
         }
 
+        // Virtual station: blend of every station near the spot
+        if (this.spotEstimator) {
+          result[ESTIMATE_STATION_ID] = {
+            station: {
+              id: ESTIMATE_STATION_ID,
+              name: `${req.spot.name} (estimate)`,
+              lat: req.spot.lat,
+              lon: req.spot.lon,
+              isPrimary: false,
+              virtual: true
+            },
+            wind: await this.spotEstimator.estimate(req.spot)
+          };
+        }
+
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1101,7 +2167,7 @@ export class ApiRouter {
         const hours = parseInt(req.params.hours) || 24;
         const stats = await this.dbManager.getStatistics(hours, stationId);
         if (stats && stats.avg_direction !== undefined) {
-          stats.avg_direction = this.calibrationManager.applyOffset(stats.avg_direction);
+          stats.avg_direction = this.calibrationManager.applyOffset(stats.avg_direction, stationId);
         }
         res.json(stats);
       } catch (error) {
@@ -1110,9 +2176,11 @@ export class ApiRouter {
     });
 
     // Debug: Check wind stability conditions
-    this.router.get('/notifications/check-conditions', async (req, res) => {
+    this.spotRoute('get', '/notifications/check-conditions', async (req, res) => {
       try {
-        const recentMeasurements = await this.dbManager.getLastMeasurements(3);
+        const rawMeasurements = await this.dbManager.getLastMeasurements(3, req.spot.primaryStationId);
+        // Same measurements the notification cron checks
+        const recentMeasurements = rawMeasurements && alertMeasurements(rawMeasurements, this.calibrationManager);
 
         if (!recentMeasurements || recentMeasurements.length < 3) {
           return res.json({
@@ -1123,12 +2191,27 @@ export class ApiRouter {
           });
         }
 
-        const stability = this.notificationManager.checkWindStability(recentMeasurements);
-        const stats = this.notificationManager.getStats();
+        const stability = this.notificationManager.checkWindStability(recentMeasurements, DEFAULT_RULE, req.spot);
+        const stats = await this.notificationManager.getStats({ days: 1, limit: 10, spotId: req.spot.id });
+
+        // Optional: evaluate one subscriber's own rules (?endpoint= or ?deviceToken=)
+        let rules;
+        if (this.notificationManager.alertRules && (req.query.endpoint || req.query.deviceToken)) {
+          const target = await this.resolveRuleTarget(req.query);
+          if (!target.error) {
+            rules = this.notificationManager.alertRules.getRules(target.targetType, target.targetId)
+              .map(rule => ({
+                id: rule.id,
+                name: rule.name,
+                ...this.notificationManager.checkWindStability(recentMeasurements, rule, req.spot)
+              }));
+          }
+        }
 
         res.json({
           canNotify: stability.stable,
           stability: stability,
+          rules,
           measurements: recentMeasurements.map(m => ({
             timestamp: m.timestamp,
             speed: m.wind_speed_knots || m.windSpeedKnots,
@@ -1141,86 +2224,175 @@ export class ApiRouter {
         res.status(500).json({ error: error.message });
       }
     });
+
+    // Forecast digest state for the spot's upcoming days
+    this.spotRoute('get', '/notifications/forecast-alerts', async (req, res) => {
+      try {
+        if (!this.forecastAlertManager) {
+          return res.status(503).json({ error: 'Forecast alerts not available' });
+        }
+        const alerts = await this.forecastAlertManager.getAlerts(req.spot.id);
+        res.json({
+          spotId: req.spot.id,
+          minHours: this.forecastAlertManager.minHours,
+          alerts
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Debug: run the forecast digest check now (?dryRun=true only evaluates)
+    this.spotRoute('post', '/notifications/forecast-alerts/check', this.requireAdmin('notifications'), async (req, res) => {
+      try {
+        if (!this.forecastAlertManager) {
+          return res.status(503).json({ error: 'Forecast alerts not available' });
+        }
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+        const result = await this.forecastAlertManager.checkSpot(req.spot, dryRun);
+        res.json({ dryRun, ...result });
+      } catch (error) {
+        console.error('Forecast alert check error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Admin: list API keys (hashes are never returned)
+    this.router.get('/admin/keys', this.requireAdmin('admin'), async (req, res) => {
+      try {
+        res.json({ scopes: ADMIN_SCOPES, keys: await this.adminAuth.listKeys() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Admin: create an API key. Body: { name, scopes }. The key is shown only in this response.
+    this.router.post('/admin/keys', this.requireAdmin('admin'), async (req, res) => {
+      try {
+        const { key, secret, error } = await this.adminAuth.createKey(req.body, req.admin.name);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        req.audit.after = key;
+        console.log(`🔑 Admin key "${key.name}" created by ${req.admin.name} (${key.scopes.join(', ')})`);
+        res.status(201).json({ key, secret });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Admin: revoke an API key
+    this.router.delete('/admin/keys/:id', this.requireAdmin('admin'), async (req, res) => {
+      try {
+        const key = await this.adminAuth.revokeKey(parseInt(req.params.id, 10));
+        if (!key) {
+          return res.status(404).json({ error: 'Key not found' });
+        }
+        req.audit.before = key;
+        console.log(`🔑 Admin key "${key.name}" revoked by ${req.admin.name}`);
+        res.json({ success: true, key });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Admin: audit log of privileged calls (?limit=&keyId=&scope=)
+    this.router.get('/admin/audit', this.requireAdmin('admin'), async (req, res) => {
+      try {
+        const entries = await this.adminAuth.getAuditLog({
+          limit: req.query.limit,
+          keyId: req.query.keyId ? parseInt(req.query.keyId, 10) : null,
+          scope: req.query.scope || null
+        });
+        res.json({ entries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Identify the subscriber a rules request belongs to
+   * @param {Object} params - request query/body with `endpoint` or `deviceToken`
+   * @returns {Object} { targetType, targetId } or { error, status }
+   */
+  async resolveRuleTarget(params = {}) {
+    if (params.endpoint) {
+      const known = await this.notificationManager.hasTarget('webpush', params.endpoint);
+      return known
+        ? { targetType: 'webpush', targetId: params.endpoint }
+        : { error: 'Subscription not found', status: 404 };
+    }
+    if (params.deviceToken) {
+      const known = await this.notificationManager.hasTarget('apns', params.deviceToken);
+      return known
+        ? { targetType: 'apns', targetId: params.deviceToken }
+        : { error: 'Device not found', status: 404 };
+    }
+    return { error: 'endpoint or deviceToken required', status: 400 };
   }
 
   /**
-   * Format wind data for API response (applies calibration offset to directions)
+   * Find a rule by id and check that it belongs to the calling subscriber
+   */
+  async resolveOwnedRule(id, params) {
+    const target = await this.resolveRuleTarget(params);
+    if (target.error) return target;
+
+    const alertRules = this.notificationManager.alertRules;
+    let rule = alertRules.getRule(parseInt(id, 10));
+    if (!rule) {
+      // May have been created through another replica since the last refresh
+      await alertRules.reload();
+      rule = alertRules.getRule(parseInt(id, 10));
+    }
+    if (!rule || rule.targetType !== target.targetType || rule.targetId !== target.targetId) {
+      return { error: 'Rule not found', status: 404 };
+    }
+    return { rule };
+  }
+
+  /**
+   * Format wind data for API response (applies the calibration of the row's
+   * station valid at the row's timestamp: direction offset and speed scale)
    */
   formatWindData(data) {
     if (!data) return null;
 
-    const rawDir = parseInt(data.wind_direction || 0);
+    const calibration = this.calibrationManager.getCalibration(data.station_id, data.timestamp);
+    // direction_missing rows store 0: report no direction rather than north
+    const rawDir = data.wind_direction !== null && data.wind_direction !== undefined && isDirectionUsable(data.qc_flags || [])
+      ? parseInt(data.wind_direction, 10)
+      : null;
     const rawDirAvg = data.wind_direction_avg ? parseInt(data.wind_direction_avg) : null;
+    const scaled = value => parseFloat((parseFloat(value) * calibration.speedScale).toFixed(1));
 
     return {
       timestamp: data.timestamp,
-      windSpeedKnots: parseFloat(parseFloat(data.wind_speed_knots).toFixed(1) || 0),
-      windGustKnots: data.wind_gust_knots ? parseFloat(parseFloat(data.wind_gust_knots).toFixed(1)) : null,
-      maxGustKnots: data.max_gust_knots ? parseFloat(parseFloat(data.max_gust_knots).toFixed(1)) : null,
-      windDir: this.calibrationManager.applyOffset(rawDir),
-      windDirAvg: this.calibrationManager.applyOffset(rawDirAvg),
+      windSpeedKnots: scaled(data.wind_speed_knots) || 0,
+      windGustKnots: data.wind_gust_knots ? scaled(data.wind_gust_knots) : null,
+      maxGustKnots: data.max_gust_knots ? scaled(data.max_gust_knots) : null,
+      windDir: this.calibrationManager.applyOffset(rawDir, data.station_id, data.timestamp),
+      windDirAvg: this.calibrationManager.applyOffset(rawDirAvg, data.station_id, data.timestamp),
       temperature: data.temperature ? parseFloat(parseFloat(data.temperature).toFixed(1)) : null,
       humidity: data.humidity ? parseFloat(parseFloat(data.humidity).toFixed(1)) : null,
-      pressure: data.pressure ? parseFloat(parseFloat(data.pressure).toFixed(2)) : null
+      pressure: data.pressure ? parseFloat(parseFloat(data.pressure).toFixed(2)) : null,
+      qcFlags: data.qc_flags || []
     };
   }
 
   /**
-   * Calculate wind safety level based on direction and speed
+   * Apply the speed scale and direction offset valid at an aggregate row's
+   * `timestamp` (its first measurement) to avg_speed, max_gust, avg_direction
    */
-  calculateSafety(direction, speedKnots) {
-    const isOffshore = direction >= 225 && direction <= 315; // SW-NW
-    const isOnshore = direction >= 45 && direction <= 135;   // NE-SE
-
-    let level = 'medium';
-
-    if (isOffshore) {
-      level = 'danger';
-    } else if (speedKnots < 5) {
-      level = 'low';
-    } else if (speedKnots >= 15 && speedKnots <= 25 && isOnshore) {
-      level = 'high';
-    } else if (speedKnots >= 12 && speedKnots <= 20) {
-      level = 'good';
-    } else if (speedKnots > 30) {
-      level = 'danger';
-    }
-
+  calibrateAggregate(row, stationId) {
+    const at = row.timestamp;
     return {
-      level,
-      isOffshore,
-      isOnshore,
-      text: this.getSafetyText(level),
-      color: this.getSafetyColor(level)
-    };
-  }
-
-  /**
-   * Get safety level text
-   */
-  getSafetyText(level) {
-    const texts = {
-      low: 'Слабый ветер',
-      medium: 'Умеренно',
-      good: 'Хорошие условия',
-      high: 'Отличные условия!',
-      danger: 'Опасно!'
-    };
-    return texts[level] || 'Неизвестно';
-  }
-
-  /**
-   * Get safety level color
-   */
-  getSafetyColor(level) {
-    const colors = {
-      low: '#87CEEB',
-      medium: '#FFA500',
-      good: '#FFD700',
-      high: '#00FF00',
-      danger: '#FF4500'
+      ...row,
+      avg_speed: this.calibrationManager.applySpeed(row.avg_speed, stationId, at),
+      max_gust: this.calibrationManager.applySpeed(row.max_gust, stationId, at),
+      avg_direction: this.calibrationManager.applyOffset(row.avg_direction, stationId, at)
     };
-    return colors[level] || '#808080';
   }
 
   getRouter() {
@@ -1,45 +1,53 @@
+import { qcReliableHourSql } from './DataQuality.js';
+import { DEFAULT_HOURS, localHour } from './SpotManager.js';
+
 /**
  * ArchiveManager - manages the archive database for historical wind data
  * Stores hourly aggregated data for long-term storage and statistics
  * Uses PostgreSQL via shared pool
+ *
+ * Every write to hourly_archive also refreshes the rollups of its local
+ * day and month (archive_daily / archive_monthly, migration 002): per-day
+ * histograms of riding hours by ROLLUP_BAND_KNOTS speed band, so statistics
+ * over years of history read one row per day instead of every hour.
+ * Only the station's working hours are rolled up (the widest workingHours of
+ * its spots, in its spot's timezone, via SpotManager) — collectHours only
+ * decide polling. Changing them needs rebuildRollups().
  */
+
+export const ROLLUP_BAND_KNOTS = 0.5;
+export const ROLLUP_LAST_BAND = 80;      // 0-based; the last band is 40+ knots
+
+// Hours in speed_bands whose band midpoint lies within [$min, $max] knots
+const rideableHoursSql = (column, min, max) => `(
+  SELECT COALESCE(SUM(u.n), 0)::int
+  FROM unnest(${column}) WITH ORDINALITY AS u(n, i)
+  WHERE (u.i - 0.5) * ${ROLLUP_BAND_KNOTS} BETWEEN ${min} AND ${max}
+)`;
+
+// JS twin of rideableHoursSql: the band midpoint an hour is classified by
+const bandMidpoint = speed =>
+  (Math.min(Math.floor(speed / ROLLUP_BAND_KNOTS), ROLLUP_LAST_BAND) + 0.5) * ROLLUP_BAND_KNOTS;
+
 export class ArchiveManager {
-  constructor(pgPool) {
+  constructor(pgPool, spotManager = null) {
     this.pool = pgPool;
+    this.spotManager = spotManager;
   }
 
-  async initialize() {
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS hourly_archive (
-        id                      SERIAL PRIMARY KEY,
-        hour_timestamp          TIMESTAMPTZ NOT NULL,
-        station_id              TEXT NOT NULL DEFAULT 'pak_nam_pran',
-        avg_wind_speed          DOUBLE PRECISION NOT NULL,
-        min_wind_speed          DOUBLE PRECISION NOT NULL,
-        max_wind_speed          DOUBLE PRECISION NOT NULL,
-        avg_wind_gust           DOUBLE PRECISION,
-        max_wind_gust           DOUBLE PRECISION,
-        avg_wind_direction      INTEGER NOT NULL,
-        dominant_wind_direction  INTEGER,
-        avg_temperature         DOUBLE PRECISION,
-        avg_humidity            DOUBLE PRECISION,
-        avg_pressure            DOUBLE PRECISION,
-        measurement_count       INTEGER NOT NULL,
-        created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        UNIQUE(station_id, hour_timestamp)
-      )
-    `);
-
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_hourly_archive_timestamp
-      ON hourly_archive(hour_timestamp DESC)
-    `);
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_archive_station_ts
-      ON hourly_archive(station_id, hour_timestamp DESC)
-    `);
-
-    console.log('✓ Archive database initialized');
+  /**
+   * Hours { start, end } of a station that the rollups cover, local to
+   * rollupTimezone(), end exclusive
+   */
+  rollupHours(stationId) {
+    return this.spotManager?.getWorkingHours(stationId) || { ...DEFAULT_HOURS.workingHours };
+  }
+
+  /**
+   * Timezone of a station's rollup days and hours
+   */
+  rollupTimezone(stationId) {
+    return this.spotManager?.getTimezone(stationId) || 'Asia/Bangkok';
   }
 
   /**
@@ -50,8 +58,8 @@ export class ArchiveManager {
       `INSERT INTO hourly_archive (
         hour_timestamp, station_id, avg_wind_speed, min_wind_speed, max_wind_speed,
         avg_wind_gust, max_wind_gust, avg_wind_direction, dominant_wind_direction,
-        avg_temperature, avg_humidity, avg_pressure, measurement_count
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        avg_temperature, avg_humidity, avg_pressure, measurement_count, qc_excluded_count
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       ON CONFLICT (station_id, hour_timestamp) DO UPDATE SET
         avg_wind_speed = EXCLUDED.avg_wind_speed,
         min_wind_speed = EXCLUDED.min_wind_speed,
@@ -63,7 +71,8 @@ export class ArchiveManager {
         avg_temperature = EXCLUDED.avg_temperature,
         avg_humidity = EXCLUDED.avg_humidity,
         avg_pressure = EXCLUDED.avg_pressure,
-        measurement_count = EXCLUDED.measurement_count`,
+        measurement_count = EXCLUDED.measurement_count,
+        qc_excluded_count = EXCLUDED.qc_excluded_count`,
       [
         hourTimestamp,
         stationId,
@@ -77,9 +86,214 @@ export class ArchiveManager {
         aggregatedData.avgTemperature,
         aggregatedData.avgHumidity,
         aggregatedData.avgPressure,
-        aggregatedData.measurementCount
+        aggregatedData.measurementCount,
+        aggregatedData.qcExcludedCount || 0
       ]
     );
+    await this.refreshRollups(stationId, hourTimestamp);
+  }
+
+  /**
+   * Remove one archived hour (all of its measurements failed QC)
+   */
+  async deleteHour(hourTimestamp, stationId = 'pak_nam_pran') {
+    await this.pool.query(
+      'DELETE FROM hourly_archive WHERE station_id = $1 AND hour_timestamp = $2',
+      [stationId, hourTimestamp]
+    );
+    await this.refreshRollups(stationId, hourTimestamp);
+  }
+
+  /**
+   * Recompute the daily and monthly rollup containing one archived hour
+   * (no-op outside the station's rollup hours)
+   */
+  async refreshRollups(stationId, hourTimestamp) {
+    const hours = this.rollupHours(stationId);
+    const timezone = this.rollupTimezone(stationId);
+    const at = new Date(hourTimestamp);
+    const hour = localHour(timezone, at);
+    if (hour < hours.start || hour >= hours.end) return;
+    const day = at.toLocaleDateString('en-CA', { timeZone: timezone });
+
+    const daily = await this.pool.query(
+      `INSERT INTO archive_daily
+         (station_id, day, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust, updated_at)
+       WITH h AS (
+         SELECT avg_wind_speed, max_wind_speed, max_wind_gust,
+                LEAST(FLOOR(avg_wind_speed / ${ROLLUP_BAND_KNOTS})::int, ${ROLLUP_LAST_BAND}) AS band
+         FROM hourly_archive
+         WHERE station_id = $1
+           AND hour_timestamp >= ($2::date + make_interval(hours => $3)) AT TIME ZONE $5
+           AND hour_timestamp < ($2::date + make_interval(hours => $4)) AT TIME ZONE $5
+       )
+       SELECT $1, $2::date, COUNT(*)::int,
+              ARRAY(
+                SELECT COUNT(h2.band)::int
+                FROM generate_series(0, ${ROLLUP_LAST_BAND}) AS b(band)
+                LEFT JOIN h h2 ON h2.band = b.band
+                GROUP BY b.band ORDER BY b.band
+              ),
+              AVG(avg_wind_speed), MAX(max_wind_speed), MAX(max_wind_gust), NOW()
+       FROM h
+       HAVING COUNT(*) > 0
+       ON CONFLICT (station_id, day) DO UPDATE SET
+         hours = EXCLUDED.hours,
+         speed_bands = EXCLUDED.speed_bands,
+         avg_wind_speed = EXCLUDED.avg_wind_speed,
+         max_wind_speed = EXCLUDED.max_wind_speed,
+         max_wind_gust = EXCLUDED.max_wind_gust,
+         updated_at = NOW()`,
+      [stationId, day, hours.start, hours.end, timezone]
+    );
+    if (daily.rowCount === 0) {
+      await this.pool.query('DELETE FROM archive_daily WHERE station_id = $1 AND day = $2', [stationId, day]);
+    }
+
+    const month = `${day.slice(0, 7)}-01`;
+    const monthly = await this.pool.query(
+      `INSERT INTO archive_monthly
+         (station_id, month, days, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust, updated_at)
+       WITH d AS (
+         SELECT * FROM archive_daily
+         WHERE station_id = $1 AND day >= $2::date AND day < $2::date + INTERVAL '1 month'
+       )
+       SELECT $1, $2::date, COUNT(*)::int, SUM(hours)::int,
+              (SELECT array_agg(x.n ORDER BY x.i) FROM (
+                 SELECT u.i, SUM(u.n)::int AS n
+                 FROM d, unnest(d.speed_bands) WITH ORDINALITY AS u(n, i)
+                 GROUP BY u.i
+               ) x),
+              SUM(avg_wind_speed * hours) / NULLIF(SUM(hours), 0),
+              MAX(max_wind_speed), MAX(max_wind_gust), NOW()
+       FROM d
+       HAVING COUNT(*) > 0
+       ON CONFLICT (station_id, month) DO UPDATE SET
+         days = EXCLUDED.days,
+         hours = EXCLUDED.hours,
+         speed_bands = EXCLUDED.speed_bands,
+         avg_wind_speed = EXCLUDED.avg_wind_speed,
+         max_wind_speed = EXCLUDED.max_wind_speed,
+         max_wind_gust = EXCLUDED.max_wind_gust,
+         updated_at = NOW()`,
+      [stationId, month]
+    );
+    if (monthly.rowCount === 0) {
+      await this.pool.query('DELETE FROM archive_monthly WHERE station_id = $1 AND month = $2', [stationId, month]);
+    }
+  }
+
+  /**
+   * Recompute every daily and monthly rollup of a station from
+   * hourly_archive, for when its rollup hours change
+   * @returns {Promise<Object>} { days, months, hours: { start, end }, timezone }
+   */
+  async rebuildRollups(stationId) {
+    const hours = this.rollupHours(stationId);
+    const timezone = this.rollupTimezone(stationId);
+    const client = await this.pool.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM archive_monthly WHERE station_id = $1', [stationId]);
+      await client.query('DELETE FROM archive_daily WHERE station_id = $1', [stationId]);
+
+      const daily = await client.query(
+        `INSERT INTO archive_daily
+           (station_id, day, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust)
+         WITH h AS (
+           SELECT (hour_timestamp AT TIME ZONE $4)::date AS day,
+                  avg_wind_speed, max_wind_speed, max_wind_gust,
+                  LEAST(FLOOR(avg_wind_speed / ${ROLLUP_BAND_KNOTS})::int, ${ROLLUP_LAST_BAND}) AS band
+           FROM hourly_archive
+           WHERE station_id = $1
+             AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $4) >= $2
+             AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $4) < $3
+         ),
+         counts AS (
+           SELECT day, band, COUNT(*)::int AS n FROM h GROUP BY day, band
+         ),
+         bands AS (
+           SELECT d.day, array_agg(COALESCE(c.n, 0) ORDER BY b.band) AS speed_bands
+           FROM (SELECT DISTINCT day FROM h) d
+           CROSS JOIN generate_series(0, ${ROLLUP_LAST_BAND}) AS b(band)
+           LEFT JOIN counts c ON c.day = d.day AND c.band = b.band
+           GROUP BY d.day
+         )
+         SELECT $1, h.day, COUNT(*)::int, bands.speed_bands,
+                AVG(h.avg_wind_speed), MAX(h.max_wind_speed), MAX(h.max_wind_gust)
+         FROM h JOIN bands ON bands.day = h.day
+         GROUP BY h.day, bands.speed_bands`,
+        [stationId, hours.start, hours.end, timezone]
+      );
+
+      const monthly = await client.query(
+        `INSERT INTO archive_monthly
+           (station_id, month, days, hours, speed_bands, avg_wind_speed, max_wind_speed, max_wind_gust)
+         WITH d AS (
+           SELECT * FROM archive_daily WHERE station_id = $1
+         ),
+         bands AS (
+           SELECT date_trunc('month', d.day)::date AS month, u.i, SUM(u.n)::int AS n
+           FROM d, unnest(d.speed_bands) WITH ORDINALITY AS u(n, i)
+           GROUP BY month, u.i
+         ),
+         arrays AS (
+           SELECT month, array_agg(n ORDER BY i) AS speed_bands FROM bands GROUP BY month
+         ),
+         totals AS (
+           SELECT date_trunc('month', day)::date AS month,
+                  COUNT(*)::int AS days, SUM(hours)::int AS hours,
+                  SUM(avg_wind_speed * hours) / NULLIF(SUM(hours), 0) AS avg_wind_speed,
+                  MAX(max_wind_speed) AS max_wind_speed, MAX(max_wind_gust) AS max_wind_gust
+           FROM d
+           GROUP BY month
+         )
+         SELECT $1, t.month, t.days, t.hours, a.speed_bands, t.avg_wind_speed, t.max_wind_speed, t.max_wind_gust
+         FROM totals t JOIN arrays a ON a.month = t.month`,
+        [stationId]
+      );
+
+      await client.query('COMMIT');
+      return { days: daily.rowCount, months: monthly.rowCount, hours, timezone };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start (epoch ms) of every archived hour in [fromIso, toIso)
+   */
+  async getArchivedHourStarts(stationId, fromIso, toIso) {
+    const { rows } = await this.pool.query(
+      `SELECT (EXTRACT(EPOCH FROM hour_timestamp) * 1000)::bigint AS hour
+       FROM hourly_archive
+       WHERE station_id = $1 AND hour_timestamp >= $2 AND hour_timestamp < $3`,
+      [stationId, fromIso, toIso]
+    );
+    return rows.map(r => Number(r.hour));
+  }
+
+  /**
+   * Archived hours per local day of `timezone` within [startHour, endHour)
+   * @returns {Array} [{ day: 'YYYY-MM-DD', hours }]
+   */
+  async getDailyHourCoverage(stationId, fromIso, toIso, startHour = 6, endHour = 19, timezone = 'Asia/Bangkok') {
+    const { rows } = await this.pool.query(
+      `SELECT
+        to_char(hour_timestamp AT TIME ZONE $6, 'YYYY-MM-DD') AS day,
+        COUNT(*)::int AS hours
+      FROM hourly_archive
+      WHERE station_id = $1 AND hour_timestamp >= $2 AND hour_timestamp < $3
+        AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $6) >= $4
+        AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $6) < $5
+      GROUP BY day
+      ORDER BY day ASC`,
+      [stationId, fromIso, toIso, startHour, endHour, timezone]
+    );
+    return rows;
   }
 
   /**
@@ -111,17 +325,17 @@ export class ArchiveManager {
   }
 
   /**
-   * Get archived data for specific day (for history gradient display)
+   * Get archived data for specific day (for history gradient display), day and hours in `timezone`
    */
-  async getArchivedDataForDay(date, startHour = 6, endHour = 19, stationId = 'pak_nam_pran') {
+  async getArchivedDataForDay(date, startHour = 6, endHour = 19, stationId = 'pak_nam_pran', timezone = 'Asia/Bangkok') {
     const { rows } = await this.pool.query(
       `SELECT * FROM hourly_archive
        WHERE station_id = $1
-         AND hour_timestamp::date = $2::date
-         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok') >= $3
-         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok') <= $4
+         AND (hour_timestamp AT TIME ZONE $5)::date = $2::date
+         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $5) >= $3
+         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $5) <= $4
        ORDER BY hour_timestamp ASC`,
-      [stationId, date, startHour, endHour]
+      [stationId, date, startHour, endHour, timezone]
     );
     return rows;
   }
@@ -145,79 +359,116 @@ export class ArchiveManager {
   }
 
   /**
-   * Get wind statistics by hour of day (for pattern analysis)
+   * Get wind statistics by hour of day in `timezone` (for pattern analysis)
    */
-  async getWindPatternByHour(days = 30, stationId = 'pak_nam_pran') {
+  async getWindPatternByHour(days = 30, stationId = 'pak_nam_pran', timezone = 'Asia/Bangkok') {
     const { rows } = await this.pool.query(
       `SELECT
-        LPAD(EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok')::int::text, 2, '0') as hour,
+        LPAD(EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $3)::int::text, 2, '0') as hour,
         AVG(avg_wind_speed) as avg_speed,
         MAX(max_wind_speed) as max_speed,
         COUNT(*) as days_recorded
       FROM hourly_archive
       WHERE station_id = $1 AND hour_timestamp >= NOW() - $2::interval
-      GROUP BY EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok')
+      GROUP BY EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $3)
       ORDER BY hour ASC`,
-      [stationId, `${days} days`]
+      [stationId, `${days} days`, timezone]
     );
     return rows;
   }
 
   /**
-   * Get hourly rows for the last N months in Bangkok time.
-   * Returns minimal columns for rideable-day computation.
+   * How a station reads relative to a reference station over overlapping
+   * archive hours where both saw at least `minSpeed` knots.
+   * scale: Σref / Σstation (multiply the station's speed by it),
+   * dirSin / dirCos: mean of sin/cos of (ref − station) dominant direction,
+   * rmse: residual speed error after scaling.
    */
-  async getHourlyRowsForMonths(months = 12, stationId = 'pak_nam_pran') {
+  async getStationPairStats(referenceId, stationId, days = 60, minSpeed = 3) {
     const { rows } = await this.pool.query(
-      `SELECT
-         hour_timestamp,
-         avg_wind_speed,
-         max_wind_speed
-       FROM hourly_archive
-       WHERE station_id = $1
-         AND hour_timestamp >= NOW() - $2::interval
-       ORDER BY hour_timestamp ASC`,
-      [stationId, `${months} months`]
+      `WITH pairs AS (
+         SELECT r.avg_wind_speed AS ref_speed,
+                s.avg_wind_speed AS speed,
+                RADIANS(COALESCE(r.dominant_wind_direction, r.avg_wind_direction)
+                      - COALESCE(s.dominant_wind_direction, s.avg_wind_direction)) AS dir_diff
+         FROM hourly_archive r
+         JOIN hourly_archive s
+           ON s.hour_timestamp = r.hour_timestamp AND s.station_id = $2
+         WHERE r.station_id = $1
+           AND r.hour_timestamp >= NOW() - $3::interval
+           AND r.avg_wind_speed >= $4 AND s.avg_wind_speed >= $4
+           AND ${qcReliableHourSql('r')} AND ${qcReliableHourSql('s')}
+       ),
+       fit AS (
+         SELECT SUM(ref_speed) / NULLIF(SUM(speed), 0) AS scale FROM pairs
+       )
+       SELECT COUNT(*)::int AS samples,
+              fit.scale,
+              AVG(SIN(dir_diff)) AS dir_sin,
+              AVG(COS(dir_diff)) AS dir_cos,
+              SQRT(AVG(POWER(ref_speed - speed * fit.scale, 2))) AS rmse
+       FROM pairs, fit
+       GROUP BY fit.scale`,
+      [referenceId, stationId, `${days} days`, minSpeed]
     );
-    return rows;
+    return rows[0] || { samples: 0, scale: null, dir_sin: null, dir_cos: null, rmse: null };
   }
 
   /**
-   * Get all hourly archive rows for a calendar month in Bangkok time.
+   * Hourly archive rows of a calendar month (rollupTimezone) grouped by day,
+   * with a rideable flag per hour. Uses the rollup hours and banding, so
+   * rideableHours matches what getMonthlyRideableStats counts for the day.
    * monthKey: 'YYYY-MM'
+   * @returns {Array} [{ date, rideableHours, hours: [{ hour, avgWind, maxWind, maxGust, dir, rideable }] }]
    */
-  async getHourlyRowsForMonth(monthKey, stationId = 'pak_nam_pran') {
-    const [yStr, mStr] = monthKey.split('-');
-    const year = parseInt(yStr, 10);
-    const month = parseInt(mStr, 10);
-    const nextYear = month === 12 ? year + 1 : year;
-    const nextMonth = month === 12 ? 1 : month + 1;
-    const fromIso = `${monthKey}-01T00:00:00+07:00`;
-    const toIso = `${nextYear}-${String(nextMonth).padStart(2, '0')}-01T00:00:00+07:00`;
-
+  async getMonthDays(monthKey, { minWind, maxWind, stationId = 'pak_nam_pran' }) {
+    const hours = this.rollupHours(stationId);
     const { rows } = await this.pool.query(
       `SELECT
-         hour_timestamp,
+         to_char(hour_timestamp AT TIME ZONE $5, 'YYYY-MM-DD') AS date,
+         EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $5)::int AS hour,
          avg_wind_speed,
          max_wind_speed,
          max_wind_gust,
          dominant_wind_direction
        FROM hourly_archive
        WHERE station_id = $1
-         AND hour_timestamp >= $2
-         AND hour_timestamp < $3
+         AND hour_timestamp >= ($2 || '-01')::date AT TIME ZONE $5
+         AND hour_timestamp < (($2 || '-01')::date + INTERVAL '1 month') AT TIME ZONE $5
+         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $5) >= $3
+         AND EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $5) < $4
        ORDER BY hour_timestamp ASC`,
-      [stationId, fromIso, toIso]
+      [stationId, monthKey, hours.start, hours.end, this.rollupTimezone(stationId)]
     );
-    return rows;
+
+    const round = value => (value !== null ? +parseFloat(value).toFixed(1) : null);
+    const days = new Map();
+    for (const row of rows) {
+      if (!days.has(row.date)) days.set(row.date, { date: row.date, rideableHours: 0, hours: [] });
+      const day = days.get(row.date);
+      const midpoint = row.avg_wind_speed !== null ? bandMidpoint(parseFloat(row.avg_wind_speed)) : null;
+      const rideable = midpoint !== null && midpoint >= minWind && midpoint <= maxWind;
+      if (rideable) day.rideableHours++;
+      day.hours.push({
+        hour: row.hour,
+        avgWind: round(row.avg_wind_speed),
+        maxWind: round(row.max_wind_speed),
+        maxGust: round(row.max_wind_gust),
+        dir: row.dominant_wind_direction !== null ? parseInt(row.dominant_wind_direction, 10) : null,
+        rideable
+      });
+    }
+    return [...days.values()];
   }
 
   /**
    * Compute monthly statistics on "rideable days" for a given sport.
    *
-   * A day is considered rideable if during working hours (6:00–19:00 Bangkok)
-   * it had at least `minHours` hours with avg_wind_speed within
-   * [minWind, maxWind] (knots).
+   * A day is considered rideable if during the station's rollup hours
+   * (see rollupHours) it had at least `minHours` hours with avg_wind_speed within
+   * [minWind, maxWind] (knots). Answered from the rollups: an hour counts by
+   * the midpoint of its ROLLUP_BAND_KNOTS band, so limits are exact to
+   * ±0.25 knots.
    *
    * Direction is intentionally NOT checked here — station calibration is
    * unreliable for some sensors and offshore-vs-onshore can be misleading
@@ -237,100 +488,56 @@ export class ArchiveManager {
     minWind,
     maxWind,
     minHours = 2,
-    workStartHour = 6,
-    workEndHour = 19,
     stationId = 'pak_nam_pran'
   }) {
-    const rows = await this.getHourlyRowsForMonths(months, stationId);
-
-    // Bucket by Bangkok-local date
-    const bangkokFmt = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'Asia/Bangkok',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-    const bangkokHourFmt = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      hour: 'numeric',
-      hour12: false
-    });
-
-    const days = new Map(); // dateKey -> { rideableHours, anyHours }
-
-    for (const row of rows) {
-      const ts = new Date(row.hour_timestamp);
-      const hour = parseInt(bangkokHourFmt.format(ts), 10);
-      // Working hours 6:00–19:00 inclusive of 18:xx, so hour 6..18
-      if (hour < workStartHour || hour >= workEndHour) continue;
-
-      const dateKey = bangkokFmt.format(ts); // YYYY-MM-DD
-      let entry = days.get(dateKey);
-      if (!entry) {
-        entry = { rideableHours: 0, anyHours: 0 };
-        days.set(dateKey, entry);
-      }
-      entry.anyHours += 1;
-
-      const speed = parseFloat(row.avg_wind_speed);
-      if (!isFinite(speed)) continue;
-      if (speed < minWind || speed > maxWind) continue;
-
-      entry.rideableHours += 1;
+    // Last N calendar months of the station's timezone, oldest first,
+    // including the current one
+    const [year, month] = new Date()
+      .toLocaleDateString('en-CA', { timeZone: this.rollupTimezone(stationId) })
+      .split('-').map(Number);
+    const monthKeys = [];
+    for (let i = months - 1; i >= 0; i--) {
+      const d = new Date(Date.UTC(year, month - 1 - i, 1));
+      monthKeys.push(d.toISOString().slice(0, 7));
     }
 
-    // Bucket days by month (YYYY-MM)
-    const monthsMap = new Map();
-    for (const [dateKey, info] of days.entries()) {
-      const monthKey = dateKey.slice(0, 7);
-      let m = monthsMap.get(monthKey);
-      if (!m) {
-        m = {
-          month: monthKey,
-          totalDays: 0,
-          rideableDays: 0,
-          totalRideableHours: 0,
-          bestDay: null
-        };
-        monthsMap.set(monthKey, m);
-      }
-      m.totalDays += 1;
-      m.totalRideableHours += info.rideableHours;
-      if (info.rideableHours >= minHours) {
-        m.rideableDays += 1;
-      }
-      if (!m.bestDay || info.rideableHours > m.bestDay.hours) {
-        m.bestDay = { date: dateKey, hours: info.rideableHours };
-      }
-    }
+    const { rows } = await this.pool.query(
+      `WITH days AS (
+         SELECT day, ${rideableHoursSql('speed_bands', '$3', '$4')} AS rideable_hours
+         FROM archive_daily
+         WHERE station_id = $1 AND day >= $2::date
+       ),
+       per_month AS (
+         SELECT date_trunc('month', day)::date AS month,
+                COUNT(*) FILTER (WHERE rideable_hours >= $5)::int AS rideable_days,
+                (array_agg(to_char(day, 'YYYY-MM-DD') ORDER BY rideable_hours DESC, day ASC))[1] AS best_date,
+                MAX(rideable_hours) AS best_hours
+         FROM days
+         GROUP BY 1
+       )
+       SELECT to_char(m.month, 'YYYY-MM') AS month,
+              m.days AS total_days,
+              ${rideableHoursSql('m.speed_bands', '$3', '$4')} AS total_rideable_hours,
+              COALESCE(p.rideable_days, 0) AS rideable_days,
+              p.best_date,
+              p.best_hours
+       FROM archive_monthly m
+       LEFT JOIN per_month p ON p.month = m.month
+       WHERE m.station_id = $1 AND m.month >= $2::date`,
+      [stationId, `${monthKeys[0]}-01`, minWind, maxWind, minHours]
+    );
+    const byMonth = new Map(rows.map(row => [row.month, row]));
 
-    // Build chronological list of last N months, including empty months
-    const result = [];
-    const now = new Date();
-    const bkkParts = bangkokFmt.format(now).split('-'); // YYYY, MM, DD
-    let year = parseInt(bkkParts[0], 10);
-    let month = parseInt(bkkParts[1], 10); // 1..12
-
-    for (let i = 0; i < months; i++) {
-      const key = `${year}-${String(month).padStart(2, '0')}`;
-      const m = monthsMap.get(key);
-      result.push(m || {
+    return monthKeys.map(key => {
+      const row = byMonth.get(key);
+      return {
         month: key,
-        totalDays: 0,
-        rideableDays: 0,
-        totalRideableHours: 0,
-        bestDay: null
-      });
-      month -= 1;
-      if (month === 0) {
-        month = 12;
-        year -= 1;
-      }
-    }
-
-    // Reverse so oldest first
-    result.reverse();
-    return result;
+        totalDays: row?.total_days || 0,
+        rideableDays: row?.rideable_days || 0,
+        totalRideableHours: row?.total_rideable_hours || 0,
+        bestDay: row?.best_date ? { date: row.best_date, hours: row.best_hours } : null
+      };
+    });
   }
 
   /**
@@ -1,76 +1,382 @@
 import fs from 'fs';
 
 /**
- * CalibrationManager - manages wind direction calibration offset
- * Stores offset in a JSON file and applies it to wind direction data
+ * CalibrationManager - per-station sensor calibration, versioned by date.
+ *
+ * Each version says "from `valid_from` on, add `dir_offset` degrees to the
+ * station's raw direction and multiply its speeds by `speed_scale`". A reading
+ * is rendered with the version valid at its own timestamp, so history keeps
+ * the correction that applied back then. Versions live in
+ * `station_calibrations` and are cached in memory (apply*() are synchronous).
+ *
+ * Proposals are estimated from history (see proposeCalibration()):
+ *   - against a reference station over overlapping hourly_archive hours
+ *     (direction offset and speed scale, in the reference's calibrated frame);
+ *   - against forecast model direction (forecast_backtest), direction only.
+ *
+ * The old single global offset (./data/calibration.json) is imported once as
+ * a 'legacy' version of the primary station.
  */
-export class CalibrationManager {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.data = { windDirOffset: 0 };
-    this.load();
-  }
 
+const PROPOSAL_MIN_SPEED = 3;          // knots; calm hours say nothing about alignment
+const PROPOSAL_MIN_FORECAST_SPEED = 8; // knots; model direction is unreliable in light wind
+const FULL_CONFIDENCE_SAMPLES = 200;   // hours
+const DISAGREEMENT_DEGREES = 30;
+const SPEED_SCALE_LIMITS = [0.5, 2];
+const DEFAULT_PROPOSAL_MODEL = 'ecmwf_ifs025';
+
+/**
+ * Wrap to -180..180
+ */
+function wrapOffset(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+const toDegrees = radians => (radians * 180) / Math.PI;
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class CalibrationManager {
   /**
-   * Load calibration data from file
+   * @param {Object} pgPool
+   * @param {string} legacyFilePath - pre-PostgreSQL calibration.json
+   * @param {Array} stations - config.stations
+   * @param {Object} sources - { archiveManager, backtestImporter } for proposals
    */
-  load() {
+  constructor(pgPool, legacyFilePath, stations = [], { archiveManager = null, backtestImporter = null } = {}) {
+    this.pool = pgPool;
+    this.legacyFilePath = legacyFilePath;
+    this.stations = stations;
+    this.archiveManager = archiveManager;
+    this.backtestImporter = backtestImporter;
+    this.defaultStationId = stations.find(s => s.isPrimary)?.id || 'pak_nam_pran';
+
+    // stationId → versions, oldest first. Usable before initialize(): the
+    // legacy file offset is the primary station's only version until then.
+    this.versions = new Map();
+    const legacyOffset = this.readLegacyOffset();
+    if (legacyOffset) {
+      this.versions.set(this.defaultStationId, [this._legacyVersion(legacyOffset)]);
+    }
+  }
+
+  async initialize() {
+    await this.migrateLegacyFile();
+    await this.reload();
+    console.log(`✓ CalibrationManager initialized (${this.versions.size} calibrated station(s))`);
+  }
+
+  readLegacyOffset() {
     try {
-      if (fs.existsSync(this.filePath)) {
-        const raw = fs.readFileSync(this.filePath, 'utf8');
-        this.data = JSON.parse(raw);
-      } else {
-        this.save();
+      if (fs.existsSync(this.legacyFilePath)) {
+        return parseInt(JSON.parse(fs.readFileSync(this.legacyFilePath, 'utf8')).windDirOffset, 10) || 0;
       }
     } catch (error) {
-      console.warn('CalibrationManager: could not load, using defaults:', error.message);
-      this.save();
+      console.warn('CalibrationManager: could not read legacy calibration file:', error.message);
     }
+    return 0;
+  }
+
+  _legacyVersion(dirOffset) {
+    return {
+      id: null,
+      stationId: this.defaultStationId,
+      validFrom: new Date(0).toISOString(),
+      dirOffset,
+      speedScale: 1,
+      source: 'legacy',
+      confidence: null,
+      details: null,
+      createdBy: null,
+      createdAt: null
+    };
   }
 
   /**
-   * Save calibration data to file
+   * One-time import of the global offset from calibration.json as the primary
+   * station's first version (valid since forever). The file is renamed to
+   * *.migrated afterwards.
    */
-  save() {
+  async migrateLegacyFile() {
+    if (!fs.existsSync(this.legacyFilePath)) return;
+
     try {
-      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+      const offset = this.readLegacyOffset();
+      if (offset !== 0) {
+        await this.pool.query(
+          `INSERT INTO station_calibrations (station_id, valid_from, dir_offset, source, details)
+           VALUES ($1, 'epoch', $2, 'legacy', $3)
+           ON CONFLICT (station_id, valid_from) DO NOTHING`,
+          [this.defaultStationId, offset, JSON.stringify({ file: this.legacyFilePath })]
+        );
+      }
+      fs.renameSync(this.legacyFilePath, `${this.legacyFilePath}.migrated`);
+      console.log(`✓ Migrated calibration offset ${offset}° for ${this.defaultStationId} to PostgreSQL`);
     } catch (error) {
-      console.error('CalibrationManager: could not save:', error.message);
+      console.error('Error migrating calibration file:', error.message);
     }
   }
 
   /**
-   * Get current wind direction offset
-   * @returns {number} Offset in degrees (-180 to +180)
+   * Re-read all versions (picks up calibrations applied through other replicas)
    */
-  getOffset() {
-    return this.data.windDirOffset || 0;
+  async reload() {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM station_calibrations ORDER BY station_id, valid_from ASC'
+    );
+    const versions = new Map();
+    for (const row of rows) {
+      if (!versions.has(row.station_id)) versions.set(row.station_id, []);
+      versions.get(row.station_id).push(this._rowToVersion(row));
+    }
+    this.versions = versions;
+    return versions;
+  }
+
+  _rowToVersion(row) {
+    return {
+      id: row.id,
+      stationId: row.station_id,
+      validFrom: new Date(row.valid_from).toISOString(),
+      dirOffset: row.dir_offset,
+      speedScale: parseFloat(row.speed_scale),
+      source: row.source,
+      confidence: row.confidence !== null ? parseFloat(row.confidence) : null,
+      details: row.details,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Calibration of a station valid at `at` (default: now). Uncalibrated
+   * stations get the identity { dirOffset: 0, speedScale: 1, id: null }.
+   */
+  getCalibration(stationId = this.defaultStationId, at = null) {
+    const versions = this.versions.get(stationId) || [];
+    const time = at ? new Date(at).getTime() : Date.now();
+    let current = null;
+    for (const version of versions) {
+      if (new Date(version.validFrom).getTime() > time) break;
+      current = version;
+    }
+    return current || {
+      id: null, stationId, validFrom: null, dirOffset: 0, speedScale: 1, source: null, confidence: null
+    };
   }
 
   /**
-   * Set wind direction offset
-   * @param {number} offset - Offset in degrees (-180 to +180)
-   * @returns {boolean} Success
+   * Current direction offset of a station (the primary by default)
+   * @returns {number} Offset in degrees (-180 to +180)
    */
-  setOffset(offset) {
-    const value = parseInt(offset, 10);
-    if (isNaN(value) || value < -180 || value > 180) {
-      return false;
-    }
-    this.data.windDirOffset = value;
-    this.save();
-    return true;
+  getOffset(stationId = this.defaultStationId) {
+    return this.getCalibration(stationId).dirOffset;
   }
 
   /**
-   * Apply offset to a wind direction value
+   * Apply the direction offset valid at `at` to a raw direction
    * @param {number} direction - Raw direction in degrees (0-360)
+   * @param {string} stationId - defaults to the primary station
+   * @param {Date|string} at - reading time (default: now)
    * @returns {number} Corrected direction (0-359)
    */
-  applyOffset(direction) {
+  applyOffset(direction, stationId = this.defaultStationId, at = null) {
     if (direction === null || direction === undefined) return direction;
-    const offset = this.getOffset();
+    const offset = this.getCalibration(stationId, at).dirOffset;
     if (offset === 0) return direction;
     return ((direction + offset) % 360 + 360) % 360;
   }
+
+  /**
+   * Apply the speed scale valid at `at` to a raw speed (knots)
+   */
+  applySpeed(speed, stationId = this.defaultStationId, at = null) {
+    if (speed === null || speed === undefined) return speed;
+    return speed * this.getCalibration(stationId, at).speedScale;
+  }
+
+  /**
+   * Add a calibration version
+   * @param {string} stationId
+   * @param {Object} calibration - { dirOffset, speedScale, validFrom, source, confidence, details, createdBy };
+   *   missing dirOffset / speedScale keep the values valid at validFrom
+   * @returns {Object} { calibration, previous } or { error }
+   */
+  async setCalibration(stationId, calibration = {}) {
+    if (!this.stations.some(s => s.id === stationId)) {
+      return { error: `Unknown station: ${stationId}` };
+    }
+
+    const validFrom = calibration.validFrom ? new Date(calibration.validFrom) : new Date();
+    if (isNaN(validFrom)) {
+      return { error: 'Invalid validFrom' };
+    }
+    if (validFrom.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+      return { error: 'validFrom cannot be more than a day in the future' };
+    }
+
+    const previous = this.getCalibration(stationId, validFrom);
+    const dirOffset = calibration.dirOffset ?? previous.dirOffset;
+    const speedScale = calibration.speedScale ?? previous.speedScale;
+
+    const offsetValue = parseInt(dirOffset, 10);
+    if (isNaN(offsetValue) || offsetValue < -180 || offsetValue > 180) {
+      return { error: 'Invalid offset value (must be integer -180 to +180)' };
+    }
+    const scaleValue = parseFloat(speedScale);
+    if (!Number.isFinite(scaleValue) || scaleValue < SPEED_SCALE_LIMITS[0] || scaleValue > SPEED_SCALE_LIMITS[1]) {
+      return { error: `Invalid speedScale (must be ${SPEED_SCALE_LIMITS[0]} to ${SPEED_SCALE_LIMITS[1]})` };
+    }
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO station_calibrations
+         (station_id, valid_from, dir_offset, speed_scale, source, confidence, details, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (station_id, valid_from) DO UPDATE SET
+         dir_offset = EXCLUDED.dir_offset,
+         speed_scale = EXCLUDED.speed_scale,
+         source = EXCLUDED.source,
+         confidence = EXCLUDED.confidence,
+         details = EXCLUDED.details,
+         created_by = EXCLUDED.created_by,
+         created_at = NOW()
+       RETURNING *`,
+      [
+        stationId,
+        validFrom.toISOString(),
+        offsetValue,
+        scaleValue,
+        calibration.source || 'manual',
+        calibration.confidence ?? null,
+        calibration.details ? JSON.stringify(calibration.details) : null,
+        calibration.createdBy || null
+      ]
+    );
+
+    await this.reload();
+    return { calibration: this._rowToVersion(rows[0]), previous };
+  }
+
+  /**
+   * All versions of a station, newest first
+   */
+  getHistory(stationId) {
+    return [...(this.versions.get(stationId) || [])].reverse();
+  }
+
+  /**
+   * Current calibration of every configured station
+   */
+  getAllCurrent() {
+    return this.stations.map(station => ({
+      stationId: station.id,
+      name: station.name,
+      isPrimary: station.id === this.defaultStationId,
+      ...this.getCalibration(station.id)
+    }));
+  }
+
+  /**
+   * Estimate a calibration for a station from history
+   * @param {string} stationId
+   * @param {Object} options - { days, referenceId, modelId }; referenceId
+   *   defaults to the primary station (none for the primary itself)
+   * @returns {Object} { stationId, current, proposed, change, confidence, recommendation, sources } or { error }
+   */
+  async proposeCalibration(stationId, { days = 90, referenceId = null, modelId = DEFAULT_PROPOSAL_MODEL } = {}) {
+    if (!this.stations.some(s => s.id === stationId)) {
+      return { error: `Unknown station: ${stationId}` };
+    }
+    const reference = referenceId || (stationId !== this.defaultStationId ? this.defaultStationId : null);
+    if (reference === stationId) {
+      return { error: 'A station cannot be its own reference' };
+    }
+    if (reference && !this.stations.some(s => s.id === reference)) {
+      return { error: `Unknown reference station: ${reference}` };
+    }
+
+    const current = this.getCalibration(stationId);
+    const sources = [];
+
+    if (reference && this.archiveManager) {
+      const pair = await this.archiveManager.getStationPairStats(reference, stationId, days, PROPOSAL_MIN_SPEED);
+      if (pair.samples > 0 && pair.scale !== null) {
+        // Raw → raw comparison, lifted into the reference's calibrated frame
+        const referenceCalibration = this.getCalibration(reference);
+        const concentration = Math.hypot(pair.dir_sin, pair.dir_cos);
+        sources.push({
+          source: 'reference',
+          referenceId: reference,
+          samples: pair.samples,
+          dirOffset: Math.round(wrapOffset(toDegrees(Math.atan2(pair.dir_sin, pair.dir_cos)) + referenceCalibration.dirOffset)),
+          speedScale: round(parseFloat(pair.scale) * referenceCalibration.speedScale, 3),
+          speedRmse: pair.rmse !== null ? round(parseFloat(pair.rmse)) : null,
+          concentration: round(concentration, 3),
+          confidence: round(concentration * Math.min(1, pair.samples / FULL_CONFIDENCE_SAMPLES), 3)
+        });
+      }
+    }
+
+    if (this.backtestImporter) {
+      const agreement = await this.backtestImporter.getDirectionAgreement(stationId, modelId, days, PROPOSAL_MIN_FORECAST_SPEED);
+      if (agreement.samples > 0) {
+        const concentration = Math.hypot(agreement.dir_sin, agreement.dir_cos);
+        sources.push({
+          source: 'forecast',
+          modelId,
+          samples: agreement.samples,
+          dirOffset: Math.round(wrapOffset(toDegrees(Math.atan2(agreement.dir_sin, agreement.dir_cos)))),
+          speedScale: null,
+          concentration: round(concentration, 3),
+          confidence: round(concentration * Math.min(1, agreement.samples / FULL_CONFIDENCE_SAMPLES), 3)
+        });
+      }
+    }
+
+    if (sources.length === 0) {
+      return {
+        stationId, current, proposed: null, change: null, confidence: 0,
+        recommendation: 'insufficient_data', sources
+      };
+    }
+
+    // Direction: confidence-weighted circular mean of the sources
+    let sumX = 0;
+    let sumY = 0;
+    for (const s of sources) {
+      sumX += Math.cos((s.dirOffset * Math.PI) / 180) * s.confidence;
+      sumY += Math.sin((s.dirOffset * Math.PI) / 180) * s.confidence;
+    }
+    const totalConfidence = sources.reduce((sum, s) => sum + s.confidence, 0);
+    const dirOffset = totalConfidence > 0
+      ? Math.round(wrapOffset(toDegrees(Math.atan2(sumY, sumX))))
+      : current.dirOffset;
+    let confidence = totalConfidence > 0
+      ? sources.reduce((sum, s) => sum + s.confidence ** 2, 0) / totalConfidence
+      : 0;
+    const offsets = sources.map(s => s.dirOffset);
+    if (offsets.length > 1 && Math.abs(wrapOffset(offsets[0] - offsets[1])) > DISAGREEMENT_DEGREES) {
+      confidence /= 2;
+    }
+
+    const referenceSource = sources.find(s => s.source === 'reference');
+    const speedScale = referenceSource
+      ? Math.min(SPEED_SCALE_LIMITS[1], Math.max(SPEED_SCALE_LIMITS[0], referenceSource.speedScale))
+      : current.speedScale;
+
+    const change = {
+      dirOffset: Math.round(wrapOffset(dirOffset - current.dirOffset)),
+      speedScale: round(speedScale / current.speedScale, 3)
+    };
+    const significant = Math.abs(change.dirOffset) >= 5 || Math.abs(change.speedScale - 1) >= 0.05;
+
+    return {
+      stationId,
+      current,
+      proposed: { dirOffset, speedScale: round(speedScale, 3) },
+      change,
+      confidence: round(confidence, 3),
+      recommendation: !significant ? 'keep' : (confidence >= 0.6 ? 'apply' : 'review'),
+      sources
+    };
+  }
 }
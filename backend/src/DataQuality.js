@@ -0,0 +1,132 @@
+/**
+ * DataQuality - QC checks for raw station measurements.
+ *
+ * Every wind_data row gets `qc_flags` (TEXT[], empty = clean) when it is
+ * written:
+ *   speed_missing     - the station sent no speed (stored as 0)
+ *   range_speed       - speed outside 0..MAX_SPEED knots
+ *   range_gust        - gust outside 0..MAX_GUST knots
+ *   range_direction   - direction outside 0..360°
+ *   direction_missing - the station sent no direction (stored as 0)
+ *   gust_below_speed  - gust lower than the mean speed
+ *   spike             - speed jumped by SPIKE_MIN_JUMP knots and SPIKE_FACTOR×
+ *                       against the previous usable reading (≤ SPIKE_WINDOW_MINUTES old)
+ *   stuck             - STUCK_SAMPLES identical readings in a row, or zero
+ *                       speed with real gusts (the row completing the run is flagged)
+ *
+ * EXCLUDING_FLAGS drop the row from aggregates. The other flags only make a
+ * field unusable (gust / direction) and halve the row's weight.
+ *
+ * Works on wind_data row shape ({ timestamp, wind_speed_knots, ... }).
+ */
+
+export const MAX_SPEED = 70;
+export const MAX_GUST = 90;
+const SPIKE_MIN_JUMP = 20;
+const SPIKE_FACTOR = 3;
+const SPIKE_WINDOW_MINUTES = 15;
+const GUST_TOLERANCE = 0.5;           // knots; rounding of mph → knots
+export const STUCK_SAMPLES = 6;       // 30 minutes of rows
+const STUCK_ZERO_SPEED_MIN_GUST = 3;  // knots; lighter gusts with 0 speed happen in calm air
+export const SOFT_FLAG_WEIGHT = 0.5;
+
+export const QC_FLAGS = [
+  'speed_missing', 'range_speed', 'range_gust', 'range_direction', 'direction_missing',
+  'gust_below_speed', 'spike', 'stuck'
+];
+export const EXCLUDING_FLAGS = ['speed_missing', 'range_speed', 'range_direction', 'spike', 'stuck'];
+const GUST_FLAGS = ['range_gust', 'gust_below_speed'];
+
+// SQL conditions on wind_data: row may enter aggregates / its gust / its direction is usable
+export const QC_USABLE_SQL = `NOT (qc_flags && ARRAY['${EXCLUDING_FLAGS.join("','")}']::text[])`;
+export const QC_GUST_SQL = `NOT (qc_flags && ARRAY['${GUST_FLAGS.join("','")}']::text[])`;
+export const QC_DIRECTION_SQL = `NOT ('direction_missing' = ANY(qc_flags))`;
+
+// Hour of hourly_archive built mostly from usable rows (scoring, calibration)
+export const qcReliableHourSql = (alias = '') =>
+  `${alias ? `${alias}.` : ''}qc_excluded_count <= ${alias ? `${alias}.` : ''}measurement_count`;
+
+const num = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+const flagsOf = row => row.qc_flags || [];
+
+/**
+ * 'stuck_identical' | 'stuck_zero_speed' | null for rows in chronological order
+ */
+export function detectStuck(rows) {
+  if (!rows || rows.length < STUCK_SAMPLES) return null;
+  const speed = row => num(row.wind_speed_knots) || 0;
+  const gust = row => num(row.wind_gust_knots) || 0;
+
+  if (rows.every(row => speed(row) === 0 && gust(row) >= STUCK_ZERO_SPEED_MIN_GUST)) {
+    return 'stuck_zero_speed';
+  }
+
+  // Dead calm (0 / 0) is a real reading, not a frozen sensor
+  const first = rows[0];
+  const identical = rows.every(row =>
+    speed(row) === speed(first)
+    && gust(row) === gust(first)
+    && parseInt(row.wind_direction) === parseInt(first.wind_direction)
+  );
+  if (identical && (speed(first) > 0 || gust(first) > 0)) {
+    return 'stuck_identical';
+  }
+  return null;
+}
+
+/**
+ * QC flags of one measurement
+ * @param {Object} row - wind_data row shape; null speed / direction = not reported
+ * @param {Array} previous - earlier rows of the same station, chronological, with qc_flags
+ * @returns {string[]} flags (empty = clean)
+ */
+export function checkMeasurement(row, previous = []) {
+  const flags = [];
+  const speed = num(row.wind_speed_knots);
+  const gust = num(row.wind_gust_knots);
+  const dir = num(row.wind_direction);
+
+  if (speed === null) {
+    flags.push('speed_missing');
+  } else if (isNaN(speed) || speed < 0 || speed > MAX_SPEED) {
+    flags.push('range_speed');
+  }
+  if (gust !== null && (isNaN(gust) || gust < 0 || gust > MAX_GUST)) flags.push('range_gust');
+  if (dir === null) {
+    flags.push('direction_missing');
+  } else if (isNaN(dir) || dir < 0 || dir > 360) {
+    flags.push('range_direction');
+  }
+  if (gust !== null && speed !== null && gust < speed - GUST_TOLERANCE) flags.push('gust_below_speed');
+
+  // Rate of change against the last reading that was itself usable
+  const at = new Date(row.timestamp).getTime();
+  const reference = [...previous].reverse().find(p => !flagsOf(p).some(flag => EXCLUDING_FLAGS.includes(flag)));
+  if (reference && speed !== null && !flags.includes('range_speed')
+    && at - new Date(reference.timestamp).getTime() <= SPIKE_WINDOW_MINUTES * 60 * 1000) {
+    const before = num(reference.wind_speed_knots) || 0;
+    if (speed - before >= SPIKE_MIN_JUMP && speed >= SPIKE_FACTOR * Math.max(before, 1)) {
+      flags.push('spike');
+    }
+  }
+
+  if (detectStuck([...previous.slice(-(STUCK_SAMPLES - 1)), row])) flags.push('stuck');
+
+  return flags;
+}
+
+/**
+ * Aggregation weight of a row: 0 (excluded), SOFT_FLAG_WEIGHT or 1
+ */
+export function qcWeight(flags = []) {
+  if (flags.some(flag => EXCLUDING_FLAGS.includes(flag))) return 0;
+  return flags.length > 0 ? SOFT_FLAG_WEIGHT : 1;
+}
+
+export function isGustUsable(flags = []) {
+  return !flags.some(flag => GUST_FLAGS.includes(flag));
+}
+
+export function isDirectionUsable(flags = []) {
+  return !flags.includes('direction_missing');
+}
@@ -1,6 +1,9 @@
+import { checkMeasurement, QC_FLAGS, QC_USABLE_SQL, QC_GUST_SQL, QC_DIRECTION_SQL, STUCK_SAMPLES } from './DataQuality.js';
+
 /**
  * DatabaseManager - manages the working database for real-time wind data
- * Stores detailed measurements with 1-minute granularity
+ * Stores detailed measurements with 1-minute granularity, each with QC flags
+ * (DataQuality.js)
  * Uses PostgreSQL via shared pool
  */
 export class DatabaseManager {
@@ -9,74 +12,57 @@ export class DatabaseManager {
   }
 
   async initialize() {
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS wind_data (
-        id               SERIAL PRIMARY KEY,
-        timestamp        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        station_id       TEXT NOT NULL DEFAULT 'pak_nam_pran',
-        wind_speed_knots DOUBLE PRECISION NOT NULL,
-        wind_gust_knots  DOUBLE PRECISION,
-        max_gust_knots   DOUBLE PRECISION,
-        wind_direction   INTEGER NOT NULL,
-        wind_direction_avg INTEGER,
-        temperature      DOUBLE PRECISION,
-        humidity         DOUBLE PRECISION,
-        pressure         DOUBLE PRECISION,
-        created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      )
-    `);
-
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_wind_data_timestamp
-      ON wind_data(timestamp DESC)
-    `);
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_wind_station_ts
-      ON wind_data(station_id, timestamp DESC)
-    `);
-
-    // Ensure (station_id, timestamp) uniqueness so historical imports are idempotent.
-    try {
-      await this.pool.query(`
-        DELETE FROM wind_data a USING wind_data b
-        WHERE a.id > b.id AND a.station_id = b.station_id AND a.timestamp = b.timestamp
-      `);
-      await this.pool.query(`
-        CREATE UNIQUE INDEX IF NOT EXISTS uniq_wind_station_ts
-        ON wind_data(station_id, timestamp)
-      `);
-    } catch (e) {
-      console.warn('Could not create unique index on wind_data:', e.message);
-    }
-
     const { rows } = await this.pool.query('SELECT COUNT(*) as count FROM wind_data');
     const recordCount = rows[0]?.count || 0;
     console.log(`✓ Working database initialized (${recordCount} existing records)`);
   }
 
+  /**
+   * Normalized record (providers/StationProvider.js) → wind_data row shape.
+   * Missing speed / direction stay null here for QC and are stored as 0.
+   */
+  _toRow(data, stationId) {
+    return {
+      timestamp: data.timestamp,
+      station_id: stationId,
+      wind_speed_knots: data.windSpeedKnots ?? null,
+      wind_gust_knots: data.windGustKnots ?? null,
+      max_gust_knots: data.maxGustKnots ?? null,
+      wind_direction: data.windDir ?? null,
+      wind_direction_avg: data.windDirAvg ?? null,
+      temperature: data.temperature ?? null,
+      humidity: data.humidity ?? null,
+      pressure: data.pressure ?? null
+    };
+  }
+
+  _rowValues(row) {
+    return [
+      row.timestamp, row.station_id, row.wind_speed_knots ?? 0, row.wind_gust_knots, row.max_gust_knots,
+      row.wind_direction ?? 0, row.wind_direction_avg, row.temperature, row.humidity, row.pressure,
+      row.qc_flags
+    ];
+  }
+
   /**
    * Insert new wind measurement. Returns true if a new row was inserted,
    * false if a row with the same (station_id, timestamp) already existed.
    */
   async insertWindData(data, stationId = 'pak_nam_pran') {
+    const row = this._toRow(data, stationId);
+    const previous = await this.getMeasurementsBefore(stationId, row.timestamp, STUCK_SAMPLES);
+    row.qc_flags = checkMeasurement(row, previous);
+    if (row.qc_flags.length > 0) {
+      console.warn(`  ⚠ ${stationId}: QC flags ${row.qc_flags.join(', ')} at ${row.timestamp}`);
+    }
+
     const result = await this.pool.query(
       `INSERT INTO wind_data (
         timestamp, station_id, wind_speed_knots, wind_gust_knots, max_gust_knots,
-        wind_direction, wind_direction_avg, temperature, humidity, pressure
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        wind_direction, wind_direction_avg, temperature, humidity, pressure, qc_flags
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       ON CONFLICT (station_id, timestamp) DO NOTHING`,
-      [
-        data.timestamp,
-        stationId,
-        data.windSpeedKnots,
-        data.windGustKnots,
-        data.maxGustKnots,
-        data.windDir,
-        data.windDirAvg,
-        data.temperature,
-        data.humidity,
-        data.pressure
-      ]
+      this._rowValues(row)
     );
     return result.rowCount > 0;
   }
@@ -88,25 +74,33 @@ export class DatabaseManager {
   async insertWindDataBatch(records, stationId) {
     if (!records || records.length === 0) return 0;
 
-    const cols = 10;
+    // QC runs in time order, each record against the ones before it
+    const rows = records
+      .map(d => this._toRow(d, stationId))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const previous = await this.getMeasurementsBefore(stationId, rows[0].timestamp, STUCK_SAMPLES);
+    for (const row of rows) {
+      row.qc_flags = checkMeasurement(row, previous);
+      previous.push(row);
+      if (previous.length > STUCK_SAMPLES) previous.shift();
+    }
+
+    const cols = 11;
     const values = [];
     const placeholders = [];
-    records.forEach((d, i) => {
+    rows.forEach((row, i) => {
       const base = i * cols;
       placeholders.push(
         `($${base + 1},$${base + 2},$${base + 3},$${base + 4},$${base + 5},`
-        + `$${base + 6},$${base + 7},$${base + 8},$${base + 9},$${base + 10})`
-      );
-      values.push(
-        d.timestamp, stationId, d.windSpeedKnots, d.windGustKnots, d.maxGustKnots,
-        d.windDir, d.windDirAvg, d.temperature, d.humidity, d.pressure
+        + `$${base + 6},$${base + 7},$${base + 8},$${base + 9},$${base + 10},$${base + 11})`
       );
+      values.push(...this._rowValues(row));
     });
 
     const result = await this.pool.query(
       `INSERT INTO wind_data (
         timestamp, station_id, wind_speed_knots, wind_gust_knots, max_gust_knots,
-        wind_direction, wind_direction_avg, temperature, humidity, pressure
+        wind_direction, wind_direction_avg, temperature, humidity, pressure, qc_flags
       ) VALUES ${placeholders.join(',')}
       ON CONFLICT (station_id, timestamp) DO NOTHING`,
       values
@@ -114,6 +108,134 @@ export class DatabaseManager {
     return result.rowCount;
   }
 
+  /**
+   * Last `count` measurements strictly before a timestamp, chronological
+   * (QC context for a new measurement)
+   */
+  async getMeasurementsBefore(stationId, beforeIso, count = STUCK_SAMPLES) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM wind_data
+       WHERE station_id = $1 AND timestamp < $2
+       ORDER BY timestamp DESC
+       LIMIT $3`,
+      [stationId, beforeIso, count]
+    );
+    return rows.reverse();
+  }
+
+  /**
+   * Re-run QC over stored measurements (rows written before QC existed, or
+   * after changing the thresholds). Missing-value flags are kept: the stored 0
+   * no longer tells whether the station reported anything.
+   * @returns {Object} { checked, changed, changedHours } - changedHours: hour ISO strings to re-aggregate
+   */
+  async recheckQuality(stationId, fromIso, toIso) {
+    const rows = await this.getDataInRange(stationId, fromIso, toIso);
+    if (rows.length === 0) return { checked: 0, changed: 0, changedHours: [] };
+
+    const previous = await this.getMeasurementsBefore(stationId, rows[0].timestamp, STUCK_SAMPLES);
+    const updates = [];
+    const changedHours = new Set();
+    for (const row of rows) {
+      const stored = row.qc_flags || [];
+      const input = {
+        ...row,
+        wind_speed_knots: stored.includes('speed_missing') ? null : row.wind_speed_knots,
+        wind_direction: stored.includes('direction_missing') ? null : row.wind_direction
+      };
+      const flags = checkMeasurement(input, previous);
+      if (flags.join(',') !== stored.join(',')) {
+        updates.push({ id: row.id, flags });
+        const hour = new Date(row.timestamp);
+        hour.setMinutes(0, 0, 0);
+        changedHours.add(hour.toISOString());
+      }
+      previous.push({ ...row, qc_flags: flags });
+      if (previous.length > STUCK_SAMPLES) previous.shift();
+    }
+
+    if (updates.length > 0) {
+      await this.pool.query(
+        `UPDATE wind_data w
+         SET qc_flags = ARRAY(SELECT jsonb_array_elements_text(u.flags))
+         FROM jsonb_to_recordset($1::jsonb) AS u(id INTEGER, flags JSONB)
+         WHERE w.id = u.id`,
+        [JSON.stringify(updates)]
+      );
+    }
+    return { checked: rows.length, changed: updates.length, changedHours: [...changedHours].sort() };
+  }
+
+  /**
+   * Flagged measurements, newest first, plus per-flag counts
+   * @param {Object} options - { stationId (null = all), days, flag, limit }
+   */
+  async getFlaggedData({ stationId = null, days = 7, flag = null, limit = 200 } = {}) {
+    const conditions = [`qc_flags <> '{}'`, `timestamp >= NOW() - $1::interval`];
+    const params = [`${days} days`];
+    if (stationId) {
+      params.push(stationId);
+      conditions.push(`station_id = $${params.length}`);
+    }
+    if (flag) {
+      if (!QC_FLAGS.includes(flag)) throw new Error(`Unknown QC flag: ${flag}`);
+      params.push(flag);
+      conditions.push(`$${params.length} = ANY(qc_flags)`);
+    }
+    const where = conditions.join(' AND ');
+
+    const { rows } = await this.pool.query(
+      `SELECT * FROM wind_data WHERE ${where}
+       ORDER BY timestamp DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+    const summary = await this.pool.query(
+      `SELECT station_id, f AS flag, COUNT(*)::int AS count
+       FROM wind_data, unnest(qc_flags) AS f
+       WHERE ${where}
+       GROUP BY station_id, f
+       ORDER BY station_id, count DESC`,
+      params
+    );
+    return { records: rows, summary: summary.rows };
+  }
+
+  /**
+   * Start (epoch ms) of every `slotMinutes` slot that has at least one
+   * measurement in [fromIso, toIso)
+   */
+  async getFilledSlots(stationId, fromIso, toIso, slotMinutes = 5) {
+    const { rows } = await this.pool.query(
+      `SELECT DISTINCT (FLOOR(EXTRACT(EPOCH FROM timestamp) / $4) * $4 * 1000)::bigint AS slot
+       FROM wind_data
+       WHERE station_id = $1 AND timestamp >= $2 AND timestamp < $3`,
+      [stationId, fromIso, toIso, slotMinutes * 60]
+    );
+    return rows.map(r => Number(r.slot));
+  }
+
+  /**
+   * Filled 5-minute slots per local day of `timezone` within [startHour, endHour)
+   * @returns {Array} [{ day: 'YYYY-MM-DD', slots, usable_slots }] - usable: not excluded by QC
+   */
+  async getDailySlotCoverage(stationId, fromIso, toIso, startHour = 6, endHour = 19, timezone = 'Asia/Bangkok') {
+    const { rows } = await this.pool.query(
+      `SELECT
+        to_char(timestamp AT TIME ZONE $6, 'YYYY-MM-DD') AS day,
+        COUNT(DISTINCT FLOOR(EXTRACT(EPOCH FROM timestamp) / 300))::int AS slots,
+        COUNT(DISTINCT FLOOR(EXTRACT(EPOCH FROM timestamp) / 300)) FILTER (WHERE ${QC_USABLE_SQL})::int AS usable_slots
+      FROM wind_data
+      WHERE station_id = $1 AND timestamp >= $2 AND timestamp < $3
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $6) >= $4
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $6) < $5
+      GROUP BY day
+      ORDER BY day ASC`,
+      [stationId, fromIso, toIso, startHour, endHour, timezone]
+    );
+    return rows;
+  }
+
   /**
    * Get all raw measurements in a time range, ordered ascending.
    */
@@ -182,56 +304,59 @@ export class DatabaseManager {
   }
 
   /**
-   * Get aggregated hourly data for current day (Bangkok timezone)
+   * Get aggregated hourly data for the current day in `timezone`
    */
-  async getHourlyAggregateToday(startHour = 6, endHour = 19, stationId = 'pak_nam_pran') {
+  async getHourlyAggregateToday(startHour = 6, endHour = 19, stationId = 'pak_nam_pran', timezone = 'Asia/Bangkok') {
     const { rows } = await this.pool.query(
       `SELECT
-        EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok')::int AS hour,
+        EXTRACT(HOUR FROM timestamp AT TIME ZONE $4)::int AS hour,
+        MIN(timestamp) AS first_timestamp,
         AVG(wind_speed_knots) AS avg_speed,
-        MAX(wind_gust_knots) AS max_gust,
-        AVG(wind_direction) AS avg_direction,
+        MAX(wind_gust_knots) FILTER (WHERE ${QC_GUST_SQL}) AS max_gust,
+        AVG(wind_direction) FILTER (WHERE ${QC_DIRECTION_SQL}) AS avg_direction,
         COUNT(*) AS measurements
       FROM wind_data
-      WHERE station_id = $1
-        AND (timestamp AT TIME ZONE 'Asia/Bangkok')::date = (NOW() AT TIME ZONE 'Asia/Bangkok')::date
-        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok') >= $2
-        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok') <= $3
+      WHERE station_id = $1 AND ${QC_USABLE_SQL}
+        AND (timestamp AT TIME ZONE $4)::date = (NOW() AT TIME ZONE $4)::date
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $4) >= $2
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $4) <= $3
       GROUP BY hour
       ORDER BY hour ASC`,
-      [stationId, startHour, endHour]
+      [stationId, startHour, endHour, timezone]
     );
 
     return rows.map(r => ({
       hour: r.hour.toString().padStart(2, '0'),
+      timestamp: r.first_timestamp,
       avg_speed: parseFloat(r.avg_speed),
       max_gust: r.max_gust !== null ? parseFloat(r.max_gust) : null,
-      avg_direction: parseFloat(r.avg_direction),
+      avg_direction: r.avg_direction !== null ? parseFloat(r.avg_direction) : null,
       measurements: parseInt(r.measurements)
     }));
   }
 
   /**
-   * Get aggregated data in N-minute intervals for current day (Bangkok timezone)
+   * Get aggregated data in N-minute intervals for the current day in `timezone`
    * Used for smooth gradient visualization
    */
-  async getIntervalAggregateToday(startHour = 6, endHour = 20, intervalMinutes = 5, stationId = 'pak_nam_pran') {
+  async getIntervalAggregateToday(startHour = 6, endHour = 20, intervalMinutes = 5, stationId = 'pak_nam_pran', timezone = 'Asia/Bangkok') {
     const { rows } = await this.pool.query(
       `SELECT
-        EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok')::int AS hour,
-        (EXTRACT(MINUTE FROM timestamp AT TIME ZONE 'Asia/Bangkok')::int / $4) * $4 AS minute,
+        EXTRACT(HOUR FROM timestamp AT TIME ZONE $5)::int AS hour,
+        (EXTRACT(MINUTE FROM timestamp AT TIME ZONE $5)::int / $4) * $4 AS minute,
+        MIN(timestamp) AS first_timestamp,
         AVG(wind_speed_knots) AS avg_speed,
-        MAX(wind_gust_knots) AS max_gust,
-        AVG(wind_direction) AS avg_direction,
+        MAX(wind_gust_knots) FILTER (WHERE ${QC_GUST_SQL}) AS max_gust,
+        AVG(wind_direction) FILTER (WHERE ${QC_DIRECTION_SQL}) AS avg_direction,
         COUNT(*) AS measurements
       FROM wind_data
-      WHERE station_id = $1
-        AND (timestamp AT TIME ZONE 'Asia/Bangkok')::date = (NOW() AT TIME ZONE 'Asia/Bangkok')::date
-        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok') >= $2
-        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE 'Asia/Bangkok') <= $3
+      WHERE station_id = $1 AND ${QC_USABLE_SQL}
+        AND (timestamp AT TIME ZONE $5)::date = (NOW() AT TIME ZONE $5)::date
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $5) >= $2
+        AND EXTRACT(HOUR FROM timestamp AT TIME ZONE $5) <= $3
       GROUP BY hour, minute
       ORDER BY hour ASC, minute ASC`,
-      [stationId, startHour, endHour, intervalMinutes]
+      [stationId, startHour, endHour, intervalMinutes, timezone]
     );
 
     return rows.map(r => {
@@ -241,9 +366,10 @@ export class DatabaseManager {
         hour: h,
         minute: m,
         time: `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`,
+        timestamp: r.first_timestamp,
         avg_speed: parseFloat(r.avg_speed),
         max_gust: r.max_gust !== null ? parseFloat(r.max_gust) : null,
-        avg_direction: parseFloat(r.avg_direction),
+        avg_direction: r.avg_direction !== null ? parseFloat(r.avg_direction) : null,
         measurements: parseInt(r.measurements)
       };
     });
@@ -259,10 +385,10 @@ export class DatabaseManager {
         AVG(wind_speed_knots) as avg_speed,
         MIN(wind_speed_knots) as min_speed,
         MAX(wind_speed_knots) as max_speed,
-        MAX(wind_gust_knots) as max_gust,
-        AVG(wind_direction) as avg_direction
+        MAX(wind_gust_knots) FILTER (WHERE ${QC_GUST_SQL}) as max_gust,
+        AVG(wind_direction) FILTER (WHERE ${QC_DIRECTION_SQL}) as avg_direction
       FROM wind_data
-      WHERE station_id = $1 AND timestamp >= NOW() - $2::interval`,
+      WHERE station_id = $1 AND timestamp >= NOW() - $2::interval AND ${QC_USABLE_SQL}`,
       [stationId, `${hours} hours`]
     );
     return rows[0] || null;
@@ -279,7 +405,7 @@ export class DatabaseManager {
        FROM (
          SELECT wind_speed_knots
          FROM wind_data
-         WHERE station_id = $1
+         WHERE station_id = $1 AND ${QC_USABLE_SQL}
          ORDER BY timestamp DESC
          LIMIT 6
        ) sub`,
@@ -292,7 +418,7 @@ export class DatabaseManager {
        FROM (
          SELECT wind_speed_knots
          FROM wind_data
-         WHERE station_id = $1
+         WHERE station_id = $1 AND ${QC_USABLE_SQL}
          ORDER BY timestamp DESC
          LIMIT 6 OFFSET 6
        ) sub`,
@@ -384,7 +510,7 @@ export class DatabaseManager {
       }
     }
 
-    const directionData = await this.calculateDirectionStability();
+    const directionData = await this.calculateDirectionStability(stationId);
 
     return {
       trend,
@@ -408,6 +534,7 @@ export class DatabaseManager {
       `SELECT wind_direction FROM (
         SELECT wind_direction FROM wind_data
         WHERE station_id = $1 AND wind_direction IS NOT NULL
+          AND ${QC_USABLE_SQL} AND ${QC_DIRECTION_SQL}
         ORDER BY timestamp DESC
         LIMIT 6
       ) sub`,
@@ -0,0 +1,167 @@
+/**
+ * EnsembleForecast - skill-weighted ensemble of the Open-Meteo models.
+ *
+ * Every model is a member with a weight of 1/RMSE² from model_scores (inverse
+ * error variance). Models with fewer than MIN_EVALS evaluations get the mean
+ * weight of the scored ones; with no scored model at all the members are
+ * equal. Member speeds are multiplied by their correctionFactor;
+ * ForecastModelManager passes entries already corrected like GET /wind/forecast
+ * (bias correction or correction_factor) with a factor of 1.
+ *
+ * The hourly spread is not just min/max of five numbers: each member is taken
+ * as a normal distribution around its corrected speed with sigma = its RMSE,
+ * and the ensemble is the weighted mixture of those. P10/P90 and exceedance
+ * probabilities come from the mixture CDF, so the band is wide when models
+ * disagree OR when even the agreeing models are historically inaccurate.
+ * Mass below 0 kn is folded into 0.
+ *
+ * Pure and dependency-free; ForecastModelManager feeds it forecasts and scores.
+ */
+
+export const MIN_EVALS = 10;          // same bar as getBestModel()
+export const DEFAULT_SIGMA = 3;       // kn, spread of a member without scores
+export const MIN_SIGMA = 0.5;         // kn, keeps a perfect score from collapsing the band
+export const QUANTILES = { low: 0.1, high: 0.9 };
+
+const round1 = value => Math.round(value * 10) / 10;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf, |error| < 1.5e-7)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * P(speed ≤ x) for a weighted mixture of normals
+ * @param {Array} components - [{ mean, sigma, weight }], weights sum to 1
+ */
+export function mixtureCdf(components, x) {
+  return components.reduce((sum, c) => sum + c.weight * normalCdf((x - c.mean) / c.sigma), 0);
+}
+
+/**
+ * Inverse of mixtureCdf by bisection, clamped at 0 kn
+ */
+export function mixtureQuantile(components, p) {
+  if (mixtureCdf(components, 0) >= p) return 0;
+  let low = 0;
+  let high = Math.max(...components.map(c => c.mean + 6 * c.sigma));
+  for (let i = 0; i < 50 && high - low > 0.01; i++) {
+    const mid = (low + high) / 2;
+    if (mixtureCdf(components, mid) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Member weights and spreads from model_scores rows
+ * @param {Array} models - ForecastModelManager.models
+ * @param {Array} scores - model_scores rows (getModelAccuracyMetrics())
+ * @returns {Array} [{ id, name, weight, sigma, correctionFactor, evalCount, scored }],
+ *   weights normalized over all models (re-normalized per hour over available ones)
+ */
+export function memberWeights(models, scores = []) {
+  const members = models.map(model => {
+    const row = scores.find(s => s.model_id === model.id);
+    const evalCount = row?.eval_count || 0;
+    const rmse = row?.rmse_speed != null ? parseFloat(row.rmse_speed) : null;
+    const scored = evalCount >= MIN_EVALS && rmse !== null;
+    return {
+      id: model.id,
+      name: model.name,
+      rmse: scored ? Math.max(rmse, MIN_SIGMA) : null,
+      correctionFactor: scored && row.correction_factor ? parseFloat(row.correction_factor) : 1.0,
+      evalCount,
+      scored
+    };
+  });
+
+  const scoredMembers = members.filter(m => m.scored);
+  const meanSkill = scoredMembers.length > 0
+    ? scoredMembers.reduce((sum, m) => sum + 1 / (m.rmse * m.rmse), 0) / scoredMembers.length
+    : 1;
+  const meanSigma = scoredMembers.length > 0
+    ? scoredMembers.reduce((sum, m) => sum + m.rmse, 0) / scoredMembers.length
+    : DEFAULT_SIGMA;
+
+  const skills = members.map(m => (m.scored ? 1 / (m.rmse * m.rmse) : meanSkill));
+  const total = skills.reduce((sum, s) => sum + s, 0);
+
+  return members.map(({ rmse, ...m }, i) => ({
+    ...m,
+    weight: skills[i] / total,
+    sigma: rmse ?? meanSigma
+  }));
+}
+
+/**
+ * Combine per-model forecasts hour by hour
+ * @param {Object} forecasts - { [modelId]: [{ date, time, speed, gust, direction }] }
+ * @param {Array} members - memberWeights()
+ * @param {Object} options - { thresholds: [kn], minWind, maxWind } (rideable range)
+ * @returns {Array} [{ date, time, speed, gust, direction, p10, p90, members,
+ *   exceedance: { [kn]: probability }, rideableProbability, modelSpeeds }]
+ */
+export function buildEnsemble(forecasts, members, { thresholds = [], minWind = null, maxWind = null } = {}) {
+  const byDate = new Map(); // date → { time, entries: [{ member, entry }] }
+  for (const member of members) {
+    for (const entry of forecasts[member.id] || []) {
+      if (!Number.isFinite(entry.speed)) continue;
+      if (!byDate.has(entry.date)) byDate.set(entry.date, { time: entry.time, entries: [] });
+      byDate.get(entry.date).entries.push({ member, entry });
+    }
+  }
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => new Date(a) - new Date(b))
+    .map(([date, { time, entries }]) => {
+      const total = entries.reduce((sum, e) => sum + e.member.weight, 0);
+      const components = entries.map(({ member, entry }) => ({
+        mean: entry.speed * member.correctionFactor,
+        sigma: member.sigma,
+        weight: member.weight / total
+      }));
+
+      const weightedMean = values => values.reduce((sum, v, i) => sum + v * components[i].weight, 0);
+      const speed = weightedMean(components.map(c => c.mean));
+      const gust = weightedMean(entries.map(({ member, entry }) =>
+        (Number.isFinite(entry.gust) ? entry.gust : entry.speed) * member.correctionFactor));
+
+      let sumX = 0;
+      let sumY = 0;
+      entries.forEach(({ entry }, i) => {
+        const rad = (entry.direction * Math.PI) / 180;
+        sumX += Math.cos(rad) * components[i].weight;
+        sumY += Math.sin(rad) * components[i].weight;
+      });
+      const direction = Math.round((Math.atan2(sumY, sumX) * 180) / Math.PI + 360) % 360;
+
+      const above = kn => 1 - mixtureCdf(components, kn);
+      const exceedance = {};
+      for (const kn of thresholds) {
+        exceedance[kn] = round3(above(kn));
+      }
+
+      return {
+        date,
+        time,
+        speed: round1(speed),
+        gust: round1(gust),
+        direction,
+        p10: round1(mixtureQuantile(components, QUANTILES.low)),
+        p90: round1(mixtureQuantile(components, QUANTILES.high)),
+        members: entries.length,
+        exceedance,
+        rideableProbability: minWind !== null && maxWind !== null
+          ? round3(above(minWind) - above(maxWind))
+          : null,
+        modelSpeeds: Object.fromEntries(entries.map(({ member }, i) => [member.id, round1(components[i].mean)]))
+      };
+    });
+}
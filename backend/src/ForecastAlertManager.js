@@ -0,0 +1,328 @@
+import { evaluateSafety, DEFAULT_SPORT } from './SafetyEngine.js';
+
+/**
+ * ForecastAlertManager - "tomorrow looks good" digest pushes.
+ *
+ * Twice a day the best forecast model (ForecastModelManager.getBestModel),
+ * corrected like GET /wind/forecast, is scanned for the next 1..3 days. A day
+ * with a rideable window of at least `minHours` consecutive hours (SafetyEngine
+ * level medium/good/high at the spot's shoreline) is announced to the spot's
+ * subscribers in one digest; if a later run (including the morning run on the
+ * day itself) no longer finds that window a follow-up "forecast downgraded"
+ * push is sent. A window that comes back after a downgrade is announced again.
+ *
+ * The last announced state per spot/day lives in `forecast_alerts`, so
+ * restarts and repeated runs never resend the same news.
+ */
+
+const DAY_NAMES_RU = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+
+/**
+ * Longest run of consecutive rideable hours in one day's forecast
+ * (ties go to the windier run)
+ * @param {Array} hours - forecast entries of one day ({ time, speed, gust, direction })
+ * @returns {Object|null} { startHour, endHour, hours, avgSpeed, maxSpeed, maxGust }
+ */
+export function findRideableWindow(hours, { shoreBearing, sport = DEFAULT_SPORT, minHours = 3 } = {}) {
+  let best = null;
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length >= minHours) {
+      const avgSpeed = run.reduce((sum, h) => sum + h.speed, 0) / run.length;
+      if (!best || run.length > best.hours || (run.length === best.hours && avgSpeed > best.avgSpeed)) {
+        best = {
+          startHour: run[0].time,
+          endHour: run[run.length - 1].time + 1,
+          hours: run.length,
+          avgSpeed: parseFloat(avgSpeed.toFixed(1)),
+          maxSpeed: Math.max(...run.map(h => h.speed)),
+          maxGust: Math.max(...run.map(h => h.gust ?? h.speed))
+        };
+      }
+    }
+    run = [];
+  };
+
+  for (const hour of hours) {
+    const { level } = evaluateSafety({
+      direction: hour.direction,
+      speed: hour.speed,
+      gust: hour.gust,
+      shoreBearing,
+      sport
+    });
+    const rideable = level !== 'low' && level !== 'danger' && level !== 'unknown';
+    const contiguous = run.length === 0 || hour.time === run[run.length - 1].time + 1;
+
+    if (rideable && contiguous) {
+      run.push(hour);
+    } else {
+      closeRun();
+      if (rideable) run.push(hour);
+    }
+  }
+  closeRun();
+
+  return best;
+}
+
+export class ForecastAlertManager {
+  constructor(pgPool, forecastModelManager, forecastCollector, notificationManager, spotManager, options = {}) {
+    this.pool = pgPool;
+    this.forecastModelManager = forecastModelManager;
+    this.forecastCollector = forecastCollector;
+    this.notificationManager = notificationManager;
+    this.spotManager = spotManager;
+    this.minHours = options.minHours || parseInt(process.env.FORECAST_ALERT_MIN_HOURS) || 3;
+    this.daysAhead = options.daysAhead || 3;
+  }
+
+  /**
+   * Best model, its correction factor and recent MAE (knots)
+   */
+  async getModelInfo() {
+    const modelId = await this.forecastModelManager.getBestModel();
+    const model = this.forecastModelManager.models.find(m => m.id === modelId);
+    const correctionFactor = await this.forecastModelManager.getCorrectionFactor(modelId);
+    const metrics = await this.forecastModelManager.getModelAccuracyMetrics();
+    const accuracy = metrics.find(m => m.model_id === modelId);
+
+    return {
+      id: modelId,
+      name: model ? model.name : modelId,
+      definition: model || null,
+      correctionFactor,
+      maeSpeed: accuracy?.mae_speed != null ? parseFloat(parseFloat(accuracy.mae_speed).toFixed(1)) : null
+    };
+  }
+
+  /**
+   * Split processed forecast entries into local days.
+   * Entries come ordered day by day with `time` = local hour, so a new day
+   * starts whenever the hour stops increasing (ISO dates are not local).
+   * @returns {Array} [{ dayIndex, date, hours }]
+   */
+  groupByDay(forecast, spot) {
+    const days = [];
+    let previousHour = Infinity;
+
+    for (const entry of forecast) {
+      if (entry.time <= previousHour) {
+        const dayIndex = days.length;
+        const date = new Date(Date.now() + dayIndex * 86400000)
+          .toLocaleDateString('en-CA', { timeZone: spot.timezone || 'Asia/Bangkok' });
+        days.push({ dayIndex, date, hours: [] });
+      }
+      days[days.length - 1].hours.push(entry);
+      previousHour = entry.time;
+    }
+
+    return days;
+  }
+
+  /**
+   * Evaluate the corrected best-model forecast for one spot
+   * @returns {Object} { model, days: [{ date, dayIndex, window }] } - today and the next daysAhead days
+   */
+  async evaluateSpot(spot) {
+    const model = await this.getModelInfo();
+    const { data: raw, fetchedAt } = await this.forecastCollector.getForecast(model.definition, this.daysAhead + 1, spot);
+    const { entries: forecast } = await this.forecastModelManager.correctForecast(model.id, raw, fetchedAt);
+
+    const days = this.groupByDay(forecast, spot)
+      .filter(day => day.dayIndex <= this.daysAhead)
+      .map(day => ({
+        date: day.date,
+        dayIndex: day.dayIndex,
+        window: findRideableWindow(day.hours, {
+          shoreBearing: spot.shoreBearing,
+          minHours: this.minHours
+        })
+      }));
+
+    return { model, days };
+  }
+
+  /**
+   * Compare the forecast with what was already announced and send the
+   * digest / downgrade follow-up for one spot
+   * @param {Object} spot
+   * @param {boolean} dryRun - evaluate and build messages without sending or saving
+   */
+  async checkSpot(spot, dryRun = false) {
+    const { model, days } = await this.evaluateSpot(spot);
+    const previous = await this.getAlerts(spot.id);
+
+    const announced = [];
+    const downgraded = [];
+
+    for (const day of days) {
+      const last = previous.find(a => a.date === day.date);
+
+      // Today is only re-checked for downgrades; announcements plan ahead
+      if (day.window && day.dayIndex >= 1 && (!last || last.status === 'downgraded')) {
+        announced.push(day);
+      } else if (!day.window && last && last.status === 'announced') {
+        downgraded.push({ ...day, previous: last });
+      }
+    }
+
+    const messages = [];
+    if (announced.length > 0) {
+      messages.push({ status: 'announced', days: announced, ...this.formatDigest(spot, model, announced) });
+    }
+    if (downgraded.length > 0) {
+      messages.push({ status: 'downgraded', days: downgraded, ...this.formatDowngrade(spot, model, downgraded) });
+    }
+
+    for (const message of messages) {
+      let sent = 0;
+      if (!dryRun) {
+        const result = await this.notificationManager.broadcast(spot, {
+          title: message.title,
+          body: message.body,
+          url: '/#/forecast',
+          threadId: 'wind-forecast',
+          interruptionLevel: 'active',
+          data: {
+            type: 'forecast',
+            status: message.status,
+            model: model.id,
+            maeSpeed: model.maeSpeed,
+            windows: message.days.map(d => ({ date: d.date, ...(d.window || d.previous) }))
+          }
+        });
+        sent = result.sent;
+        for (const day of message.days) {
+          await this.saveAlert(spot.id, day.date, message.status, day.window || day.previous, model, sent);
+        }
+        console.log(`🔮 Forecast ${message.status} for ${spot.name}: ${message.days.map(d => d.date).join(', ')} → ${sent} sent`);
+      }
+      message.sent = sent;
+    }
+
+    return {
+      spotId: spot.id,
+      model,
+      minHours: this.minHours,
+      days,
+      messages: messages.map(({ status, title, body, sent }) => ({ status, title, body, sent }))
+    };
+  }
+
+  /**
+   * Run for every spot (cron entry point)
+   */
+  async checkAll() {
+    await this.notificationManager.refresh();
+    const results = [];
+    for (const spot of this.spotManager.getAll()) {
+      try {
+        results.push(await this.checkSpot(spot));
+      } catch (error) {
+        console.error(`✗ Forecast alert check failed for ${spot.id}:`, error.message);
+      }
+    }
+    await this.cleanup();
+    return results;
+  }
+
+  /**
+   * Stored alert state for upcoming days of a spot
+   */
+  async getAlerts(spotId) {
+    const { rows } = await this.pool.query(
+      `SELECT target_date::text AS date, status, start_hour, end_hour, avg_speed,
+              max_speed, model_id, mae_speed, sent_count, updated_at
+       FROM forecast_alerts
+       WHERE spot_id = $1 AND target_date >= CURRENT_DATE
+       ORDER BY target_date`,
+      [spotId]
+    );
+
+    return rows.map(row => ({
+      date: row.date,
+      status: row.status,
+      startHour: row.start_hour,
+      endHour: row.end_hour,
+      avgSpeed: row.avg_speed,
+      maxSpeed: row.max_speed,
+      model: row.model_id,
+      maeSpeed: row.mae_speed,
+      sent: row.sent_count,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async saveAlert(spotId, date, status, window, model, sent) {
+    await this.pool.query(
+      `INSERT INTO forecast_alerts
+         (spot_id, target_date, status, start_hour, end_hour, avg_speed, max_speed, model_id, mae_speed, sent_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (spot_id, target_date) DO UPDATE SET
+         status = EXCLUDED.status,
+         start_hour = EXCLUDED.start_hour,
+         end_hour = EXCLUDED.end_hour,
+         avg_speed = EXCLUDED.avg_speed,
+         max_speed = EXCLUDED.max_speed,
+         model_id = EXCLUDED.model_id,
+         mae_speed = EXCLUDED.mae_speed,
+         sent_count = EXCLUDED.sent_count,
+         updated_at = NOW()`,
+      [spotId, date, status, window.startHour, window.endHour, window.avgSpeed,
+        window.maxSpeed, model.id, model.maeSpeed, sent]
+    );
+  }
+
+  /**
+   * Drop state of days that are long gone
+   */
+  async cleanup(daysToKeep = 14) {
+    await this.pool.query(
+      `DELETE FROM forecast_alerts WHERE target_date < CURRENT_DATE - $1::int`,
+      [daysToKeep]
+    );
+  }
+
+  /**
+   * "Пт 18.10" / "Сегодня" / "Завтра"
+   */
+  formatDay(day) {
+    if (day.dayIndex === 0) return 'Сегодня';
+    if (day.dayIndex === 1) return 'Завтра';
+    const [year, month, date] = day.date.split('-').map(Number);
+    const weekday = DAY_NAMES_RU[new Date(Date.UTC(year, month - 1, date)).getUTCDay()];
+    return `${weekday} ${String(date).padStart(2, '0')}.${String(month).padStart(2, '0')}`;
+  }
+
+  formatModel(model) {
+    return model.maeSpeed !== null
+      ? `${model.name}, ошибка ±${model.maeSpeed} уз`
+      : model.name;
+  }
+
+  formatDigest(spot, model, days) {
+    const lines = days.map(day => {
+      const w = day.window;
+      return `${this.formatDay(day)} ${w.startHour}:00–${w.endHour}:00 — ${w.avgSpeed} уз (до ${w.maxSpeed})`;
+    });
+
+    return {
+      title: `🔮 ${spot.name}: ветер по прогнозу`,
+      body: `${lines.join('\n')}\nПрогноз ${this.formatModel(model)}`
+    };
+  }
+
+  formatDowngrade(spot, model, days) {
+    const lines = days.map(day => {
+      const w = day.previous;
+      return `${this.formatDay(day)} ${w.startHour}:00–${w.endHour}:00 — окно больше не ожидается`;
+    });
+
+    return {
+      title: `📉 ${spot.name}: прогноз ухудшился`,
+      body: `${lines.join('\n')}\nПрогноз ${this.formatModel(model)}`
+    };
+  }
+}
@@ -1,4 +1,7 @@
 import { fetch } from 'undici';
+import { qcReliableHourSql } from './DataQuality.js';
+import { JobCancelledError } from './JobManager.js';
+import { DEFAULT_HOURS } from './SpotManager.js';
 
 /**
  * ForecastBacktestImporter — pulls historical model forecasts from the public
@@ -8,45 +11,32 @@ import { fetch } from 'undici';
  *
  * Storage: forecast_backtest(model_id, target_date, target_hour Bangkok,
  * forecast_*, actual_*, *_error). Unique on (model_id, target_date, target_hour).
+ * Only the default spot's forecastHours are kept (6:00–19:00 without a SpotManager).
+ *
+ * Long ranges run as `forecast_backtest` jobs (see JobManager) with the chunk
+ * cursor of every model checkpointed.
  */
 
 const HIST_URL = 'https://historical-forecast-api.open-meteo.com/v1/forecast';
 const LAT = 12.3466;
 const LON = 99.9982;
 const TZ = 'Asia/Bangkok';
-const WORK_START = 6;
-const WORK_END = 19;    // inclusive: hours 6..19
 const CHUNK_DAYS = 90;  // request size per API call
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class ForecastBacktestImporter {
-  constructor(pgPool, models, dispatcher = null) {
+  constructor(pgPool, models, dispatcher = null, spotManager = null) {
     this.pool = pgPool;
     this.models = models || [];
     this.dispatcher = dispatcher;
+    this.spotManager = spotManager;
   }
 
-  async initialize() {
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS forecast_backtest (
-        id SERIAL PRIMARY KEY,
-        model_id           TEXT NOT NULL,
-        target_date        DATE NOT NULL,
-        target_hour        INTEGER NOT NULL,
-        forecast_speed     DOUBLE PRECISION NOT NULL,
-        forecast_direction INTEGER NOT NULL,
-        forecast_gust      DOUBLE PRECISION,
-        actual_speed       DOUBLE PRECISION,
-        actual_direction   INTEGER,
-        speed_error        DOUBLE PRECISION,
-        direction_error    DOUBLE PRECISION,
-        UNIQUE(model_id, target_date, target_hour)
-      )
-    `);
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_backtest_model_date
-      ON forecast_backtest(model_id, target_date)
-    `);
-    console.log('✓ ForecastBacktestImporter initialized');
+  /**
+   * Forecast hours { start, end } (end exclusive) to backtest
+   */
+  forecastHours() {
+    return this.spotManager?.getDefault()?.forecastHours || DEFAULT_HOURS.forecastHours;
   }
 
   _addDays(d, n) {
@@ -87,25 +77,36 @@ export class ForecastBacktestImporter {
   /**
    * Insert forecast rows for one model and date range; populate actuals/errors
    * via JOIN after the inserts.
+   * @param {Object} options
+   * @param {Object} options.state - resume state, updated in place after every
+   *   chunk: { cursor, chunks, inserted, done }
+   * @param {Function} options.onChunk - async (state), called after every chunk
    */
-  async importModel(modelId, fromMs, toMs) {
+  async importModel(modelId, fromMs, toMs, { state = {}, onChunk = null } = {}) {
     const startedAt = Date.now();
-    let inserted = 0;
-    let chunks = 0;
+    Object.assign(state, {
+      cursor: state.cursor ?? fromMs,
+      chunks: state.chunks || 0,
+      inserted: state.inserted || 0,
+      done: false
+    });
 
-    let cursor = new Date(fromMs);
+    let cursor = new Date(state.cursor);
     const end = new Date(toMs);
+    const hours = this.forecastHours();
     while (cursor < end) {
       const chunkEnd = new Date(Math.min(this._addDays(cursor, CHUNK_DAYS).getTime() - 1, end.getTime()));
       const fromIso = this._iso(cursor);
       const toIso = this._iso(chunkEnd);
 
       const json = await this._fetchChunk(modelId, fromIso, toIso);
-      chunks++;
+      state.chunks++;
 
       const hourly = json?.hourly;
       if (!hourly?.time?.length) {
         cursor = this._addDays(chunkEnd, 1);
+        state.cursor = cursor.getTime();
+        if (onChunk) await onChunk(state);
         continue;
       }
 
@@ -120,7 +121,7 @@ export class ForecastBacktestImporter {
         const t = times[i];
         const date = t.slice(0, 10);
         const hour = parseInt(t.slice(11, 13), 10);
-        if (hour < WORK_START || hour > WORK_END) continue;
+        if (hour < hours.start || hour >= hours.end) continue;
 
         const speed = speeds[i];
         const direction = dirs[i];
@@ -151,10 +152,12 @@ export class ForecastBacktestImporter {
              forecast_gust = EXCLUDED.forecast_gust`,
           [ms, dates, hours, fs, fd, fg]
         );
-        inserted += result.rowCount || rows.length;
+        state.inserted += result.rowCount || rows.length;
       }
 
       cursor = this._addDays(chunkEnd, 1);
+      state.cursor = cursor.getTime();
+      if (onChunk) await onChunk(state);
     }
 
     // Join with actuals + compute errors for the freshly-imported range.
@@ -178,6 +181,7 @@ export class ForecastBacktestImporter {
          FROM hourly_archive
          WHERE station_id = 'pak_nam_pran'
            AND (hour_timestamp AT TIME ZONE 'Asia/Bangkok')::date BETWEEN $1::date AND $2::date
+           AND ${qcReliableHourSql()}
        ) a
        WHERE fb.model_id = $3
          AND fb.target_date = a.d
@@ -185,30 +189,60 @@ export class ForecastBacktestImporter {
       [fromIso, toIso, modelId]
     );
 
+    state.done = true;
     return {
       modelId,
-      chunks,
-      inserted,
+      chunks: state.chunks,
+      inserted: state.inserted,
       joined: updated.rowCount || 0,
       durationMs: Date.now() - startedAt
     };
   }
 
-  async importAll(fromMs, toMs, modelIds = null) {
+  /**
+   * Backtest all (or the given) models one after another.
+   * @param {Object} options - for background jobs (see JobManager)
+   * @param {Object} options.state - resume state per model id, updated in place;
+   *   finished models are skipped
+   * @param {Function} options.onCheckpoint - async (state, { done, total, unit }) after every chunk
+   */
+  async importAll(fromMs, toMs, modelIds = null, { state = {}, onCheckpoint = null } = {}) {
     const targets = modelIds && modelIds.length
       ? this.models.filter(m => modelIds.includes(m.id))
       : this.models;
 
+    // Progress in days of forecasts covered
+    const spanDays = (toMs - fromMs) / DAY_MS;
+    const progress = () => ({
+      done: targets.reduce((sum, m) => {
+        const entry = state[m.id];
+        if (!entry) return sum;
+        return sum + (entry.done ? spanDays : (Math.min(entry.cursor, toMs) - fromMs) / DAY_MS);
+      }, 0),
+      total: targets.length * spanDays,
+      unit: 'days'
+    });
+
     const results = [];
     for (const model of targets) {
+      if (state[model.id]?.done) {
+        results.push({ modelId: model.id, ...state[model.id].result });
+        continue;
+      }
+      state[model.id] = state[model.id] || {};
+      const onChunk = onCheckpoint ? () => onCheckpoint(state, progress()) : null;
       try {
-        const r = await this.importModel(model.id, fromMs, toMs);
+        const r = await this.importModel(model.id, fromMs, toMs, { state: state[model.id], onChunk });
         console.log(
           `✓ Backtest ${model.id}: ${r.inserted} forecasts, ${r.joined} joined, `
           + `${r.chunks} chunks (${(r.durationMs / 1000).toFixed(1)}s)`
         );
+        const { modelId, ...result } = r;
+        state[model.id] = { done: true, result };
+        if (onCheckpoint) await onCheckpoint(state, progress());
         results.push(r);
       } catch (e) {
+        if (e instanceof JobCancelledError) throw e;
         console.error(`✗ Backtest failed for ${model.id}:`, e.message);
         results.push({ modelId: model.id, error: e.message });
       }
@@ -255,4 +289,30 @@ export class ForecastBacktestImporter {
     );
     return rows;
   }
+
+  /**
+   * How a station's raw direction sits against a model's forecast direction
+   * over the last `days` (hours where both are at least `minSpeed` knots).
+   * dirSin / dirCos: mean of sin/cos of (forecast − station) direction.
+   */
+  async getDirectionAgreement(stationId, modelId, days = 90, minSpeed = 8) {
+    const { rows } = await this.pool.query(
+      `SELECT
+         COUNT(*)::int AS samples,
+         AVG(SIN(RADIANS(fb.forecast_direction - COALESCE(a.dominant_wind_direction, a.avg_wind_direction)))) AS dir_sin,
+         AVG(COS(RADIANS(fb.forecast_direction - COALESCE(a.dominant_wind_direction, a.avg_wind_direction)))) AS dir_cos
+       FROM forecast_backtest fb
+       JOIN hourly_archive a
+         ON a.station_id = $1
+        AND (a.hour_timestamp AT TIME ZONE 'Asia/Bangkok')::date = fb.target_date
+        AND EXTRACT(HOUR FROM a.hour_timestamp AT TIME ZONE 'Asia/Bangkok')::int = fb.target_hour
+       WHERE fb.model_id = $2
+         AND fb.target_date >= (NOW() AT TIME ZONE 'Asia/Bangkok')::date - $3::int
+         AND fb.forecast_speed >= $4
+         AND a.avg_wind_speed >= $4
+         AND ${qcReliableHourSql('a')}`,
+      [stationId, modelId, days, minSpeed]
+    );
+    return rows[0] || { samples: 0, dir_sin: null, dir_cos: null };
+  }
 }
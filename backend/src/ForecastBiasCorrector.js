@@ -0,0 +1,443 @@
+/**
+ * ForecastBiasCorrector - per-model wind speed corrections with time structure.
+ *
+ * A single correction_factor per model cannot follow the sea breeze: the same
+ * model can be too weak in the afternoon and too strong in the morning. Here
+ * the error is modelled as a linear mapping
+ *
+ *   actual = intercept + slope * forecast
+ *
+ * fitted per model × target hour × lead day × direction sector × season from
+ * `model_accuracy` (live snapshots, every lead day) and `forecast_backtest`
+ * (historical-forecast-api, stitched from the freshest runs = lead day 0).
+ * Cells with too few samples fall back through coarser levels:
+ *
+ *   1  hour, lead, sector, season
+ *   2  hour, lead, season
+ *   3  hour, lead
+ *   4  hour
+ *   5  model-wide
+ *
+ * Validation: the cells are first fitted on all but the last HOLDOUT_SHARE of
+ * days and scored on those; the stored cells are then refitted on everything.
+ * A cell that made its holdout worse is disabled (the next level is used), a
+ * model whose whole correction did not beat the raw forecast is disabled and
+ * callers fall back to model_scores.correction_factor.
+ *
+ * Fits live in forecast_bias_cells / forecast_bias_fits with an in-memory copy.
+ */
+
+export const LEVELS = [
+  { level: 1, keys: ['hour', 'leadDay', 'sector', 'season'] },
+  { level: 2, keys: ['hour', 'leadDay', 'season'] },
+  { level: 3, keys: ['hour', 'leadDay'] },
+  { level: 4, keys: ['hour'] },
+  { level: 5, keys: [] }
+];
+
+// Thai seasons by month (1-12): NE monsoon, hot season, SW monsoon
+export const SEASONS = {
+  northeast: [11, 12, 1, 2],
+  hot: [3, 4, 5],
+  southwest: [6, 7, 8, 9, 10]
+};
+
+export const LEAD_DAYS = 3;          // snapshots cover 3 days ahead
+const MIN_SAMPLES = 30;              // per cell
+const MIN_HOLDOUT = 30;              // per model, to trust (and enable) a fit
+const MIN_CELL_HOLDOUT = 10;         // per cell, to disable it on a bad holdout
+const HOLDOUT_SHARE = 0.2;
+const MIN_SLOPE = 0.5;
+const MAX_SLOPE = 2.0;
+const MIN_FORECAST_VARIANCE = 1;     // kn², below that only the offset is fitted
+const TRAIN_DAYS = 730;              // backtest history used
+
+export const sectorOf = direction => Math.round((((direction % 360) + 360) % 360) / 45) % 8;
+
+/**
+ * Season of a YYYY-MM-DD date
+ */
+export function seasonOf(dateStr) {
+  const month = parseInt(dateStr.slice(5, 7), 10);
+  return Object.keys(SEASONS).find(season => SEASONS[season].includes(month));
+}
+
+const cellKey = (level, features) =>
+  [level.level, ...level.keys.map(k => features[k])].join('|');
+
+/**
+ * Least squares actual ~ forecast, slope clamped to MIN..MAX_SLOPE
+ */
+function fitLinear(sums) {
+  const { n, sf, sa, sff, sfa } = sums;
+  const meanF = sf / n;
+  const meanA = sa / n;
+  const varF = sff / n - meanF * meanF;
+  let slope = 1;
+  if (varF >= MIN_FORECAST_VARIANCE) {
+    slope = Math.min(Math.max((sfa / n - meanF * meanA) / varF, MIN_SLOPE), MAX_SLOPE);
+  }
+  return { intercept: meanA - slope * meanF, slope };
+}
+
+/**
+ * Fit cells of all levels for one model's rows
+ * @param {Array} rows - [{ hour, leadDay, sector, season, forecast, actual }]
+ * @returns {Map} key → { level, hour, leadDay, sector, season, intercept, slope, sampleCount }
+ */
+export function fitCells(rows) {
+  const sums = new Map();
+  for (const row of rows) {
+    for (const level of LEVELS) {
+      const key = cellKey(level, row);
+      let s = sums.get(key);
+      if (!s) {
+        s = { level, features: row, n: 0, sf: 0, sa: 0, sff: 0, sfa: 0 };
+        sums.set(key, s);
+      }
+      s.n++;
+      s.sf += row.forecast;
+      s.sa += row.actual;
+      s.sff += row.forecast * row.forecast;
+      s.sfa += row.forecast * row.actual;
+    }
+  }
+
+  const cells = new Map();
+  for (const [key, s] of sums) {
+    if (s.n < MIN_SAMPLES) continue;
+    const cell = { level: s.level.level, sampleCount: s.n, ...fitLinear(s) };
+    for (const k of ['hour', 'leadDay', 'sector', 'season']) {
+      cell[k] = s.level.keys.includes(k) ? s.features[k] : null;
+    }
+    cells.set(key, cell);
+  }
+  return cells;
+}
+
+/**
+ * Most specific cell for the features (disabled cells skipped)
+ */
+export function findCell(cells, features) {
+  for (const level of LEVELS) {
+    const cell = cells.get(cellKey(level, features));
+    if (cell && cell.enabled !== false) return cell;
+  }
+  return null;
+}
+
+export const applyCell = (cell, speed) => Math.max(0, cell.intercept + cell.slope * speed);
+
+/**
+ * Fit on the older days, score on the newest HOLDOUT_SHARE of days
+ * @returns {Object} { holdoutFrom, count, maeRaw, maeCorrected, rmseRaw, rmseCorrected, byCell: Map key → { count, raw, corrected } }
+ */
+export function validate(rows) {
+  const dates = [...new Set(rows.map(r => r.date))].sort();
+  const holdoutDays = Math.floor(dates.length * HOLDOUT_SHARE);
+  if (holdoutDays < 1) return { holdoutFrom: null, count: 0, byCell: new Map() };
+
+  const holdoutFrom = dates[dates.length - holdoutDays];
+  const cells = fitCells(rows.filter(r => r.date < holdoutFrom));
+  const byCell = new Map();
+  let count = 0, absRaw = 0, absCorrected = 0, sqRaw = 0, sqCorrected = 0;
+
+  for (const row of rows) {
+    if (row.date < holdoutFrom) continue;
+    const level = LEVELS.find(l => cells.has(cellKey(l, row)));
+    const cell = level ? cells.get(cellKey(level, row)) : null;
+    const errRaw = row.forecast - row.actual;
+    const errCorrected = cell ? applyCell(cell, row.forecast) - row.actual : errRaw;
+    count++;
+    absRaw += Math.abs(errRaw);
+    absCorrected += Math.abs(errCorrected);
+    sqRaw += errRaw * errRaw;
+    sqCorrected += errCorrected * errCorrected;
+
+    if (cell) {
+      const key = cellKey(level, row);
+      const stats = byCell.get(key) || { count: 0, raw: 0, corrected: 0 };
+      stats.count++;
+      stats.raw += Math.abs(errRaw);
+      stats.corrected += Math.abs(errCorrected);
+      byCell.set(key, stats);
+    }
+  }
+
+  return {
+    holdoutFrom,
+    count,
+    maeRaw: count > 0 ? absRaw / count : null,
+    maeCorrected: count > 0 ? absCorrected / count : null,
+    rmseRaw: count > 0 ? Math.sqrt(sqRaw / count) : null,
+    rmseCorrected: count > 0 ? Math.sqrt(sqCorrected / count) : null,
+    byCell
+  };
+}
+
+export class ForecastBiasCorrector {
+  constructor(pgPool, models) {
+    this.pool = pgPool;
+    this.models = models;
+    this.fits = new Map();  // modelId → fit summary
+    this.cells = new Map(); // modelId → Map(key → cell)
+  }
+
+  async initialize() {
+    await this.load();
+    const enabled = [...this.fits.values()].filter(f => f.enabled).length;
+    console.log(`✓ ForecastBiasCorrector initialized (${enabled}/${this.models.length} models corrected)`);
+  }
+
+  async load() {
+    const [{ rows: fits }, { rows: cells }] = await Promise.all([
+      this.pool.query("SELECT *, to_char(holdout_from, 'YYYY-MM-DD') AS holdout_from_iso FROM forecast_bias_fits"),
+      this.pool.query('SELECT * FROM forecast_bias_cells')
+    ]);
+
+    this.fits = new Map(fits.map(row => [row.model_id, this._rowToFit(row)]));
+    this.cells = new Map();
+    for (const row of cells) {
+      const cell = {
+        level: row.level,
+        hour: row.target_hour,
+        leadDay: row.lead_day,
+        sector: row.sector,
+        season: row.season,
+        intercept: row.intercept,
+        slope: row.slope,
+        sampleCount: row.sample_count,
+        holdoutCount: row.holdout_count,
+        holdoutMaeRaw: row.holdout_mae_raw,
+        holdoutMaeCorrected: row.holdout_mae_corrected,
+        enabled: row.enabled
+      };
+      const level = LEVELS.find(l => l.level === cell.level);
+      if (!this.cells.has(row.model_id)) this.cells.set(row.model_id, new Map());
+      this.cells.get(row.model_id).set(cellKey(level, cell), cell);
+    }
+  }
+
+  _rowToFit(row) {
+    const round = value => (value != null ? Math.round(value * 100) / 100 : null);
+    return {
+      modelId: row.model_id,
+      fittedAt: row.fitted_at,
+      sampleCount: row.sample_count,
+      cellCount: row.cell_count,
+      holdoutFrom: row.holdout_from_iso,
+      holdoutCount: row.holdout_count,
+      holdoutMaeRaw: round(row.holdout_mae_raw),
+      holdoutMaeCorrected: round(row.holdout_mae_corrected),
+      holdoutRmseRaw: round(row.holdout_rmse_raw),
+      holdoutRmseCorrected: round(row.holdout_rmse_corrected),
+      enabled: row.enabled
+    };
+  }
+
+  /**
+   * Error rows of all models: model_accuracy (every lead day) plus backtest
+   * days that have no live lead-0 row
+   */
+  async getTrainingRows() {
+    const { rows } = await this.pool.query(
+      `SELECT model_id, to_char(eval_date, 'YYYY-MM-DD') AS date, target_hour, lead_day,
+              forecast_speed, forecast_direction, actual_speed
+       FROM model_accuracy
+       WHERE actual_speed IS NOT NULL AND forecast_speed IS NOT NULL AND lead_day < $2
+       UNION ALL
+       SELECT fb.model_id, to_char(fb.target_date, 'YYYY-MM-DD'), fb.target_hour, 0,
+              fb.forecast_speed, fb.forecast_direction, fb.actual_speed
+       FROM forecast_backtest fb
+       WHERE fb.actual_speed IS NOT NULL
+         AND fb.target_date >= CURRENT_DATE - $1::int
+         AND NOT EXISTS (
+           SELECT 1 FROM model_accuracy ma
+           WHERE ma.model_id = fb.model_id AND ma.eval_date = fb.target_date
+             AND ma.target_hour = fb.target_hour AND ma.lead_day = 0
+         )`,
+      [TRAIN_DAYS, LEAD_DAYS]
+    );
+
+    return rows.map(row => ({
+      modelId: row.model_id,
+      date: row.date,
+      hour: row.target_hour,
+      leadDay: row.lead_day,
+      sector: sectorOf(row.forecast_direction ?? 0),
+      season: seasonOf(row.date),
+      forecast: parseFloat(row.forecast_speed),
+      actual: parseFloat(row.actual_speed)
+    }));
+  }
+
+  /**
+   * Refit all models (daily after the accuracy evaluation)
+   * @returns {Array} fit summaries
+   */
+  async fit() {
+    const rows = await this.getTrainingRows();
+    const fitsToSave = [];
+
+    for (const model of this.models) {
+      const modelRows = rows.filter(r => r.modelId === model.id);
+      const validation = validate(modelRows);
+      const cells = fitCells(modelRows);
+
+      for (const [key, cell] of cells) {
+        const stats = validation.byCell.get(key);
+        cell.holdoutCount = stats?.count || 0;
+        cell.holdoutMaeRaw = stats ? stats.raw / stats.count : null;
+        cell.holdoutMaeCorrected = stats ? stats.corrected / stats.count : null;
+        cell.enabled = cell.holdoutCount < MIN_CELL_HOLDOUT || cell.holdoutMaeCorrected <= cell.holdoutMaeRaw;
+      }
+
+      const enabled = validation.count >= MIN_HOLDOUT && cells.size > 0
+        && validation.maeCorrected < validation.maeRaw;
+      fitsToSave.push({ modelId: model.id, sampleCount: modelRows.length, cells, validation, enabled });
+    }
+
+    const client = await this.pool.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM forecast_bias_cells');
+      await client.query('DELETE FROM forecast_bias_fits');
+
+      for (const { modelId, sampleCount, cells, validation, enabled } of fitsToSave) {
+        for (const cell of cells.values()) {
+          await client.query(
+            `INSERT INTO forecast_bias_cells
+               (model_id, level, target_hour, lead_day, sector, season, intercept, slope,
+                sample_count, holdout_count, holdout_mae_raw, holdout_mae_corrected, enabled)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+            [modelId, cell.level, cell.hour, cell.leadDay, cell.sector, cell.season,
+             cell.intercept, cell.slope, cell.sampleCount, cell.holdoutCount,
+             cell.holdoutMaeRaw, cell.holdoutMaeCorrected, cell.enabled]
+          );
+        }
+        await client.query(
+          `INSERT INTO forecast_bias_fits
+             (model_id, fitted_at, sample_count, cell_count, holdout_from, holdout_count,
+              holdout_mae_raw, holdout_mae_corrected, holdout_rmse_raw, holdout_rmse_corrected, enabled)
+           VALUES ($1, NOW(), $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [modelId, sampleCount, cells.size, validation.holdoutFrom, validation.count,
+           validation.maeRaw, validation.maeCorrected, validation.rmseRaw, validation.rmseCorrected, enabled]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.load();
+    for (const fit of this.fits.values()) {
+      const mae = fit.holdoutCount > 0 ? `, holdout MAE ${fit.holdoutMaeRaw} → ${fit.holdoutMaeCorrected} kn` : '';
+      console.log(`  🎚 ${fit.modelId}: ${fit.cellCount} cells from ${fit.sampleCount} hours${mae}${fit.enabled ? '' : ' (disabled)'}`);
+    }
+    return this.getSummary();
+  }
+
+  getFit(modelId) {
+    return this.fits.get(modelId) || null;
+  }
+
+  isEnabled(modelId) {
+    return Boolean(this.fits.get(modelId)?.enabled);
+  }
+
+  /**
+   * Correct processed forecast entries of a model
+   * @param {Array} entries - ForecastCollector entries ({ date, time, speed, gust, direction })
+   * @param {Date|number} issuedAt - when the forecast was fetched (lead time origin)
+   * @returns {Array|null} entries with raw + corrected values, null if the model has no enabled fit
+   */
+  correct(modelId, entries, issuedAt = Date.now()) {
+    if (!this.isEnabled(modelId)) return null;
+    const cells = this.cells.get(modelId);
+    const fit = this.fits.get(modelId);
+    const issuedMs = new Date(issuedAt).getTime();
+
+    return entries.map(entry => {
+      const target = new Date(entry.date);
+      const leadDay = Math.min(Math.max(Math.floor((target.getTime() - issuedMs) / 86400000), 0), LEAD_DAYS - 1);
+      const date = target.toLocaleDateString('en-CA', { timeZone: 'Asia/Bangkok' });
+      const cell = findCell(cells, {
+        hour: entry.time,
+        leadDay,
+        sector: sectorOf(entry.direction ?? 0),
+        season: seasonOf(date)
+      });
+      const rawGust = Number.isFinite(entry.gust) ? entry.gust : entry.speed;
+      if (!cell) {
+        return { ...entry, rawSpeed: entry.speed, rawGust, corrected: false };
+      }
+
+      const speed = applyCell(cell, entry.speed);
+      // Gusts keep their ratio to the mean wind
+      const gust = entry.speed > 0 ? rawGust * (speed / entry.speed) : rawGust + speed;
+      return {
+        ...entry,
+        rawSpeed: entry.speed,
+        rawGust,
+        speed: parseFloat(speed.toFixed(1)),
+        gust: parseFloat(gust.toFixed(1)),
+        corrected: true,
+        correction: {
+          method: 'bias',
+          level: cell.level,
+          intercept: parseFloat(cell.intercept.toFixed(2)),
+          slope: parseFloat(cell.slope.toFixed(3)),
+          samples: cell.sampleCount,
+          holdoutMae: cell.holdoutMaeCorrected != null ? parseFloat(cell.holdoutMaeCorrected.toFixed(2)) : fit.holdoutMaeCorrected,
+          holdoutMaeRaw: cell.holdoutMaeRaw != null ? parseFloat(cell.holdoutMaeRaw.toFixed(2)) : fit.holdoutMaeRaw
+        }
+      };
+    });
+  }
+
+  /**
+   * Fits of all models with their cells by level (API)
+   */
+  getSummary() {
+    return this.models.map(model => {
+      const fit = this.fits.get(model.id);
+      const cells = [...(this.cells.get(model.id)?.values() || [])];
+      const cellsByLevel = LEVELS.map(({ level, keys }) => {
+        const levelCells = cells.filter(c => c.level === level);
+        return {
+          level,
+          keys,
+          cells: levelCells.length,
+          disabled: levelCells.filter(c => !c.enabled).length
+        };
+      });
+      return {
+        modelId: model.id,
+        name: model.name,
+        ...(fit || { fittedAt: null, sampleCount: 0, cellCount: 0, holdoutCount: 0, enabled: false }),
+        levels: cellsByLevel
+      };
+    });
+  }
+
+  /**
+   * Cells of one model, optionally for one target hour (API)
+   */
+  getCells(modelId, hour = null) {
+    const round = (value, digits) => (value != null ? parseFloat(value.toFixed(digits)) : null);
+    return [...(this.cells.get(modelId)?.values() || [])]
+      .filter(c => hour === null || c.hour === hour || c.hour === null)
+      .sort((a, b) => a.level - b.level || (a.hour ?? -1) - (b.hour ?? -1) || (a.leadDay ?? -1) - (b.leadDay ?? -1))
+      .map(c => ({
+        ...c,
+        intercept: round(c.intercept, 2),
+        slope: round(c.slope, 3),
+        holdoutMaeRaw: round(c.holdoutMaeRaw, 2),
+        holdoutMaeCorrected: round(c.holdoutMaeCorrected, 2)
+      }));
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * ForecastCache - in-memory cache for Open-Meteo forecasts.
+ *
+ * One entry per model / days / spot. An entry is fresh until the model's next
+ * run is expected on Open-Meteo (or the spot's local midnight, when the
+ * "today" the forecast starts from changes). After that it is served stale
+ * while one background fetch revalidates it (stale-while-revalidate) for up to
+ * `staleMs`; older entries are fetched synchronously. Concurrent misses for
+ * the same key share one request, and a failed refresh keeps serving the last
+ * good copy for up to `maxStaleOnErrorMs`.
+ *
+ * Entries carry `fetchedAt` and an `etag` so routes can answer with
+ * Last-Modified / ETag and clients can revalidate with 304s.
+ */
+
+// Used for models without a run schedule
+export const DEFAULT_MODEL_RUN = { runEveryHours: 6, runDelayHours: 4 };
+
+const HOUR = 3600000;
+
+/**
+ * When the next run of a model should be available on Open-Meteo.
+ * Runs start every `runEveryHours` from 00 UTC and are published about
+ * `runDelayHours` later.
+ */
+export function nextModelUpdate(model, from = new Date()) {
+  const { runEveryHours, runDelayHours } = { ...DEFAULT_MODEL_RUN, ...(model || {}) };
+  const every = runEveryHours * HOUR;
+  const delay = runDelayHours * HOUR;
+  // Last run already published at `from`, then the next one
+  const lastPublished = Math.floor((from.getTime() - delay) / every) * every + delay;
+  return new Date(lastPublished + every);
+}
+
+/**
+ * Next midnight in a timezone
+ */
+export function nextLocalMidnight(timezone = 'Asia/Bangkok', from = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(from);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const elapsed = ((get('hour') * 60 + get('minute')) * 60 + get('second')) * 1000 + from.getMilliseconds();
+  return new Date(from.getTime() - elapsed + 24 * HOUR);
+}
+
+export class ForecastCache {
+  constructor(options = {}) {
+    this.staleMs = options.staleMs ?? 6 * HOUR;
+    this.maxStaleOnErrorMs = options.maxStaleOnErrorMs ?? 24 * HOUR;
+    this.maxEntries = options.maxEntries ?? 200;
+    this.entries = new Map();  // key → { data, fetchedAt, freshUntil, etag }
+    this.inflight = new Map(); // key → Promise of a fresh entry
+    this.stats = { hits: 0, stale: 0, misses: 0, coalesced: 0, errors: 0 };
+    this.etagCounter = 0;
+  }
+
+  /**
+   * Cached value for `key`, loading it with `loader()` when needed
+   * @param {string} key
+   * @param {Function} loader - async () => data
+   * @param {Function} freshUntil - (fetchedAt: Date) => Date
+   * @returns {Object} { data, fetchedAt, etag, stale }
+   */
+  async get(key, loader, freshUntil) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (entry && now < entry.freshUntil.getTime()) {
+      this.stats.hits++;
+      return { ...entry, stale: false };
+    }
+
+    if (entry && now < entry.freshUntil.getTime() + this.staleMs) {
+      this.stats.stale++;
+      this.refresh(key, loader, freshUntil).catch(() => {}); // logged in refresh()
+      return { ...entry, stale: true };
+    }
+
+    this.stats.misses++;
+    try {
+      return { ...(await this.refresh(key, loader, freshUntil)), stale: false };
+    } catch (error) {
+      if (entry && now - entry.fetchedAt.getTime() < this.maxStaleOnErrorMs) {
+        console.warn(`⚠ Serving stale forecast for ${key}: ${error.message}`);
+        return { ...entry, stale: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load `key` now; concurrent callers share the same request
+   */
+  refresh(key, loader, freshUntil) {
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const data = await loader();
+        const fetchedAt = new Date();
+        const entry = {
+          data,
+          fetchedAt,
+          freshUntil: freshUntil(fetchedAt),
+          etag: `"${fetchedAt.getTime().toString(36)}-${(++this.etagCounter).toString(36)}"`
+        };
+        this.entries.delete(key); // re-insert as most recent
+        this.entries.set(key, entry);
+        this.evict();
+        return entry;
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`✗ Forecast refresh failed for ${key}:`, error.message);
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Drop the least recently stored entries above maxEntries
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: [...this.entries].map(([key, entry]) => ({
+        key,
+        fetchedAt: entry.fetchedAt,
+        freshUntil: entry.freshUntil
+      }))
+    };
+  }
+}
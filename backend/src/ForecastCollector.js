@@ -1,15 +1,24 @@
 import { Agent, ProxyAgent } from 'undici';
 import dns from 'node:dns';
+import { ForecastCache, nextModelUpdate, nextLocalMidnight } from './ForecastCache.js';
+import { DEFAULT_HOURS } from './SpotManager.js';
+
+// Hourly variables requested from the forecast API (speeds in km/h)
+const FORECAST_HOURLY = [
+  'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m', 'precipitation_probability',
+  'temperature_2m', 'cloud_cover', 'wind_speed_850hPa', 'wind_direction_850hPa'
+];
 
 /**
  * ForecastCollector - fetches wind forecast from Open-Meteo API
  */
 export class ForecastCollector {
-  constructor(config) {
+  constructor(config, spotManager = null) {
     this.config = config;
     this.forecastApiUrl = config.openMeteoApi;
     this.marineApiUrl = 'https://marine-api.open-meteo.com/v1/marine';
-    this.spotLocation = [12.346596280786017, 99.99817902532192];
+    this.spotManager = spotManager;
+    this.cache = new ForecastCache();
 
     // Open-Meteo egress.
     // From the k3s cluster, Open-Meteo's Hetzner IPv4 addresses are unreachable
@@ -57,19 +66,50 @@ export class ForecastCollector {
   }
 
   /**
-   * Fetch wind forecast from Open-Meteo
+   * Forecast for a spot through the shared ForecastCache — what routes and
+   * crons should use instead of fetchWindForecast()
+   * @param {Object|null} model - ForecastModelManager model ({ id, baseUrl, runEveryHours, runDelayHours }), null = default API
+   * @returns {Object} { data, fetchedAt, etag, stale }
    */
-  async fetchWindForecast(baseUrl = null, days = 3) {
-    const [lat, lon] = this.spotLocation;
-    const timezone = 'Asia/Bangkok';
+  async getForecast(model = null, days = 3, spot = null) {
+    const target = spot || this.spotManager?.getDefault();
+    if (!target) {
+      throw new Error('No spot configured for forecast');
+    }
+    const daysToShow = Math.min(Math.max(parseInt(days) || 3, 1), 16);
+    const hours = target.forecastHours || DEFAULT_HOURS.forecastHours;
+    const key = `${model?.id || 'default'}:${daysToShow}:${target.id}:${hours.start}-${hours.end}`;
+
+    return this.cache.get(
+      key,
+      () => this.fetchWindForecast(model?.baseUrl || null, daysToShow, target),
+      fetchedAt => new Date(Math.min(
+        nextModelUpdate(model, fetchedAt).getTime(),
+        nextLocalMidnight(target.timezone || 'Asia/Bangkok', fetchedAt).getTime()
+      ))
+    );
+  }
+
+  /**
+   * Fetch wind forecast from Open-Meteo for a spot (default spot if omitted).
+   * Uncached — see getForecast().
+   */
+  async fetchWindForecast(baseUrl = null, days = 3, spot = null) {
+    const target = spot || this.spotManager?.getDefault();
+    if (!target) {
+      throw new Error('No spot configured for forecast');
+    }
+    const { lat, lon } = target;
+    const timezone = target.timezone || 'Asia/Bangkok';
     const daysToShow = Math.min(Math.max(parseInt(days) || 3, 1), 16);
     const apiBase = baseUrl || this.forecastApiUrl;
 
     try {
-      // Fetch wind forecast with precipitation probability
-      const windUrl = `${apiBase}?latitude=${lat}&longitude=${lon}&hourly=wind_speed_10m,wind_direction_10m,wind_gusts_10m,precipitation_probability&timezone=${timezone}&forecast_days=${daysToShow}`;
+      // Fetch wind forecast with precipitation probability, plus the sea-breeze
+      // inputs: 850 hPa (synoptic) wind, temperature and cloud cover
+      const windUrl = `${apiBase}?latitude=${lat}&longitude=${lon}&hourly=${FORECAST_HOURLY.join(',')}&timezone=${timezone}&forecast_days=${daysToShow}`;
 
-      console.log(`📡 Fetching wind forecast from Open-Meteo...`);
+      console.log(`📡 Fetching wind forecast from Open-Meteo (${target.id})...`);
       const windController = new AbortController();
       const windTimeout = setTimeout(() => windController.abort(), 30000); // 30 second timeout
 
@@ -114,7 +154,7 @@ export class ForecastCollector {
       }
 
       if (windData && windData.hourly) {
-        const processedData = this.processForecastData(windData, marineData);
+        const processedData = this.processForecastData(windData, marineData, target.forecastHours);
         console.log(`✓ Processed ${processedData.length} forecast hours`);
         return processedData;
       }
@@ -128,18 +168,18 @@ export class ForecastCollector {
 
   /**
    * Process forecast data into the format expected by frontend
+   * @param {Object} hours - spot's forecastHours { start, end } (end exclusive)
    */
-  processForecastData(windData, marineData = null) {
+  processForecastData(windData, marineData = null, hours = DEFAULT_HOURS.forecastHours) {
     const hourly = windData.hourly;
     const marineHourly = marineData && marineData.hourly ? marineData.hourly : null;
     const hoursToShow = [];
-    const startHour = 6;
-    const endHour = 19;
+    const { start: startHour, end: endHour } = hours || DEFAULT_HOURS.forecastHours;
     const hourInterval = 1;
     const daysToShow = Math.floor((hourly.time?.length || 72) / 24);
 
     for (let day = 0; day < daysToShow; day++) {
-      for (let hour = startHour; hour <= endHour; hour += hourInterval) {
+      for (let hour = startHour; hour < endHour; hour += hourInterval) {
         const hourIndex = day * 24 + hour;
         if (hourIndex < hourly.time.length) {
           const datetime = new Date(hourly.time[hourIndex]);
@@ -161,6 +201,18 @@ export class ForecastCollector {
             hourData.precipitationProbability = hourly.precipitation_probability[hourIndex];
           }
 
+          // Sea-breeze inputs (null where a model does not provide them)
+          if (hourly.temperature_2m?.[hourIndex] != null) {
+            hourData.temperature = hourly.temperature_2m[hourIndex];
+          }
+          if (hourly.cloud_cover?.[hourIndex] != null) {
+            hourData.cloudCover = hourly.cloud_cover[hourIndex];
+          }
+          if (hourly.wind_speed_850hPa?.[hourIndex] != null && hourly.wind_direction_850hPa?.[hourIndex] != null) {
+            hourData.synopticSpeed = parseFloat(this.kmhToKnots(hourly.wind_speed_850hPa[hourIndex]).toFixed(1));
+            hourData.synopticDirection = Math.round(hourly.wind_direction_850hPa[hourIndex]);
+          }
+
           // Add wave data if available
           if (marineHourly && hourIndex < marineHourly.time.length) {
             hourData.waveHeight = marineHourly.wave_height[hourIndex];
@@ -177,50 +229,6 @@ export class ForecastCollector {
     return hoursToShow;
   }
 
-  /**
-   * Calculate wind safety for forecast data
-   */
-  getWindSafety(direction, speed) {
-    const dir = parseInt(direction);
-    const knots = parseFloat(speed) || 0;
-
-    const offshore = { min: 225, max: 315 };
-    const onshore = { min: 45, max: 135 };
-
-    const isOffshore = (dir >= offshore.min && dir <= offshore.max);
-    const isOnshore = (dir >= onshore.min && dir <= onshore.max);
-
-    let level = 'medium';
-    let text = 'Умеренно';
-    let color = '#FFA500';
-
-    if (knots < 5) {
-      level = 'low';
-      text = 'Слабый ветер';
-      color = '#87CEEB';
-    } else if (isOffshore || knots > 30) {
-      level = 'danger';
-      text = 'Опасно!';
-      color = '#FF4500';
-    } else if (isOnshore && knots >= 12 && knots <= 25) {
-      level = 'high';
-      text = 'Отличные условия!';
-      color = '#00FF00';
-    } else if (knots >= 8 && knots <= 15) {
-      level = 'good';
-      text = 'Хорошие условия';
-      color = '#FFD700';
-    }
-
-    return {
-      level,
-      text,
-      color,
-      isOffshore,
-      isOnshore
-    };
-  }
-
   /**
    * Calculate correction factor by comparing actual data with forecast
    * @param {Array} actualData - Actual wind measurements from history
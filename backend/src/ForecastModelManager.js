@@ -1,3 +1,6 @@
+import { memberWeights, buildEnsemble } from './EnsembleForecast.js';
+import { ForecastBiasCorrector, LEAD_DAYS } from './ForecastBiasCorrector.js';
+
 /**
  * ForecastModelManager - orchestrates multi-model forecast,
  * stores snapshots, evaluates accuracy, selects best model
@@ -12,69 +15,20 @@ export class ForecastModelManager {
 
     // histModelId — id accepted by historical-forecast-api's `?models=` param
     // (a specific submodel; the generic 'meteofrance' isn't valid there).
+    // runEveryHours / runDelayHours — run cadence from 00 UTC and roughly how
+    // long Open-Meteo takes to publish a run; drives the ForecastCache TTL.
     this.models = [
-      { id: 'best_match',   name: 'GFS Seamless',  baseUrl: 'https://api.open-meteo.com/v1/forecast',     histModelId: 'best_match' },
-      { id: 'ecmwf_ifs025', name: 'ECMWF IFS',     baseUrl: 'https://api.open-meteo.com/v1/ecmwf',        histModelId: 'ecmwf_ifs025' },
-      { id: 'meteofrance',  name: 'Météo-France',   baseUrl: 'https://api.open-meteo.com/v1/meteofrance',  histModelId: 'meteofrance_arpege_world' },
-      { id: 'gfs_global',   name: 'GFS',            baseUrl: 'https://api.open-meteo.com/v1/gfs',          histModelId: 'gfs_global' },
-      { id: 'gem_global',   name: 'GEM',            baseUrl: 'https://api.open-meteo.com/v1/gem',          histModelId: 'gem_global' },
+      { id: 'best_match',   name: 'GFS Seamless',  baseUrl: 'https://api.open-meteo.com/v1/forecast',     histModelId: 'best_match',               runEveryHours: 3,  runDelayHours: 2 },
+      { id: 'ecmwf_ifs025', name: 'ECMWF IFS',     baseUrl: 'https://api.open-meteo.com/v1/ecmwf',        histModelId: 'ecmwf_ifs025',             runEveryHours: 6,  runDelayHours: 7 },
+      { id: 'meteofrance',  name: 'Météo-France',   baseUrl: 'https://api.open-meteo.com/v1/meteofrance',  histModelId: 'meteofrance_arpege_world', runEveryHours: 6,  runDelayHours: 4 },
+      { id: 'gfs_global',   name: 'GFS',            baseUrl: 'https://api.open-meteo.com/v1/gfs',          histModelId: 'gfs_global',               runEveryHours: 6,  runDelayHours: 4 },
+      { id: 'gem_global',   name: 'GEM',            baseUrl: 'https://api.open-meteo.com/v1/gem',          histModelId: 'gem_global',               runEveryHours: 12, runDelayHours: 6 },
     ];
+
+    this.biasCorrector = new ForecastBiasCorrector(pgPool, this.models);
   }
 
   async initialize() {
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS forecast_snapshots (
-        id            SERIAL PRIMARY KEY,
-        snapshot_time TIMESTAMPTZ NOT NULL,
-        model_id      TEXT NOT NULL,
-        target_date   DATE NOT NULL,
-        target_hour   INTEGER NOT NULL,
-        speed         DOUBLE PRECISION NOT NULL,
-        gust          DOUBLE PRECISION NOT NULL,
-        direction     INTEGER NOT NULL
-      )
-    `);
-
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_snap_lookup
-      ON forecast_snapshots(model_id, target_date, target_hour)
-    `);
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_snap_time
-      ON forecast_snapshots(snapshot_time)
-    `);
-
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS model_accuracy (
-        id                 SERIAL PRIMARY KEY,
-        model_id           TEXT NOT NULL,
-        eval_date          DATE NOT NULL,
-        target_hour        INTEGER NOT NULL,
-        actual_speed       DOUBLE PRECISION,
-        actual_direction   INTEGER,
-        forecast_speed     DOUBLE PRECISION,
-        forecast_direction INTEGER,
-        speed_error        DOUBLE PRECISION,
-        direction_error    DOUBLE PRECISION,
-        UNIQUE(model_id, eval_date, target_hour)
-      )
-    `);
-
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS model_scores (
-        model_id          TEXT PRIMARY KEY,
-        rmse_speed        DOUBLE PRECISION,
-        mae_speed         DOUBLE PRECISION,
-        rmse_direction    DOUBLE PRECISION,
-        mae_direction     DOUBLE PRECISION,
-        correlation_speed DOUBLE PRECISION,
-        correction_factor DOUBLE PRECISION DEFAULT 1.0,
-        eval_count        INTEGER DEFAULT 0,
-        score             DOUBLE PRECISION DEFAULT 0.0,
-        last_updated      TIMESTAMPTZ
-      )
-    `);
-
     // Initialize model_scores rows if missing
     for (const model of this.models) {
       await this.pool.query(
@@ -85,6 +39,7 @@ export class ForecastModelManager {
       );
     }
 
+    await this.biasCorrector.initialize();
     console.log('✓ ForecastModelManager initialized');
   }
 
@@ -97,7 +52,7 @@ export class ForecastModelManager {
 
     const results = await Promise.allSettled(
       this.models.map(async (model) => {
-        const forecast = await this.forecastCollector.fetchWindForecast(model.baseUrl);
+        const { data: forecast } = await this.forecastCollector.getForecast(model);
         return { model, forecast };
       })
     );
@@ -129,6 +84,14 @@ export class ForecastModelManager {
     return savedCount;
   }
 
+  /**
+   * Time of the newest forecast snapshot, or null without snapshots
+   */
+  async getLatestSnapshotTime() {
+    const { rows } = await this.pool.query('SELECT MAX(snapshot_time) AS latest FROM forecast_snapshots');
+    return rows[0]?.latest ? new Date(rows[0].latest) : null;
+  }
+
   /**
    * Evaluate forecast accuracy against actual archive data (called daily at 20:00)
    */
@@ -151,51 +114,63 @@ export class ForecastModelManager {
           evalDate.setDate(evalDate.getDate() - daysAgo);
           const dateStr = evalDate.toLocaleDateString('en-CA');
 
-          // Get actual archived data for this day
-          const actualData = await this.archiveManager.getArchivedDataForDay(dateStr, 6, 19);
+          // Get actual archived data for this day; hours outside the spot's
+          // forecastHours have no snapshot and are skipped below
+          const actualData = await this.archiveManager.getArchivedDataForDay(dateStr, 0, 23);
           if (!actualData || actualData.length === 0) continue;
 
           for (const actual of actualData) {
+            // Hours mostly made of QC-excluded measurements say little about the forecast
+            if (actual.qc_excluded_count > actual.measurement_count) continue;
+
             const hourTimestamp = new Date(actual.hour_timestamp);
             const targetHour = parseInt(
               hourTimestamp.toLocaleString('en-US', { timeZone: 'Asia/Bangkok', hour: 'numeric', hour12: false })
             );
 
-            // Find the closest snapshot taken BEFORE this hour
+            // Latest snapshot taken BEFORE this hour, per lead day (0: <24 h ahead, 1: 24-48 h, ...)
             const snapshotResult = await client.query(
-              `SELECT speed, direction FROM forecast_snapshots
-               WHERE model_id = $1 AND target_date = $2 AND target_hour = $3
-                 AND snapshot_time < $4
-               ORDER BY snapshot_time DESC LIMIT 1`,
-              [model.id, dateStr, targetHour, hourTimestamp.toISOString()]
+              `SELECT DISTINCT ON (lead_day) speed, direction, lead_day, lead_hours
+               FROM (
+                 SELECT speed, direction, snapshot_time,
+                        EXTRACT(EPOCH FROM ($4::timestamptz - snapshot_time)) / 3600 AS lead_hours,
+                        FLOOR(EXTRACT(EPOCH FROM ($4::timestamptz - snapshot_time)) / 86400)::int AS lead_day
+                 FROM forecast_snapshots
+                 WHERE model_id = $1 AND target_date = $2 AND target_hour = $3
+                   AND snapshot_time < $4
+               ) s
+               WHERE lead_day < $5
+               ORDER BY lead_day, snapshot_time DESC`,
+              [model.id, dateStr, targetHour, hourTimestamp.toISOString(), LEAD_DAYS]
             );
 
-            if (snapshotResult.rows.length === 0) continue;
-
-            const { speed: forecastSpeed, direction: forecastDirection } = snapshotResult.rows[0];
             const actualSpeed = actual.avg_wind_speed;
             const actualDirection = actual.avg_wind_direction;
 
-            const speedError = Math.abs(forecastSpeed - actualSpeed);
-            const dirDiff = Math.abs(forecastDirection - actualDirection);
-            const directionError = Math.min(dirDiff, 360 - dirDiff);
-
-            await client.query(
-              `INSERT INTO model_accuracy
-               (model_id, eval_date, target_hour, actual_speed, actual_direction,
-                forecast_speed, forecast_direction, speed_error, direction_error)
-               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-               ON CONFLICT (model_id, eval_date, target_hour) DO UPDATE SET
-                 actual_speed = EXCLUDED.actual_speed,
-                 actual_direction = EXCLUDED.actual_direction,
-                 forecast_speed = EXCLUDED.forecast_speed,
-                 forecast_direction = EXCLUDED.forecast_direction,
-                 speed_error = EXCLUDED.speed_error,
-                 direction_error = EXCLUDED.direction_error`,
-              [model.id, dateStr, targetHour, actualSpeed, actualDirection,
-               forecastSpeed, forecastDirection, speedError, directionError]
-            );
-            totalEvaluated++;
+            for (const snapshot of snapshotResult.rows) {
+              const { speed: forecastSpeed, direction: forecastDirection } = snapshot;
+              const speedError = Math.abs(forecastSpeed - actualSpeed);
+              const dirDiff = Math.abs(forecastDirection - actualDirection);
+              const directionError = Math.min(dirDiff, 360 - dirDiff);
+
+              await client.query(
+                `INSERT INTO model_accuracy
+                 (model_id, eval_date, target_hour, lead_day, lead_hours, actual_speed, actual_direction,
+                  forecast_speed, forecast_direction, speed_error, direction_error)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                 ON CONFLICT (model_id, eval_date, target_hour, lead_day) DO UPDATE SET
+                   lead_hours = EXCLUDED.lead_hours,
+                   actual_speed = EXCLUDED.actual_speed,
+                   actual_direction = EXCLUDED.actual_direction,
+                   forecast_speed = EXCLUDED.forecast_speed,
+                   forecast_direction = EXCLUDED.forecast_direction,
+                   speed_error = EXCLUDED.speed_error,
+                   direction_error = EXCLUDED.direction_error`,
+                [model.id, dateStr, targetHour, snapshot.lead_day, snapshot.lead_hours, actualSpeed, actualDirection,
+                 forecastSpeed, forecastDirection, speedError, directionError]
+              );
+            }
+            if (snapshotResult.rows.length > 0) totalEvaluated++;
           }
         }
 
@@ -210,13 +185,15 @@ export class ForecastModelManager {
       client.release();
     }
 
-    // Recalculate aggregate scores
+    // Recalculate aggregate scores, then the structured bias corrections
     await this._recalculateScores();
+    await this.biasCorrector.fit();
     console.log('📊 Accuracy evaluation complete');
   }
 
   /**
    * Recalculate aggregate model scores from model_accuracy data
+   * (lead day 0 of the last 14 days, comparable to the scores from before lead days)
    */
   async _recalculateScores() {
     const modelStats = {};
@@ -225,7 +202,8 @@ export class ForecastModelManager {
       const { rows } = await this.pool.query(
         `SELECT actual_speed, forecast_speed, actual_direction, forecast_direction,
                 speed_error, direction_error
-         FROM model_accuracy WHERE model_id = $1`,
+         FROM model_accuracy
+         WHERE model_id = $1 AND lead_day = 0 AND eval_date >= CURRENT_DATE - 14`,
         [model.id]
       );
 
@@ -325,6 +303,30 @@ export class ForecastModelManager {
     return 'best_match'; // default fallback
   }
 
+  /**
+   * Correct a model's forecast entries: the structured bias correction when
+   * the model has a validated fit, otherwise the scalar correction factor.
+   * Entries keep rawSpeed / rawGust next to the corrected values.
+   * @param {Date|number} issuedAt - fetch time of the forecast (lead time origin)
+   * @returns {Object} { entries, method: 'bias' | 'factor', version } - version changes with the correction
+   */
+  async correctForecast(modelId, entries, issuedAt = Date.now()) {
+    const biased = this.biasCorrector.correct(modelId, entries, issuedAt);
+    if (biased) {
+      const fit = this.biasCorrector.getFit(modelId);
+      return { entries: biased, method: 'bias', version: `bias-${new Date(fit.fittedAt).getTime()}` };
+    }
+
+    const factor = await this.getCorrectionFactor(modelId);
+    const corrected = this.forecastCollector.applyCorrection(entries, factor).map((entry, i) => ({
+      ...entry,
+      rawSpeed: entries[i].speed,
+      rawGust: entries[i].gust,
+      correction: { method: 'factor', factor: entry.correctionFactor }
+    }));
+    return { entries: corrected, method: 'factor', version: `factor-${factor}` };
+  }
+
   /**
    * Get correction factor for a specific model
    */
@@ -342,25 +344,63 @@ export class ForecastModelManager {
   }
 
   /**
-   * Fetch forecasts from all models in parallel
+   * Fetch forecasts from all models in parallel (default spot if omitted).
+   * Goes through the forecast cache; `fetchedAt` is the newest model fetch.
+   * @returns {Object} { forecasts: { [modelId]: [...] }, fetchedAt }
    */
-  async fetchAllModelForecasts() {
+  async fetchAllModelForecasts(spot = null) {
     const forecasts = {};
+    let fetchedAt = null;
 
     const results = await Promise.allSettled(
       this.models.map(async (model) => {
-        const forecast = await this.forecastCollector.fetchWindForecast(model.baseUrl);
-        return { id: model.id, forecast };
+        const cached = await this.forecastCollector.getForecast(model, 3, spot);
+        return { id: model.id, forecast: cached.data, fetchedAt: cached.fetchedAt };
       })
     );
 
     for (const result of results) {
       if (result.status === 'fulfilled') {
         forecasts[result.value.id] = result.value.forecast;
+        if (!fetchedAt || result.value.fetchedAt > fetchedAt) {
+          fetchedAt = result.value.fetchedAt;
+        }
       }
     }
 
-    return forecasts;
+    return { forecasts, fetchedAt };
+  }
+
+  /**
+   * Skill-weighted ensemble of all models for a spot (see EnsembleForecast)
+   * @param {Object} options - { thresholds: [kn], minWind, maxWind }
+   * @returns {Object} { hours, members, fetchedAt }
+   */
+  async getEnsembleForecast(spot = null, options = {}) {
+    const [{ forecasts, fetchedAt }, scores] = await Promise.all([
+      this.fetchAllModelForecasts(spot),
+      this.getModelAccuracyMetrics()
+    ]);
+    const members = memberWeights(this.models, scores)
+      .map(m => ({ ...m, available: Array.isArray(forecasts[m.id]) && forecasts[m.id].length > 0 }));
+
+    // Members are corrected like GET /wind/forecast, so buildEnsemble gets factor 1
+    const corrected = {};
+    for (const member of members.filter(m => m.available)) {
+      const { entries, method } = await this.correctForecast(member.id, forecasts[member.id], fetchedAt || Date.now());
+      corrected[member.id] = entries;
+      member.correction = method;
+    }
+
+    return {
+      hours: buildEnsemble(
+        corrected,
+        members.filter(m => m.available).map(m => ({ ...m, correctionFactor: 1 })),
+        options
+      ),
+      members,
+      fetchedAt
+    };
   }
 
   /**
@@ -378,11 +418,14 @@ export class ForecastModelManager {
   /**
    * Clean up old snapshots and accuracy data
    */
-  async cleanupOldSnapshots(daysToKeep = 14) {
+  async cleanupOldSnapshots(daysToKeep = 14, accuracyDaysToKeep = 365) {
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - daysToKeep);
     const cutoffStr = cutoff.toISOString();
-    const cutoffDate = cutoff.toLocaleDateString('en-CA');
+    // Accuracy rows are the bias correction's only lead-time history, kept longer
+    const accuracyCutoff = new Date();
+    accuracyCutoff.setDate(accuracyCutoff.getDate() - accuracyDaysToKeep);
+    const cutoffDate = accuracyCutoff.toLocaleDateString('en-CA');
 
     const snapResult = await this.pool.query(
       `SELECT COUNT(*) as count FROM forecast_snapshots WHERE snapshot_time < $1`, [cutoffStr]
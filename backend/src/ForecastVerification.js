@@ -0,0 +1,373 @@
+import { qcReliableHourSql } from './DataQuality.js';
+import { memberWeights, buildEnsemble } from './EnsembleForecast.js';
+
+/**
+ * ForecastVerification - verification dashboard for the forecast models.
+ *
+ * Pairs of forecast vs archived hour (primary station of the default spot,
+ * Bangkok hours) come from three places:
+ *   - forecast_snapshots joined with hourly_archive: every snapshot before the
+ *     hour, with its lead time (the last 14 days, see cleanupOldSnapshots);
+ *   - model_accuracy for older days: the latest snapshot per lead day;
+ *   - forecast_backtest: lead unknown, counted as short range.
+ *
+ * Error vs lead time uses the live pairs only. Everything else uses one pair
+ * per model and hour: the shortest-lead live one, else the backtest one.
+ *
+ *   - byHour: MAE / RMSE / bias per target hour;
+ *   - contingency: forecast vs actual "rideable" (inside the rider's range) —
+ *     hit rate, false alarm ratio, CSI, frequency bias, Heidke skill score;
+ *   - reliability: the skill-weighted ensemble (EnsembleForecast, today's
+ *     model_scores weights) rebuilt for every hour with 2+ models, its rideable
+ *     probability binned by tenths against the observed frequency, + Brier score;
+ *   - directionRose: signed direction error (forecast − actual) per actual
+ *     direction sector, hours with actual wind of DIRECTION_MIN_SPEED+ only.
+ *
+ * Reports are cached for CACHE_MS per filter set.
+ */
+
+export const LEAD_BIN_HOURS = 6;
+export const MAX_LEAD_HOURS = 96;
+export const DIRECTION_MIN_SPEED = 5;   // kn; calm directions say nothing
+export const ROSE_SECTORS = 16;
+const RELIABILITY_BINS = 10;
+const CACHE_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 20;
+
+const round = (value, digits = 2) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+const signedDirectionError = (forecast, actual) => ((forecast - actual + 540) % 360) - 180;
+
+function errorStats(pairs) {
+  if (pairs.length === 0) return { count: 0, mae: null, rmse: null, bias: null, directionMae: null };
+  let absSum = 0;
+  let squareSum = 0;
+  let biasSum = 0;
+  for (const p of pairs) {
+    const error = p.forecastSpeed - p.actualSpeed;
+    absSum += Math.abs(error);
+    squareSum += error * error;
+    biasSum += error;
+  }
+  const directional = pairs.filter(p => p.actualSpeed >= DIRECTION_MIN_SPEED && p.actualDirection !== null);
+  return {
+    count: pairs.length,
+    mae: round(absSum / pairs.length),
+    rmse: round(Math.sqrt(squareSum / pairs.length)),
+    bias: round(biasSum / pairs.length),
+    directionMae: directional.length > 0
+      ? round(directional.reduce((sum, p) => sum + Math.abs(signedDirectionError(p.forecastDirection, p.actualDirection)), 0) / directional.length, 0)
+      : null
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Overall and per-hour error statistics per model
+ * @param {Array} pairs - [{ modelId, date, hour, forecastSpeed, actualSpeed, forecastDirection, actualDirection }]
+ */
+export function summarize(pairs) {
+  return [...groupBy(pairs, p => p.modelId)].map(([modelId, modelPairs]) => ({
+    modelId,
+    overall: errorStats(modelPairs),
+    byHour: [...groupBy(modelPairs, p => p.hour)]
+      .sort(([a], [b]) => a - b)
+      .map(([hour, hourPairs]) => ({ hour, ...errorStats(hourPairs) }))
+  }));
+}
+
+/**
+ * 2×2 table of forecast vs actual "rideable" (minWind ≤ speed ≤ maxWind) per model
+ */
+export function contingency(pairs, minWind, maxWind) {
+  const rideable = speed => speed >= minWind && speed <= maxWind;
+  return [...groupBy(pairs, p => p.modelId)].map(([modelId, modelPairs]) => {
+    let hits = 0, falseAlarms = 0, misses = 0, correctNegatives = 0;
+    for (const p of modelPairs) {
+      const forecast = rideable(p.forecastSpeed);
+      const actual = rideable(p.actualSpeed);
+      if (forecast && actual) hits++;
+      else if (forecast) falseAlarms++;
+      else if (actual) misses++;
+      else correctNegatives++;
+    }
+    const n = modelPairs.length;
+    const expected = ((hits + misses) * (hits + falseAlarms) + (correctNegatives + misses) * (correctNegatives + falseAlarms)) / n;
+    return {
+      modelId,
+      count: n,
+      hits,
+      falseAlarms,
+      misses,
+      correctNegatives,
+      hitRate: round(ratio(hits, hits + misses), 3),
+      falseAlarmRatio: round(ratio(falseAlarms, hits + falseAlarms), 3),
+      criticalSuccessIndex: round(ratio(hits, hits + falseAlarms + misses), 3),
+      frequencyBias: round(ratio(hits + falseAlarms, hits + misses), 3),
+      heidkeSkillScore: round(ratio(hits + correctNegatives - expected, n - expected), 3),
+      accuracy: round(ratio(hits + correctNegatives, n), 3)
+    };
+  });
+}
+
+/**
+ * Direction error per actual direction sector + histogram of the signed error, per model
+ */
+export function directionRose(pairs) {
+  const width = 360 / ROSE_SECTORS;
+  const directional = pairs.filter(p => p.actualSpeed >= DIRECTION_MIN_SPEED && p.actualDirection !== null);
+  return [...groupBy(directional, p => p.modelId)].map(([modelId, modelPairs]) => {
+    const sectors = Array.from({ length: ROSE_SECTORS }, (_, i) => ({ direction: i * width, count: 0, biasSum: 0, absSum: 0 }));
+    const histogram = Array.from({ length: ROSE_SECTORS }, (_, i) => ({ from: -180 + i * width, count: 0 }));
+    for (const p of modelPairs) {
+      const error = signedDirectionError(p.forecastDirection, p.actualDirection);
+      const sector = sectors[Math.round(p.actualDirection / width) % ROSE_SECTORS];
+      sector.count++;
+      sector.biasSum += error;
+      sector.absSum += Math.abs(error);
+      histogram[Math.min(Math.floor((error + 180) / width), ROSE_SECTORS - 1)].count++;
+    }
+    return {
+      modelId,
+      count: modelPairs.length,
+      sectors: sectors.map(({ direction, count, biasSum, absSum }) => ({
+        direction,
+        count,
+        bias: count > 0 ? round(biasSum / count, 0) : null,
+        mae: count > 0 ? round(absSum / count, 0) : null
+      })),
+      histogram
+    };
+  });
+}
+
+/**
+ * Reliability of the ensemble's rideable probability
+ * @param {Array} pairs - pairs of every model (the ensemble needs them all)
+ * @param {Array} members - memberWeights()
+ */
+export function reliability(pairs, members, minWind, maxWind) {
+  const forecasts = {};
+  const actuals = new Map();
+  for (const p of pairs) {
+    const key = `${p.date}T${String(p.hour).padStart(2, '0')}:00:00+07:00`;
+    if (!forecasts[p.modelId]) forecasts[p.modelId] = [];
+    forecasts[p.modelId].push({ date: key, time: p.hour, speed: p.forecastSpeed, gust: null, direction: p.forecastDirection });
+    actuals.set(key, p.actualSpeed);
+  }
+
+  const hours = buildEnsemble(forecasts, members, { minWind, maxWind }).filter(h => h.members >= 2);
+  const bins = Array.from({ length: RELIABILITY_BINS }, (_, i) => ({
+    from: i / RELIABILITY_BINS,
+    to: (i + 1) / RELIABILITY_BINS,
+    count: 0,
+    probabilitySum: 0,
+    observedCount: 0
+  }));
+  let brierSum = 0;
+  let observedTotal = 0;
+  for (const hour of hours) {
+    const probability = Math.min(Math.max(hour.rideableProbability, 0), 1);
+    const actual = actuals.get(hour.date);
+    const observed = actual >= minWind && actual <= maxWind ? 1 : 0;
+    const bin = bins[Math.min(Math.floor(probability * RELIABILITY_BINS), RELIABILITY_BINS - 1)];
+    bin.count++;
+    bin.probabilitySum += probability;
+    bin.observedCount += observed;
+    brierSum += (probability - observed) ** 2;
+    observedTotal += observed;
+  }
+
+  const count = hours.length;
+  const baseRate = ratio(observedTotal, count);
+  const brierScore = ratio(brierSum, count);
+  const reference = baseRate !== null ? baseRate * (1 - baseRate) : null;
+  return {
+    count,
+    baseRate: round(baseRate, 3),
+    brierScore: round(brierScore, 4),
+    brierSkillScore: reference ? round(1 - brierScore / reference, 3) : null,
+    bins: bins.map(({ from, to, count: binCount, probabilitySum, observedCount }) => ({
+      from,
+      to,
+      count: binCount,
+      meanProbability: round(ratio(probabilitySum, binCount), 3),
+      observedFrequency: round(ratio(observedCount, binCount), 3)
+    }))
+  };
+}
+
+export class ForecastVerification {
+  constructor(pgPool, forecastModelManager, spotManager = null) {
+    this.pool = pgPool;
+    this.forecastModelManager = forecastModelManager;
+    this.spotManager = spotManager;
+    this.cache = new Map(); // JSON of the filters → { at, report }
+  }
+
+  get stationId() {
+    return this.spotManager?.getDefault()?.primaryStationId || 'pak_nam_pran';
+  }
+
+  /**
+   * Archived hours of the period and live (snapshot / model_accuracy) pairs.
+   * Parameters: $1 station, $2 from, $3 to, $4 model ids
+   */
+  liveSql() {
+    return `
+      actual AS (
+        SELECT (hour_timestamp AT TIME ZONE 'Asia/Bangkok')::date AS target_date,
+               EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE 'Asia/Bangkok')::int AS target_hour,
+               hour_timestamp,
+               avg_wind_speed AS actual_speed,
+               COALESCE(dominant_wind_direction, avg_wind_direction) AS actual_direction
+        FROM hourly_archive
+        WHERE station_id = $1 AND ${qcReliableHourSql()}
+          AND hour_timestamp >= ($2::date::timestamp AT TIME ZONE 'Asia/Bangkok')
+          AND hour_timestamp < (($3::date + 1)::timestamp AT TIME ZONE 'Asia/Bangkok')
+      ),
+      live_pairs AS (
+        SELECT s.model_id, a.target_date, a.target_hour,
+               EXTRACT(EPOCH FROM (a.hour_timestamp - s.snapshot_time)) / 3600 AS lead_hours,
+               s.speed AS forecast_speed, s.direction AS forecast_direction,
+               a.actual_speed, a.actual_direction
+        FROM forecast_snapshots s
+        JOIN actual a ON a.target_date = s.target_date AND a.target_hour = s.target_hour
+        WHERE s.model_id = ANY($4) AND s.snapshot_time < a.hour_timestamp
+        UNION ALL
+        SELECT model_id, eval_date, target_hour, COALESCE(lead_hours, lead_day * 24 + 12),
+               forecast_speed, forecast_direction, actual_speed, actual_direction
+        FROM model_accuracy
+        WHERE model_id = ANY($4) AND eval_date BETWEEN $2::date AND $3::date
+          AND actual_speed IS NOT NULL AND forecast_speed IS NOT NULL
+          AND eval_date < COALESCE((SELECT MIN(target_date) FROM forecast_snapshots), 'infinity'::date)
+      )`;
+  }
+
+  /**
+   * MAE / RMSE / bias per model and lead-time bin (live pairs)
+   */
+  async getLeadTime({ from, to, models }) {
+    const { rows } = await this.pool.query(
+      `WITH ${this.liveSql()}
+       SELECT model_id,
+              (FLOOR(lead_hours / $5) * $5)::int AS lead_from,
+              COUNT(*)::int AS count,
+              AVG(ABS(forecast_speed - actual_speed)) AS mae,
+              SQRT(AVG((forecast_speed - actual_speed) ^ 2)) AS rmse,
+              AVG(forecast_speed - actual_speed) AS bias,
+              AVG(ABS(MOD(forecast_direction - actual_direction + 540, 360) - 180))
+                FILTER (WHERE actual_speed >= $6 AND actual_direction IS NOT NULL) AS direction_mae
+       FROM live_pairs
+       WHERE lead_hours >= 0 AND lead_hours < $7
+       GROUP BY model_id, lead_from
+       ORDER BY model_id, lead_from`,
+      [this.stationId, from, to, models, LEAD_BIN_HOURS, DIRECTION_MIN_SPEED, MAX_LEAD_HOURS]
+    );
+    return rows.map(row => ({
+      modelId: row.model_id,
+      leadFrom: row.lead_from,
+      leadTo: row.lead_from + LEAD_BIN_HOURS,
+      count: row.count,
+      mae: round(parseFloat(row.mae)),
+      rmse: round(parseFloat(row.rmse)),
+      bias: round(parseFloat(row.bias)),
+      directionMae: row.direction_mae !== null ? round(parseFloat(row.direction_mae), 0) : null
+    }));
+  }
+
+  /**
+   * One pair per model and hour: the shortest-lead live one (< 24 h), else the backtest one
+   * @param {string} source - 'all' | 'live' | 'backtest'
+   */
+  async getShortRangePairs({ from, to, models, source }) {
+    const { rows } = await this.pool.query(
+      `WITH ${this.liveSql()},
+       live_short AS (
+         SELECT DISTINCT ON (model_id, target_date, target_hour)
+                model_id, target_date, target_hour, forecast_speed, forecast_direction, actual_speed, actual_direction
+         FROM live_pairs
+         WHERE lead_hours >= 0 AND lead_hours < 24 AND $5::text <> 'backtest'
+         ORDER BY model_id, target_date, target_hour, lead_hours
+       )
+       SELECT model_id, to_char(target_date, 'YYYY-MM-DD') AS date, target_hour,
+              forecast_speed, forecast_direction, actual_speed, actual_direction, 'live' AS source
+       FROM live_short
+       UNION ALL
+       SELECT b.model_id, to_char(b.target_date, 'YYYY-MM-DD'), b.target_hour,
+              b.forecast_speed, b.forecast_direction, b.actual_speed, b.actual_direction, 'backtest'
+       FROM forecast_backtest b
+       WHERE $5::text <> 'live' AND b.model_id = ANY($4)
+         AND b.target_date BETWEEN $2::date AND $3::date
+         AND b.actual_speed IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM live_short l
+           WHERE l.model_id = b.model_id AND l.target_date = b.target_date AND l.target_hour = b.target_hour
+         )`,
+      [this.stationId, from, to, models, source]
+    );
+    return rows.map(row => ({
+      modelId: row.model_id,
+      date: row.date,
+      hour: row.target_hour,
+      forecastSpeed: parseFloat(row.forecast_speed),
+      forecastDirection: row.forecast_direction,
+      actualSpeed: parseFloat(row.actual_speed),
+      actualDirection: row.actual_direction,
+      source: row.source
+    }));
+  }
+
+  /**
+   * Full verification report
+   * @param {Object} filters - { from, to (YYYY-MM-DD), models: [id], source, minWind, maxWind }
+   */
+  async getReport(filters) {
+    const key = JSON.stringify(filters);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < CACHE_MS) return cached.report;
+
+    const { models, minWind, maxWind } = filters;
+    const allModels = this.forecastModelManager.models.map(m => m.id);
+    const [leadTime, pairs, scores] = await Promise.all([
+      this.getLeadTime(filters),
+      // The ensemble needs every model, the breakdowns only the selected ones
+      this.getShortRangePairs({ ...filters, models: allModels }),
+      this.forecastModelManager.getModelAccuracyMetrics()
+    ]);
+    const selected = pairs.filter(p => models.includes(p.modelId));
+    const names = new Map(this.forecastModelManager.models.map(m => [m.id, m.name]));
+    const withName = row => ({ ...row, name: names.get(row.modelId) || row.modelId });
+
+    const report = {
+      from: filters.from,
+      to: filters.to,
+      source: filters.source,
+      stationId: this.stationId,
+      models: summarize(selected).map(withName),
+      leadTime: leadTime.map(withName),
+      contingency: contingency(selected, minWind, maxWind).map(withName),
+      reliability: reliability(pairs, memberWeights(this.forecastModelManager.models, scores), minWind, maxWind),
+      directionRose: directionRose(selected).map(withName),
+      sources: {
+        live: selected.filter(p => p.source === 'live').length,
+        backtest: selected.filter(p => p.source === 'backtest').length
+      }
+    };
+
+    this.cache.set(key, { at: Date.now(), report });
+    if (this.cache.size > CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return report;
+  }
+}
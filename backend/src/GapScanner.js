@@ -0,0 +1,322 @@
+import { DEFAULT_HOURS, timezoneOffsetMs } from './SpotManager.js';
+
+/**
+ * GapScanner - finds holes in the measurement history and fills them.
+ *
+ * A station is expected to have one wind_data row per 5-minute slot during
+ * its collection hours (the widest collectHours of its spots, see
+ * SpotManager.getCollectHours(); DEFAULT_HOURS without a SpotManager) and one
+ * hourly_archive row per such hour. Hours and days are local to the station's
+ * timezone (SpotManager.getTimezone(), Asia/Bangkok without a SpotManager).
+ * A scan lists
+ *   - missing slots, merged into ranges (gaps closer than MERGE_GAP_MS are
+ *     fetched as one range),
+ *   - hours that have measurements but no archive row.
+ *
+ * Backfill fetches missing ranges through AmbientHistoryImporter (stations
+ * whose provider has a history API), retrying with exponential backoff, and
+ * re-aggregates archive-only gaps. A range the provider returned nothing for
+ * is not asked again for UNFILLABLE_RETRY_MS (kept in memory). Backfills run
+ * as the background job 'gap_backfill' (see JobManager), one checkpoint per station.
+ *
+ * getCoverage() reports completeness per station per day for any period.
+ */
+
+const SLOT_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SETTLE_MS = 30 * 60 * 1000;        // the newest slots may still be arriving
+const MERGE_GAP_MS = HOUR_MS;
+const MAX_RANGES_PER_RUN = 24;           // per station; the rest waits for the next run
+const BACKFILL_ATTEMPTS = 3;
+const BACKFILL_BACKOFF_MS = 5000;        // 5 s, 10 s, 20 s
+const UNFILLABLE_RETRY_MS = 7 * DAY_MS;
+
+const dayKey = (ms, timezone) => new Date(ms + timezoneOffsetMs(timezone, new Date(ms))).toISOString().slice(0, 10);
+const startOfDay = (ms, timezone) => {
+  const offset = timezoneOffsetMs(timezone, new Date(ms));
+  return Math.floor((ms + offset) / DAY_MS) * DAY_MS - offset;
+};
+const iso = ms => new Date(ms).toISOString();
+
+export class GapScanner {
+  constructor(stations, dbManager, archiveManager, windCollector, historyImporter = null, spotManager = null) {
+    this.stations = stations;
+    this.spotManager = spotManager;
+    this.dbManager = dbManager;
+    this.archiveManager = archiveManager;
+    this.windCollector = windCollector;
+    this.historyImporter = historyImporter;
+    this.unfillable = new Map(); // `${stationId}:${fromMs}:${toMs}` → ms of the empty fetch
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Collection window { start, end } of a station, hours local to timezone()
+   */
+  collectHours(stationId) {
+    return this.spotManager?.getCollectHours(stationId) || { ...DEFAULT_HOURS.collectHours };
+  }
+
+  /**
+   * Timezone a station's collection hours and days are local to
+   */
+  timezone(stationId) {
+    return this.spotManager?.getTimezone(stationId) || 'Asia/Bangkok';
+  }
+
+  /**
+   * Expected slot starts (collection hours only) in [fromMs, toMs)
+   */
+  expectedSlots(fromMs, toMs, hours = DEFAULT_HOURS.collectHours, timezone = 'Asia/Bangkok') {
+    const slots = [];
+    for (let day = startOfDay(fromMs, timezone); day < toMs; day += DAY_MS) {
+      const dayFrom = Math.max(fromMs, day + hours.start * HOUR_MS);
+      const dayTo = Math.min(toMs, day + hours.end * HOUR_MS);
+      for (let slot = Math.ceil(dayFrom / SLOT_MS) * SLOT_MS; slot < dayTo; slot += SLOT_MS) {
+        slots.push(slot);
+      }
+    }
+    return slots;
+  }
+
+  canBackfill(stationId) {
+    return Boolean(this.historyImporter?.stations.some(s => s.id === stationId));
+  }
+
+  /**
+   * Missing slots and archive hours of one station in [fromMs, toMs)
+   * @returns {Object} { stationId, expectedSlots, missingSlots, ranges: [{ fromMs, toMs, slots }], archiveGaps: [hour ms] }
+   */
+  async scanStation(stationId, fromMs, toMs) {
+    const filled = new Set(await this.dbManager.getFilledSlots(stationId, iso(fromMs), iso(toMs)));
+    const expected = this.expectedSlots(fromMs, toMs, this.collectHours(stationId), this.timezone(stationId));
+    const missing = expected.filter(slot => !filled.has(slot));
+
+    const ranges = [];
+    for (const slot of missing) {
+      const last = ranges[ranges.length - 1];
+      if (last && slot - last.toMs <= MERGE_GAP_MS) {
+        last.toMs = slot + SLOT_MS;
+        last.slots++;
+      } else {
+        ranges.push({ fromMs: slot, toMs: slot + SLOT_MS, slots: 1 });
+      }
+    }
+
+    // Complete hours with measurements but no archive row
+    const archived = new Set(await this.archiveManager.getArchivedHourStarts(stationId, iso(fromMs), iso(toMs)));
+    const hoursWithData = new Set([...filled].map(slot => Math.floor(slot / HOUR_MS) * HOUR_MS));
+    const archiveGaps = [...new Set(expected.map(slot => Math.floor(slot / HOUR_MS) * HOUR_MS))]
+      .filter(hour => hour + HOUR_MS <= toMs && hoursWithData.has(hour) && !archived.has(hour));
+
+    return {
+      stationId,
+      expectedSlots: expected.length,
+      missingSlots: missing.length,
+      ranges,
+      archiveGaps
+    };
+  }
+
+  /**
+   * Import one range, retrying with exponential backoff
+   */
+  async importWithBackoff(stationId, fromMs, toMs) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.historyImporter.importStation(stationId, fromMs, toMs);
+      } catch (error) {
+        if (attempt >= BACKFILL_ATTEMPTS) throw error;
+        const delay = BACKFILL_BACKOFF_MS * 2 ** (attempt - 1);
+        console.warn(`  ⚠ Backfill ${stationId} ${iso(fromMs)}: ${error.message}, retry in ${delay / 1000}s`);
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+
+  /**
+   * Fill the gaps found by scanStation()
+   * @returns {Object} { rangesFetched, inserted, unfillable, skipped, archivedHours, error? }
+   */
+  async backfillStation(scan) {
+    const { stationId } = scan;
+    const result = { rangesFetched: 0, inserted: 0, unfillable: 0, skipped: 0, archivedHours: 0, error: null };
+    const now = Date.now();
+
+    if (this.canBackfill(stationId)) {
+      const pending = scan.ranges.filter(range => {
+        const triedAt = this.unfillable.get(`${stationId}:${range.fromMs}:${range.toMs}`);
+        return !triedAt || now - triedAt > UNFILLABLE_RETRY_MS;
+      });
+      result.skipped = scan.ranges.length - Math.min(pending.length, MAX_RANGES_PER_RUN);
+
+      for (const range of pending.slice(0, MAX_RANGES_PER_RUN)) {
+        try {
+          const imported = await this.importWithBackoff(stationId, range.fromMs, range.toMs);
+          result.rangesFetched++;
+          result.inserted += imported.inserted;
+          result.archivedHours += imported.archivedHours;
+          if (imported.inserted === 0) {
+            this.unfillable.set(`${stationId}:${range.fromMs}:${range.toMs}`, now);
+            result.unfillable++;
+          }
+        } catch (error) {
+          // The provider is down: leave the rest of this station for the next run
+          console.error(`✗ Backfill of ${stationId} stopped:`, error.message);
+          result.error = error.message;
+          break;
+        }
+      }
+    } else {
+      result.skipped = scan.ranges.length;
+    }
+
+    for (const hour of scan.archiveGaps) {
+      result.archivedHours += await this.windCollector.rearchiveRange(stationId, hour, hour + HOUR_MS);
+    }
+    return result;
+  }
+
+  /**
+   * Scan (and unless dryRun, backfill) the last `days` days.
+   * Concurrent calls share one run.
+   * @param {Object} options - for background jobs (see JobManager)
+   * @param {Object} options.state - resume state (window + finished stations), updated in place
+   * @param {Function} options.onCheckpoint - async (state, { done, total, unit }) after every station
+   */
+  async run({ days = 7, stationIds = null, dryRun = false } = {}, { state = {}, onCheckpoint = null } = {}) {
+    if (this.running) return this.running;
+    this.running = this._run({ days, stationIds, dryRun }, { state, onCheckpoint }).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async _run({ days, stationIds, dryRun }, { state, onCheckpoint }) {
+    const startedAt = Date.now();
+    // A resumed job keeps the window it started with; days of the default spot
+    state.window = state.window || {
+      fromMs: startOfDay(startedAt, this.spotManager?.getDefault()?.timezone || 'Asia/Bangkok') - (days - 1) * DAY_MS,
+      toMs: startedAt - SETTLE_MS
+    };
+    state.stations = state.stations || {};
+    const { fromMs, toMs } = state.window;
+    const targets = stationIds?.length
+      ? this.stations.filter(s => stationIds.includes(s.id))
+      : this.stations;
+
+    const results = [];
+    for (const station of targets) {
+      if (state.stations[station.id]) {
+        results.push(state.stations[station.id]);
+        continue;
+      }
+      const scan = await this.scanStation(station.id, fromMs, toMs);
+      const summary = {
+        stationId: station.id,
+        expectedSlots: scan.expectedSlots,
+        missingSlots: scan.missingSlots,
+        ranges: scan.ranges.map(r => ({ from: iso(r.fromMs), to: iso(r.toMs), slots: r.slots })),
+        archiveGaps: scan.archiveGaps.map(iso),
+        backfillable: this.canBackfill(station.id)
+      };
+      if (!dryRun) {
+        summary.backfill = await this.backfillStation(scan);
+      }
+      results.push(summary);
+      // A station the provider failed for is tried again when the job is retried
+      if (!summary.backfill?.error) state.stations[station.id] = summary;
+      if (onCheckpoint) await onCheckpoint(state, { done: results.length, total: targets.length, unit: 'stations' });
+    }
+
+    this.lastRun = {
+      startedAt: iso(startedAt),
+      finishedAt: iso(Date.now()),
+      days,
+      dryRun,
+      results: results.map(({ ranges, archiveGaps, ...rest }) => ({
+        ...rest,
+        ranges: ranges.length,
+        archiveGaps: archiveGaps.length
+      }))
+    };
+    return { from: iso(fromMs), to: iso(toMs), dryRun, results };
+  }
+
+  /**
+   * Completeness per station per day, local to the station's timezone
+   * @param {Object} options - { days, stationIds }
+   * @returns {Object} { from, to, stations: [{ stationId, name, timezone, hours: [start, end), summary, days }] }
+   *   - from: start of the earliest station's first day
+   */
+  async getCoverage({ days = 30, stationIds = null } = {}) {
+    const now = Date.now();
+    const toMs = now - SETTLE_MS;
+    let earliestMs = toMs;
+    const targets = stationIds?.length
+      ? this.stations.filter(s => stationIds.includes(s.id))
+      : this.stations;
+    const round = value => Math.round(value * 1000) / 10;
+
+    const stations = [];
+    for (const station of targets) {
+      const hours = this.collectHours(station.id);
+      const timezone = this.timezone(station.id);
+      const fromMs = startOfDay(now, timezone) - (days - 1) * DAY_MS;
+      earliestMs = Math.min(earliestMs, fromMs);
+      const slotsPerDay = (hours.end - hours.start) * HOUR_MS / SLOT_MS;
+      const raw = new Map((await this.dbManager.getDailySlotCoverage(
+        station.id, iso(fromMs), iso(toMs), hours.start, hours.end, timezone
+      )).map(r => [r.day, r]));
+      const archive = new Map((await this.archiveManager.getDailyHourCoverage(
+        station.id, iso(fromMs), iso(toMs), hours.start, hours.end, timezone
+      )).map(r => [r.day, r.hours]));
+
+      const dayRows = [];
+      const totals = { expectedSlots: 0, slots: 0, usableSlots: 0, expectedHours: 0, archivedHours: 0 };
+      for (let day = fromMs; day < toMs; day += DAY_MS) {
+        // Today only counts the slots that are already due
+        const expectedSlots = day + DAY_MS <= toMs ? slotsPerDay : this.expectedSlots(day, toMs, hours, timezone).length;
+        if (expectedSlots === 0) continue;
+        const expectedHours = Math.floor(expectedSlots / (HOUR_MS / SLOT_MS));
+        const key = dayKey(day, timezone);
+        const row = raw.get(key);
+        const entry = {
+          date: key,
+          expectedSlots,
+          slots: row?.slots || 0,
+          usableSlots: row?.usable_slots || 0,
+          completeness: round((row?.slots || 0) / expectedSlots),
+          expectedHours,
+          archivedHours: archive.get(key) || 0
+        };
+        dayRows.push(entry);
+        for (const field of Object.keys(totals)) totals[field] += entry[field];
+      }
+
+      stations.push({
+        stationId: station.id,
+        name: station.name,
+        timezone,
+        hours: [hours.start, hours.end],
+        backfillable: this.canBackfill(station.id),
+        summary: {
+          ...totals,
+          completeness: totals.expectedSlots > 0 ? round(totals.slots / totals.expectedSlots) : null,
+          usableCompleteness: totals.expectedSlots > 0 ? round(totals.usableSlots / totals.expectedSlots) : null,
+          archiveCompleteness: totals.expectedHours > 0 ? round(totals.archivedHours / totals.expectedHours) : null,
+          emptyDays: dayRows.filter(d => d.slots === 0).length
+        },
+        days: dayRows
+      });
+    }
+
+    return {
+      from: iso(earliestMs),
+      to: iso(toMs),
+      stations
+    };
+  }
+}
@@ -0,0 +1,353 @@
+import os from 'os';
+
+/**
+ * JobManager - background jobs for work that outlives an HTTP request
+ * (multi-year history imports, forecast backtests).
+ *
+ * Jobs live in the `jobs` table: queued → running → succeeded | failed |
+ * cancelled. A worker loop in each backend process claims one queued job at
+ * a time (FOR UPDATE SKIP LOCKED, so replicas never run the same job) and
+ * calls the handler registered for its type:
+ *
+ *   register(type, { scope, run: async (params, job) => result })
+ *
+ * `job.state` is the handler's resume state from the last checkpoint ({} on
+ * the first run). Handlers call `job.checkpoint(state, { done, total, unit })`
+ * after every page / chunk; it stores the state and progress, renews the
+ * heartbeat and throws JobCancelledError once a cancel was requested.
+ *
+ * A job whose heartbeat is older than STALE_MS (pod restart, crash) is queued
+ * again and resumes from its last checkpoint. Failed and cancelled jobs can be
+ * retried the same way. `scope` is the admin scope needed to cancel / retry.
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 5;          // automatic requeues after a lost worker
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export class JobManager {
+  constructor(pgPool) {
+    this.pool = pgPool;
+    this.handlers = new Map(); // type → { scope, run }
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.current = null;       // { id } of the job this process runs
+    this.busy = false;         // a tick is claiming or running a job
+  }
+
+  async initialize() {
+    const { rows } = await this.pool.query(
+      "SELECT COUNT(*)::int AS count FROM jobs WHERE status IN ('queued', 'running')"
+    );
+    console.log(`✓ JobManager initialized (${rows[0].count} pending jobs)`);
+  }
+
+  /**
+   * @param {string} type - e.g. 'history_import'
+   * @param {Object} handler - { scope, run: async (params, job) => result }
+   */
+  register(type, { scope, run }) {
+    this.handlers.set(type, { scope, run });
+  }
+
+  getScope(type) {
+    return this.handlers.get(type)?.scope || 'admin';
+  }
+
+  /**
+   * Queue a job; the worker picks it up within POLL_INTERVAL_MS
+   */
+  async enqueue(type, params = {}, createdBy = null) {
+    if (!this.handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+    const { rows } = await this.pool.query(
+      'INSERT INTO jobs (type, params, created_by) VALUES ($1, $2, $3) RETURNING *',
+      [type, JSON.stringify(params), createdBy]
+    );
+    if (this.timer) setImmediate(() => this.tick());
+    return this.formatJob(rows[0]);
+  }
+
+  /**
+   * Queue a job unless one of the same type is already queued or running
+   * (scheduled jobs that every replica's cron would otherwise add)
+   * @returns {Object|null} the new job, or null if one is pending
+   */
+  async enqueueUnique(type, params = {}, createdBy = null) {
+    if (!this.handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+    const { rows } = await this.pool.query(
+      `INSERT INTO jobs (type, params, created_by)
+       SELECT $1, $2, $3
+       WHERE NOT EXISTS (SELECT 1 FROM jobs WHERE type = $1 AND status IN ('queued', 'running'))
+       RETURNING *`,
+      [type, JSON.stringify(params), createdBy]
+    );
+    if (!rows[0]) return null;
+    if (this.timer) setImmediate(() => this.tick());
+    return this.formatJob(rows[0]);
+  }
+
+  async get(id) {
+    const { rows } = await this.pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return rows[0] ? this.formatJob(rows[0]) : null;
+  }
+
+  /**
+   * Newest jobs first
+   * @param {Object} filters - { status, type, limit }
+   */
+  async list({ status = null, type = null, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM jobs
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [status, type, limit]
+    );
+    return rows.map(row => this.formatJob(row));
+  }
+
+  /**
+   * Queued jobs are cancelled at once, running ones at their next checkpoint
+   * @returns {Object|null} { job } or { error } if already finished, null if unknown
+   */
+  async cancel(id) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET
+         status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+         cancel_requested = TRUE,
+         updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'running')
+       RETURNING *`,
+      [id]
+    );
+    if (rows[0]) return { job: this.formatJob(rows[0]) };
+    const job = await this.get(id);
+    return job ? { error: `Job ${id} is already ${job.status}` } : null;
+  }
+
+  /**
+   * Queue a failed / cancelled job again with a fresh attempt count. It
+   * resumes from its last checkpoint unless `reset` is set.
+   * @returns {Object|null} { job } or { error } if it is active or succeeded, null if unknown
+   */
+  async retry(id, { reset = false } = {}) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET
+         status = 'queued',
+         cancel_requested = FALSE,
+         error = NULL,
+         result = NULL,
+         finished_at = NULL,
+         worker_id = NULL,
+         attempts = 0,
+         progress = CASE WHEN $2 THEN '{}'::jsonb ELSE progress END,
+         updated_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'cancelled')
+       RETURNING *`,
+      [id, reset]
+    );
+    if (rows[0]) return { job: this.formatJob(rows[0]) };
+    const job = await this.get(id);
+    return job ? { error: `Job ${id} is ${job.status}, only failed or cancelled jobs can be retried` } : null;
+  }
+
+  /**
+   * Start the worker loop of this process
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    setImmediate(() => this.tick());
+    console.log(`✓ Job worker started (${this.workerId})`);
+  }
+
+  /**
+   * Stop the loop and hand the running job back to the queue, so the next
+   * process resumes it without waiting for STALE_MS
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.current) return;
+    await this.pool.query(
+      `UPDATE jobs SET status = 'queued', worker_id = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND worker_id = $2`,
+      [this.current.id, this.workerId]
+    );
+  }
+
+  async tick() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await this.requeueStale();
+      const job = await this.claim();
+      if (!job) return;
+      this.current = { id: job.id };
+      await this.runJob(job);
+    } catch (error) {
+      console.error('✗ Job worker error:', error.message);
+    } finally {
+      this.current = null;
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Jobs of dead workers go back to the queue (or fail after MAX_ATTEMPTS)
+   */
+  async requeueStale() {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET
+         status = CASE WHEN attempts >= $2 OR cancel_requested THEN
+                    CASE WHEN cancel_requested THEN 'cancelled' ELSE 'failed' END
+                  ELSE 'queued' END,
+         error = CASE WHEN attempts >= $2 AND NOT cancel_requested
+                   THEN 'Worker lost ' || attempts || ' times' ELSE error END,
+         finished_at = CASE WHEN attempts >= $2 OR cancel_requested THEN NOW() ELSE NULL END,
+         worker_id = NULL,
+         updated_at = NOW()
+       WHERE status = 'running' AND updated_at < NOW() - ($1 || ' milliseconds')::interval
+       RETURNING id, status`,
+      [STALE_MS, MAX_ATTEMPTS]
+    );
+    for (const row of rows) {
+      console.warn(`  ⚠ Job ${row.id}: worker lost, now ${row.status}`);
+    }
+  }
+
+  async claim() {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET
+         status = 'running',
+         worker_id = $1,
+         attempts = attempts + 1,
+         started_at = COALESCE(started_at, NOW()),
+         run_started_at = NOW(),
+         progress = progress || jsonb_build_object('runStartDone', COALESCE((progress->>'done')::float8, 0)),
+         updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE status = 'queued' AND type = ANY($2::text[])
+         ORDER BY created_at, id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.workerId, types]
+    );
+    return rows[0] || null;
+  }
+
+  async runJob(row) {
+    const { run } = this.handlers.get(row.type);
+    const startedAt = Date.now();
+    console.log(`🧰 Job ${row.id} (${row.type}) started, attempt ${row.attempts}`);
+
+    // Keeps the job alive between checkpoints (slow pages, the final JOIN of a backtest)
+    const heartbeat = setInterval(() => {
+      this.pool.query(
+        'UPDATE jobs SET updated_at = NOW() WHERE id = $1 AND worker_id = $2',
+        [row.id, this.workerId]
+      ).catch(error => console.error(`✗ Job ${row.id} heartbeat failed:`, error.message));
+    }, HEARTBEAT_MS);
+
+    const job = {
+      id: row.id,
+      state: row.progress?.state || {},
+      checkpoint: (state, progress = {}) => this.checkpoint(row.id, state, progress)
+    };
+
+    try {
+      const result = await run(row.params, job);
+      await this.finish(row.id, 'succeeded', { result });
+      console.log(`✓ Job ${row.id} (${row.type}) succeeded in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        await this.finish(row.id, 'cancelled', { error: error.message });
+        console.log(`⏹ Job ${row.id} (${row.type}): ${error.message}`);
+      } else {
+        await this.finish(row.id, 'failed', { error: error.message });
+        console.error(`✗ Job ${row.id} (${row.type}) failed:`, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Save resume state + progress; throws JobCancelledError if the job was
+   * cancelled or taken over by another worker
+   */
+  async checkpoint(id, state, { done = null, total = null, unit = null } = {}) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET
+         progress = progress || jsonb_build_object('state', $3::jsonb, 'done', $4::float8, 'total', $5::float8, 'unit', $6::text),
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND worker_id = $2
+       RETURNING cancel_requested`,
+      [id, this.workerId, JSON.stringify(state), done, total, unit]
+    );
+    if (!rows[0]) throw new JobCancelledError('Job was taken over by another worker');
+    if (rows[0].cancel_requested) throw new JobCancelledError();
+  }
+
+  async finish(id, status, { result = null, error = null } = {}) {
+    await this.pool.query(
+      `UPDATE jobs SET status = $3, result = $4, error = $5, finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND worker_id = $2 AND status = 'running'`,
+      [id, this.workerId, status, result === null ? null : JSON.stringify(result), error]
+    );
+  }
+
+  /**
+   * API shape: progress with percent, ETA from the rate of the current run
+   */
+  formatJob(row) {
+    const progress = row.progress || {};
+    const done = progress.done ?? null;
+    const total = progress.total ?? null;
+    const percent = done !== null && total > 0 ? Math.round((done / total) * 1000) / 10 : null;
+
+    let etaSeconds = null;
+    if (row.status === 'running' && done !== null && total > 0 && row.run_started_at) {
+      const elapsedMs = Date.now() - new Date(row.run_started_at).getTime();
+      const doneThisRun = done - (progress.runStartDone || 0);
+      if (doneThisRun > 0 && elapsedMs > 0) {
+        etaSeconds = Math.round(((total - done) / doneThisRun) * elapsedMs / 1000);
+      }
+    }
+
+    const iso = value => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      params: row.params,
+      progress: { done, total, unit: progress.unit ?? null, percent },
+      etaSeconds,
+      result: row.result,
+      error: row.error,
+      attempts: row.attempts,
+      cancelRequested: row.cancel_requested,
+      createdBy: row.created_by,
+      createdAt: iso(row.created_at),
+      startedAt: iso(row.started_at),
+      updatedAt: iso(row.updated_at),
+      finishedAt: iso(row.finished_at)
+    };
+  }
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * MigrationRunner - versioned schema migrations.
+ *
+ * Migrations are SQL files in backend/migrations named `NNN_description.sql`
+ * and only go up. Applied versions are recorded in `schema_migrations` with
+ * the file's checksum; each file runs in its own transaction, in version
+ * order. A session advisory lock keeps replicas starting at the same time
+ * from applying a migration twice.
+ *
+ * 001 captures the schema the managers used to create in initialize(); it is
+ * idempotent (IF NOT EXISTS) so databases that predate the runner adopt it
+ * without changes.
+ *
+ * Used by server.js on startup and by the CLI (migrate.js).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const LOCK_KEY = 74521001; // pg_advisory_lock key, any constant unique to this app
+
+const checksum = sql => crypto.createHash('sha256').update(sql).digest('hex');
+
+export class MigrationRunner {
+  constructor(pgPool, directory = MIGRATIONS_DIR) {
+    this.pool = pgPool;
+    this.directory = directory;
+  }
+
+  /**
+   * Migration files in version order
+   * @returns {Array} [{ version, name, file, sql, checksum }]
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const sql = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        return { version: parseInt(match[1], 10), name: match[2], file, sql, checksum: checksum(sql) };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+      }
+    }
+    return migrations;
+  }
+
+  async ensureTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        checksum    TEXT NOT NULL,
+        duration_ms INTEGER,
+        applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Applied and pending migrations; `modified` lists applied files whose
+   * content changed since (they are never re-run)
+   */
+  async status() {
+    const client = await this.pool.getClient();
+    try {
+      await this.ensureTable(client);
+      return await this._status(client);
+    } finally {
+      client.release();
+    }
+  }
+
+  async _status(client) {
+    const migrations = this.loadMigrations();
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map(rows.map(row => [row.version, row]));
+
+    return {
+      applied: rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+      pending: migrations.filter(m => !applied.has(m.version)),
+      modified: migrations
+        .filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum)
+        .map(m => m.file),
+      missing: rows.filter(row => !migrations.some(m => m.version === row.version)).map(row => row.version)
+    };
+  }
+
+  /**
+   * Apply pending migrations. With dryRun all of them run in one transaction
+   * that is rolled back, so the SQL is checked against the real schema
+   * without changing it.
+   * @returns {Object} { applied: [{ version, name, durationMs }], dryRun }
+   */
+  async migrate({ dryRun = false } = {}) {
+    const client = await this.pool.getClient();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      await this.ensureTable(client);
+      const { pending, modified } = await this._status(client);
+      for (const file of modified) {
+        console.warn(`⚠ Migration ${file} changed after it was applied — add a new migration instead`);
+      }
+
+      const applied = [];
+      if (dryRun) await client.query('BEGIN');
+      try {
+        for (const migration of pending) {
+          const startedAt = Date.now();
+          await this._apply(client, migration, dryRun);
+          const durationMs = Date.now() - startedAt;
+          console.log(`  ${dryRun ? '○' : '✓'} ${migration.file} (${durationMs} ms)`);
+          applied.push({ version: migration.version, name: migration.name, durationMs });
+        }
+      } finally {
+        if (dryRun) await client.query('ROLLBACK');
+      }
+      return { applied, dryRun };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * One migration in its own transaction (a savepoint inside a dry run)
+   */
+  async _apply(client, migration, dryRun) {
+    const startedAt = Date.now();
+    const [begin, commit, rollback] = dryRun
+      ? ['SAVEPOINT migration', 'RELEASE SAVEPOINT migration', 'ROLLBACK TO SAVEPOINT migration']
+      : ['BEGIN', 'COMMIT', 'ROLLBACK'];
+    try {
+      await client.query(begin);
+      await client.query(migration.sql);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, duration_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+      await client.query(commit);
+    } catch (error) {
+      await client.query(rollback).catch(() => {});
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+  }
+}
@@ -2,19 +2,54 @@ import fs from 'fs';
 import path from 'path';
 import webpush from 'web-push';
 import { APNsProvider } from './APNsProvider.js';
+import { DEFAULT_RULE, evaluateAlertRule } from './AlertRuleManager.js';
+import { detectSafetyConditions } from './SafetyAlertManager.js';
+import { qcWeight, isGustUsable, isDirectionUsable } from './DataQuality.js';
+
+/**
+ * wind_data rows as alert rules and safety checks see them: rows the QC
+ * excludes from aggregates are dropped, speeds and direction calibrated at
+ * each row's timestamp. A gust that fails QC (range_gust, gust_below_speed)
+ * becomes null, and a row flagged direction_missing (stored as 0) gets a
+ * null direction, not 0° north.
+ * Shared by the notification cron and /notifications/check-conditions.
+ */
+export function alertMeasurements(rows, calibrationManager) {
+  return (rows || []).filter(m => qcWeight(m.qc_flags || []) > 0).map(m => ({
+    ...m,
+    wind_speed_knots: calibrationManager.applySpeed(parseFloat(m.wind_speed_knots), m.station_id, m.timestamp),
+    wind_gust_knots: m.wind_gust_knots !== null && isGustUsable(m.qc_flags || [])
+      ? calibrationManager.applySpeed(parseFloat(m.wind_gust_knots), m.station_id, m.timestamp)
+      : null,
+    wind_direction: isDirectionUsable(m.qc_flags || [])
+      ? calibrationManager.applyOffset(parseInt(m.wind_direction, 10), m.station_id, m.timestamp)
+      : null
+  }));
+}
 
 /**
  * NotificationManager - manages push notifications for wind conditions
  * Supports both Web Push (PWA) and APNs (iOS)
- * Sends notifications when wind speed exceeds 10 knots with increasing trend
- * Maximum once per day per subscription
+ * Each subscription/device is checked against its own alert rules
+ * (AlertRuleManager); without rules the legacy trigger applies:
+ * stable ≥8 knots for 15 minutes, maximum once per day per subscription.
+ * Opted-in targets also get safety warnings (SafetyAlertManager).
+ *
+ * Subscriptions live in `push_subscriptions`, iOS tokens in `apns_devices`
+ * (APNsProvider), and every send attempt is logged to
+ * `notification_deliveries` (which also backs the once-a-day limit).
+ * In-memory copies are refreshed from PostgreSQL before each send run, so
+ * several backend replicas can share the same subscribers.
  */
 export class NotificationManager {
-  constructor(dbPath = './data/subscriptions.json') {
-    this.subscriptionsPath = dbPath;
-    this.notificationLogPath = dbPath.replace('subscriptions.json', 'notification_log.json');
+  constructor(pgPool, alertRules = null, safetyAlerts = null, legacyDataDir = './data') {
+    this.pool = pgPool;
+    this.alertRules = alertRules;
+    this.safetyAlerts = safetyAlerts;
+    this.legacySubscriptionsPath = path.join(legacyDataDir, 'subscriptions.json');
+    this.legacyLogPath = path.join(legacyDataDir, 'notification_log.json');
     this.subscriptions = [];
-    this.notificationLog = {};
+    this.notificationLog = {}; // targetId → last default-rule alert (from notification_deliveries)
 
     // Configure web-push with VAPID keys
     webpush.setVapidDetails(
@@ -24,100 +59,195 @@ export class NotificationManager {
     );
 
     // Initialize APNs provider for iOS push notifications
-    this.apns = new APNsProvider();
+    this.apns = new APNsProvider(pgPool);
+  }
 
-    this.loadSubscriptions();
-    this.loadNotificationLog();
+  async initialize() {
+    await this.apns.initialize();
+    await this.migrateLegacyFiles();
+    await this.refresh();
+    console.log(`✓ NotificationManager initialized (${this.subscriptions.length} push subscriptions, ${this.apns.devices.length} APNs devices)`);
   }
 
-  loadSubscriptions() {
-    try {
-      if (fs.existsSync(this.subscriptionsPath)) {
-        const data = fs.readFileSync(this.subscriptionsPath, 'utf8');
-        this.subscriptions = JSON.parse(data);
-        console.log(`✓ Loaded ${this.subscriptions.length} push subscriptions`);
+  /**
+   * One-time import of ./data/subscriptions.json and notification_log.json
+   * (pre-PostgreSQL storage). Files are renamed to *.migrated afterwards.
+   */
+  async migrateLegacyFiles() {
+    if (fs.existsSync(this.legacySubscriptionsPath)) {
+      try {
+        const subscriptions = JSON.parse(fs.readFileSync(this.legacySubscriptionsPath, 'utf8'));
+        for (const sub of subscriptions) {
+          if (!sub.endpoint || !sub.keys) continue;
+          await this.pool.query(
+            `INSERT INTO push_subscriptions (endpoint, keys, expiration_time, spot_id, created_at)
+             VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()))
+             ON CONFLICT (endpoint) DO NOTHING`,
+            [sub.endpoint, JSON.stringify(sub.keys), sub.expirationTime || null, sub.spotId || null, sub.createdAt || null]
+          );
+        }
+        fs.renameSync(this.legacySubscriptionsPath, `${this.legacySubscriptionsPath}.migrated`);
+        console.log(`✓ Migrated ${subscriptions.length} push subscriptions from JSON to PostgreSQL`);
+      } catch (error) {
+        console.error('Error migrating push subscriptions:', error.message);
       }
-    } catch (error) {
-      console.error('Error loading subscriptions:', error.message);
-      this.subscriptions = [];
     }
-  }
 
-  saveSubscriptions() {
-    try {
-      const dir = path.dirname(this.subscriptionsPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+    if (fs.existsSync(this.legacyLogPath)) {
+      try {
+        const log = JSON.parse(fs.readFileSync(this.legacyLogPath, 'utf8'));
+        for (const [targetId, sentAt] of Object.entries(log)) {
+          await this.pool.query(
+            `INSERT INTO notification_deliveries (target_type, target_id, kind, status, sent_at)
+             VALUES ($1, $2, 'conditions', 'sent', $3)`,
+            [targetId.startsWith('http') ? 'webpush' : 'apns', targetId, sentAt]
+          );
+        }
+        fs.renameSync(this.legacyLogPath, `${this.legacyLogPath}.migrated`);
+        console.log(`✓ Migrated ${Object.keys(log).length} notification log entries`);
+      } catch (error) {
+        console.error('Error migrating notification log:', error.message);
       }
-      fs.writeFileSync(this.subscriptionsPath, JSON.stringify(this.subscriptions, null, 2));
-    } catch (error) {
-      console.error('Error saving subscriptions:', error.message);
     }
   }
 
-  loadNotificationLog() {
-    try {
-      if (fs.existsSync(this.notificationLogPath)) {
-        const data = fs.readFileSync(this.notificationLogPath, 'utf8');
-        this.notificationLog = JSON.parse(data);
-        console.log(`✓ Loaded notification log (${Object.keys(this.notificationLog).length} entries)`);
-      }
-    } catch (error) {
-      console.error('Error loading notification log:', error.message);
-      this.notificationLog = {};
+  /**
+   * Reload subscribers, devices, rules, safety opt-ins and today's default-rule
+   * deliveries from PostgreSQL (other replicas may have changed them)
+   */
+  async refresh() {
+    const { rows } = await this.pool.query(
+      'SELECT endpoint, keys, expiration_time, spot_id, created_at FROM push_subscriptions ORDER BY created_at ASC'
+    );
+    this.subscriptions = rows.map(row => this._rowToSubscription(row));
+
+    const log = await this.pool.query(
+      `SELECT target_id, MAX(sent_at) AS last_sent
+       FROM notification_deliveries
+       WHERE kind = 'conditions' AND rule_id IS NULL AND status = 'sent'
+         AND sent_at > NOW() - INTERVAL '2 days'
+       GROUP BY target_id`
+    );
+    this.notificationLog = {};
+    for (const row of log.rows) {
+      this.notificationLog[row.target_id] = new Date(row.last_sent).toISOString();
     }
+
+    await this.apns.loadDevices();
+    if (this.alertRules) await this.alertRules.reload();
+    if (this.safetyAlerts) await this.safetyAlerts.reload();
   }
 
-  saveNotificationLog() {
-    try {
-      const dir = path.dirname(this.notificationLogPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(this.notificationLogPath, JSON.stringify(this.notificationLog, null, 2));
-    } catch (error) {
-      console.error('Error saving notification log:', error.message);
-    }
+  _rowToSubscription(row) {
+    return {
+      endpoint: row.endpoint,
+      expirationTime: row.expiration_time !== null ? Number(row.expiration_time) : null,
+      keys: row.keys,
+      spotId: row.spot_id,
+      createdAt: row.created_at
+    };
   }
 
   /**
-   * Add a new push subscription
+   * Add a new push subscription (or move an existing one to another spot)
+   * @param {Object} subscription - PushSubscription JSON from the browser
+   * @param {string|null} spotId - spot the subscriber follows (null = default spot)
+   * @returns {boolean} true if the subscription is new
    */
-  addSubscription(subscription) {
-    // Check if subscription already exists
-    const exists = this.subscriptions.some(
-      sub => sub.endpoint === subscription.endpoint
+  async addSubscription(subscription, spotId = null) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO push_subscriptions (endpoint, keys, expiration_time, spot_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (endpoint) DO UPDATE SET
+         keys = EXCLUDED.keys,
+         expiration_time = EXCLUDED.expiration_time,
+         spot_id = EXCLUDED.spot_id,
+         updated_at = NOW()
+       RETURNING *, (xmax = 0) AS inserted`,
+      [subscription.endpoint, JSON.stringify(subscription.keys || {}), subscription.expirationTime || null, spotId]
     );
 
-    if (!exists) {
-      this.subscriptions.push({
-        ...subscription,
-        createdAt: new Date().toISOString()
-      });
-      this.saveSubscriptions();
-      console.log('✓ New push subscription added');
-      return true;
+    const saved = this._rowToSubscription(rows[0]);
+    const index = this.subscriptions.findIndex(sub => sub.endpoint === saved.endpoint);
+    if (index >= 0) {
+      this.subscriptions[index] = saved;
+    } else {
+      this.subscriptions.push(saved);
     }
-    return false;
+
+    console.log(rows[0].inserted
+      ? '✓ New push subscription added'
+      : `✓ Push subscription updated (spot: ${spotId || 'default'})`);
+    return rows[0].inserted;
   }
 
   /**
    * Remove a push subscription
    */
-  removeSubscription(endpoint) {
-    const initialLength = this.subscriptions.length;
-    this.subscriptions = this.subscriptions.filter(
-      sub => sub.endpoint !== endpoint
-    );
+  async removeSubscription(endpoint) {
+    const { rowCount } = await this.pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+    this.subscriptions = this.subscriptions.filter(sub => sub.endpoint !== endpoint);
 
-    if (this.subscriptions.length < initialLength) {
-      this.saveSubscriptions();
+    if (rowCount > 0) {
+      this.removeRules('webpush', endpoint);
       console.log('✓ Push subscription removed');
       return true;
     }
     return false;
   }
 
+  /**
+   * Whether a subscription/device exists (checked in PostgreSQL, not the cache)
+   */
+  async hasTarget(targetType, targetId) {
+    const { rows } = targetType === 'apns'
+      ? await this.pool.query('SELECT 1 FROM apns_devices WHERE token = $1', [targetId])
+      : await this.pool.query('SELECT 1 FROM push_subscriptions WHERE endpoint = $1', [targetId]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Log one send attempt to notification_deliveries
+   * @param {Object} delivery - { targetType, targetId, spotId, kind, ruleId, title, ok, error }
+   */
+  async recordDelivery({ targetType, targetId, spotId = null, kind, ruleId = null, title = null, ok, error = null }) {
+    try {
+      await this.pool.query(
+        `INSERT INTO notification_deliveries
+           (target_type, target_id, spot_id, kind, rule_id, title, status, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [targetType, targetId, spotId, kind, ruleId, title, ok ? 'sent' : 'failed', error]
+      );
+    } catch (err) {
+      console.error('Error recording notification delivery:', err.message);
+    }
+  }
+
+  /**
+   * Drop alert rules and safety opt-in of a removed subscription/device (best effort)
+   */
+  removeRules(targetType, targetId) {
+    if (this.alertRules) {
+      this.alertRules.deleteRulesForTarget(targetType, targetId).catch(error => {
+        console.error('Error removing notification rules:', error.message);
+      });
+    }
+    if (this.safetyAlerts) {
+      this.safetyAlerts.removeTarget(targetType, targetId).catch(error => {
+        console.error('Error removing safety alert opt-in:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Whether a subscription/device follows the given spot.
+   * Entries saved before multi-spot support have no spotId and follow the default spot.
+   */
+  matchesSpot(item, spot) {
+    if (!spot) return true;
+    return item.spotId ? item.spotId === spot.id : !!spot.isDefault;
+  }
+
   /**
    * Get current date string in Bangkok timezone (YYYY-MM-DD)
    */
@@ -133,10 +263,12 @@ export class NotificationManager {
   }
 
   /**
-   * Helper to get wind direction from measurement (handles both snake_case and camelCase)
+   * Helper to get wind direction from measurement (handles both snake_case and camelCase);
+   * null when the station did not report one
    */
   getWindDirection(m) {
-    return m.wind_direction || m.windDirection || 0;
+    const direction = m.wind_direction ?? m.windDirection;
+    return direction === null || direction === undefined ? null : parseFloat(direction);
   }
 
   /**
@@ -147,57 +279,67 @@ export class NotificationManager {
   }
 
   /**
-   * Check if wind conditions are stable over the last 15 minutes
-   * Requirements:
-   * - Speed >= 8 knots in ALL measurements
-   * - Direction stable (variance <= 45°)
-   * - Gusts not critical (max - avg <= 8 knots)
-   * - Trend is increasing or stable (not decreasing sharply)
+   * Summarize the last 15 minutes (3 five-minute measurements) for rule checks
+   * @returns {Object|null} speeds, avgSpeed, gustDiff, direction (circular mean of the
+   *   readings that have one, null if none do), directionVariance, trendChange —
+   *   or null if there is not enough data
    */
-  checkWindStability(measurements) {
-    if (!measurements || measurements.length < 3) {
-      return { stable: false, reason: 'Insufficient data (need at least 3 measurements)' };
-    }
+  summarizeConditions(measurements) {
+    if (!measurements || measurements.length < 3) return null;
 
     // Take last 3 measurements (15 minutes with 5-min intervals)
     const recent = measurements.slice(-3);
+    const speeds = recent.map(m => this.getWindSpeed(m));
+    const directions = recent.map(m => this.getWindDirection(m)).filter(d => d !== null);
 
-    // 1. Check if ALL measurements have speed >= 8 knots
-    const allAboveThreshold = recent.every(m => this.getWindSpeed(m) >= 8);
-    if (!allAboveThreshold) {
-      const speeds = recent.map(m => this.getWindSpeed(m).toFixed(1)).join(', ');
-      return { stable: false, reason: `Wind speed below 8 knots in last 15 minutes (speeds: ${speeds})` };
-    }
+    const avgSpeed = speeds.reduce((sum, v) => sum + v, 0) / speeds.length;
+    const maxGust = Math.max(...recent.map(m => this.getWindGust(m)));
 
-    // 2. Check direction stability (variance <= 45°)
-    const directions = recent.map(m => this.getWindDirection(m));
-    const directionVariance = this.calculateDirectionVariance(directions);
-    if (directionVariance > 45) {
-      return { stable: false, reason: `Direction too variable (${directionVariance.toFixed(1)}°)` };
-    }
+    const radians = directions.map(d => d * Math.PI / 180);
+    const meanSin = radians.reduce((sum, r) => sum + Math.sin(r), 0) / radians.length;
+    const meanCos = radians.reduce((sum, r) => sum + Math.cos(r), 0) / radians.length;
+    const direction = directions.length > 0
+      ? ((Math.atan2(meanSin, meanCos) * 180 / Math.PI) + 360) % 360
+      : null;
 
-    // 3. Check gusts are not critical (difference between max gust and avg speed <= 8 knots)
-    const avgSpeed = recent.reduce((sum, m) => sum + this.getWindSpeed(m), 0) / recent.length;
-    const maxGust = Math.max(...recent.map(m => this.getWindGust(m)));
-    const gustDiff = maxGust - avgSpeed;
-    if (gustDiff > 8) {
-      return { stable: false, reason: `Gusts too strong (${gustDiff.toFixed(1)} knots difference)` };
+    return {
+      speeds,
+      currentSpeed: speeds[speeds.length - 1],
+      avgSpeed,
+      maxGust,
+      gustDiff: maxGust - avgSpeed,
+      direction,
+      directionVariance: this.calculateDirectionVariance(directions),
+      trendChange: speeds[speeds.length - 1] - speeds[0]
+    };
+  }
+
+  /**
+   * Check if wind conditions are stable over the last 15 minutes for a rule
+   * (defaults to the legacy trigger):
+   * - Speed within the rule's range in ALL measurements (≥ 8 knots by default)
+   * - Direction stable (variance <= 45°) and in an allowed shore sector
+   * - Gusts not critical (max - avg <= 8 knots by default)
+   * - Trend is increasing or stable (not decreasing sharply)
+   */
+  checkWindStability(measurements, rule = DEFAULT_RULE, spot = null) {
+    const conditions = this.summarizeConditions(measurements);
+    if (!conditions) {
+      return { stable: false, reason: 'Insufficient data (need at least 3 measurements)' };
     }
 
-    // 4. Check trend is not decreasing sharply
-    const firstSpeed = this.getWindSpeed(recent[0]);
-    const lastSpeed = this.getWindSpeed(recent[recent.length - 1]);
-    const trendChange = lastSpeed - firstSpeed;
-    if (trendChange < -2) { // Allow minor fluctuations (-2 knots)
-      return { stable: false, reason: `Wind is weakening (${trendChange.toFixed(1)} knots)` };
+    const result = evaluateAlertRule(rule, conditions, spot);
+    if (!result.match) {
+      return { stable: false, reason: result.reason };
     }
 
     return {
       stable: true,
-      avgSpeed: avgSpeed.toFixed(1),
-      directionVariance: directionVariance.toFixed(1),
-      gustDiff: gustDiff.toFixed(1),
-      trendChange: trendChange.toFixed(1)
+      avgSpeed: conditions.avgSpeed.toFixed(1),
+      directionVariance: conditions.directionVariance.toFixed(1),
+      gustDiff: conditions.gustDiff.toFixed(1),
+      trendChange: conditions.trendChange.toFixed(1),
+      sector: result.sector
     };
   }
 
@@ -230,21 +372,38 @@ export class NotificationManager {
   }
 
   /**
-   * Check if notification should be sent based on conditions
-   * Now uses 20-minute stability check instead of instant trigger
+   * First rule of a subscription/device that matches current conditions.
+   * Targets without rules use DEFAULT_RULE limited to once per day.
+   * @returns {Object|null} { rule, sector } or null
    */
-  shouldNotify(measurements) {
-    if (!measurements || measurements.length === 0) return false;
+  findMatchingRule(targetType, targetId, conditions, spot, now = new Date()) {
+    const rules = this.alertRules ? this.alertRules.getRules(targetType, targetId) : [];
 
-    const stability = this.checkWindStability(measurements);
+    if (rules.length === 0) {
+      if (!this.canNotifyToday(targetId)) return null;
+      const result = evaluateAlertRule(DEFAULT_RULE, conditions, spot, now);
+      return result.match ? { rule: DEFAULT_RULE, sector: result.sector } : null;
+    }
 
-    if (!stability.stable) {
-      console.log(`⏸️  Not notifying: ${stability.reason}`);
-      return false;
+    for (const rule of rules) {
+      const result = evaluateAlertRule(rule, conditions, spot, now);
+      if (result.match) {
+        return { rule, sector: result.sector };
+      }
     }
+    return null;
+  }
 
-    console.log(`✓ Wind stable for 15 minutes: avg=${stability.avgSpeed}kn, dir_var=${stability.directionVariance}°, gusts=${stability.gustDiff}kn, trend=${stability.trendChange}kn`);
-    return true;
+  /**
+   * Remember that a target was alerted (rule cooldown or legacy daily limit;
+   * the delivery row itself is written by the send path)
+   */
+  async recordNotified(targetId, rule, now = new Date()) {
+    if (rule.id && this.alertRules) {
+      await this.alertRules.markNotified(rule, now);
+      return;
+    }
+    this.notificationLog[targetId] = now.toISOString();
   }
 
   /**
@@ -261,121 +420,332 @@ export class NotificationManager {
   }
 
   /**
-   * Send push notifications to all subscribed users
+   * Send push notifications to users subscribed to a spot
    * @param {Array} measurements - Array of recent wind measurements (last 20+ minutes)
+   * @param {Object|null} spot - spot the measurements belong to (null = everyone)
    */
-  async sendNotifications(measurements) {
-    if (!this.shouldNotify(measurements)) {
-      return { sent: 0, reason: 'Conditions not met' };
+  async sendNotifications(measurements, spot = null) {
+    const conditions = this.summarizeConditions(measurements);
+    if (!conditions) {
+      return { sent: 0, reason: 'Insufficient data' };
     }
 
     let sentCount = 0;
-    const now = new Date().toISOString();
+    const now = new Date();
+    const { currentSpeed, avgSpeed } = conditions;
 
-    // Get current wind data (latest measurement)
-    const windData = measurements[measurements.length - 1];
-    const currentSpeed = this.getWindSpeed(windData);
-    const recent = measurements.slice(-3);
-    const avgSpeed = recent.reduce((sum, m) => sum + this.getWindSpeed(m), 0) / recent.length;
+    const title = '🌬️ Отличные условия для кайтинга!';
+    const spotSuffix = spot ? ` (${spot.name})` : '';
+    const body = `Ветер устойчиво держится ${avgSpeed.toFixed(1)} узлов последние 15 минут${spotSuffix}. Время на воду! 🪁`;
 
     // Prepare notification payload
     const payload = JSON.stringify({
-      title: '🌬️ Отличные условия для кайтинга!',
-      body: `Ветер устойчиво держится ${avgSpeed.toFixed(1)} узлов последние 15 минут. Время на воду! 🪁`,
+      title,
+      body,
       icon: '/icons/icon-192x192.png',
       badge: '/icons/icon-72x72.png',
       url: '/',
+      spotId: spot ? spot.id : null,
       windSpeed: currentSpeed,
-      timestamp: now
+      timestamp: now.toISOString()
     });
 
-    for (const subscription of this.subscriptions) {
+    const recipients = this.subscriptions.filter(sub => this.matchesSpot(sub, spot));
+
+    for (const subscription of recipients) {
       const subId = subscription.endpoint;
 
-      if (!this.canNotifyToday(subId)) {
-        console.log(`⏭ Skipping ${subId.substring(0, 50)}... - already notified today`);
-        continue;
-      }
-
-      try {
-        // Send real push notification
-        await webpush.sendNotification(subscription, payload);
+      const match = this.findMatchingRule('webpush', subId, conditions, spot, now);
+      if (!match) continue;
 
+      const delivered = await this.sendWebPush(subscription, payload, {
+        spotId: spot ? spot.id : null, kind: 'conditions', ruleId: match.rule.id, title
+      });
+      if (delivered) {
         console.log(`📨 Push notification sent to: ${subId.substring(0, 50)}...`);
-        console.log(`   Wind: ${avgSpeed.toFixed(1)} knots (stable for 15 min)`);
+        console.log(`   Wind: ${avgSpeed.toFixed(1)} knots (stable for 15 min, rule: ${match.rule.id || 'default'})`);
 
-        // Mark as notified and persist to disk
-        this.notificationLog[subId] = now;
-        this.saveNotificationLog();
+        // Mark as notified
+        await this.recordNotified(subId, match.rule, now);
         sentCount++;
-      } catch (error) {
-        console.error(`✗ Error sending notification: ${error.message}`);
-
-        // Remove invalid subscription (410 = Gone)
-        if (error.statusCode === 410 || error.statusCode === 404) {
-          console.log(`🗑️  Removing expired subscription: ${subId.substring(0, 50)}...`);
-          this.removeSubscription(subscription.endpoint);
-        }
       }
     }
 
-    // Send to iOS devices via APNs
+    // Send to iOS devices via APNs (only devices whose rules match)
     let apnsResult = { sent: 0, failed: 0, total: 0 };
     if (this.apns.enabled) {
-      apnsResult = await this.apns.sendToAll(
-        '🌬️ Отличные условия для кайтинга!',
-        `Ветер устойчиво держится ${avgSpeed.toFixed(1)} узлов последние 15 минут. Время на воду! 🪁`,
-        currentSpeed,
-        parseFloat(avgSpeed.toFixed(1))
-      );
-      if (apnsResult.sent > 0) {
-        console.log(`📱 APNs: ${apnsResult.sent} iOS notifications sent`);
+      const apnsMatches = new Map();
+      for (const device of this.apns.devices.filter(d => this.matchesSpot(d, spot))) {
+        const match = this.findMatchingRule('apns', device.token, conditions, spot, now);
+        if (match) apnsMatches.set(device.token, match.rule);
+      }
+
+      if (apnsMatches.size > 0) {
+        apnsResult = await this.apns.sendToAll(
+          title,
+          body,
+          currentSpeed,
+          parseFloat(avgSpeed.toFixed(1)),
+          device => apnsMatches.has(device.token)
+        );
+        for (const result of apnsResult.results) {
+          const rule = apnsMatches.get(result.token);
+          await this.recordDelivery({
+            targetType: 'apns', targetId: result.token, spotId: spot ? spot.id : null,
+            kind: 'conditions', ruleId: rule.id, title, ok: result.ok, error: result.error
+          });
+          if (result.ok) {
+            await this.recordNotified(result.token, rule, now);
+          }
+        }
+        if (apnsResult.sent > 0) {
+          console.log(`📱 APNs: ${apnsResult.sent} iOS notifications sent`);
+        }
       }
     }
 
+    if (sentCount + apnsResult.sent === 0) {
+      const legacy = this.checkWindStability(measurements, DEFAULT_RULE, spot);
+      console.log(`⏸️  No alert rules matched${legacy.stable ? '' : `: ${legacy.reason}`}`);
+    }
+
     return {
       sent: sentCount + apnsResult.sent,
       webPush: sentCount,
       apns: apnsResult.sent,
-      total: this.subscriptions.length + this.apns.devices.length,
+      total: recipients.length + apnsResult.total,
       conditions: {
         speed: currentSpeed,
         avgSpeed: avgSpeed.toFixed(1),
-        stable: true
+        directionVariance: conditions.directionVariance.toFixed(1),
+        gustDiff: conditions.gustDiff.toFixed(1)
       }
     };
   }
 
   /**
-   * Get notification statistics
+   * Send one Web Push message and log the delivery; expired subscriptions are removed
+   * @param {Object} meta - { spotId, kind, ruleId, title } for notification_deliveries
+   * @returns {boolean} delivered
    */
-  getStats() {
+  async sendWebPush(subscription, payload, meta) {
+    try {
+      await webpush.sendNotification(subscription, payload);
+      await this.recordDelivery({ ...meta, targetType: 'webpush', targetId: subscription.endpoint, ok: true });
+      return true;
+    } catch (error) {
+      console.error(`✗ Error sending notification: ${error.message}`);
+      await this.recordDelivery({
+        ...meta, targetType: 'webpush', targetId: subscription.endpoint, ok: false, error: error.message
+      });
+      if (error.statusCode === 410 || error.statusCode === 404) {
+        console.log(`🗑️  Removing expired subscription: ${subscription.endpoint.substring(0, 50)}...`);
+        await this.removeSubscription(subscription.endpoint);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Log per-device APNs results of one send
+   */
+  async recordApnsResults(apnsResult, meta) {
+    for (const result of apnsResult.results || []) {
+      await this.recordDelivery({ ...meta, targetType: 'apns', targetId: result.token, ok: result.ok, error: result.error });
+    }
+  }
+
+  /**
+   * Warn opted-in riders of a spot about offshore swings, collapsing wind
+   * and gust spikes. Rate-limited per target and kind by SafetyAlertManager.
+   * @param {Array} measurements - last ~30 minutes, calibrated directions
+   * @param {Object} trend - DatabaseManager.calculateTrend() result
+   * @param {Object|null} spot
+   */
+  async sendSafetyAlerts(measurements, trend, spot = null) {
+    if (!this.safetyAlerts || this.safetyAlerts.optIns.size === 0) {
+      return { sent: 0, reason: 'No opt-ins' };
+    }
+
+    const conditions = detectSafetyConditions(measurements, trend, spot);
+    if (!conditions) {
+      return { sent: 0, reason: 'Insufficient data' };
+    }
+
+    const now = new Date();
+    let webPushSent = 0;
+    let apnsSent = 0;
+
+    for (const subscription of this.subscriptions.filter(sub => this.matchesSpot(sub, spot))) {
+      const settings = this.safetyAlerts.getSettings('webpush', subscription.endpoint);
+      const kinds = this.safetyAlerts.getDueKinds(settings, conditions, now);
+      if (kinds.length === 0) continue;
+
+      const { title, body } = this.safetyAlerts.formatMessage(kinds, conditions, settings, spot);
+      const payload = JSON.stringify({
+        title,
+        body,
+        icon: '/icons/icon-192x192.png',
+        badge: '/icons/icon-72x72.png',
+        url: '/',
+        type: 'safety',
+        kinds,
+        spotId: spot ? spot.id : null,
+        windSpeed: conditions.speed,
+        timestamp: now.toISOString()
+      });
+
+      if (await this.sendWebPush(subscription, payload, { spotId: spot ? spot.id : null, kind: 'safety', title })) {
+        await this.safetyAlerts.markSent(settings, kinds, now);
+        webPushSent++;
+      }
+    }
+
+    if (this.apns.enabled) {
+      for (const device of this.apns.devices.filter(d => this.matchesSpot(d, spot))) {
+        const settings = this.safetyAlerts.getSettings('apns', device.token);
+        const kinds = this.safetyAlerts.getDueKinds(settings, conditions, now);
+        if (kinds.length === 0) continue;
+
+        const { title, body } = this.safetyAlerts.formatMessage(kinds, conditions, settings, spot);
+        const result = await this.apns.sendMessage(
+          title,
+          body,
+          { type: 'safety', kinds, spotId: spot ? spot.id : null, windSpeed: conditions.speed },
+          d => d.token === device.token,
+          { threadId: 'wind-safety' }
+        );
+        await this.recordApnsResults(result, { spotId: spot ? spot.id : null, kind: 'safety', title });
+        if (result.sent > 0) {
+          await this.safetyAlerts.markSent(settings, kinds, now);
+          apnsSent++;
+        }
+      }
+    }
+
+    return { sent: webPushSent + apnsSent, webPush: webPushSent, apns: apnsSent, conditions };
+  }
+
+  /**
+   * Send one message to every subscriber of a spot (Web Push + APNs),
+   * bypassing alert rules and the daily limit — callers rate-limit themselves
+   * @param {Object|null} spot - spot whose subscribers receive it (null = everyone)
+   * @param {Object} message - { title, body, data, url, threadId, interruptionLevel }
+   * @returns {Object} { sent, webPush, apns, total }
+   */
+  async broadcast(spot, { title, body, data = {}, url = '/', threadId, interruptionLevel } = {}) {
+    const meta = { spotId: spot ? spot.id : null, kind: data.type || 'broadcast', title };
+    const payload = JSON.stringify({
+      title,
+      body,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/icon-72x72.png',
+      url,
+      spotId: spot ? spot.id : null,
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+
+    const recipients = this.subscriptions.filter(sub => this.matchesSpot(sub, spot));
+    let sentCount = 0;
+
+    for (const subscription of recipients) {
+      if (await this.sendWebPush(subscription, payload, meta)) {
+        sentCount++;
+      }
+    }
+
+    const apnsResult = await this.apns.sendMessage(
+      title,
+      body,
+      { spotId: spot ? spot.id : null, ...data },
+      device => this.matchesSpot(device, spot),
+      { threadId, interruptionLevel }
+    );
+    await this.recordApnsResults(apnsResult, meta);
+
     return {
-      totalSubscriptions: this.subscriptions.length,
-      notifiedToday: Object.keys(this.notificationLog).filter(key => {
-        const lastTime = new Date(this.notificationLog[key]);
-        return this.getBangkokDateString(lastTime) === this.getBangkokDateString();
-      }).length,
-      apns: this.apns.getStats()
+      sent: sentCount + apnsResult.sent,
+      webPush: sentCount,
+      apns: apnsResult.sent,
+      total: recipients.length + apnsResult.total
     };
   }
 
   /**
-   * Reset daily notification log (called at midnight)
+   * Subscriber counts plus delivery history from notification_deliveries
+   * @param {Object} options - { days, limit, kind, spotId }
    */
-  resetDailyLog() {
-    const todayBangkok = this.getBangkokDateString();
-    const keysToDelete = [];
-
-    for (const [key, value] of Object.entries(this.notificationLog)) {
-      const lastTime = new Date(value);
-      if (this.getBangkokDateString(lastTime) !== todayBangkok) {
-        keysToDelete.push(key);
-      }
+  async getStats({ days = 7, limit = 50, kind = null, spotId = null } = {}) {
+    const filters = [`sent_at > NOW() - ($1::int * INTERVAL '1 day')`];
+    const params = [days];
+    if (kind) {
+      params.push(kind);
+      filters.push(`kind = $${params.length}`);
     }
+    if (spotId) {
+      params.push(spotId);
+      filters.push(`spot_id = $${params.length}`);
+    }
+    const where = filters.join(' AND ');
+
+    const daily = await this.pool.query(
+      `SELECT (sent_at AT TIME ZONE 'Asia/Bangkok')::date::text AS date, kind,
+              COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+              COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+       FROM notification_deliveries
+       WHERE ${where}
+       GROUP BY 1, 2
+       ORDER BY 1 DESC, 2`,
+      params
+    );
+
+    const recent = await this.pool.query(
+      `SELECT target_type, target_id, spot_id, kind, rule_id, title, status, error, sent_at
+       FROM notification_deliveries
+       WHERE ${where}
+       ORDER BY sent_at DESC
+       LIMIT $${params.length + 1}`,
+      [...params, Math.min(Math.max(parseInt(limit) || 50, 1), 500)]
+    );
+
+    const today = this.getBangkokDateString();
 
-    keysToDelete.forEach(key => delete this.notificationLog[key]);
-    this.saveNotificationLog();
-    console.log(`✓ Cleaned up ${keysToDelete.length} old notification records`);
+    return {
+      totalSubscriptions: this.subscriptions.length,
+      notifiedToday: Object.values(this.notificationLog)
+        .filter(sentAt => this.getBangkokDateString(new Date(sentAt)) === today).length,
+      apns: this.apns.getStats(),
+      deliveries: {
+        days,
+        daily: daily.rows,
+        recent: recent.rows.map(row => ({
+          targetType: row.target_type,
+          // Endpoints/tokens are credentials of a sort — only show a prefix
+          target: `${row.target_id.substring(0, 40)}…`,
+          spotId: row.spot_id,
+          kind: row.kind,
+          ruleId: row.rule_id,
+          title: row.title,
+          status: row.status,
+          error: row.error,
+          sentAt: row.sent_at
+        }))
+      }
+    };
+  }
+
+  /**
+   * Drop old delivery history (called by the daily cleanup cron)
+   */
+  async cleanupDeliveries(daysToKeep = 180) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM notification_deliveries WHERE sent_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [daysToKeep]
+    );
+    if (rowCount > 0) {
+      console.log(`✓ Cleaned up ${rowCount} old notification deliveries`);
+    }
+    return rowCount;
   }
 }
@@ -0,0 +1,376 @@
+import { qcReliableHourSql } from './DataQuality.js';
+
+/**
+ * NowcastEngine - the next 3 hours in 15-minute steps from live readings.
+ *
+ * The spot's stations are blended into one 15-minute series
+ * (SpotEstimator.blendSeries). Its error against a baseline — the best model's
+ * corrected forecast, interpolated to the minute — is carried forward by an
+ * autoregressive model of the error fitted on the archive:
+ *
+ *   speed(t0 + L) = baseline(t0 + L) + a(L) · e0 + b(L) · (e0 − e−1)
+ *
+ * e0 is the error of the last 30 minutes, e−1 that of the hour before, so b
+ * picks up a trend. a, b and the residual σ are fitted per lag of 1–3 hours
+ * on hourly_archive of the primary station against forecast_backtest of the
+ * best model (default spot), or against a month × hour climatology where there
+ * is no backtest; in between lags they are interpolated from lag 0 (a = 1,
+ * b = 0, σ = the spread of the last hour). Without a forecast hour the
+ * climatology is the baseline, without either it is plain persistence.
+ *
+ * p10 / p90 are the 80% interval speed ∓ 1.2816 σ(L), floored at 0. Gust factor
+ * and direction move from the observed towards the forecast ones with a(L).
+ * Fits are rebuilt once a day, nowcasts cached for a minute per spot.
+ */
+
+export const HORIZON_MINUTES = 180;
+export const STEP_MINUTES = 15;
+const HISTORY_MINUTES = 120;
+const MAX_OBSERVATION_AGE_MINUTES = 30;
+const TRAIN_DAYS = 730;
+const MIN_PAIRS = 200;
+const LAGS = [1, 2, 3];                 // hours
+const MIN_SIGMA = 0.5;                  // kn
+const Z80 = 1.2816;
+const REFRESH_MS = 24 * 60 * 60 * 1000;
+const CACHE_MS = 60 * 1000;
+
+const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round = (value, digits = 1) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const angleDiff = (to, from) => ((to - from + 540) % 360) - 180;
+
+/**
+ * Least squares y = a·x1 + b·x2 (no intercept), b = 0 when x2 adds nothing
+ * @param {Array} samples - [{ x1, x2, y }]
+ */
+export function fitLag(samples) {
+  let s11 = 0, s12 = 0, s22 = 0, s1y = 0, s2y = 0;
+  for (const { x1, x2, y } of samples) {
+    s11 += x1 * x1;
+    s12 += x1 * x2;
+    s22 += x2 * x2;
+    s1y += x1 * y;
+    s2y += x2 * y;
+  }
+  const det = s11 * s22 - s12 * s12;
+  let a = s11 > 0 ? s1y / s11 : 0;
+  let b = 0;
+  if (det > 1e-9 * s11 * s22) {
+    a = (s1y * s22 - s2y * s12) / det;
+    b = (s2y * s11 - s1y * s12) / det;
+  }
+  a = Math.min(Math.max(a, 0), 1);
+  b = Math.min(Math.max(b, -1), 1);
+
+  const residuals = samples.map(({ x1, x2, y }) => y - a * x1 - b * x2);
+  const sigma = Math.sqrt(mean(residuals.map(r => r * r)) ?? 0);
+  return { a, b, sigma, samples: samples.length };
+}
+
+/**
+ * Coefficients at a fractional lag (hours), linear between lag 0 and the fitted lags
+ */
+export function coefficientsAt(lags, lagHours, sigma0) {
+  const knots = [{ hours: 0, a: 1, b: 0, sigma: sigma0 }, ...lags];
+  const hours = Math.min(Math.max(lagHours, 0), knots[knots.length - 1].hours);
+  for (let i = 1; i < knots.length; i++) {
+    const lo = knots[i - 1];
+    const hi = knots[i];
+    if (hours <= hi.hours) {
+      const w = (hours - lo.hours) / (hi.hours - lo.hours);
+      return {
+        a: lo.a + (hi.a - lo.a) * w,
+        b: lo.b + (hi.b - lo.b) * w,
+        sigma: Math.max(lo.sigma + (hi.sigma - lo.sigma) * w, MIN_SIGMA)
+      };
+    }
+  }
+  const last = knots[knots.length - 1];
+  return { a: last.a, b: last.b, sigma: Math.max(last.sigma, MIN_SIGMA) };
+}
+
+/**
+ * Forecast speed / gust / direction at a moment, linear between hourly entries
+ */
+function forecastAt(entries, time) {
+  for (let i = 1; i < entries.length; i++) {
+    const lo = entries[i - 1];
+    const hi = entries[i];
+    if (time < lo.at || time > hi.at || hi.at - lo.at > 60 * 60 * 1000) continue;
+    const w = (time - lo.at) / (hi.at - lo.at);
+    return {
+      speed: lo.speed + (hi.speed - lo.speed) * w,
+      gust: lo.gust != null && hi.gust != null ? lo.gust + (hi.gust - lo.gust) * w : null,
+      direction: (lo.direction + angleDiff(hi.direction, lo.direction) * w + 360) % 360
+    };
+  }
+  return null;
+}
+
+export class NowcastEngine {
+  constructor(pgPool, spotEstimator, forecastCollector, forecastModelManager, spotManager = null) {
+    this.pool = pgPool;
+    this.spotEstimator = spotEstimator;
+    this.forecastCollector = forecastCollector;
+    this.forecastModelManager = forecastModelManager;
+    this.spotManager = spotManager;
+    this.fits = new Map();    // `${spotId}|${modelId}` → fit, or a pending Promise
+    this.nowcasts = new Map(); // spotId → { at, result }
+  }
+
+  /**
+   * Fit the error model of a spot against a model's backtest (or climatology)
+   */
+  async train(spot, modelId) {
+    const timezone = spot.timezone || 'Asia/Bangkok';
+    const { rows: archive } = await this.pool.query(
+      `SELECT to_char(hour_timestamp AT TIME ZONE $2, 'YYYY-MM-DD') AS date,
+              EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $2)::int AS hour,
+              avg_wind_speed
+       FROM hourly_archive
+       WHERE station_id = $1 AND ${qcReliableHourSql()}
+         AND hour_timestamp >= NOW() - $3::interval`,
+      [spot.primaryStationId, timezone, `${TRAIN_DAYS} days`]
+    );
+
+    // Month × hour climatology: baseline without a forecast
+    const climateSums = new Map();
+    for (const row of archive) {
+      const key = `${parseInt(row.date.slice(5, 7), 10)}|${row.hour}`;
+      const sum = climateSums.get(key) || { total: 0, count: 0 };
+      sum.total += parseFloat(row.avg_wind_speed);
+      sum.count++;
+      climateSums.set(key, sum);
+    }
+    const climatology = new Map([...climateSums].map(([key, { total, count }]) => [key, total / count]));
+
+    // The backtest is pulled for the default spot's coordinates only (Bangkok hours)
+    const forecast = new Map();
+    const isDefaultSpot = !this.spotManager || this.spotManager.getDefault()?.id === spot.id;
+    if (isDefaultSpot) {
+      const { rows } = await this.pool.query(
+        `SELECT to_char(target_date, 'YYYY-MM-DD') AS date, target_hour, forecast_speed
+         FROM forecast_backtest
+         WHERE model_id = $1 AND target_date >= CURRENT_DATE - $2::int`,
+        [modelId, TRAIN_DAYS]
+      );
+      for (const row of rows) {
+        forecast.set(`${row.date}|${row.target_hour}`, parseFloat(row.forecast_speed));
+      }
+    }
+
+    const errorsFor = baseline => {
+      const errors = new Map();
+      for (const row of archive) {
+        const reference = baseline(row);
+        if (reference === undefined) continue;
+        errors.set(`${row.date}|${row.hour}`, parseFloat(row.avg_wind_speed) - reference);
+      }
+      return errors;
+    };
+    const samplesFor = (errors, lag) => {
+      const samples = [];
+      for (const [key, e0] of errors) {
+        const [date, hourText] = key.split('|');
+        const hour = parseInt(hourText, 10);
+        const previous = errors.get(`${date}|${hour - 1}`);
+        const target = errors.get(`${date}|${hour + lag}`);
+        if (previous === undefined || target === undefined) continue;
+        samples.push({ x1: e0, x2: e0 - previous, y: target });
+      }
+      return samples;
+    };
+
+    let baseline = 'forecast';
+    let errors = errorsFor(row => forecast.get(`${row.date}|${row.hour}`));
+    if (samplesFor(errors, LAGS[LAGS.length - 1]).length < MIN_PAIRS) {
+      baseline = 'climatology';
+      errors = errorsFor(row => climatology.get(`${parseInt(row.date.slice(5, 7), 10)}|${row.hour}`));
+    }
+
+    const lags = LAGS.map(hours => ({ hours, ...fitLag(samplesFor(errors, hours)) }));
+    const fit = { fittedAt: Date.now(), modelId, baseline, lags, climatology };
+    console.log(`🔮 Nowcast fit for ${spot.id} (${baseline}): `
+      + lags.map(l => `${l.hours}h a=${l.a.toFixed(2)} b=${l.b.toFixed(2)} σ=${l.sigma.toFixed(1)}`).join(', '));
+    return fit;
+  }
+
+  /**
+   * Error model of a spot, refit once a day
+   */
+  async getFit(spot, modelId) {
+    const key = `${spot.id}|${modelId}`;
+    const cached = this.fits.get(key);
+    if (cached instanceof Promise) return cached;
+    if (cached && Date.now() - cached.fittedAt < REFRESH_MS) return cached;
+
+    const pending = this.train(spot, modelId);
+    this.fits.set(key, pending);
+    try {
+      const fit = await pending;
+      this.fits.set(key, fit);
+      return fit;
+    } catch (error) {
+      this.fits.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Nowcast of a spot (cached for CACHE_MS)
+   * @param {Object} options - { refresh: recompute now, e.g. right after a collection }
+   */
+  async nowcast(spot, { refresh = false } = {}) {
+    const cached = this.nowcasts.get(spot.id);
+    if (!refresh && cached && Date.now() - cached.at < CACHE_MS) return cached.result;
+
+    const result = await this.compute(spot);
+    this.nowcasts.set(spot.id, { at: Date.now(), result });
+    return result;
+  }
+
+  async compute(spot) {
+    const now = Date.now();
+    const timezone = spot.timezone || 'Asia/Bangkok';
+    const modelId = await this.forecastModelManager.getBestModel();
+    const modelDef = this.forecastModelManager.models.find(m => m.id === modelId) || null;
+
+    const [fit, series, forecast] = await Promise.all([
+      this.getFit(spot, modelId),
+      this.spotEstimator.blendSeries(
+        spot, new Date(now - HISTORY_MINUTES * 60 * 1000).toISOString(), new Date(now).toISOString(), STEP_MINUTES
+      ),
+      this.forecastCollector.getForecast(modelDef, 2, spot)
+    ]);
+
+    const recent = series.map(s => ({
+      time: s.time.toISOString(),
+      speed: round(s.speed),
+      gust: round(s.gust),
+      direction: s.direction,
+      stations: s.stations
+    }));
+    const base = { spotId: spot.id, modelId, interval: 0.8, fit: this.describeFit(fit), recent };
+
+    const latest = series[series.length - 1];
+    const t0 = latest ? latest.time.getTime() + STEP_MINUTES * 60 * 1000 : null;
+    if (!latest || now - t0 > MAX_OBSERVATION_AGE_MINUTES * 60 * 1000) {
+      return { ...base, issuedAt: null, baseline: null, observed: null, points: [], reason: 'no_recent_data' };
+    }
+
+    const { entries: corrected } = await this.forecastModelManager.correctForecast(
+      modelId, forecast.data, forecast.fetchedAt
+    );
+    const entries = corrected
+      .map(e => ({ at: new Date(e.date).getTime(), speed: e.speed, gust: e.gust ?? null, direction: e.direction }))
+      .sort((a, b) => a.at - b.at);
+
+    // Slot means sit mid-slot: the last 30 minutes centre on t0 − 15 min,
+    // the hour before on t0 − 60 min
+    const within = (from, to) => series.filter(s => s.time.getTime() >= t0 - from * 60000 && s.time.getTime() < t0 - to * 60000);
+    const lastHalfHour = within(30, 0);
+    const hourBefore = within(90, 30);
+    // The newest slot may still be filling up: steps stay on slot boundaries,
+    // lead times count from now
+    const issuedAt = Math.min(t0, now);
+    const observed = {
+      at: new Date(issuedAt).toISOString(),
+      speed: mean(lastHalfHour.map(s => s.speed)),
+      gust: mean(lastHalfHour.map(s => s.gust).filter(g => g != null)),
+      direction: latest.direction,
+      stations: latest.stations
+    };
+    const previousSpeed = hourBefore.length > 0 ? mean(hourBefore.map(s => s.speed)) : null;
+    const lastHourSpeeds = within(60, 0).map(s => s.speed);
+    const lastHourMean = mean(lastHourSpeeds);
+    const sigma0 = Math.sqrt(mean(lastHourSpeeds.map(s => (s - lastHourMean) ** 2)));
+
+    const localMonthHour = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, month: 'numeric', hour: 'numeric', hourCycle: 'h23'
+    });
+    const climatologyAt = time => {
+      const parts = localMonthHour.formatToParts(new Date(time));
+      const part = type => parseInt(parts.find(p => p.type === type).value, 10);
+      const speed = fit.climatology.get(`${part('month')}|${part('hour')}`);
+      return speed !== undefined ? { speed, gust: null, direction: null } : null;
+    };
+
+    // Current error (and its trend) against each baseline that covers now;
+    // every step uses the first one that also covers it
+    const baselines = [
+      { name: 'forecast', at: time => forecastAt(entries, time) },
+      { name: 'climatology', at: climatologyAt }
+    ].flatMap(({ name, at }) => {
+      const nowReference = at(t0 - 15 * 60000);
+      if (!nowReference) return [];
+      const previousReference = at(t0 - 60 * 60000);
+      const e0 = observed.speed - nowReference.speed;
+      const trend = previousReference && previousSpeed !== null
+        ? e0 - (previousSpeed - previousReference.speed)
+        : 0;
+      return [{ name, at, e0, trend }];
+    });
+    const observedGustFactor = observed.gust !== null && observed.speed > 0 ? observed.gust / observed.speed : null;
+
+    const points = [];
+    for (let minutes = STEP_MINUTES; minutes <= HORIZON_MINUTES; minutes += STEP_MINUTES) {
+      const time = t0 + minutes * 60000;
+      const source = baselines.find(candidate => candidate.at(time));
+      const reference = source ? source.at(time) : null;
+      const { a, b, sigma } = coefficientsAt(fit.lags, (minutes + 15) / 60, sigma0);
+
+      const speed = reference
+        ? Math.max(0, reference.speed + a * source.e0 + b * source.trend)
+        : observed.speed;
+
+      const forecastGustFactor = reference?.gust != null && reference.speed > 0 ? reference.gust / reference.speed : null;
+      const gustFactor = observedGustFactor !== null && forecastGustFactor !== null
+        ? forecastGustFactor + a * (observedGustFactor - forecastGustFactor)
+        : observedGustFactor ?? forecastGustFactor;
+
+      const direction = reference?.direction != null && observed.direction !== null
+        ? Math.round(reference.direction + a * angleDiff(observed.direction, reference.direction) + 360) % 360
+        : observed.direction ?? reference?.direction ?? null;
+
+      points.push({
+        time: new Date(time).toISOString(),
+        leadMinutes: Math.round((time - issuedAt) / 60000),
+        speed: round(speed),
+        gust: gustFactor !== null ? round(speed * gustFactor) : null,
+        direction,
+        p10: round(Math.max(0, speed - Z80 * sigma)),
+        p90: round(speed + Z80 * sigma),
+        baseline: source ? source.name : 'persistence',
+        baselineSpeed: round(reference?.speed)
+      });
+    }
+
+    return {
+      ...base,
+      issuedAt: new Date(issuedAt).toISOString(),
+      baseline: points[0].baseline,
+      observed: {
+        ...observed,
+        speed: round(observed.speed),
+        gust: round(observed.gust),
+        error: round(baselines[0]?.e0),
+        trend: round(baselines[0]?.trend)
+      },
+      points
+    };
+  }
+
+  describeFit(fit) {
+    return {
+      baseline: fit.baseline,
+      fittedAt: new Date(fit.fittedAt).toISOString(),
+      lags: fit.lags.map(l => ({
+        hours: l.hours,
+        a: round(l.a, 3),
+        b: round(l.b, 3),
+        sigma: round(l.sigma, 2),
+        samples: l.samples
+      }))
+    };
+  }
+}
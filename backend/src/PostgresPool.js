@@ -47,6 +47,26 @@ class PostgresPool {
     return this.pool.connect();
   }
 
+  /**
+   * Run fn only if no other replica holds the session advisory lock `key`
+   * (pg_try_advisory_lock, held on one connection until fn settles)
+   * @returns {Promise<Object>} { locked: false } or { locked: true, result }
+   */
+  async withTryLock(key, fn) {
+    const client = await this.pool.connect();
+    try {
+      const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [key]);
+      if (!rows[0].locked) return { locked: false };
+      try {
+        return { locked: true, result: await fn() };
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [key]).catch(() => {});
+      }
+    } finally {
+      client.release();
+    }
+  }
+
   async close() {
     if (this.pool) {
       await this.pool.end();
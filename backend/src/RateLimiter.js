@@ -0,0 +1,113 @@
+/**
+ * RateLimiter - per-IP token buckets for the public API.
+ *
+ * Each route group has its own bucket per client IP: `capacity` requests of
+ * burst, refilled at `perMinute`. An empty bucket answers 429 with
+ * `Retry-After` (seconds until the next token). Groups stack — a forecast
+ * request spends a `default` token and a `forecast` token.
+ *
+ * State is in memory (no Redis): with several replicas every replica counts
+ * on its own, so the effective budget is multiplied by the replica count.
+ * Full buckets are indistinguishable from new ones and are swept every minute.
+ *
+ * Budgets can be overridden per group with RATE_LIMIT_<GROUP>=<capacity>/<perMinute>,
+ * e.g. RATE_LIMIT_FORECAST=30/15.
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  default:       { capacity: 120, perMinute: 120 }, // every /api request
+  forecast:      { capacity: 20,  perMinute: 10 },  // live Open-Meteo fetches
+  stream:        { capacity: 10,  perMinute: 6 },   // SSE (re)connects
+  notifications: { capacity: 30,  perMinute: 20 },  // subscriber lookups and changes
+  admin:         { capacity: 20,  perMinute: 10 }   // privileged routes (also slows key guessing)
+};
+
+// Concurrent /wind/stream connections per IP
+export const SSE_MAX_PER_IP = parseInt(process.env.SSE_MAX_PER_IP) || 5;
+
+/**
+ * "<capacity>/<perMinute>" → { capacity, perMinute }, or null if malformed
+ */
+function parseBudget(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(value || '');
+  if (!match) return null;
+  const capacity = parseInt(match[1], 10);
+  const perMinute = parseFloat(match[2]);
+  return capacity > 0 && perMinute > 0 ? { capacity, perMinute } : null;
+}
+
+export class RateLimiter {
+  constructor(limits = {}, env = process.env) {
+    this.limits = {};
+    for (const [group, budget] of Object.entries({ ...DEFAULT_RATE_LIMITS, ...limits })) {
+      const override = env[`RATE_LIMIT_${group.toUpperCase()}`];
+      const parsed = parseBudget(override);
+      if (override && !parsed) {
+        console.warn(`⚠ Ignoring RATE_LIMIT_${group.toUpperCase()}="${override}" (expected <capacity>/<perMinute>)`);
+      }
+      this.limits[group] = parsed || budget;
+    }
+
+    this.buckets = new Map(); // `${group}:${ip}` → { tokens, updatedAt }
+    this.sweepInterval = setInterval(() => this.sweep(), 60000);
+    this.sweepInterval.unref();
+  }
+
+  /**
+   * Spend one token of `group` for `ip`
+   * @returns {Object} { allowed, remaining, retryAfter } - retryAfter in seconds
+   */
+  take(group, ip, now = Date.now()) {
+    const limit = this.limits[group];
+    if (!limit) throw new Error(`Unknown rate limit group: ${group}`);
+
+    const key = `${group}:${ip}`;
+    const perMs = limit.perMinute / 60000;
+    const bucket = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / perMs / 1000))
+    };
+  }
+
+  /**
+   * Express middleware for a route group
+   */
+  middleware(group) {
+    const limit = this.limits[group];
+    if (!limit) throw new Error(`Unknown rate limit group: ${group}`);
+
+    return (req, res, next) => {
+      const result = this.take(group, req.ip);
+      res.set('RateLimit-Limit', String(limit.capacity));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({ error: 'Too many requests', group, retryAfter: result.retryAfter });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely (same as no bucket)
+   */
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const limit = this.limits[key.substring(0, key.indexOf(':'))];
+      const tokens = bucket.tokens + (now - bucket.updatedAt) * limit.perMinute / 60000;
+      if (tokens >= limit.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
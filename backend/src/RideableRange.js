@@ -0,0 +1,60 @@
+/**
+ * RideableRange - wind range a rider can use with their sport's quiver.
+ *
+ * Shared by the archive "rideable days" statistics and per-user alert rules.
+ * A wind speed is rideable when at least one kite size in the sport's quiver
+ * is within ±35% of the optimal size for the rider's weight (mirrors the
+ * "acceptable" tolerance from the frontend KiteSizeCalculator.getSuitability).
+ */
+
+// Mirrors frontend config.kiteSize.calculation
+export const SPORT_KITE_CONFIG = {
+  twintip:   { factor: 35, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17], minWind: 8,  maxWind: 35 },
+  hydrofoil: { factor: 25, sizes: [8, 9, 10, 11, 12, 13.5, 14, 17], minWind: 6,  maxWind: 30 },
+  wingfoil:  { factor: 22, sizes: [3, 3.5, 4, 4.5, 5, 5.5, 6, 7],   minWind: 10, maxWind: 35 }
+};
+
+export const RIDEABLE_TOLERANCE = 0.35; // matches KiteSizeCalculator's "acceptable" band
+
+export const DEFAULT_RIDER_WEIGHT = 75;
+
+/**
+ * Clamp a rider weight to 40..120 kg (default 75 for missing/invalid input)
+ */
+export function normalizeWeight(weight) {
+  const raw = parseFloat(weight);
+  return isFinite(raw) ? Math.min(Math.max(raw, 40), 120) : DEFAULT_RIDER_WEIGHT;
+}
+
+/**
+ * Effective wind range (knots) for a sport and rider weight
+ * @returns {Object} { sport, weight, minWind, maxWind }
+ */
+export function getRideableRange(sport = 'twintip', weight = DEFAULT_RIDER_WEIGHT) {
+  const sportId = SPORT_KITE_CONFIG[sport] ? sport : 'twintip';
+  const cfg = SPORT_KITE_CONFIG[sportId];
+  const riderWeight = normalizeWeight(weight);
+
+  // Effective wind range for this rider:
+  //   smallest kite covers the high-wind end, largest kite covers the low-wind end.
+  // Acceptability: |kite - optimal| / optimal ≤ TOLERANCE
+  // optimal = weight * factor / wind²
+  const sMin = Math.min(...cfg.sizes);
+  const sMax = Math.max(...cfg.sizes);
+
+  // Lowest wind where the largest kite is still within tolerance:
+  //   s_max ≥ (1 - TOL) * optimal  →  wind ≥ sqrt((1-TOL) * weight * factor / s_max)
+  const minWindRider = Math.sqrt((1 - RIDEABLE_TOLERANCE) * riderWeight * cfg.factor / sMax);
+  // Highest wind where the smallest kite is still within tolerance:
+  //   s_min ≤ (1 + TOL) * optimal  →  wind ≤ sqrt((1+TOL) * weight * factor / s_min)
+  const maxWindRider = Math.sqrt((1 + RIDEABLE_TOLERANCE) * riderWeight * cfg.factor / sMin);
+
+  // Clamp to the absolute sport bounds (below sport.minWind it's pointless,
+  // above sport.maxWind it's not safe)
+  return {
+    sport: sportId,
+    weight: riderWeight,
+    minWind: Math.max(minWindRider, cfg.minWind),
+    maxWind: Math.min(maxWindRider, cfg.maxWind)
+  };
+}
@@ -0,0 +1,230 @@
+import { getShoreSector, CALM_WIND, SPORT_RULES, DEFAULT_SPORT } from './SafetyEngine.js';
+
+/**
+ * SafetyAlertManager - opt-in "get off the water" warnings.
+ *
+ * Unlike the "go now" alerts these target riders who are already out:
+ *   - offshore: the wind swings into the spot's offshore sector (SafetyEngine)
+ *   - dropping: DatabaseManager.calculateTrend reports decreasing_strong
+ *     after rideable wind
+ *   - gust: a gust reaches the subscriber's threshold
+ *
+ * Subscribers opt in per Web Push endpoint / APNs token and choose the kinds.
+ * Rate limiting is per target and kind (`cooldownMinutes`) and is stored with
+ * the opt-in, independent of the daily "good conditions" log and rule cooldowns.
+ *
+ * Opt-ins live in the `safety_alerts` table; an in-memory copy keyed by target
+ * is used by the 5-minute cron.
+ */
+
+// Ordered by severity (first match gives the push title)
+export const SAFETY_ALERT_KINDS = ['offshore', 'gust', 'dropping'];
+
+export const DEFAULT_SAFETY_SETTINGS = {
+  kinds: [...SAFETY_ALERT_KINDS],
+  gustThreshold: 25
+};
+
+export const SAFETY_ALERT_COOLDOWN_MINUTES = parseInt(process.env.SAFETY_ALERT_COOLDOWN_MINUTES) || 30;
+
+// Wind before the drop must have been rideable for "dropping" to matter
+const RIDEABLE_WIND = SPORT_RULES[DEFAULT_SPORT].minWind;
+
+/**
+ * Spot-wide facts from the last ~30 minutes, computed once per cron tick
+ * @param {Array} measurements - chronological, calibrated directions
+ * @param {Object} trend - DatabaseManager.calculateTrend() result
+ * @param {Object} spot
+ * @returns {Object|null} null without data
+ */
+export function detectSafetyConditions(measurements, trend, spot) {
+  if (!measurements || measurements.length < 2) return null;
+
+  const speedOf = m => parseFloat(m.wind_speed_knots ?? m.windSpeedKnots ?? 0);
+  const gustOf = m => parseFloat(m.wind_gust_knots ?? m.gustKnots ?? speedOf(m));
+  const directionOf = m => {
+    const direction = m.wind_direction ?? m.windDirection;
+    return direction === null || direction === undefined ? null : parseFloat(direction);
+  };
+  // No direction reading — no sector, so no offshore swing either way
+  const sectorOf = m => directionOf(m) === null ? null : getShoreSector(directionOf(m), spot?.shoreBearing);
+
+  const latest = measurements[measurements.length - 1];
+  const earlier = measurements.slice(0, -1);
+  const sector = sectorOf(latest);
+  const speed = speedOf(latest);
+
+  return {
+    timestamp: latest.timestamp,
+    speed,
+    gust: gustOf(latest),
+    direction: directionOf(latest) === null ? null : Math.round(directionOf(latest)),
+    sector,
+    // Swing: offshore now, but not for the whole window
+    offshoreSwing: sector === 'offshore' && speed >= CALM_WIND &&
+      earlier.some(m => sectorOf(m) !== null && sectorOf(m) !== 'offshore'),
+    dropping: trend?.trend === 'decreasing_strong' && trend.previousSpeed >= RIDEABLE_WIND,
+    previousSpeed: trend?.previousSpeed ?? null,
+    currentSpeed: trend?.currentSpeed ?? speed
+  };
+}
+
+export class SafetyAlertManager {
+  constructor(pgPool) {
+    this.pool = pgPool;
+    this.optIns = new Map(); // `${targetType}:${targetId}` → settings
+  }
+
+  async initialize() {
+    await this.reload();
+    console.log(`✓ Safety alerts initialized (${this.optIns.size} opt-ins)`);
+  }
+
+  async reload() {
+    const { rows } = await this.pool.query('SELECT * FROM safety_alerts');
+    this.optIns.clear();
+    for (const row of rows) {
+      const settings = this._rowToSettings(row);
+      this.optIns.set(this._key(settings.targetType, settings.targetId), settings);
+    }
+  }
+
+  _key(targetType, targetId) {
+    return `${targetType}:${targetId}`;
+  }
+
+  _rowToSettings(row) {
+    return {
+      targetType: row.target_type,
+      targetId: row.target_id,
+      kinds: row.kinds || [],
+      gustThreshold: parseFloat(row.gust_threshold),
+      lastSent: row.last_sent || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Opt-in of a subscription/device, or null if not opted in
+   */
+  getSettings(targetType, targetId) {
+    return this.optIns.get(this._key(targetType, targetId)) || null;
+  }
+
+  /**
+   * Validate and normalize settings from the API.
+   * @returns {Object} { settings } or { error }
+   */
+  validateSettings(input, existing = null) {
+    const merged = { ...DEFAULT_SAFETY_SETTINGS, ...(existing || {}), ...(input || {}) };
+    const settings = {
+      kinds: merged.kinds,
+      gustThreshold: parseFloat(merged.gustThreshold)
+    };
+
+    if (!Array.isArray(settings.kinds) || settings.kinds.length === 0 ||
+        !settings.kinds.every(k => SAFETY_ALERT_KINDS.includes(k))) {
+      return { error: `kinds must be a non-empty subset of: ${SAFETY_ALERT_KINDS.join(', ')}` };
+    }
+    if (!isFinite(settings.gustThreshold) || settings.gustThreshold < 10 || settings.gustThreshold > 60) {
+      return { error: 'gustThreshold must be between 10 and 60 knots' };
+    }
+    settings.kinds = SAFETY_ALERT_KINDS.filter(k => settings.kinds.includes(k));
+
+    return { settings };
+  }
+
+  /**
+   * Opt in or change settings (upsert)
+   */
+  async saveSettings(targetType, targetId, input) {
+    const existing = this.getSettings(targetType, targetId);
+    const { settings, error } = this.validateSettings(input, existing);
+    if (error) return { error };
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO safety_alerts (target_type, target_id, kinds, gust_threshold)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (target_type, target_id) DO UPDATE SET
+         kinds = EXCLUDED.kinds,
+         gust_threshold = EXCLUDED.gust_threshold,
+         updated_at = NOW()
+       RETURNING *`,
+      [targetType, targetId, settings.kinds, settings.gustThreshold]
+    );
+
+    const saved = this._rowToSettings(rows[0]);
+    this.optIns.set(this._key(targetType, targetId), saved);
+    return { settings: saved };
+  }
+
+  /**
+   * Opt out (also used when a subscription/device disappears)
+   */
+  async removeTarget(targetType, targetId) {
+    const key = this._key(targetType, targetId);
+    if (!this.optIns.has(key)) return false;
+
+    await this.pool.query(
+      'DELETE FROM safety_alerts WHERE target_type = $1 AND target_id = $2',
+      [targetType, targetId]
+    );
+    this.optIns.delete(key);
+    return true;
+  }
+
+  /**
+   * Kinds that should fire for one opt-in right now (after its cooldowns)
+   * @param {Object} settings - opt-in
+   * @param {Object} conditions - from detectSafetyConditions()
+   * @returns {Array} kinds, most severe first
+   */
+  getDueKinds(settings, conditions, now = new Date()) {
+    if (!settings || !conditions) return [];
+
+    const triggered = {
+      offshore: conditions.offshoreSwing,
+      gust: conditions.gust >= settings.gustThreshold,
+      dropping: conditions.dropping
+    };
+
+    return settings.kinds.filter(kind => {
+      if (!triggered[kind]) return false;
+      const last = settings.lastSent[kind];
+      return !last || (now - new Date(last)) / 60000 >= SAFETY_ALERT_COOLDOWN_MINUTES;
+    });
+  }
+
+  async markSent(settings, kinds, at = new Date()) {
+    for (const kind of kinds) {
+      settings.lastSent[kind] = at.toISOString();
+    }
+    await this.pool.query(
+      'UPDATE safety_alerts SET last_sent = $3 WHERE target_type = $1 AND target_id = $2',
+      [settings.targetType, settings.targetId, JSON.stringify(settings.lastSent)]
+    );
+  }
+
+  /**
+   * Push title/body for the triggered kinds (Russian, like the other pushes)
+   */
+  formatMessage(kinds, conditions, settings, spot) {
+    const spotName = spot ? spot.name : 'Спот';
+    const lines = {
+      offshore: `Ветер ушёл в офшор (${conditions.direction}°) — сносит от берега. Возвращайтесь!`,
+      gust: `Порыв ${conditions.gust.toFixed(0)} уз (порог ${settings.gustThreshold.toFixed(0)}).`,
+      dropping: `Ветер стихает: ${conditions.previousSpeed?.toFixed(1)} → ${conditions.currentSpeed.toFixed(1)} уз за полчаса. Держитесь ближе к берегу.`
+    };
+    const titles = {
+      offshore: `⚠️ ${spotName}: офшор!`,
+      gust: `💨 ${spotName}: сильные порывы`,
+      dropping: `📉 ${spotName}: ветер падает`
+    };
+
+    return {
+      title: titles[kinds[0]],
+      body: kinds.map(kind => lines[kind]).join('\n')
+    };
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * SafetyEngine - the single kite-safety rule set for backend and PWA.
+ *
+ * Pure, dependency-free ES module: the backend imports it directly and the
+ * PWA loads this exact file from GET /api/safety/engine.js, so live, forecast
+ * and history views can never disagree about what "dangerous" means.
+ *
+ * Direction is judged against the spot's shoreline instead of fixed compass
+ * ranges. shoreBearing is the direction the beach faces: wind FROM that
+ * bearing blows straight onshore, wind from the opposite bearing is straight
+ * offshore. The angle between the two picks one of four sectors. Without a
+ * direction reading (null / NaN) the sector is 'unknown': only the speed
+ * can still call the wind too weak or too strong, anything else is level
+ * 'unknown' rather than a guess.
+ *
+ * Results carry i18n keys (wind.safety.*, wind.sectors.*, wind.safetyReasons.*)
+ * and never display text — translation is the client's job.
+ */
+
+export const SAFETY_ENGINE_VERSION = 2;
+
+// Fallback when a spot has no orientation configured (Pak Nam Pran faces east)
+export const DEFAULT_SHORE_BEARING = 90;
+
+// Below this nobody rides, whatever the sport
+export const CALM_WIND = 5;
+
+// Sector by angular distance (0..180°) from the shore bearing.
+// Side-onshore is the classic "ideal" direction; side-offshore still carries
+// a rider away from the beach and is never rated above "moderate".
+export const SECTORS = [
+  { id: 'onshore', maxAngle: 45 },
+  { id: 'sideOnshore', maxAngle: 90 },
+  { id: 'sideOffshore', maxAngle: 135 },
+  { id: 'offshore', maxAngle: 180 }
+];
+
+// Wind thresholds in knots per sport (board types from the app settings).
+//   minWind          - below: too weak to ride
+//   idealMin/Max     - the "excellent" band
+//   maxWind, maxGust - above: dangerous
+//   maxGustFactor    - gust/speed ratio above which wind counts as gusty
+//   minGustSpread    - ...but only if gusts exceed speed by at least this much
+export const SPORT_RULES = {
+  twintip:   { minWind: 8,  idealMin: 12, idealMax: 25, maxWind: 30, maxGust: 35, maxGustFactor: 1.5, minGustSpread: 6 },
+  hydrofoil: { minWind: 6,  idealMin: 9,  idealMax: 20, maxWind: 25, maxGust: 30, maxGustFactor: 1.6, minGustSpread: 6 },
+  wingfoil:  { minWind: 10, idealMin: 14, idealMax: 25, maxWind: 30, maxGust: 35, maxGustFactor: 1.5, minGustSpread: 6 }
+};
+
+export const DEFAULT_SPORT = 'twintip';
+
+// Ordered worst → best (index is used to downgrade levels); 'unknown' is
+// unrated — no direction to judge the shore sector by
+export const LEVELS = {
+  unknown: { level: 'unknown', i18nKey: 'wind.safety.unknown', color: '#808080' },
+  danger: { level: 'danger', i18nKey: 'wind.safety.dangerous', color: '#FF4500' },
+  low:    { level: 'low',    i18nKey: 'wind.safety.weak',      color: '#87CEEB' },
+  medium: { level: 'medium', i18nKey: 'wind.safety.moderate',  color: '#FFA500' },
+  good:   { level: 'good',   i18nKey: 'wind.safety.good',      color: '#FFD700' },
+  high:   { level: 'high',   i18nKey: 'wind.safety.excellent', color: '#00FF00' }
+};
+
+const RIDEABLE_ORDER = ['medium', 'good', 'high'];
+
+/**
+ * Normalize any bearing to 0..359
+ */
+function normalizeBearing(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Smallest angle (0..180) between wind direction and shore bearing
+ */
+export function getShoreAngle(direction, shoreBearing = DEFAULT_SHORE_BEARING) {
+  const diff = Math.abs(normalizeBearing(direction) - normalizeBearing(shoreBearing));
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Sector id for a wind direction at a beach facing shoreBearing
+ */
+export function getShoreSector(direction, shoreBearing = DEFAULT_SHORE_BEARING) {
+  const angle = getShoreAngle(direction, shoreBearing);
+  return SECTORS.find(s => angle < s.maxAngle)?.id || 'offshore';
+}
+
+/**
+ * Classify wind conditions.
+ * @param {Object} params
+ * @param {number|null} params.direction - wind direction, degrees (FROM); null when missing
+ * @param {number} params.speed - average wind speed, knots
+ * @param {number} [params.gust] - gust speed, knots
+ * @param {number} [params.shoreBearing] - direction the beach faces
+ * @param {string} [params.sport] - twintip | hydrofoil | wingfoil
+ * @returns {Object} level, i18nKey, color, sector, reasons and raw inputs
+ */
+export function evaluateSafety({ direction, speed, gust = null, shoreBearing = DEFAULT_SHORE_BEARING, sport = DEFAULT_SPORT } = {}) {
+  const dir = direction !== null && direction !== undefined && isFinite(parseFloat(direction))
+    ? normalizeBearing(parseFloat(direction))
+    : null;
+  const knots = parseFloat(speed) || 0;
+  const gustKnots = gust !== null && gust !== undefined && isFinite(parseFloat(gust))
+    ? parseFloat(gust)
+    : null;
+  const bearing = isFinite(parseFloat(shoreBearing)) ? parseFloat(shoreBearing) : DEFAULT_SHORE_BEARING;
+  const sportId = SPORT_RULES[sport] ? sport : DEFAULT_SPORT;
+  const rules = SPORT_RULES[sportId];
+
+  const shoreAngle = dir !== null ? getShoreAngle(dir, bearing) : null;
+  const sector = dir !== null ? getShoreSector(dir, bearing) : 'unknown';
+  const gustFactor = gustKnots !== null && knots > 0 ? gustKnots / knots : null;
+  const isGusty = gustFactor !== null &&
+    gustFactor > rules.maxGustFactor &&
+    gustKnots - knots >= rules.minGustSpread;
+
+  const reasons = [];
+  let level;
+
+  if (knots < CALM_WIND) {
+    level = 'low';
+    reasons.push('tooWeak');
+  } else if (sector === 'offshore') {
+    level = 'danger';
+    reasons.push('offshore');
+  } else if (knots > rules.maxWind || (gustKnots !== null && gustKnots > rules.maxGust)) {
+    level = 'danger';
+    reasons.push('tooStrong');
+  } else if (knots < rules.minWind) {
+    level = 'low';
+    reasons.push('tooWeak');
+  } else if (sector === 'unknown') {
+    level = 'unknown';
+    reasons.push('directionUnknown');
+  } else {
+    if (knots >= rules.idealMin && knots <= rules.idealMax) {
+      level = 'high';
+    } else if (knots < rules.idealMin) {
+      level = 'good';
+    } else {
+      level = 'medium';
+      reasons.push('strong');
+    }
+
+    if (sector === 'sideOffshore') {
+      level = 'medium';
+      reasons.push('sideOffshore');
+    }
+
+    if (isGusty) {
+      const index = RIDEABLE_ORDER.indexOf(level);
+      level = RIDEABLE_ORDER[Math.max(index - 1, 0)];
+      reasons.push('gusty');
+    }
+  }
+
+  return {
+    ...LEVELS[level],
+    sector,
+    sectorI18nKey: `wind.sectors.${sector}`,
+    reasons,
+    reasonI18nKeys: reasons.map(r => `wind.safetyReasons.${r}`),
+    shoreAngle: shoreAngle !== null ? Math.round(shoreAngle) : null,
+    gustFactor: gustFactor !== null ? parseFloat(gustFactor.toFixed(2)) : null,
+    isGusty,
+    isOffshore: sector === 'offshore',
+    isOnshore: sector === 'onshore',
+    windType: sector === 'offshore' || sector === 'onshore' || sector === 'unknown' ? sector : 'sideshore',
+    windSpeed: knots,
+    windGust: gustKnots,
+    windDirection: dir !== null ? Math.round(dir) : null,
+    shoreBearing: bearing,
+    sport: sportId
+  };
+}
+
+/**
+ * True when the conditions are rideable at all (not too weak, not
+ * dangerous, direction known)
+ */
+export function isRideable(params) {
+  const { level } = evaluateSafety(params);
+  return level !== 'low' && level !== 'danger' && level !== 'unknown';
+}
+
+/**
+ * Rule set as plain data (for GET /api/safety/rules and debugging)
+ */
+export function getSafetyRules(shoreBearing = DEFAULT_SHORE_BEARING) {
+  return {
+    version: SAFETY_ENGINE_VERSION,
+    shoreBearing,
+    calmWind: CALM_WIND,
+    sectors: SECTORS,
+    sports: SPORT_RULES,
+    levels: LEVELS
+  };
+}
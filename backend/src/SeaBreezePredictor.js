@@ -0,0 +1,483 @@
+import { getShoreAngle, getShoreSector } from './SafetyEngine.js';
+import { qcReliableHourSql } from './DataQuality.js';
+
+/**
+ * SeaBreezePredictor - will the afternoon thermal kick in, when, and how hard.
+ *
+ * Climatology: every archived day of the spot's primary station is classified
+ * by detectSeaBreeze() — 'seabreeze' (onshore wind of ONSET_SPEED+ sets in
+ * during ONSET_WINDOW and holds for 2+ hours), 'gradient' (already blowing
+ * onshore in the morning: synoptic, not thermal) or 'none' — with its onset,
+ * peak and duration.
+ *
+ * Prediction for today / tomorrow is an analog forecast: archived days within
+ * ±1 month, in the same synoptic sector relative to the shore, weighted by how
+ * close their morning wind speed and daytime heating are to the forecast's.
+ * The archive has no upper-air data, so the morning station wind stands in for
+ * the synoptic flow there; for the forecast day the 850 hPa wind is used.
+ *
+ * The analog probability is then updated with the best model's own verdict
+ * (detectSeaBreeze on its forecast) through a likelihood ratio learned from
+ * forecast_backtest days: P(model says breeze | breeze) / P(… | no breeze).
+ * When the model sees a breeze its onset, shifted by its mean onset error,
+ * is blended with the analog onset by inverse variance. A heavily overcast
+ * midday (no cloud data in the archive) scales the probability by OVERCAST_FACTOR.
+ *
+ * Hours are local to the spot; forecast_backtest is only used for the spot
+ * the backtest importer covers (Bangkok hours).
+ */
+
+export const ONSET_SPEED = 8;                  // kn of onshore wind that count as the breeze
+export const ONSHORE_MAX_ANGLE = 60;           // ° between wind and shore bearing
+export const ONSET_WINDOW = { start: 9, end: 17 };
+const DROP_SPEED = 6;                          // breeze is over below this (or offshore)
+const MORNING_HOURS = [6, 7, 8];
+const HEATING_HOURS = [11, 12, 13, 14, 15];
+const MIDDAY_HOURS = [10, 11, 12, 13, 14, 15];
+const MIN_ANALOGS = 30;
+const SPEED_KERNEL = 3;                        // kn
+const HEATING_KERNEL = 2;                      // °C
+const OVERCAST_CLOUD = 75;                     // % midday cloud cover
+const OVERCAST_FACTOR = 0.7;
+const MIN_ONSET_SD = 0.5;                      // h
+const REFRESH_MS = 24 * 60 * 60 * 1000;
+
+const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round = (value, digits = 1) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const quarterHour = value => (value == null ? null : Math.round(value * 4) / 4);
+
+function circularMean(directions) {
+  if (directions.length === 0) return null;
+  const x = directions.reduce((sum, d) => sum + Math.cos((d * Math.PI) / 180), 0);
+  const y = directions.reduce((sum, d) => sum + Math.sin((d * Math.PI) / 180), 0);
+  return Math.round((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Weighted quantile of [{ value, weight }]
+ */
+function weightedQuantile(items, q) {
+  const sorted = items.filter(i => i.value != null).sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, i) => sum + i.weight, 0);
+  if (total <= 0) return null;
+  let cumulative = 0;
+  for (const item of sorted) {
+    cumulative += item.weight;
+    if (cumulative >= q * total) return item.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Classify one local day of hourly wind
+ * @param {Array} hours - [{ hour, speed, direction, temperature? }] local hours
+ * @returns {Object|null} { type, onsetHour, peakSpeed, peakHour, durationHours,
+ *   morningSpeed, morningDirection, morningSector, heating } or null without enough hours
+ */
+export function detectSeaBreeze(hours, shoreBearing) {
+  const byHour = new Map(hours.map(h => [h.hour, h]));
+  const morning = MORNING_HOURS.map(h => byHour.get(h)).filter(Boolean);
+  const window = hours.filter(h => h.hour >= ONSET_WINDOW.start && h.hour <= ONSET_WINDOW.end);
+  if (morning.length < 2 || window.length < 6) return null;
+
+  const onshore = h => getShoreAngle(h.direction, shoreBearing) <= ONSHORE_MAX_ANGLE;
+  const morningSpeed = mean(morning.map(h => h.speed));
+  const morningDirection = circularMean(morning.map(h => h.direction));
+
+  const morningTemps = morning.map(h => h.temperature).filter(t => t != null);
+  const dayTemps = HEATING_HOURS.map(h => byHour.get(h)?.temperature).filter(t => t != null);
+  const heating = morningTemps.length > 0 && dayTemps.length > 0
+    ? Math.max(...dayTemps) - Math.min(...morningTemps)
+    : null;
+
+  const result = {
+    type: 'none',
+    onsetHour: null,
+    peakSpeed: null,
+    peakHour: null,
+    durationHours: 0,
+    morningSpeed,
+    morningDirection,
+    morningSector: getShoreSector(morningDirection, shoreBearing),
+    heating
+  };
+
+  if (morningSpeed >= ONSET_SPEED && morning.every(onshore)) {
+    return { ...result, type: 'gradient' };
+  }
+
+  for (const h of window) {
+    const next = byHour.get(h.hour + 1);
+    if (!onshore(h) || h.speed < ONSET_SPEED || !next || !onshore(next) || next.speed < ONSET_SPEED) continue;
+
+    // Hourly means sit at the middle of their hour: interpolate the crossing
+    // of ONSET_SPEED from the previous (weaker) hour when there is one
+    const previous = byHour.get(h.hour - 1);
+    const onsetHour = previous && previous.speed < ONSET_SPEED && h.speed > previous.speed
+      ? previous.hour + 0.5 + (ONSET_SPEED - previous.speed) / (h.speed - previous.speed)
+      : h.hour;
+
+    let peak = h;
+    let duration = 0;
+    for (let hour = h.hour; byHour.has(hour); hour++) {
+      const current = byHour.get(hour);
+      if (!onshore(current) || current.speed < DROP_SPEED) break;
+      duration++;
+      if (current.speed > peak.speed) peak = current;
+    }
+
+    return {
+      ...result,
+      type: 'seabreeze',
+      onsetHour,
+      peakSpeed: peak.speed,
+      peakHour: peak.hour,
+      durationHours: duration
+    };
+  }
+
+  return result;
+}
+
+export class SeaBreezePredictor {
+  constructor(pgPool, forecastCollector, forecastModelManager, spotManager = null) {
+    this.pool = pgPool;
+    this.forecastCollector = forecastCollector;
+    this.forecastModelManager = forecastModelManager;
+    this.spotManager = spotManager;
+    this.climatology = new Map(); // `${stationId}|${shoreBearing}|${modelId}` → { builtAt, days, skill } or a pending Promise
+  }
+
+  /**
+   * Archived local days of a station: date → [{ hour, speed, direction, temperature }]
+   */
+  async getArchiveDays(stationId, timezone, sinceDate = null) {
+    const { rows } = await this.pool.query(
+      `SELECT to_char(hour_timestamp AT TIME ZONE $2, 'YYYY-MM-DD') AS date,
+              EXTRACT(HOUR FROM hour_timestamp AT TIME ZONE $2)::int AS hour,
+              avg_wind_speed, avg_wind_direction, avg_temperature
+       FROM hourly_archive
+       WHERE station_id = $1 AND ${qcReliableHourSql()}
+         AND ($3::date IS NULL OR hour_timestamp >= ($3::date AT TIME ZONE $2))
+       ORDER BY hour_timestamp`,
+      [stationId, timezone, sinceDate]
+    );
+
+    const days = new Map();
+    for (const row of rows) {
+      if (!days.has(row.date)) days.set(row.date, []);
+      days.get(row.date).push({
+        hour: row.hour,
+        speed: parseFloat(row.avg_wind_speed),
+        direction: row.avg_wind_direction,
+        temperature: row.avg_temperature != null ? parseFloat(row.avg_temperature) : null
+      });
+    }
+    return days;
+  }
+
+  /**
+   * Model skill at calling the breeze, from its backtest days vs the archive
+   */
+  async learnModelSkill(modelId, archiveDays, shoreBearing) {
+    const { rows } = await this.pool.query(
+      `SELECT to_char(target_date, 'YYYY-MM-DD') AS date, target_hour, forecast_speed, forecast_direction
+       FROM forecast_backtest WHERE model_id = $1
+       ORDER BY target_date, target_hour`,
+      [modelId]
+    );
+
+    const forecastDays = new Map();
+    for (const row of rows) {
+      if (!forecastDays.has(row.date)) forecastDays.set(row.date, []);
+      forecastDays.get(row.date).push({
+        hour: row.target_hour,
+        speed: parseFloat(row.forecast_speed),
+        direction: row.forecast_direction
+      });
+    }
+
+    const counts = { breezeDays: 0, hits: 0, otherDays: 0, falseAlarms: 0 };
+    const onsetErrors = [];
+    const peakErrors = [];
+    for (const [date, hours] of forecastDays) {
+      const actual = archiveDays.get(date);
+      const predicted = detectSeaBreeze(hours, shoreBearing);
+      if (!actual || !predicted) continue;
+
+      const modelSays = predicted.type === 'seabreeze';
+      if (actual.type === 'seabreeze') {
+        counts.breezeDays++;
+        if (modelSays) {
+          counts.hits++;
+          onsetErrors.push(actual.onsetHour - predicted.onsetHour);
+          peakErrors.push(actual.peakSpeed - predicted.peakSpeed);
+        }
+      } else {
+        counts.otherDays++;
+        if (modelSays) counts.falseAlarms++;
+      }
+    }
+
+    const days = counts.breezeDays + counts.otherDays;
+    if (days === 0) return null;
+
+    // Laplace smoothing keeps a short backtest from producing 0 or ∞ ratios
+    const hitRate = (counts.hits + 1) / (counts.breezeDays + 2);
+    const falseAlarmRate = (counts.falseAlarms + 1) / (counts.otherDays + 2);
+    const onsetBias = mean(onsetErrors) ?? 0;
+    const onsetSpread = onsetErrors.length > 1
+      ? Math.sqrt(onsetErrors.reduce((sum, e) => sum + (e - onsetBias) ** 2, 0) / (onsetErrors.length - 1))
+      : null;
+
+    return {
+      days,
+      hitRate,
+      falseAlarmRate,
+      onsetBias,
+      onsetSpread: onsetSpread !== null ? Math.max(onsetSpread, MIN_ONSET_SD) : null,
+      peakBias: mean(peakErrors) ?? 0
+    };
+  }
+
+  /**
+   * Classified archive days + model skill for a spot, rebuilt once a day
+   */
+  async getClimatology(spot, modelId) {
+    const key = `${spot.primaryStationId}|${spot.shoreBearing}|${modelId}`;
+    const cached = this.climatology.get(key);
+    if (cached instanceof Promise) return cached;
+    if (cached && Date.now() - cached.builtAt < REFRESH_MS) return cached;
+
+    const build = (async () => {
+      const rawDays = await this.getArchiveDays(spot.primaryStationId, spot.timezone || 'Asia/Bangkok');
+      const days = new Map();
+      for (const [date, hours] of rawDays) {
+        const day = detectSeaBreeze(hours, spot.shoreBearing);
+        if (day) days.set(date, { date, month: parseInt(date.slice(5, 7), 10), ...day });
+      }
+
+      // The backtest is pulled for the default spot's coordinates only
+      const isDefaultSpot = !this.spotManager || this.spotManager.getDefault()?.id === spot.id;
+      const skill = isDefaultSpot ? await this.learnModelSkill(modelId, days, spot.shoreBearing) : null;
+
+      const entry = { builtAt: Date.now(), days, skill };
+      console.log(`🌬 Sea-breeze climatology for ${spot.id}: ${days.size} days, `
+        + `${[...days.values()].filter(d => d.type === 'seabreeze').length} with a breeze`);
+      return entry;
+    })();
+
+    this.climatology.set(key, build);
+    try {
+      const entry = await build;
+      this.climatology.set(key, entry);
+      return entry;
+    } catch (error) {
+      this.climatology.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Analog days for the forecast features
+   * @returns {Object} { analogs: [{ day, weight }], sectorMatched }
+   */
+  findAnalogs(days, { month, sector, morningSpeed, heating }) {
+    const monthDistance = m => {
+      const d = Math.abs(m - month) % 12;
+      return Math.min(d, 12 - d);
+    };
+    const candidates = [...days.values()].filter(d => monthDistance(d.month) <= 1);
+    const sameSector = candidates.filter(d => d.morningSector === sector);
+    const sectorMatched = sameSector.length >= MIN_ANALOGS;
+
+    const analogs = (sectorMatched ? sameSector : candidates).map(day => {
+      let weight = 1;
+      if (morningSpeed != null) weight *= Math.exp(-0.5 * ((day.morningSpeed - morningSpeed) / SPEED_KERNEL) ** 2);
+      if (heating != null && day.heating != null) weight *= Math.exp(-0.5 * ((day.heating - heating) / HEATING_KERNEL) ** 2);
+      return { day, weight };
+    });
+    return { analogs, sectorMatched };
+  }
+
+  /**
+   * Prediction for one local day of forecast entries
+   */
+  predictDay(date, entries, climatology, spot) {
+    const hours = entries.map(e => ({
+      hour: e.time,
+      speed: e.speed,
+      direction: e.direction,
+      temperature: e.temperature ?? null
+    }));
+    const modelDay = detectSeaBreeze(hours, spot.shoreBearing);
+
+    const midday = entries.filter(e => MIDDAY_HOURS.includes(e.time));
+    const synoptic = midday.filter(e => e.synopticDirection != null);
+    const synopticDirection = synoptic.length > 0 ? circularMean(synoptic.map(e => e.synopticDirection)) : null;
+    const cloudValues = midday.map(e => e.cloudCover).filter(c => c != null);
+    const cloudCover = cloudValues.length > 0 ? mean(cloudValues) : null;
+
+    const inputs = {
+      synopticDirection,
+      synopticSpeed: synoptic.length > 0 ? round(mean(synoptic.map(e => e.synopticSpeed))) : null,
+      synopticSector: synopticDirection !== null
+        ? getShoreSector(synopticDirection, spot.shoreBearing)
+        : modelDay?.morningSector ?? null,
+      morningSpeed: round(modelDay?.morningSpeed),
+      heating: round(modelDay?.heating),
+      cloudCover: round(cloudCover, 0)
+    };
+
+    const { analogs, sectorMatched } = this.findAnalogs(climatology.days, {
+      month: parseInt(date.slice(5, 7), 10),
+      sector: inputs.synopticSector,
+      morningSpeed: modelDay?.morningSpeed ?? null,
+      heating: modelDay?.heating ?? null
+    });
+    const totalWeight = analogs.reduce((sum, a) => sum + a.weight, 0);
+    const breezeAnalogs = analogs.filter(a => a.day.type === 'seabreeze');
+    const priorProbability = totalWeight > 0
+      ? breezeAnalogs.reduce((sum, a) => sum + a.weight, 0) / totalWeight
+      : null;
+
+    const onsetItems = breezeAnalogs.map(a => ({ value: a.day.onsetHour, weight: a.weight }));
+    const analogOnset = weightedQuantile(onsetItems, 0.5);
+    const analogOnsetLow = weightedQuantile(onsetItems, 0.25);
+    const analogOnsetHigh = weightedQuantile(onsetItems, 0.75);
+    const analogPeak = weightedQuantile(breezeAnalogs.map(a => ({ value: a.day.peakSpeed, weight: a.weight })), 0.5);
+    const analogDuration = weightedQuantile(breezeAnalogs.map(a => ({ value: a.day.durationHours, weight: a.weight })), 0.5);
+
+    // Bayes update of the analog probability with the model's call
+    let probability = priorProbability;
+    const skill = climatology.skill;
+    const modelSays = modelDay?.type === 'seabreeze';
+    if (probability !== null && skill && modelDay) {
+      const ratio = modelSays
+        ? skill.hitRate / skill.falseAlarmRate
+        : (1 - skill.hitRate) / (1 - skill.falseAlarmRate);
+      const prior = Math.min(Math.max(probability, 0.01), 0.99);
+      const odds = (prior / (1 - prior)) * ratio;
+      probability = odds / (1 + odds);
+    }
+    if (probability !== null && cloudCover !== null && cloudCover >= OVERCAST_CLOUD) {
+      probability *= OVERCAST_FACTOR;
+    }
+
+    // Onset: analog median and bias-corrected model onset, inverse-variance blend
+    let onset = analogOnset;
+    let onsetSd = analogOnsetLow !== null ? Math.max((analogOnsetHigh - analogOnsetLow) / 1.35, MIN_ONSET_SD) : null;
+    let peakSpeed = analogPeak;
+    if (modelSays && skill?.onsetSpread) {
+      const modelOnset = modelDay.onsetHour + skill.onsetBias;
+      const modelPeak = modelDay.peakSpeed + skill.peakBias;
+      if (onset === null) {
+        onset = modelOnset;
+        onsetSd = skill.onsetSpread;
+        peakSpeed = modelPeak;
+      } else {
+        const wAnalog = 1 / onsetSd ** 2;
+        const wModel = 1 / skill.onsetSpread ** 2;
+        onset = (analogOnset * wAnalog + modelOnset * wModel) / (wAnalog + wModel);
+        onsetSd = Math.sqrt(1 / (wAnalog + wModel));
+        peakSpeed = (analogPeak * wAnalog + modelPeak * wModel) / (wAnalog + wModel);
+      }
+    }
+
+    return {
+      date,
+      probability: round(probability, 2),
+      onset: onset !== null ? {
+        hour: quarterHour(onset),
+        earliest: quarterHour(onset - (onsetSd ?? 0)),
+        latest: quarterHour(onset + (onsetSd ?? 0))
+      } : null,
+      peakSpeed: round(peakSpeed),
+      durationHours: analogDuration,
+      inputs,
+      analogs: {
+        count: analogs.length,
+        sectorMatched,
+        probability: round(priorProbability, 2),
+        onset: quarterHour(analogOnset),
+        peakSpeed: round(analogPeak),
+        durationHours: analogDuration
+      },
+      forecastModel: modelDay ? {
+        type: modelDay.type,
+        onsetHour: quarterHour(modelDay.onsetHour),
+        peakSpeed: round(modelDay.peakSpeed)
+      } : null
+    };
+  }
+
+  /**
+   * Today's and tomorrow's sea breeze for a spot
+   */
+  async predict(spot) {
+    const timezone = spot.timezone || 'Asia/Bangkok';
+    const modelId = await this.forecastModelManager.getBestModel();
+    const modelDef = this.forecastModelManager.models.find(m => m.id === modelId) || null;
+
+    const [climatology, { data: forecast, fetchedAt }] = await Promise.all([
+      this.getClimatology(spot, modelId),
+      this.forecastCollector.getForecast(modelDef, 3, spot)
+    ]);
+
+    const localDate = value => new Date(value).toLocaleDateString('en-CA', { timeZone: timezone });
+    const today = localDate(Date.now());
+    const tomorrow = localDate(Date.now() + 24 * 60 * 60 * 1000);
+
+    // What today's archive already shows
+    const observedHours = (await this.getArchiveDays(spot.primaryStationId, timezone, today)).get(today) || [];
+    const observed = detectSeaBreeze(observedHours, spot.shoreBearing);
+    const currentHour = parseInt(new Date().toLocaleString('en-US', { timeZone: timezone, hour: 'numeric', hour12: false }), 10) % 24;
+
+    const days = [today, tomorrow].map(date => {
+      const entries = forecast.filter(e => localDate(e.date) === date);
+      const prediction = this.predictDay(date, entries, climatology, spot);
+      if (date !== today) return { ...prediction, status: 'forecast', observed: null };
+
+      let status = 'forecast';
+      if (observed?.type === 'seabreeze') status = 'observed';
+      else if (observed?.type === 'gradient') status = 'gradient';
+      else if (currentHour > ONSET_WINDOW.end) status = 'not_observed';
+      return {
+        ...prediction,
+        status,
+        observed: observed?.type === 'seabreeze' ? {
+          onsetHour: quarterHour(observed.onsetHour),
+          peakSpeed: round(observed.peakSpeed),
+          peakHour: observed.peakHour,
+          durationHours: observed.durationHours
+        } : null
+      };
+    });
+
+    const breezeDays = [...climatology.days.values()].filter(d => d.type === 'seabreeze').length;
+    const skill = climatology.skill;
+    return {
+      spotId: spot.id,
+      shoreBearing: spot.shoreBearing,
+      onsetSpeed: ONSET_SPEED,
+      model: {
+        id: modelId,
+        skill: skill ? {
+          days: skill.days,
+          hitRate: round(skill.hitRate, 2),
+          falseAlarmRate: round(skill.falseAlarmRate, 2),
+          onsetBias: round(skill.onsetBias, 2),
+          onsetSpread: round(skill.onsetSpread, 2),
+          peakBias: round(skill.peakBias)
+        } : null
+      },
+      climatology: {
+        days: climatology.days.size,
+        seabreezeDays: breezeDays,
+        builtAt: new Date(climatology.builtAt).toISOString()
+      },
+      days,
+      fetchedAt
+    };
+  }
+}
@@ -0,0 +1,297 @@
+import { distanceKm } from './StationHealthMonitor.js';
+import { qcWeight, isGustUsable, isDirectionUsable } from './DataQuality.js';
+
+/**
+ * SpotEstimator - blended "spot estimate" from every station near a spot.
+ *
+ * Each station within ESTIMATE_MAX_KM contributes its latest reading,
+ * corrected into the frame of the spot's primary station with a bias learned
+ * from overlapping hourly_archive hours (speed scale + direction offset), and
+ * weighted by
+ *   - inverse distance to the spot (floored at 1 km),
+ *   - elevation: 1 / (1 + elevation / ELEVATION_SCALE_M) — hill stations see
+ *     more gradient wind than the beach,
+ *   - fit quality: 1 / (1 + (rmse / 2)²) of the learned bias (the primary: 1).
+ * Down stations (StationHealthMonitor) and readings older than MAX_LAG_MINUTES
+ * behind the newest input are left out but still listed with the reason.
+ *
+ * Served as the virtual station `spot_estimate`; `contributions` explain the
+ * number. Biases are cached for BIAS_TTL_MS.
+ */
+
+export const ESTIMATE_STATION_ID = 'spot_estimate';
+
+const ESTIMATE_MAX_KM = 25;
+const ELEVATION_SCALE_M = 50;
+const MAX_LAG_MINUTES = 20;
+const BIAS_DAYS = 60;
+const BIAS_MIN_SPEED = 3;           // knots; calm hours say nothing about exposure
+const BIAS_MIN_SAMPLES = 24;        // fewer overlapping hours → no correction
+const BIAS_SCALE_LIMITS = [0.5, 2];
+const DEFAULT_RMSE = 4;             // knots; assumed fit error without a bias
+const BIAS_TTL_MS = 6 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) =>
+  value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const normalizeDir = dir => ((dir % 360) + 360) % 360;
+
+export class SpotEstimator {
+  constructor(stations, dbManager, archiveManager, calibrationManager, stationHealth = null) {
+    this.stations = stations;
+    this.dbManager = dbManager;
+    this.archiveManager = archiveManager;
+    this.calibrationManager = calibrationManager;
+    this.stationHealth = stationHealth;
+    this.biasCache = new Map(); // `${referenceId}:${stationId}` → bias
+  }
+
+  /**
+   * Learned correction of `stationId` into the frame of `referenceId`
+   * @returns {Object} { scale, dirOffset, samples, rmse, learned }
+   */
+  async getBias(referenceId, stationId) {
+    if (referenceId === stationId) {
+      return { scale: 1, dirOffset: 0, samples: null, rmse: 0, learned: true };
+    }
+
+    const key = `${referenceId}:${stationId}`;
+    const cached = this.biasCache.get(key);
+    if (cached && Date.now() - cached.computedAt < BIAS_TTL_MS) {
+      return cached.bias;
+    }
+
+    const stats = await this.archiveManager.getStationPairStats(referenceId, stationId, BIAS_DAYS, BIAS_MIN_SPEED);
+    const learned = stats.samples >= BIAS_MIN_SAMPLES && stats.scale !== null;
+    const bias = learned
+      ? {
+          scale: Math.min(BIAS_SCALE_LIMITS[1], Math.max(BIAS_SCALE_LIMITS[0], parseFloat(stats.scale))),
+          dirOffset: Math.round(Math.atan2(stats.dir_sin, stats.dir_cos) * 180 / Math.PI),
+          samples: stats.samples,
+          rmse: round(parseFloat(stats.rmse), 2),
+          learned: true
+        }
+      : { scale: 1, dirOffset: 0, samples: stats.samples, rmse: null, learned: false };
+
+    this.biasCache.set(key, { bias, computedAt: Date.now() });
+    return bias;
+  }
+
+  /**
+   * Stations that feed a spot's estimate: its own and any within ESTIMATE_MAX_KM
+   * @returns {Array} [{ station, distance }]
+   */
+  nearbyStations(spot) {
+    return this.stations
+      .map(station => ({ station, distance: distanceKm(spot, station) }))
+      .filter(({ station, distance }) =>
+        station.id === spot.primaryStationId || (spot.stationIds || []).includes(station.id) || distance <= ESTIMATE_MAX_KM
+      );
+  }
+
+  /**
+   * Blend weight of a station: distance × elevation × bias fit quality
+   */
+  stationWeight(station, distance, bias) {
+    const distanceWeight = 1 / Math.max(1, Number.isFinite(distance) ? distance : ESTIMATE_MAX_KM);
+    const elevationWeight = 1 / (1 + Math.max(0, station.elevation || 0) / ELEVATION_SCALE_M);
+    const rmse = bias.rmse ?? DEFAULT_RMSE;
+    const fitWeight = 1 / (1 + (rmse / 2) ** 2);
+    return distanceWeight * elevationWeight * fitWeight;
+  }
+
+  /**
+   * Blended estimate for a spot
+   * @returns {Object|null} formatWindData()-shaped reading + `contributions`, null without inputs
+   */
+  async estimate(spot) {
+    const latest = await this.dbManager.getLatestDataAllStations();
+    const report = this.stationHealth ? await this.stationHealth.getReport() : null;
+
+    const nearby = this.nearbyStations(spot);
+
+    const newest = Math.max(0, ...nearby
+      .map(({ station }) => latest.find(row => row.station_id === station.id))
+      .filter(Boolean)
+      .map(row => new Date(row.timestamp).getTime()));
+
+    const contributions = [];
+    for (const { station, distance } of nearby) {
+      const row = latest.find(d => d.station_id === station.id);
+      const bias = await this.getBias(spot.primaryStationId, station.id);
+      const contribution = {
+        stationId: station.id,
+        name: station.name,
+        distanceKm: Number.isFinite(distance) ? round(distance) : null,
+        elevation: station.elevation ?? null,
+        bias,
+        timestamp: row ? new Date(row.timestamp).toISOString() : null,
+        raw: null,
+        adjusted: null,
+        weight: 0,
+        share: 0,
+        excluded: null
+      };
+      contributions.push(contribution);
+
+      if (!row) {
+        contribution.excluded = 'no_data';
+        continue;
+      }
+      if (report?.stations[station.id] && !report.stations[station.id].healthy) {
+        contribution.excluded = `down: ${report.stations[station.id].reasons.join(', ')}`;
+        continue;
+      }
+      if (newest - new Date(row.timestamp).getTime() > MAX_LAG_MINUTES * 60 * 1000) {
+        contribution.excluded = 'stale';
+        continue;
+      }
+
+      const speed = parseFloat(row.wind_speed_knots) || 0;
+      const gust = row.wind_gust_knots !== null ? parseFloat(row.wind_gust_knots) : null;
+      const dir = parseInt(row.wind_direction || 0);
+      contribution.raw = { windSpeedKnots: round(speed), windGustKnots: round(gust), windDir: dir };
+      contribution.adjusted = {
+        windSpeedKnots: speed * bias.scale,
+        windGustKnots: gust !== null ? gust * bias.scale : null,
+        windDir: normalizeDir(dir + bias.dirOffset)
+      };
+      contribution.row = row;
+
+      contribution.weight = this.stationWeight(station, distance, bias);
+    }
+
+    const used = contributions.filter(c => c.weight > 0);
+    if (used.length === 0) return null;
+
+    const totalWeight = used.reduce((sum, c) => sum + c.weight, 0);
+    let speed = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let gustSum = 0;
+    let gustWeight = 0;
+    for (const c of used) {
+      c.share = c.weight / totalWeight;
+      speed += c.share * c.adjusted.windSpeedKnots;
+      if (c.adjusted.windGustKnots !== null) {
+        gustSum += c.weight * c.adjusted.windGustKnots;
+        gustWeight += c.weight;
+      }
+      // Direction: vector mean, stronger readings pull harder
+      const rad = (c.adjusted.windDir * Math.PI) / 180;
+      const pull = c.share * Math.max(c.adjusted.windSpeedKnots, 0.1);
+      sumX += Math.cos(rad) * pull;
+      sumY += Math.sin(rad) * pull;
+    }
+    const dir = normalizeDir(Math.round((Math.atan2(sumY, sumX) * 180) / Math.PI));
+
+    // Air data from the heaviest input (it is not blended)
+    const main = used.reduce((best, c) => (c.weight > best.weight ? c : best));
+
+    // The blend is in the primary's raw frame: finish with its calibration
+    const reference = spot.primaryStationId;
+    const calibrate = {
+      speed: value => (value === null ? null : round(this.calibrationManager.applySpeed(value, reference))),
+      dir: value => this.calibrationManager.applyOffset(value, reference)
+    };
+
+    return {
+      stationId: ESTIMATE_STATION_ID,
+      virtual: true,
+      timestamp: new Date(newest).toISOString(),
+      windSpeedKnots: calibrate.speed(speed),
+      windGustKnots: gustWeight > 0 ? calibrate.speed(gustSum / gustWeight) : null,
+      maxGustKnots: null,
+      windDir: calibrate.dir(dir),
+      windDirAvg: null,
+      temperature: main.row.temperature !== null ? round(parseFloat(main.row.temperature)) : null,
+      humidity: main.row.humidity !== null ? round(parseFloat(main.row.humidity)) : null,
+      pressure: main.row.pressure !== null ? round(parseFloat(main.row.pressure), 2) : null,
+      referenceStationId: reference,
+      contributions: contributions.map(({ row, ...c }) => ({
+        ...c,
+        adjusted: c.adjusted && {
+          windSpeedKnots: calibrate.speed(c.adjusted.windSpeedKnots),
+          windGustKnots: calibrate.speed(c.adjusted.windGustKnots),
+          windDir: calibrate.dir(c.adjusted.windDir)
+        },
+        weight: round(c.weight, 4),
+        share: round(c.share, 3)
+      }))
+    };
+  }
+
+  /**
+   * Blended series of a spot in slotMinutes slots, weighted like estimate():
+   * each station's QC-weighted slot mean, moved into the primary's frame
+   * @returns {Array} [{ time (slot start), speed, gust, direction, stations }] ascending
+   */
+  async blendSeries(spot, fromIso, toIso, slotMinutes = 15) {
+    const report = this.stationHealth ? await this.stationHealth.getReport() : null;
+    const slotMs = slotMinutes * 60 * 1000;
+    const emptySlot = () => ({ weight: 0, speed: 0, gust: 0, gustWeight: 0, x: 0, y: 0, stations: 0 });
+    const slots = new Map(); // slot start (ms) → weighted sums across stations
+
+    for (const { station, distance } of this.nearbyStations(spot)) {
+      if (report?.stations[station.id] && !report.stations[station.id].healthy) continue;
+      const bias = await this.getBias(spot.primaryStationId, station.id);
+      const weight = this.stationWeight(station, distance, bias);
+      const rows = await this.dbManager.getDataInRange(station.id, fromIso, toIso);
+
+      const own = new Map();
+      for (const row of rows) {
+        const flags = row.qc_flags || [];
+        const rowWeight = qcWeight(flags);
+        if (rowWeight === 0) continue;
+
+        const key = Math.floor(new Date(row.timestamp).getTime() / slotMs) * slotMs;
+        if (!own.has(key)) own.set(key, emptySlot());
+        const slot = own.get(key);
+        const speed = parseFloat(row.wind_speed_knots) * bias.scale;
+        slot.weight += rowWeight;
+        slot.speed += rowWeight * speed;
+        if (row.wind_gust_knots !== null && isGustUsable(flags)) {
+          slot.gust += rowWeight * parseFloat(row.wind_gust_knots) * bias.scale;
+          slot.gustWeight += rowWeight;
+        }
+        if (isDirectionUsable(flags)) {
+          const rad = (normalizeDir(parseInt(row.wind_direction) + bias.dirOffset) * Math.PI) / 180;
+          slot.x += Math.cos(rad) * rowWeight * Math.max(speed, 0.1);
+          slot.y += Math.sin(rad) * rowWeight * Math.max(speed, 0.1);
+        }
+      }
+
+      for (const [key, slot] of own) {
+        if (!slots.has(key)) slots.set(key, emptySlot());
+        const blend = slots.get(key);
+        const speed = slot.speed / slot.weight;
+        blend.weight += weight;
+        blend.speed += weight * speed;
+        blend.stations++;
+        if (slot.gustWeight > 0) {
+          blend.gust += weight * (slot.gust / slot.gustWeight);
+          blend.gustWeight += weight;
+        }
+        // Direction: vector mean, stronger readings pull harder (as in estimate())
+        const norm = Math.hypot(slot.x, slot.y);
+        if (norm > 0) {
+          blend.x += (weight * Math.max(speed, 0.1) * slot.x) / norm;
+          blend.y += (weight * Math.max(speed, 0.1) * slot.y) / norm;
+        }
+      }
+    }
+
+    const reference = spot.primaryStationId;
+    return [...slots.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([key, blend]) => ({
+        time: new Date(key),
+        speed: this.calibrationManager.applySpeed(blend.speed / blend.weight, reference),
+        gust: blend.gustWeight > 0 ? this.calibrationManager.applySpeed(blend.gust / blend.gustWeight, reference) : null,
+        direction: blend.x !== 0 || blend.y !== 0
+          ? this.calibrationManager.applyOffset(normalizeDir(Math.round((Math.atan2(blend.y, blend.x) * 180) / Math.PI)), reference)
+          : null,
+        stations: blend.stations
+      }));
+  }
+}
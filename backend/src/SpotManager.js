@@ -0,0 +1,277 @@
+/**
+ * SpotManager - registry of kite spots (beaches) served by the backend.
+ *
+ * A spot is what riders pick in the app: coordinates for the forecast, the
+ * local timezone, the beach orientation and the stations that measure it.
+ * Live wind for a spot comes from its primary station; linked stations are
+ * the nearby sensors shown alongside it.
+ *
+ * Rows live in the `spots` table. The defaults below are seeded on first
+ * start and never overwritten, so coordinates/stations can be tuned in SQL.
+ * An in-memory copy is kept for synchronous lookups from routes and crons.
+ *
+ * Each spot has three hour windows in its local time, `{ start, end }` with
+ * `end` exclusive: collectHours (stations are polled), forecastHours (forecast
+ * hours served and scored) and workingHours (the PWA shows live data).
+ * `{ start: 0, end: 24 }` is around the clock. Set with setHours().
+ */
+
+export const DEFAULT_HOURS = {
+  collectHours: { start: 6, end: 19 },
+  forecastHours: { start: 6, end: 20 },
+  workingHours: { start: 6, end: 19 }
+};
+
+const HOUR_COLUMNS = {
+  collectHours: ['collect_start_hour', 'collect_end_hour'],
+  forecastHours: ['forecast_start_hour', 'forecast_end_hour'],
+  workingHours: ['working_start_hour', 'working_end_hour']
+};
+
+/**
+ * Hour of day (0–23) of `date` in a timezone
+ */
+export function localHour(timezone = 'Asia/Bangkok', date = new Date()) {
+  return parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hour: 'numeric', hour12: false
+  }).format(date), 10) % 24;
+}
+
+/**
+ * Offset of a timezone from UTC at `date`, in ms (positive east of Greenwich)
+ */
+export function timezoneOffsetMs(timezone = 'Asia/Bangkok', date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).map(p => [p.type, Number(p.value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Whether an hour of day falls into a window { start, end } (end exclusive)
+ */
+export function isWithinHours(hours, hour) {
+  return hour >= hours.start && hour < hours.end;
+}
+
+// shoreBearing = compass direction the beach faces (wind FROM this bearing
+// blows straight onshore; the opposite bearing is straight offshore).
+const DEFAULT_SPOTS = [
+  {
+    id: 'pak_nam_pran',
+    name: 'Pak Nam Pran',
+    lat: 12.346596280786017,
+    lon: 99.99817902532192,
+    timezone: 'Asia/Bangkok',
+    shoreBearing: 90,
+    primaryStationId: 'pak_nam_pran',
+    stationIds: ['pak_nam_pran', 'pvf2_thap_tai'],
+    isDefault: true,
+    sortOrder: 0
+  },
+  {
+    id: 'hua_hin',
+    name: 'Hua Hin',
+    lat: 12.5536,
+    lon: 99.9639,
+    timezone: 'Asia/Bangkok',
+    shoreBearing: 95,
+    primaryStationId: 'hua_hin',
+    stationIds: ['hua_hin', 'surfspot_wc'],
+    isDefault: false,
+    sortOrder: 1
+  },
+  {
+    id: 'pranburi',
+    name: 'Pranburi',
+    lat: 12.4065,
+    lon: 99.9845,
+    timezone: 'Asia/Bangkok',
+    shoreBearing: 85,
+    primaryStationId: 'pak_nam_pran',
+    stationIds: ['pak_nam_pran', 'pvf2_thap_tai'],
+    isDefault: false,
+    sortOrder: 2
+  }
+].map(spot => ({ ...DEFAULT_HOURS, ...spot }));
+
+export class SpotManager {
+  constructor(pgPool) {
+    this.pool = pgPool;
+    // Usable before initialize() so constructors/crons never see an empty list
+    this.spots = DEFAULT_SPOTS.map(s => ({ ...s }));
+  }
+
+  async initialize() {
+    for (const spot of DEFAULT_SPOTS) {
+      await this.pool.query(
+        `INSERT INTO spots (id, name, lat, lon, timezone, shore_bearing,
+                            primary_station_id, station_ids, is_default, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (id) DO NOTHING`,
+        [spot.id, spot.name, spot.lat, spot.lon, spot.timezone, spot.shoreBearing,
+         spot.primaryStationId, spot.stationIds, spot.isDefault, spot.sortOrder]
+      );
+    }
+
+    await this.reload();
+    console.log(`✓ Spots initialized (${this.spots.length}: ${this.spots.map(s => s.id).join(', ')})`);
+  }
+
+  /**
+   * Re-read spots from the database into the in-memory cache
+   */
+  async reload() {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM spots ORDER BY sort_order ASC, id ASC'
+    );
+    if (rows.length > 0) {
+      this.spots = rows.map(row => this._rowToSpot(row));
+    }
+    return this.spots;
+  }
+
+  _rowToSpot(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      lat: parseFloat(row.lat),
+      lon: parseFloat(row.lon),
+      timezone: row.timezone,
+      shoreBearing: parseInt(row.shore_bearing, 10),
+      primaryStationId: row.primary_station_id,
+      stationIds: row.station_ids || [],
+      isDefault: row.is_default,
+      sortOrder: row.sort_order,
+      collectHours: { start: row.collect_start_hour, end: row.collect_end_hour },
+      forecastHours: { start: row.forecast_start_hour, end: row.forecast_end_hour },
+      workingHours: { start: row.working_start_hour, end: row.working_end_hour }
+    };
+  }
+
+  /**
+   * Change hour windows of a spot. `input` holds any of collectHours,
+   * forecastHours, workingHours as { start, end }.
+   * @returns {Object|null} { spot, previous } or { error }, null for an unknown spot
+   */
+  async setHours(spotId, input = {}) {
+    const spot = this.get(spotId);
+    if (!spot) return null;
+
+    const sets = [];
+    const values = [spotId];
+    for (const [key, [startColumn, endColumn]] of Object.entries(HOUR_COLUMNS)) {
+      if (input[key] === undefined) continue;
+      const start = input[key]?.start;
+      const end = input[key]?.end;
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 24 || start >= end) {
+        return { error: `${key} must be { start, end } with whole hours, 0 <= start < end <= 24` };
+      }
+      values.push(start, end);
+      sets.push(`${startColumn} = $${values.length - 1}`, `${endColumn} = $${values.length}`);
+    }
+    if (sets.length === 0) {
+      return { error: 'collectHours, forecastHours or workingHours is required' };
+    }
+
+    await this.pool.query(`UPDATE spots SET ${sets.join(', ')} WHERE id = $1`, values);
+    await this.reload();
+    return { spot: this.get(spotId), previous: spot };
+  }
+
+  /**
+   * All spots, default first
+   */
+  getAll() {
+    return this.spots;
+  }
+
+  /**
+   * Spot by id, or null if unknown
+   */
+  get(spotId) {
+    return this.spots.find(s => s.id === spotId) || null;
+  }
+
+  /**
+   * The spot used by the unscoped /api/... routes
+   */
+  getDefault() {
+    return this.spots.find(s => s.isDefault) || this.spots[0];
+  }
+
+  /**
+   * Spots whose live data comes from the given station
+   */
+  getByPrimaryStation(stationId) {
+    return this.spots.filter(s => s.primaryStationId === stationId);
+  }
+
+  /**
+   * Spots that show or measure the given station
+   */
+  getByStation(stationId) {
+    return this.spots.filter(s => s.primaryStationId === stationId || s.stationIds.includes(stationId));
+  }
+
+  /**
+   * Whether the spot's stations are polled at `date`
+   */
+  isCollecting(spot, date = new Date()) {
+    return isWithinHours(spot.collectHours, localHour(spot.timezone, date));
+  }
+
+  /**
+   * Collection window of a station: the widest one of its spots (default
+   * window for stations no spot uses), in the spots' local hours
+   */
+  getCollectHours(stationId) {
+    const spots = this.getByStation(stationId);
+    if (spots.length === 0) return { ...DEFAULT_HOURS.collectHours };
+    return {
+      start: Math.min(...spots.map(s => s.collectHours.start)),
+      end: Math.max(...spots.map(s => s.collectHours.end))
+    };
+  }
+
+  /**
+   * Working window of a station: the widest workingHours of its spots
+   * (default window for stations no spot uses), in the spots' local hours.
+   * Rideable-day statistics count only these hours.
+   */
+  getWorkingHours(stationId) {
+    const spots = this.getByStation(stationId);
+    if (spots.length === 0) return { ...DEFAULT_HOURS.workingHours };
+    return {
+      start: Math.min(...spots.map(s => s.workingHours.start)),
+      end: Math.max(...spots.map(s => s.workingHours.end))
+    };
+  }
+
+  /**
+   * Timezone a station's hours are local to: that of the spot it is primary
+   * for, else of any spot showing it, else of the default spot
+   */
+  getTimezone(stationId) {
+    const spot = this.getByPrimaryStation(stationId)[0] || this.getByStation(stationId)[0] || this.getDefault();
+    return spot?.timezone || 'Asia/Bangkok';
+  }
+
+  /**
+   * Ids of the stations to poll at `date`: those of a spot inside its
+   * collection window; stations of no spot follow the default window in
+   * the default spot's timezone
+   */
+  getCollectingStationIds(stationIds, date = new Date()) {
+    return stationIds.filter(stationId => {
+      const spots = this.getByStation(stationId);
+      if (spots.length === 0) {
+        return isWithinHours(DEFAULT_HOURS.collectHours, localHour(this.getTimezone(stationId), date));
+      }
+      return spots.some(spot => this.isCollecting(spot, date));
+    });
+  }
+}
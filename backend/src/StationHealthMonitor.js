@@ -0,0 +1,216 @@
+import { detectStuck, STUCK_SAMPLES } from './DataQuality.js';
+
+/**
+ * StationHealthMonitor - per-station health and primary-station failover.
+ *
+ * Tracked per station:
+ *   - last seen: newest wind_data timestamp (polled or pushed)
+ *   - staleness: last seen older than STALE_MINUTES before the last collection
+ *     run that included the station (not wall time — nothing is collected
+ *     outside the collection hours of the station's spots)
+ *   - error rate: failed fetches among the last ERROR_WINDOW attempts
+ *   - stuck sensor: STUCK_SAMPLES identical readings in a row, or zero speed
+ *     with real gusts
+ *
+ * A station is `down` when stale, never seen or stuck, `degraded` when it
+ * still delivers fresh data but fails often, `ok` otherwise. When a spot's
+ * primary station is down, resolveStation() picks the nearest healthy station
+ * (the spot's linked stations first) within FAILOVER_MAX_KM.
+ *
+ * State is in memory; the report is rebuilt from the DB at most once a minute.
+ */
+
+const STALE_MINUTES = 20;             // 4 missed 5-minute collections
+const ERROR_WINDOW = 12;              // last hour of 5-minute attempts
+const ERROR_RATE_DEGRADED = 0.5;
+const MIN_ATTEMPTS_FOR_RATE = 4;
+const FAILOVER_MAX_KM = 25;
+const REPORT_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Great-circle distance between two { lat, lon } points (Infinity if unknown)
+ */
+export function distanceKm(a, b) {
+  if (a?.lat == null || a?.lon == null || b?.lat == null || b?.lon == null) return Infinity;
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+export class StationHealthMonitor {
+  constructor(stations, dbManager) {
+    this.stations = stations;
+    this.dbManager = dbManager;
+    this.attempts = new Map();      // stationId → [{ ok, at, error }], newest last
+    this.lastCollectionAt = null;   // ms of the last polling run
+    this.collectedAt = new Map();   // stationId → ms of the last polling run that included it
+    this.report = null;             // { evaluatedAt, stations: { id → health } }
+    this.evaluating = null;
+    this.activeFailovers = new Map(); // spotId → backup stationId (for transition logs)
+  }
+
+  /**
+   * A polling run started for the given stations (all if omitted) —
+   * reference time for staleness
+   */
+  recordCollection(now = Date.now(), stationIds = null) {
+    this.lastCollectionAt = now;
+    for (const stationId of stationIds || this.stations.map(s => s.id)) {
+      this.collectedAt.set(stationId, now);
+    }
+  }
+
+  /**
+   * Outcome of one fetch (or one accepted push) for a station
+   */
+  recordResult(stationId, ok, error = null, now = Date.now()) {
+    const attempts = this.attempts.get(stationId) || [];
+    attempts.push({ ok, at: now, error: error ? String(error) : null });
+    if (attempts.length > ERROR_WINDOW) attempts.shift();
+    this.attempts.set(stationId, attempts);
+  }
+
+  /**
+   * Current report, rebuilt from the DB if older than a minute
+   */
+  async getReport(maxAgeMs = REPORT_MAX_AGE_MS) {
+    if (this.report && Date.now() - this.report.evaluatedAt < maxAgeMs) {
+      return this.report;
+    }
+    return this.evaluate();
+  }
+
+  /**
+   * Rebuild the report now (concurrent callers share one evaluation)
+   */
+  async evaluate() {
+    if (!this.evaluating) {
+      this.evaluating = this._evaluate().finally(() => {
+        this.evaluating = null;
+      });
+    }
+    return this.evaluating;
+  }
+
+  async _evaluate(now = Date.now()) {
+    const latest = await this.dbManager.getLatestDataAllStations();
+    const stations = {};
+
+    for (const station of this.stations) {
+      const row = latest.find(d => d.station_id === station.id);
+      const recent = row ? await this.dbManager.getLastMeasurements(STUCK_SAMPLES, station.id) : [];
+      stations[station.id] = this.assess(station, row, recent, now);
+    }
+
+    this.report = { evaluatedAt: now, referenceAt: this.lastCollectionAt, stations };
+    return this.report;
+  }
+
+  /**
+   * Health of one station from its newest row and last STUCK_SAMPLES rows
+   */
+  assess(station, latestRow, recentRows, now = Date.now()) {
+    const reasons = [];
+    const lastSeen = latestRow ? new Date(latestRow.timestamp).getTime() : null;
+
+    if (lastSeen === null) {
+      reasons.push('no_data');
+    } else if (this.collectedAt.has(station.id) && this.collectedAt.get(station.id) - lastSeen > STALE_MINUTES * 60 * 1000) {
+      reasons.push('stale');
+    }
+
+    const stuck = this.detectStuck(recentRows);
+    if (stuck) reasons.push(stuck);
+
+    const attempts = this.attempts.get(station.id) || [];
+    const failures = attempts.filter(a => !a.ok);
+    const errorRate = attempts.length > 0 ? failures.length / attempts.length : 0;
+    const lastFailure = failures[failures.length - 1] || null;
+    if (attempts.length >= MIN_ATTEMPTS_FOR_RATE && errorRate >= ERROR_RATE_DEGRADED) {
+      reasons.push('errors');
+    }
+
+    const down = reasons.some(reason => reason !== 'errors');
+    return {
+      id: station.id,
+      name: station.name,
+      status: down ? 'down' : (reasons.length > 0 ? 'degraded' : 'ok'),
+      healthy: !down,
+      reasons,
+      lastSeen: lastSeen !== null ? new Date(lastSeen).toISOString() : null,
+      ageMinutes: lastSeen !== null ? Math.round((now - lastSeen) / 60000) : null,
+      errorRate: Math.round(errorRate * 100) / 100,
+      attempts: attempts.length,
+      lastError: lastFailure?.error || null,
+      lastErrorAt: lastFailure ? new Date(lastFailure.at).toISOString() : null
+    };
+  }
+
+  /**
+   * 'stuck_identical' | 'stuck_zero_speed' | null for rows in chronological order
+   */
+  detectStuck(rows) {
+    return detectStuck(rows);
+  }
+
+  /**
+   * Station that should serve a spot's live readings
+   * @param {Object} spot - { primaryStationId, stationIds, lat, lon }
+   * @param {Object} report - from getReport()
+   * @returns {Object} { stationId, health, failover } - failover is null while
+   *   the primary is usable, otherwise { primaryStationId, reasons, stationId, stationName, distanceKm }
+   */
+  resolveStation(spot, report = this.report) {
+    const resolved = this._resolveStation(spot, report);
+    const previous = this.activeFailovers.get(spot.id) || null;
+    const current = resolved.failover?.stationId || null;
+    if (previous !== current) {
+      if (current) {
+        console.warn(`⚠ ${spot.id}: primary ${spot.primaryStationId} is down (${resolved.failover.reasons.join(', ')}), failing over to ${current}`);
+        this.activeFailovers.set(spot.id, current);
+      } else {
+        console.log(`✓ ${spot.id}: back on primary station ${spot.primaryStationId}`);
+        this.activeFailovers.delete(spot.id);
+      }
+    }
+    return resolved;
+  }
+
+  _resolveStation(spot, report) {
+    const primaryId = spot.primaryStationId;
+    const primaryHealth = report?.stations[primaryId];
+    if (!primaryHealth || primaryHealth.healthy) {
+      return { stationId: primaryId, health: primaryHealth?.status || 'unknown', failover: null };
+    }
+
+    const linked = spot.stationIds || [];
+    const candidates = this.stations
+      .filter(station => station.id !== primaryId && report.stations[station.id]?.healthy)
+      .map(station => ({ station, distance: distanceKm(spot, station) }))
+      .filter(({ station, distance }) => linked.includes(station.id) || distance <= FAILOVER_MAX_KM)
+      .sort((a, b) =>
+        (linked.includes(b.station.id) - linked.includes(a.station.id))
+        || (report.stations[a.station.id].status === 'ok' ? 0 : 1) - (report.stations[b.station.id].status === 'ok' ? 0 : 1)
+        || a.distance - b.distance
+      );
+
+    const backup = candidates[0];
+    if (!backup) {
+      return { stationId: primaryId, health: primaryHealth.status, failover: null };
+    }
+    return {
+      stationId: backup.station.id,
+      health: report.stations[backup.station.id].status,
+      failover: {
+        primaryStationId: primaryId,
+        reasons: primaryHealth.reasons,
+        stationId: backup.station.id,
+        stationName: backup.station.name,
+        distanceKm: Number.isFinite(backup.distance) ? Math.round(backup.distance * 10) / 10 : null
+      }
+    };
+  }
+}
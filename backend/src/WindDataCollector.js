@@ -1,14 +1,30 @@
+import crypto from 'crypto';
 import { ProxyAgent } from 'undici';
+import { ProviderRegistry } from './providers/index.js';
+import { qcWeight, isGustUsable, isDirectionUsable } from './DataQuality.js';
+import { JobCancelledError } from './JobManager.js';
+
+// Pushes are stored at the polling cadence: trend/notification queries count
+// rows as 5-minute steps. Every push is still broadcast live.
+const PUSH_STORE_INTERVAL_MS = (parseInt(process.env.PUSH_STORE_INTERVAL_SECONDS) || 300) * 1000;
+// A station that pushed this recently is not polled
+const PUSH_ACTIVE_MS = 10 * 60 * 1000;
+// QC recheck works through the raw rows one day per checkpoint
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashPasskey = passkey => crypto.createHash('sha256').update(String(passkey).trim().toUpperCase()).digest();
 
 /**
  * WindDataCollector - collects wind data from multiple weather stations
- * and archives hourly aggregated data per station
+ * (through the station provider of each station's `type`) and archives
+ * hourly aggregated data per station
  */
 export class WindDataCollector {
-  constructor(config, dbManager, archiveManager) {
+  constructor(config, dbManager, archiveManager, healthMonitor = null) {
     this.config = config;
     this.dbManager = dbManager;
     this.archiveManager = archiveManager;
+    this.healthMonitor = healthMonitor;
     this.stations = config.stations || [];
     this.primaryStationId = this.stations.find(s => s.isPrimary)?.id || 'pak_nam_pran';
 
@@ -19,129 +35,125 @@ export class WindDataCollector {
     if (this.ambientProxy) {
       console.log(`✓ Ambient Weather proxy enabled: ${proxyUrl}`);
     }
+
+    this.providers = new ProviderRegistry({
+      ambient: { dispatcher: this.ambientProxy }
+    });
+
+    // Console uploads: STATION_PASSKEYS="station_id=PASSKEY,..." (Ecowitt sends
+    // the MD5 of its MAC as PASSKEY, Ambient consoles their MAC)
+    this.passkeys = this.parsePasskeys(process.env.STATION_PASSKEYS);
+    this.lastPushAt = new Map();     // stationId → ms of the last upload
+    this.lastPushStoredAt = new Map(); // stationId → ms of the last stored upload
+    if (this.passkeys.size > 0) {
+      console.log(`✓ Push ingestion enabled for ${this.passkeys.size} station(s)`);
+    }
   }
 
-  /**
-   * Convert MPH to knots
-   */
-  mphToKnots(mph) {
-    return mph * 0.868976;
+  parsePasskeys(value) {
+    const passkeys = new Map();
+    for (const entry of (value || '').split(',')) {
+      const [stationId, passkey] = entry.split('=').map(part => part?.trim());
+      if (!stationId || !passkey) continue;
+      if (!this.stations.some(s => s.id === stationId)) {
+        console.warn(`⚠ STATION_PASSKEYS: unknown station ${stationId}`);
+        continue;
+      }
+      passkeys.set(stationId, hashPasskey(passkey));
+    }
+    return passkeys;
   }
 
   /**
-   * Fetch wind data from a single station
+   * Station whose configured passkey matches (case-insensitive), or null
    */
-  async fetchFromStation(apiUrl) {
-    try {
-      const response = await fetch(apiUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-          'Referer': 'https://jollykite.com/'
-        },
-        ...(this.ambientProxy ? { dispatcher: this.ambientProxy } : {})
-      });
-
-      if (!response.ok) {
-        console.warn(`Station ${apiUrl} returned ${response.status}`);
-        return null;
+  findStationByPasskey(passkey) {
+    if (!passkey) return null;
+    const hash = hashPasskey(passkey);
+    for (const [stationId, expected] of this.passkeys) {
+      if (crypto.timingSafeEqual(hash, expected)) {
+        return this.stations.find(s => s.id === stationId);
       }
-
-      const result = await response.json();
-
-      if (result.data && result.data.length > 0) {
-        const device = result.data[0];
-        const lastData = device.lastData;
-
-        return {
-          timestamp: new Date(lastData.dateutc).toISOString(),
-          windSpeedKnots: this.mphToKnots(lastData.windspeedmph || 0),
-          windGustKnots: this.mphToKnots(lastData.windgustmph || 0),
-          maxGustKnots: this.mphToKnots(lastData.maxdailygust || 0),
-          windDir: lastData.winddir || 0,
-          windDirAvg: lastData.winddir_avg10m || 0,
-          temperature: lastData.tempf || 0,
-          humidity: lastData.humidity || 0,
-          pressure: lastData.baromrelin || 0
-        };
-      }
-
-      return null;
-    } catch (error) {
-      console.warn(`Station ${apiUrl} error:`, error.message);
-      return null;
     }
+    return null;
   }
 
   /**
-   * Fetch wind data from Weathercloud station
+   * Whether the station uploads by itself, so polling it would duplicate rows
    */
-  async fetchFromWeathercloud(station) {
-    try {
-      const response = await fetch(station.url, {
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        }
-      });
-
-      if (!response.ok) {
-        console.warn(`Station ${station.id} returned ${response.status}`);
-        return null;
-      }
+  isPushActive(stationId, now = Date.now()) {
+    return now - (this.lastPushAt.get(stationId) || 0) < PUSH_ACTIVE_MS;
+  }
 
-      const data = await response.json();
-      if (!data.wspd && data.wspd !== 0) return null;
-
-      const msToKnots = 1.94384;
-      return {
-        timestamp: new Date(data.epoch * 1000).toISOString(),
-        windSpeedKnots: data.wspd * msToKnots,
-        windGustKnots: data.wspdhi ? data.wspdhi * msToKnots : null,
-        maxGustKnots: data.wspdhi ? data.wspdhi * msToKnots : null,
-        windDir: data.wdir || 0,
-        windDirAvg: data.wdiravg || null,
-        temperature: null,
-        humidity: null,
-        pressure: data.bar || null
-      };
+  /**
+   * Normalize and store one console upload
+   * @param {Object} station - from findStationByPasskey()
+   * @param {Object} params - upload form body / query string
+   * @returns {Object} { record, stored } or { error } for an unusable upload
+   */
+  async ingestPush(station, params) {
+    const now = Date.now();
+    let record;
+    try {
+      record = this.providers.get('push').parsePush(station, params, new Date(now));
     } catch (error) {
-      console.warn(`Station ${station.id} error:`, error.message);
-      return null;
+      return { error: error.message };
     }
+    this.lastPushAt.set(station.id, now);
+    this.healthMonitor?.recordResult(station.id, true, null, now);
+
+    let stored = false;
+    if (now - (this.lastPushStoredAt.get(station.id) || 0) >= PUSH_STORE_INTERVAL_MS) {
+      stored = await this.dbManager.insertWindData(record, station.id);
+      this.lastPushStoredAt.set(station.id, now);
+    }
+    return { record, stored };
   }
 
   /**
-   * Collect and store wind data from all stations
+   * Collect and store wind data from all stations (or the given ids — those
+   * inside their spots' collection hours)
    * Returns primary station data for backward compatibility (SSE, notifications)
    */
-  async collectWindData() {
-    console.log(`📡 Fetching data from ${this.stations.length} station(s)...`);
+  async collectWindData(stationIds = null) {
+    this.healthMonitor?.recordCollection(Date.now(), stationIds);
+
+    // Push-only stations and stations currently uploading are not polled
+    const stations = this.stations.filter(station => {
+      if (stationIds && !stationIds.includes(station.id)) return false;
+      const pushOnly = this.providers.has(station.type) && this.providers.get(station).pushOnly;
+      return !pushOnly && !this.isPushActive(station.id);
+    });
+    if (stations.length === 0) {
+      console.log('📡 All stations are push-fed, nothing to poll');
+      return null;
+    }
+
+    console.log(`📡 Fetching data from ${stations.length} station(s)...`);
 
     const results = await Promise.allSettled(
-      this.stations.map(station =>
-        station.type === 'weathercloud'
-          ? this.fetchFromWeathercloud(station)
-          : this.fetchFromStation(station.url)
-      )
+      stations.map(async station => this.providers.get(station).fetchCurrent(station))
     );
 
     let primaryData = null;
     let successCount = 0;
 
     for (let i = 0; i < results.length; i++) {
-      const station = this.stations[i];
+      const station = stations[i];
       if (results[i].status === 'fulfilled' && results[i].value) {
         const data = results[i].value;
         await this.dbManager.insertWindData(data, station.id);
+        this.healthMonitor?.recordResult(station.id, true);
         successCount++;
         if (station.isPrimary) primaryData = data;
       } else {
         const reason = results[i].status === 'rejected' ? results[i].reason?.message : 'no data';
         console.warn(`  ⚠ ${station.id}: ${reason}`);
+        this.healthMonitor?.recordResult(station.id, false, reason);
       }
     }
 
-    console.log(`✓ Got data from ${successCount}/${this.stations.length} station(s)`);
+    console.log(`✓ Got data from ${successCount}/${stations.length} station(s)`);
 
     if (successCount === 0) {
       throw new Error('No data from any weather station');
@@ -152,56 +164,162 @@ export class WindDataCollector {
 
   /**
    * Calculate dominant wind direction from array of directions
+   * (optionally weighted: weights[i] belongs to directions[i])
    */
-  calculateDominantDirection(directions) {
+  calculateDominantDirection(directions, weights = null) {
     if (!directions || directions.length === 0) return null;
 
     // Convert directions to unit vectors and average
     let sumX = 0;
     let sumY = 0;
 
-    directions.forEach(dir => {
+    directions.forEach((dir, i) => {
       const rad = (dir * Math.PI) / 180;
-      sumX += Math.cos(rad);
-      sumY += Math.sin(rad);
+      const weight = weights ? weights[i] : 1;
+      sumX += Math.cos(rad) * weight;
+      sumY += Math.sin(rad) * weight;
     });
 
-    const avgX = sumX / directions.length;
-    const avgY = sumY / directions.length;
-
     // Convert back to degrees
-    let avgDir = (Math.atan2(avgY, avgX) * 180) / Math.PI;
+    let avgDir = (Math.atan2(sumY, sumX) * 180) / Math.PI;
     if (avgDir < 0) avgDir += 360;
 
-    return Math.round(avgDir);
+    return Math.round(avgDir) % 360;
   }
 
   /**
-   * Aggregate raw measurement rows into hourly summary
+   * Aggregate raw measurement rows into hourly summary.
+   * QC: excluded rows are left out, soft-flagged rows count with half weight,
+   * flagged gusts / directions are ignored. Returns null if nothing is usable.
    */
   _aggregateHourlyData(hourlyData) {
-    const speeds = hourlyData.map(d => d.wind_speed_knots);
-    const gusts = hourlyData.map(d => d.wind_gust_knots).filter(g => g !== null);
-    const directions = hourlyData.map(d => d.wind_direction);
-    const temperatures = hourlyData.map(d => d.temperature).filter(t => t !== null);
-    const humidities = hourlyData.map(d => d.humidity).filter(h => h !== null);
-    const pressures = hourlyData.map(d => d.pressure).filter(p => p !== null);
+    const usable = hourlyData
+      .map(d => ({ d, flags: d.qc_flags || [], weight: qcWeight(d.qc_flags || []) }))
+      .filter(r => r.weight > 0);
+    if (usable.length === 0) return null;
+
+    const weightedAvg = rows => {
+      const total = rows.reduce((sum, r) => sum + r.weight, 0);
+      return rows.reduce((sum, r) => sum + r.value * r.weight, 0) / total;
+    };
+    const avgOf = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+    const speeds = usable.map(r => ({ value: r.d.wind_speed_knots, weight: r.weight }));
+    const gusts = usable
+      .filter(r => r.d.wind_gust_knots !== null && isGustUsable(r.flags))
+      .map(r => ({ value: r.d.wind_gust_knots, weight: r.weight }));
+    const directions = usable.filter(r => isDirectionUsable(r.flags));
+    const temperatures = usable.map(r => r.d.temperature).filter(t => t !== null);
+    const humidities = usable.map(r => r.d.humidity).filter(h => h !== null);
+    const pressures = usable.map(r => r.d.pressure).filter(p => p !== null);
 
     return {
-      avgWindSpeed: speeds.reduce((a, b) => a + b, 0) / speeds.length,
-      minWindSpeed: Math.min(...speeds),
-      maxWindSpeed: Math.max(...speeds),
-      avgWindGust: gusts.length > 0 ? gusts.reduce((a, b) => a + b, 0) / gusts.length : null,
-      maxWindGust: gusts.length > 0 ? Math.max(...gusts) : null,
-      avgWindDirection: Math.round(directions.reduce((a, b) => a + b, 0) / directions.length),
-      dominantWindDirection: this.calculateDominantDirection(directions),
-      avgTemperature: temperatures.length > 0 ? temperatures.reduce((a, b) => a + b, 0) / temperatures.length : null,
-      avgHumidity: humidities.length > 0 ? humidities.reduce((a, b) => a + b, 0) / humidities.length : null,
-      avgPressure: pressures.length > 0 ? pressures.reduce((a, b) => a + b, 0) / pressures.length : null,
-      measurementCount: hourlyData.length
+      avgWindSpeed: weightedAvg(speeds),
+      minWindSpeed: Math.min(...speeds.map(s => s.value)),
+      maxWindSpeed: Math.max(...speeds.map(s => s.value)),
+      avgWindGust: gusts.length > 0 ? weightedAvg(gusts) : null,
+      maxWindGust: gusts.length > 0 ? Math.max(...gusts.map(g => g.value)) : null,
+      // No usable direction in the hour: the column is NOT NULL, fall back to the raw mean
+      avgWindDirection: directions.length > 0
+        ? Math.round(weightedAvg(directions.map(r => ({ value: r.d.wind_direction, weight: r.weight }))))
+        : Math.round(avgOf(usable.map(r => r.d.wind_direction))),
+      dominantWindDirection: this.calculateDominantDirection(
+        directions.map(r => r.d.wind_direction),
+        directions.map(r => r.weight)
+      ),
+      avgTemperature: avgOf(temperatures),
+      avgHumidity: avgOf(humidities),
+      avgPressure: avgOf(pressures),
+      measurementCount: usable.length,
+      qcExcludedCount: hourlyData.length - usable.length
     };
   }
 
+  /**
+   * Re-aggregate the hourly archive of one station over [fromMs, toMs)
+   * from wind_data (after imports and QC rechecks). Returns hours written.
+   */
+  async rearchiveRange(stationId, fromMs, toMs) {
+    // Snap to hour boundaries.
+    const fromHour = new Date(Math.floor(fromMs / 3600000) * 3600000);
+    const toHour = new Date(Math.ceil(toMs / 3600000) * 3600000);
+    const rows = await this.dbManager.getDataInRange(
+      stationId, fromHour.toISOString(), toHour.toISOString()
+    );
+    if (rows.length === 0) return 0;
+
+    const buckets = new Map(); // hourIso -> rows[]
+    for (const row of rows) {
+      const ts = new Date(row.timestamp);
+      ts.setMinutes(0, 0, 0);
+      const key = ts.toISOString();
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(row);
+    }
+
+    let archived = 0;
+    for (const [hourIso, hourRows] of buckets) {
+      const aggregated = this._aggregateHourlyData(hourRows);
+      if (aggregated) {
+        await this.archiveManager.archiveHourlyData(hourIso, aggregated, stationId);
+      } else {
+        await this.archiveManager.deleteHour(hourIso, stationId);
+      }
+      archived++;
+    }
+    return archived;
+  }
+
+  /**
+   * Re-run QC over stored measurements of all (or the given) stations, one day
+   * at a time, and re-aggregate the hours whose flags changed (job 'qc_recheck').
+   * @param {Object} options - for background jobs (see JobManager)
+   * @param {Object} options.state - resume state per station id, updated in place
+   * @param {Function} options.onCheckpoint - async (state, { done, total, unit }) after every day
+   */
+  async recheckQuality(fromMs, toMs, stationIds = null, { state = {}, onCheckpoint = null } = {}) {
+    const targets = stationIds && stationIds.length
+      ? this.stations.filter(s => stationIds.includes(s.id))
+      : this.stations;
+
+    const spanDays = (toMs - fromMs) / DAY_MS;
+    const progress = () => ({
+      done: targets.reduce((sum, s) => sum + (state[s.id] ? (state[s.id].cursor - fromMs) / DAY_MS : 0), 0),
+      total: targets.length * spanDays,
+      unit: 'days'
+    });
+
+    const results = [];
+    for (const station of targets) {
+      state[station.id] = state[station.id] || { cursor: fromMs, checked: 0, changed: 0, rearchivedHours: 0 };
+      const entry = state[station.id];
+      try {
+        while (entry.cursor < toMs) {
+          const chunkEnd = Math.min(entry.cursor + DAY_MS, toMs);
+          const result = await this.dbManager.recheckQuality(
+            station.id, new Date(entry.cursor).toISOString(), new Date(chunkEnd).toISOString()
+          );
+          for (const hourIso of result.changedHours) {
+            const hourMs = new Date(hourIso).getTime();
+            entry.rearchivedHours += await this.rearchiveRange(station.id, hourMs, hourMs + 3600000);
+          }
+          entry.checked += result.checked;
+          entry.changed += result.changed;
+          entry.cursor = chunkEnd;
+          if (onCheckpoint) await onCheckpoint(state, progress());
+        }
+        const { checked, changed, rearchivedHours } = entry;
+        console.log(`✓ QC recheck ${station.id}: ${changed}/${checked} changed, ${rearchivedHours} hours re-archived`);
+        results.push({ stationId: station.id, checked, changed, rearchivedHours });
+      } catch (e) {
+        if (e instanceof JobCancelledError) throw e;
+        console.error(`✗ QC recheck failed for ${station.id}:`, e.message);
+        results.push({ stationId: station.id, error: e.message });
+      }
+    }
+    return results;
+  }
+
   /**
    * Archive hourly aggregated data for all stations
    */
@@ -223,10 +341,15 @@ export class WindDataCollector {
         }
 
         const aggregatedData = this._aggregateHourlyData(hourlyData);
+        if (!aggregatedData) {
+          console.warn(`  ⚠ ${station.id}: all ${hourlyData.length} measurements failed QC, hour not archived`);
+          continue;
+        }
         await this.archiveManager.archiveHourlyData(hourTimestamp, aggregatedData, station.id);
         archivedCount++;
 
-        console.log(`  ✓ ${station.id}: ${aggregatedData.avgWindSpeed.toFixed(1)} kn avg, ${aggregatedData.measurementCount} measurements`);
+        const excluded = aggregatedData.qcExcludedCount > 0 ? `, ${aggregatedData.qcExcludedCount} excluded by QC` : '';
+        console.log(`  ✓ ${station.id}: ${aggregatedData.avgWindSpeed.toFixed(1)} kn avg, ${aggregatedData.measurementCount} measurements${excluded}`);
       }
 
       if (archivedCount === 0) {
@@ -241,81 +364,4 @@ export class WindDataCollector {
       throw error;
     }
   }
-
-  /**
-   * Calculate wind safety based on direction and speed
-   * @param {number} direction - Wind direction in degrees
-   * @param {number} speed - Wind speed in knots
-   * @returns {Object} Safety information
-   */
-  getWindSafety(direction, speed) {
-    const dir = parseInt(direction);
-    const knots = parseFloat(speed) || 0;
-
-    // Wind direction ranges (degrees)
-    const offshore = { min: 225, max: 315 }; // SW-NW dangerous (blowing from land to sea)
-    const onshore = { min: 45, max: 135 };   // NE-SE safe (blowing from sea to land)
-
-    // Wind speed thresholds (knots)
-    const speeds = {
-      veryLow: 5,
-      low: 8,
-      moderate: 12,
-      good: 15,
-      strong: 20,
-      veryStrong: 25,
-      extreme: 30
-    };
-
-    // Safety levels
-    const levels = {
-      low: { level: 'low', text: 'Слабый ветер', color: '#87CEEB' },
-      danger: { level: 'danger', text: 'Опасно!', color: '#FF4500' },
-      high: { level: 'high', text: 'Отличные условия!', color: '#00FF00' },
-      good: { level: 'good', text: 'Хорошие условия', color: '#FFD700' },
-      medium: { level: 'medium', text: 'Умеренно', color: '#FFA500' }
-    };
-
-    // Determine wind type relative to shore
-    const isOffshore = (dir >= offshore.min && dir <= offshore.max);
-    const isOnshore = (dir >= onshore.min && dir <= onshore.max);
-
-    let safety = { ...levels.medium }; // Default to medium
-
-    // Evaluate safety based on speed and direction
-    if (knots < speeds.veryLow) {
-      safety = { ...levels.low };
-    } else if (isOffshore || knots > speeds.extreme) {
-      safety = { ...levels.danger };
-    } else if (isOnshore && knots >= speeds.moderate && knots <= speeds.veryStrong) {
-      safety = { ...levels.high };
-    } else if (isOnshore && knots >= speeds.veryLow && knots < speeds.moderate) {
-      safety = { ...levels.good };
-      safety.text = 'Безопасно';
-    } else if (knots >= speeds.low && knots <= speeds.good) {
-      safety = { ...levels.good };
-    }
-
-    // Add wind type information
-    let windType = 'sideshore';
-    let windTypeRu = 'Боковой';
-
-    if (isOffshore) {
-      windType = 'offshore';
-      windTypeRu = 'Отжим';
-    } else if (isOnshore) {
-      windType = 'onshore';
-      windTypeRu = 'Прижим';
-    }
-
-    return {
-      ...safety,
-      isOffshore,
-      isOnshore,
-      windSpeed: knots,
-      windDirection: dir,
-      windType,
-      windTypeRu
-    };
-  }
 }
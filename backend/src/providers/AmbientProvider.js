@@ -0,0 +1,88 @@
+import { StationProvider, MPH_TO_KNOTS, numberOrNull, convertOrNull } from './StationProvider.js';
+
+/**
+ * AmbientProvider - public Ambient Weather Network stations.
+ *
+ * Current: lightning.ambientweather.net/devices?public.slug=<slug> (`lastData`).
+ * History: .../device-data?macAddress=... 5-minute points, newest first, up
+ * to 2000 per request (~7 days). The MAC is resolved from the slug once.
+ * Speeds are MPH. The domain is blocked in Russia — pass a proxy dispatcher.
+ */
+
+const BASE_URL = 'https://lightning.ambientweather.net';
+const PAGE_LIMIT = 2000;        // max records per request
+const PAGE_RES_MINUTES = 5;     // 5-minute granularity
+const HEADERS = { 'Referer': 'https://ambientweather.net/' };
+
+export class AmbientProvider extends StationProvider {
+  constructor(options = {}) {
+    super(options);
+    this.macCache = new Map();
+  }
+
+  get supportsHistory() {
+    return true;
+  }
+
+  get historyPageSpanMs() {
+    return PAGE_LIMIT * PAGE_RES_MINUTES * 60 * 1000; // ~6.94 days
+  }
+
+  async fetchCurrent(station) {
+    const json = await this.fetchJson(station.url || `${BASE_URL}/devices?public.slug=${station.slug}`, HEADERS);
+    const lastData = json?.data?.[0]?.lastData;
+    return lastData ? this.normalize(lastData, station) : null;
+  }
+
+  async fetchHistory(station, fromMs, toMs) {
+    const mac = await this.resolveMac(station);
+    const url = `${BASE_URL}/device-data`
+      + `?macAddress=${encodeURIComponent(mac)}`
+      + `&start=${fromMs}&end=${toMs}`
+      + `&limit=${PAGE_LIMIT}&res=${PAGE_RES_MINUTES}`
+      + `&dataKey=graphDataRefined`;
+    const json = await this.fetchJson(url, HEADERS);
+
+    return (json?.data || [])
+      .filter(point => point.dateutc >= fromMs && point.dateutc <= toMs)
+      .map(point => this.normalize(point, station));
+  }
+
+  async resolveMac(station) {
+    if (station.macAddress) return station.macAddress;
+    const cached = this.macCache.get(station.id);
+    if (cached) return cached;
+
+    const json = await this.fetchJson(`${BASE_URL}/devices?public.slug=${station.slug}`, HEADERS);
+    const mac = json?.data?.[0]?.macAddress;
+    if (!mac) throw new Error(`Cannot resolve MAC for station ${station.id} (slug=${station.slug})`);
+    this.macCache.set(station.id, mac);
+    return mac;
+  }
+
+  /**
+   * `lastData` of /devices and points of /device-data share field names
+   */
+  normalize(point) {
+    return normalizeAmbientFields(point, new Date(point.dateutc));
+  }
+}
+
+/**
+ * Ambient field names (windspeedmph, winddir, tempf, ...) → normalized record.
+ * Also used for console pushes (Ambient and Ecowitt custom servers send the
+ * same names, as strings).
+ */
+export function normalizeAmbientFields(point, timestamp) {
+  return {
+    timestamp: timestamp.toISOString(),
+    windSpeedKnots: convertOrNull(point.windspeedmph, MPH_TO_KNOTS),
+    windGustKnots: convertOrNull(point.windgustmph, MPH_TO_KNOTS),
+    maxGustKnots: convertOrNull(point.maxdailygust, MPH_TO_KNOTS),
+    windDir: numberOrNull(point.winddir),
+    windDirAvg: numberOrNull(point.winddir_avg10m),
+    temperature: numberOrNull(point.tempf),
+    humidity: numberOrNull(point.humidity),
+    pressure: numberOrNull(point.baromrelin)
+  };
+}
@@ -0,0 +1,54 @@
+import { StationProvider } from './StationProvider.js';
+import { normalizeAmbientFields } from './AmbientProvider.js';
+
+/**
+ * PushProvider - consoles that send readings to us ("custom server" upload).
+ *
+ * Ecowitt: POST form body, Ambient: GET query string. Both use Ambient field
+ * names (windspeedmph, windgustmph, winddir, tempf, ...) as strings and
+ * `dateutc` as "YYYY-MM-DD HH:MM:SS" (UTC) or "now".
+ *
+ * Stations of type 'push' are never polled. parsePush() is also used for
+ * pushes from stations of other types (e.g. an Ambient console that both
+ * uploads to ambientweather.net and to us).
+ */
+
+// Console clocks drift; readings from further in the future get server time
+const MAX_CLOCK_AHEAD_MS = 10 * 60 * 1000;
+
+export class PushProvider extends StationProvider {
+  get pushOnly() {
+    return true;
+  }
+
+  async fetchCurrent() {
+    return null;
+  }
+
+  /**
+   * Upload parameters → normalized record
+   * @param {Object} station
+   * @param {Object} params - parsed form body / query string
+   * @param {Date|string} receivedAt - server time of the upload
+   */
+  parsePush(station, params, receivedAt = new Date()) {
+    if (params.windspeedmph === undefined || params.windspeedmph === '') {
+      throw new Error(`Upload from ${station.id} has no windspeedmph`);
+    }
+    return normalizeAmbientFields(params, this.parseTimestamp(params.dateutc, new Date(receivedAt)));
+  }
+
+  parseTimestamp(dateutc, receivedAt) {
+    if (!dateutc || dateutc === 'now') return receivedAt;
+
+    const timestamp = new Date(`${String(dateutc).trim().replace(' ', 'T')}Z`);
+    if (isNaN(timestamp)) {
+      throw new Error(`Invalid dateutc: ${dateutc}`);
+    }
+    return timestamp - receivedAt > MAX_CLOCK_AHEAD_MS ? receivedAt : timestamp;
+  }
+
+  normalize(params, station) {
+    return this.parsePush(station, params);
+  }
+}
@@ -0,0 +1,116 @@
+import { fetch } from 'undici';
+
+/**
+ * StationProvider - base class for weather station sources.
+ *
+ * A provider turns one station definition from server.js config
+ * (`{ id, type, url, slug, ... }`) into normalized measurements:
+ *
+ *   {
+ *     timestamp,       // ISO string, UTC
+ *     windSpeedKnots,  // number | null if not reported (stored as 0, QC flag speed_missing)
+ *     windGustKnots,   // number | null
+ *     maxGustKnots,    // number | null (daily max, if the station reports it)
+ *     windDir,         // degrees, raw (calibration is applied later) | null
+ *                      //   if not reported (stored as 0, QC flag direction_missing)
+ *     windDirAvg,      // degrees | null
+ *     temperature,     // °F | null (Ambient convention)
+ *     humidity,        // % | null
+ *     pressure         // inHg | null
+ *   }
+ *
+ * Subclasses implement normalize() and fetchCurrent(); sources with an archive
+ * also implement fetchHistory() and set `supportsHistory`. Network access goes
+ * through fetchJson() so recorded fixtures can be replayed offline
+ * (see test-providers.js).
+ */
+
+export const MPH_TO_KNOTS = 0.868976;
+export const MS_TO_KNOTS = 1.94384;
+export const KMH_TO_KNOTS = 0.539957;
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+};
+
+export class StationProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dispatcher - undici dispatcher (e.g. ProxyAgent) for this source
+   */
+  constructor({ dispatcher = null } = {}) {
+    this.dispatcher = dispatcher;
+  }
+
+  /**
+   * Stations of this type only push their readings (nothing to poll)
+   */
+  get pushOnly() {
+    return false;
+  }
+
+  /**
+   * Whether fetchHistory() is available
+   */
+  get supportsHistory() {
+    return false;
+  }
+
+  /**
+   * Longest window one fetchHistory() call covers (callers page by this)
+   */
+  get historyPageSpanMs() {
+    return 0;
+  }
+
+  /**
+   * Latest measurement of a station
+   * @returns {Object|null} normalized record, null if the station has no data
+   */
+  async fetchCurrent(station) {
+    throw new Error(`${this.constructor.name} does not implement fetchCurrent`);
+  }
+
+  /**
+   * Measurements between fromMs and toMs (epoch ms), at most historyPageSpanMs
+   * @returns {Array} normalized records, any order
+   */
+  async fetchHistory(station, fromMs, toMs) {
+    throw new Error(`${this.constructor.name} does not support history`);
+  }
+
+  /**
+   * Map one raw source payload to a normalized record
+   */
+  normalize(raw, station) {
+    throw new Error(`${this.constructor.name} does not implement normalize`);
+  }
+
+  async fetchJson(url, headers = {}) {
+    const response = await fetch(url, {
+      headers: { ...DEFAULT_HEADERS, ...headers },
+      ...(this.dispatcher ? { dispatcher: this.dispatcher } : {})
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Number or null (missing / non-numeric values)
+ */
+export function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Multiply when present, null otherwise
+ */
+export function convertOrNull(value, factor) {
+  const number = numberOrNull(value);
+  return number === null ? null : number * factor;
+}
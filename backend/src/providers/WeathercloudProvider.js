@@ -0,0 +1,33 @@
+import { StationProvider, MS_TO_KNOTS, numberOrNull, convertOrNull } from './StationProvider.js';
+
+/**
+ * WeathercloudProvider - app.weathercloud.net/device/values/<deviceId>.
+ *
+ * The values endpoint answers only XHR-looking requests. Speeds are m/s,
+ * temperature is °C and is left out (wind_data stores °F from Ambient).
+ * No history endpoint.
+ */
+
+export class WeathercloudProvider extends StationProvider {
+  async fetchCurrent(station) {
+    const url = station.url || `https://app.weathercloud.net/device/values/${station.deviceId}`;
+    const data = await this.fetchJson(url, { 'X-Requested-With': 'XMLHttpRequest' });
+    if (numberOrNull(data?.wspd) === null) return null;
+    return this.normalize(data, station);
+  }
+
+  normalize(data) {
+    const gust = convertOrNull(data.wspdhi, MS_TO_KNOTS);
+    return {
+      timestamp: new Date(data.epoch * 1000).toISOString(),
+      windSpeedKnots: numberOrNull(data.wspd) * MS_TO_KNOTS,
+      windGustKnots: gust,
+      maxGustKnots: gust,
+      windDir: numberOrNull(data.wdir),
+      windDirAvg: numberOrNull(data.wdiravg),
+      temperature: null,
+      humidity: null,
+      pressure: numberOrNull(data.bar)
+    };
+  }
+}
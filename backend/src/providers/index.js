@@ -0,0 +1,62 @@
+import { AmbientProvider } from './AmbientProvider.js';
+import { WeathercloudProvider } from './WeathercloudProvider.js';
+import { PushProvider } from './PushProvider.js';
+
+export { StationProvider } from './StationProvider.js';
+
+/**
+ * station.type → provider class.
+ * A new source (Tempest, Holfuy, a local gateway...) is one module in this
+ * directory, one line here and a recorded fixture in backend/fixtures/providers/.
+ */
+export const STATION_PROVIDERS = {
+  ambient: AmbientProvider,
+  weathercloud: WeathercloudProvider,
+  push: PushProvider
+};
+
+// Stations without `type` predate the registry and are all Ambient
+const DEFAULT_TYPE = 'ambient';
+
+/**
+ * ProviderRegistry - one provider instance per station type
+ */
+export class ProviderRegistry {
+  /**
+   * @param {Object} options - per-type provider options, e.g. { ambient: { dispatcher } }
+   * @param {Object} providers - type → class (defaults to STATION_PROVIDERS)
+   */
+  constructor(options = {}, providers = STATION_PROVIDERS) {
+    this.options = options;
+    this.classes = { ...providers };
+    this.instances = new Map();
+  }
+
+  register(type, ProviderClass) {
+    this.classes[type] = ProviderClass;
+    this.instances.delete(type);
+  }
+
+  has(type) {
+    return !!this.classes[type || DEFAULT_TYPE];
+  }
+
+  /**
+   * Provider for a station type (or a station object)
+   */
+  get(typeOrStation) {
+    const type = (typeof typeOrStation === 'object' ? typeOrStation?.type : typeOrStation) || DEFAULT_TYPE;
+    if (!this.instances.has(type)) {
+      const ProviderClass = this.classes[type];
+      if (!ProviderClass) {
+        throw new Error(`Unknown station type: ${type}`);
+      }
+      this.instances.set(type, new ProviderClass(this.options[type] || {}));
+    }
+    return this.instances.get(type);
+  }
+
+  types() {
+    return Object.keys(this.classes);
+  }
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import assert from 'assert';
+import { ProviderRegistry } from './src/providers/index.js';
+
+// Replays recorded station responses through the providers offline:
+//   node test-providers.js                 — check every fixture
+//   node test-providers.js ambient         — one provider
+//   node test-providers.js --record ambient — re-record from the live source
+//   npm run test:providers                 — same as the first, from any directory
+//
+// Fixture (fixtures/providers/<type>.json):
+//   { station, recordedAt, responses: { url: body }, cases: [{ method, args, expected }] }
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'providers');
+const record = process.argv.includes('--record');
+const only = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+// Floats are compared to 3 decimals so unit factors can be re-rounded
+const round = value => {
+  if (typeof value === 'number') return Math.round(value * 1000) / 1000;
+  if (Array.isArray(value)) return value.map(round);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, round(v)]));
+  }
+  return value;
+};
+
+const registry = new ProviderRegistry();
+const files = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .filter(file => only.length === 0 || only.includes(path.basename(file, '.json')));
+
+let failed = 0;
+
+for (const file of files) {
+  const type = path.basename(file, '.json');
+  const fixturePath = path.join(FIXTURE_DIR, file);
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const provider = registry.get(type);
+  const liveFetchJson = provider.fetchJson.bind(provider);
+
+  if (record) {
+    fixture.responses = {};
+    provider.fetchJson = async (url, headers) => {
+      const body = await liveFetchJson(url, headers);
+      fixture.responses[url] = body;
+      return body;
+    };
+  } else {
+    provider.fetchJson = async (url) => {
+      if (!(url in fixture.responses)) throw new Error(`No recorded response for ${url}`);
+      return structuredClone(fixture.responses[url]);
+    };
+  }
+
+  console.log(`\n📼 ${type} (recorded ${fixture.recordedAt || 'never — sample data'})`);
+  const failedBefore = failed;
+  for (const testCase of fixture.cases) {
+    const label = `${testCase.method}(${testCase.args.map(arg => typeof arg === 'object' ? '{…}' : arg).join(', ')})`;
+    try {
+      const result = await provider[testCase.method](fixture.station, ...testCase.args);
+      if (record) {
+        testCase.expected = round(result);
+        console.log(`   ● ${label} recorded`);
+      } else {
+        assert.deepStrictEqual(round(result), testCase.expected);
+        console.log(`   ✓ ${label}`);
+      }
+    } catch (error) {
+      failed++;
+      console.log(`   ✗ ${label}\n${error.message.replace(/^/gm, '     ')}`);
+    }
+  }
+
+  // A failed recording (source down, no network) keeps the old fixture
+  if (record && failed === failedBefore) {
+    fixture.recordedAt = new Date().toISOString();
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + '\n');
+  }
+}
+
+console.log(failed === 0 ? '\n✓ All provider fixtures pass' : `\n✗ ${failed} case(s) failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -23,6 +23,8 @@ import MonthlyRideableStats from './MonthlyRideableStats.js';
 import NavController from './NavController.js';
 import ForecastLongPage from './ForecastLongPage.js';
 import ForecastAccuracy from './ForecastAccuracy.js';
+import ForecastVerification from './ForecastVerification.js';
+import SpotManager from './SpotManager.js';
 import { rippleManager } from './MaterialRipple.js';
 
 class App {
@@ -30,6 +32,7 @@ class App {
         // Settings and i18n managers
         this.settingsManager = new SettingsManager();
         this.i18nManager = new I18nManager();
+        this.spotManager = new SpotManager(this.settingsManager);
         this.menuController = null; // Будет инициализирован в init()
 
         // Инициализация всех менеджеров
@@ -47,6 +50,7 @@ class App {
         this.navController = null;
         this.forecastLongPage = new ForecastLongPage(this.i18nManager);
         this.forecastAccuracy = new ForecastAccuracy(this.i18nManager);
+        this.forecastVerification = new ForecastVerification(this.i18nManager);
 
         this.windArrowController = null; // Будет инициализирован после карты
         this.updateInterval = null;
@@ -54,14 +58,17 @@ class App {
         this.liveCounterInterval = null;
         this.workingHoursCheckInterval = null;
         this.lastUpdateTime = null;
+        this.lastStationStatus = null; // stationId / health / failover из последних данных
         this.lastWindData = null; // Для перерисовки при изменении единиц
         this.isInitialized = false;
 
-        // Рабочие часы станции (Bangkok time)
+        // Рабочие часы спота (местное время спота, конец не включается);
+        // берутся из /api/spots в applySpot()
         this.workingHours = {
             start: 6,
             end: 19
         };
+        this.timezone = 'Asia/Bangkok';
     }
 
     async init() {
@@ -103,10 +110,21 @@ class App {
             window.unitConverter = UnitConverter;
             console.log('✓ Глобальные объекты установлены (i18n, settings, unitConverter)');
 
+            // 3b. Список спотов и выбранный спот (до создания запросов к API)
+            await this.spotManager.load();
+            this.applySpot(this.spotManager.getCurrentSpot());
+            console.log('✓ Спот:', this.spotManager.getCurrentSpot()?.name);
+
+            // 3c. Общий движок безопасности (те же правила, что на backend)
+            WindUtils.setSafetyContext({ sport: this.settingsManager.getSetting('boardType') });
+            await WindUtils.loadSafetyEngine();
+
             // 4. Инициализация контроллера меню
             this.menuController = new MenuController(
                 this.settingsManager,
-                this.i18nManager
+                this.i18nManager,
+                this.spotManager,
+                this.notificationManager
             );
             if (this.menuController.init()) {
                 console.log('✓ Меню настроек инициализировано');
@@ -127,6 +145,10 @@ class App {
                     if (this.monthlyRideableStats) {
                         await this.monthlyRideableStats.display();
                     }
+                } else if (route === 'verification') {
+                    if (this.forecastVerification.init()) {
+                        await this.forecastVerification.display();
+                    }
                 }
             });
 
@@ -146,9 +168,22 @@ class App {
                 await this.loadInitialData();
             });
 
+            // Смена спота: переносим подписку на уведомления и перезагружаем приложение
+            window.addEventListener('spotChanged', async () => {
+                console.log('🔄 Spot changed, reloading...');
+                this.notificationManager.apiBaseUrl = this.spotManager.getApiBase();
+                try {
+                    await this.notificationManager.resyncSubscription();
+                } catch (error) {
+                    console.error('Error moving notification subscription:', error);
+                }
+                window.location.reload();
+            });
+
             // Подписка на изменение настроек райдера
             window.addEventListener('riderSettingsChanged', () => {
                 console.log('🔄 Rider settings changed, updating display...');
+                WindUtils.setSafetyContext({ sport: this.settingsManager.getSetting('boardType') });
                 if (this.lastWindData) {
                     // Re-fetch and re-apply offset for direction calibration changes
                     this.updateWindData().catch(err => {
@@ -254,6 +289,37 @@ class App {
         }
     }
 
+    /**
+     * Направить все запросы к API на выбранный спот и обновить заголовок/карту
+     * @param {Object} spot - спот из SpotManager
+     */
+    applySpot(spot) {
+        const apiBase = this.spotManager.getApiBase();
+
+        this.windDataManager.backendApiUrl = apiBase;
+        this.windStreamManager.apiBaseUrl = apiBase;
+        this.todayWindTimeline.apiUrl = apiBase;
+        this.weekWindHistory.apiUrl = apiBase;
+        this.monthlyRideableStats.apiUrl = apiBase;
+        this.forecastLongPage.apiUrl = apiBase;
+        this.notificationManager.apiBaseUrl = apiBase;
+
+        if (spot) {
+            this.workingHours = spot.workingHours || this.workingHours;
+            this.timezone = spot.timezone || this.timezone;
+            this.weekWindHistory.hours = spot.collectHours || this.weekWindHistory.hours;
+            this.updateOfflineNoticeHours();
+
+            this.mapController.setSpot(spot);
+            WindUtils.setSafetyContext({ shoreBearing: spot.shoreBearing });
+
+            const spotNameElement = document.getElementById('appSpotName');
+            if (spotNameElement) {
+                spotNameElement.textContent = spot.name;
+            }
+        }
+    }
+
     async loadInitialData() {
         // Загрузка текущих данных о ветре
         try {
@@ -321,6 +387,7 @@ class App {
 
                 // Update button state
                 await this.notificationManager.updateUI(button);
+                window.dispatchEvent(new CustomEvent('notificationSubscriptionChanged'));
             } catch (error) {
                 console.error('Error toggling notifications:', error);
                 alert('❌ Ошибка: ' + error.message);
@@ -335,6 +402,9 @@ class App {
     connectToWindStream() {
         console.log('🔄 Подключение к потоку real-time обновлений...');
 
+        // Наукаст на 3 часа приходит после каждого сбора данных
+        this.windStreamManager.onNowcast(nowcast => this.todayWindTimeline.updateNowcast(nowcast));
+
         this.windStreamManager.connect((windData, trend) => {
             try {
                 // Обновление времени последнего обновления из timestamp данных с сервера
@@ -342,11 +412,13 @@ class App {
                     this.lastUpdateTime = new Date(windData.timestamp);
                     console.log('📅 Время данных с ветрометра:', this.lastUpdateTime.toISOString());
                 }
+                this.lastStationStatus = windData;
 
                 // Получение информации о безопасности
                 const safety = this.windDataManager.getWindSafety(
                     windData.windDir,
-                    windData.windSpeedKnots
+                    windData.windSpeedKnots,
+                    windData.windGustKnots
                 );
 
                 // Обновление данных с информацией о безопасности
@@ -388,11 +460,13 @@ class App {
                 this.lastUpdateTime = new Date(windData.timestamp);
                 console.log('📅 Время данных с ветрометра:', this.lastUpdateTime.toISOString());
             }
+            this.lastStationStatus = windData;
 
             // Получение информации о безопасности
             const safety = this.windDataManager.getWindSafety(
                 windData.windDir,
-                windData.windSpeedKnots
+                windData.windSpeedKnots,
+                windData.windGustKnots
             );
 
             // Обновление данных с информацией о безопасности
@@ -672,14 +746,19 @@ class App {
             let safetyText = windData.safety.text + ' • ';
             let textColor = windData.safety.color;
 
-            // Добавляем информацию о типе ветра (offshore/onshore) с переводом
+            // Добавляем сектор ветра относительно берега спота (с переводом)
             if (windData.safety.isOffshore) {
                 safetyText = this.i18nManager.t('info.dangerOffshore');
                 textColor = '#FF4500'; // Красный для offshore - это всегда опасно!
-            } else if (windData.safety.isOnshore) {
-                safetyText += this.i18nManager.t('info.onshore');
+            } else if (windData.safety.sectorI18nKey) {
+                safetyText += this.i18nManager.t(windData.safety.sectorI18nKey);
             } else {
-                safetyText += this.i18nManager.t('info.sideshore');
+                safetyText = windData.safety.text;
+            }
+
+            // Порывистость понижает оценку — показываем причину
+            if (windData.safety.isGusty) {
+                safetyText += ' • ' + this.i18nManager.t('wind.safetyReasons.gusty');
             }
 
             windSubtitle.textContent = safetyText;
@@ -705,8 +784,14 @@ class App {
     async updateForecast() {
         try {
             this.forecastManager.showLoading();
-            const forecastData = await this.windDataManager.fetchWindForecast();
-            this.forecastManager.displayForecast(forecastData);
+            const [forecastData, ensemble] = await Promise.all([
+                this.windDataManager.fetchWindForecast(),
+                this.windDataManager.fetchEnsembleForecast(
+                    this.settingsManager.getSetting('boardType') || 'twintip',
+                    this.settingsManager.getSetting('riderWeight') || 75
+                )
+            ]);
+            this.forecastManager.displayForecast(forecastData, ensemble);
         } catch (error) {
             this.forecastManager.showError(error);
             throw error;
@@ -747,7 +832,7 @@ class App {
         };
         
         // Получение информации о безопасности
-        const safety = this.windDataManager.getWindSafety(direction, speed);
+        const safety = this.windDataManager.getWindSafety(direction, speed, simulatedData.windGustKnots);
         simulatedData.safety = safety;
         
         // Обновление отображения
@@ -824,24 +909,55 @@ class App {
                 displayText = `${atText} ${hours}:${minutes}`;
             }
 
-            counterElement.textContent = displayText;
+            counterElement.textContent = displayText + this.getStationStatusSuffix();
         }, 1000);
 
         console.log('✓ LIVE счетчик запущен');
     }
 
     /**
-     * Check if current time is within working hours (6:00-19:00 Bangkok time)
+     * Пометка к LIVE-счётчику: данные с резервной станции (основная не работает)
+     * или основная станция не работает и замены нет
+     */
+    getStationStatusSuffix() {
+        const status = this.lastStationStatus;
+        if (status?.failover) {
+            return ` · ${this.i18nManager.t('info.backupStation')}: ${status.failover.stationName}`;
+        }
+        if (status?.health === 'down') {
+            return ` · ${this.i18nManager.t('info.stationOffline')}`;
+        }
+        return '';
+    }
+
+    /**
+     * Check if current time is within the spot's working hours (local time of the spot)
      */
     isWithinWorkingHours() {
-        const bangkokTime = new Date().toLocaleString('en-US', {
-            timeZone: 'Asia/Bangkok',
+        const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            hour: 'numeric',
             hour12: false
-        });
-        const hour = parseInt(new Date(bangkokTime).getHours());
+        }).format(new Date()), 10) % 24;
         return hour >= this.workingHours.start && hour < this.workingHours.end;
     }
 
+    /**
+     * Подставить рабочие часы спота в уведомление «вне рабочих часов»
+     * (параметры остаются в data-i18n-params для смены языка)
+     */
+    updateOfflineNoticeHours() {
+        const element = document.getElementById('offlineNoticeText');
+        if (!element) return;
+
+        const params = {
+            start: `${this.workingHours.start}:00`,
+            end: `${this.workingHours.end}:00`
+        };
+        element.dataset.i18nParams = JSON.stringify(params);
+        element.innerHTML = this.i18nManager.t(element.dataset.i18n, params);
+    }
+
     /**
      * Update visibility of sections based on working hours
      */
@@ -864,7 +980,7 @@ class App {
             if (mapSection) mapSection.style.display = 'none';
         }
 
-        console.log(`📅 Статус станции: ${isWorking ? 'Работает' : 'Не работает'} (проверка рабочих часов 6:00-19:00)`);
+        console.log(`📅 Статус станции: ${isWorking ? 'Работает' : 'Не работает'} (рабочие часы ${this.workingHours.start}:00-${this.workingHours.end}:00)`);
     }
 
     /**
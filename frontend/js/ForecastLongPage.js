@@ -9,6 +9,7 @@ class ForecastLongPage {
     constructor(i18n, days = 10) {
         this.i18n = i18n || window.i18n;
         this.days = days;
+        this.apiUrl = '/api';
         this.manager = new ForecastManager(i18n, 'forecastLongPage');
         this.initialized = false;
         this.lastRenderedAt = 0;
@@ -43,7 +44,7 @@ class ForecastLongPage {
     }
 
     async _fetchForecast() {
-        const response = await fetch(`/api/wind/forecast?days=${this.days}`);
+        const response = await fetch(`${this.apiUrl}/wind/forecast?days=${this.days}`);
         if (!response.ok) throw new Error(`Forecast API ${response.status}`);
         const data = await response.json();
         return data.map(hour => ({ ...hour, date: new Date(hour.date) }));
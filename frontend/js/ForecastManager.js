@@ -40,6 +40,46 @@ class ForecastManager {
         return '💧💧💧💧';                                         // 4 капельки
     }
 
+    /**
+     * Closed polygon between P90 (top) and P10 (bottom) over the points that
+     * have an ensemble entry; null/undefined entries are skipped
+     */
+    createBandPath(spread, width, height, maxValue) {
+        const points = spread
+            .map((e, i) => (e ? {
+                x: spread.length > 1 ? (i / (spread.length - 1)) * width : 0,
+                top: height - (e.p90 / maxValue) * height,
+                bottom: height - (e.p10 / maxValue) * height
+            } : null))
+            .filter(Boolean);
+        if (points.length < 2) return '';
+
+        const top = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.top}`).join(' ');
+        const bottom = points.slice().reverse().map(p => `L ${p.x} ${p.bottom}`).join(' ');
+        return `${top} ${bottom} Z`;
+    }
+
+    /**
+     * Invisible per-hour columns with a tooltip: P10–P90 and rideable chance
+     */
+    createSpreadTitles(group, spread, width, height, unitSymbol, currentUnit) {
+        if (group.length < 2) return '';
+        const columnWidth = width / (group.length - 1);
+        const chanceLabel = this.i18n?.t('forecast.rideableChance') || 'Rideable chance';
+        const convert = v => (window.unitConverter ? window.unitConverter.convert(v, 'knots', currentUnit) : v);
+
+        return spread.map((e, i) => {
+            if (!e) return '';
+            const x = Math.max(0, (i / (group.length - 1)) * width - columnWidth / 2);
+            const chance = e.rideableProbability !== null ? ` · ${chanceLabel}: ${Math.round(e.rideableProbability * 100)}%` : '';
+            return `
+                <rect x="${x}" y="0" width="${columnWidth}" height="${height}" fill="transparent">
+                    <title>${group[i].time}:00 · ${convert(e.p10).toFixed(0)}–${convert(e.p90).toFixed(0)} ${unitSymbol}${chance}</title>
+                </rect>
+            `;
+        }).join('');
+    }
+
     /**
      * Create smooth curve path using Catmull-Rom spline
      */
@@ -118,18 +158,19 @@ class ForecastManager {
         }
     }
 
-    displayForecast(hoursData) {
+    /**
+     * @param {Array} hoursData - прогноз лучшей модели
+     * @param {Object|null} ensemble - /wind/forecast/ensemble: полоса P10–P90 под кривой
+     */
+    displayForecast(hoursData, ensemble = null) {
         if (!this.forecastContainer) return;
 
-        // Включаем все часы с 6:00 до 19:00 включительно
-        const filteredHours = hoursData.filter(hour => {
-            const hourTime = hour.time;
-            return hourTime >= 6 && hourTime <= 19;
-        });
+        // Ансамбль по времени часа (первые 3 дня; для 10-дневного прогноза полоса короче)
+        const ensembleByTime = new Map((ensemble?.hours || []).map(h => [h.date.getTime(), h]));
 
-        // Группировка по дням
+        // Группировка по дням (backend отдаёт только часы прогноза спота — forecastHours, до 24 в сутки)
         const dayGroups = {};
-        filteredHours.forEach(hour => {
+        hoursData.forEach(hour => {
             const dayKey = hour.date.toDateString();
             if (!dayGroups[dayKey]) {
                 dayGroups[dayKey] = [];
@@ -154,6 +195,7 @@ class ForecastManager {
                 return Number.isFinite(n) ? n : fallback;
             };
             const windSpeeds = group.map(h => safeNum(h.speed));
+            const spread = group.map(h => ensembleByTime.get(h.date.getTime()) || null);
             const waveHeights = group.map(h => safeNum(h.waveHeight));
             const times = group.map(h => h.time);
 
@@ -166,7 +208,7 @@ class ForecastManager {
             const chartWidth = width - padding.left - padding.right;
 
             // Find max values for scaling (floor at >0 so we never divide by zero)
-            const maxWindSpeed = Math.max(1, ...windSpeeds) * 1.1;
+            const maxWindSpeed = Math.max(1, ...windSpeeds, ...spread.map(e => e?.p90 || 0)) * 1.1;
             const maxWaveHeight = Math.max(0.5, ...waveHeights) * 1.2;
 
             // Create smooth paths
@@ -181,15 +223,20 @@ class ForecastManager {
             const wavePath = this.createSmoothPath(waveHeights, chartWidth, waveHeight, maxWaveHeight);
             const waveAreaPath = wavePath + ` L ${chartWidth} ${waveHeight} L 0 ${waveHeight} Z`;
 
+            // Полоса разброса моделей и подсказки с шансом покататься по часам
+            const spreadPath = this.createBandPath(spread, chartWidth, windHeight, maxWindSpeed);
+            const spreadTitles = this.createSpreadTitles(group, spread, chartWidth, windHeight, unitSymbol, currentUnit);
+
             // Find peak values (top 5)
             const windPeaks = this.findPeaks(windSpeeds, 5);
             const wavePeaks = this.findPeaks(waveHeights, 5);
 
-            // Generate time labels for every 2 hours (only even hours: 6, 8, 10, 12, 14, 16, 18)
-            // Always show 18:00 as the last label even if data goes to 19:00
+            // Time labels every 2 hours (every 3 for a full day), none on the
+            // last point — it sits on the right edge of the chart
+            const labelStep = group.length > 16 ? 3 : 2;
             const timeLabels = [];
             group.forEach((hour, i) => {
-                if (hour.time % 2 === 0 && hour.time <= 18) {
+                if (hour.time % labelStep === 0 && i < group.length - 1) {
                     const x = (i / (group.length - 1)) * chartWidth;
                     const rainDroplets = this.getRainDroplets(hour.precipitationProbability);
                     timeLabels.push({
@@ -201,27 +248,6 @@ class ForecastManager {
                 }
             });
 
-            // If we have 19:00 data but didn't add 18:00 label, ensure we have it
-            if (group.length > 0 && group[group.length - 1].time === 19) {
-                const has18Label = timeLabels.some(l => l.hour === 18);
-                if (!has18Label) {
-                    // Find 18:00 in data
-                    const index18 = group.findIndex(h => h.time === 18);
-                    if (index18 !== -1) {
-                        const x = (index18 / (group.length - 1)) * chartWidth;
-                        const hour18Data = group[index18];
-                        const rainDroplets = this.getRainDroplets(hour18Data.precipitationProbability);
-                        timeLabels.push({
-                            hour: 18,
-                            x,
-                            rainDroplets,
-                            precipitationProbability: hour18Data.precipitationProbability || 0
-                        });
-                        timeLabels.sort((a, b) => a.hour - b.hour);
-                    }
-                }
-            }
-
             forecastHTML += `
                 <div class="mb-8">
                     <div class="text-sm font-semibold text-white mb-3 text-center">
@@ -257,6 +283,10 @@ class ForecastManager {
                                     <!-- Filled area under wind curve -->
                                     <path d="${windAreaPath}" fill="url(#${windGradientId})" opacity="0.6"/>
 
+                                    <!-- Ensemble spread (P10–P90) -->
+                                    ${spreadPath ? `<path d="${spreadPath}" fill="rgba(255,255,255,0.18)" stroke="rgba(255,255,255,0.35)"
+                                          stroke-width="1" stroke-dasharray="4,3"/>` : ''}
+
                                     <!-- Smooth wind curve line -->
                                     <path d="${windPath}" fill="none" stroke="url(#${windGradientId})"
                                           stroke-width="3" filter="url(#glow)"/>
@@ -272,6 +302,8 @@ class ForecastManager {
                                         </text>
                                     `}).join('')}
 
+                                    ${spreadTitles}
+
                                     <!-- Wind peak markers -->
                                     ${windPeaks.map((peak, i) => {
                                         const x = (peak.index / (windSpeeds.length - 1)) * chartWidth;
@@ -355,6 +387,7 @@ class ForecastManager {
         const windLabel = this.i18n?.t('forecast.wind') || 'Wind';
         const wavesLabel = this.i18n?.t('forecast.waves') || 'Waves';
         const rainLabel = this.i18n?.t('forecast.rain') || 'Rain';
+        const spreadLabel = this.i18n?.t('forecast.spread') || 'Model spread (10–90%)';
 
         forecastHTML += `
             <div style="display: flex; justify-content: center; gap: 20px; margin-top: 15px; font-size: 0.75rem; color: rgba(255,255,255,0.85); padding: 12px; background: rgba(255,255,255,0.05); border-radius: 10px; max-width: 500px; margin-left: auto; margin-right: auto; flex-wrap: wrap;">
@@ -370,6 +403,12 @@ class ForecastManager {
                     <span style="font-size: 1rem;">💧</span>
                     <span>${rainLabel}</span>
                 </div>
+                ${ensembleByTime.size > 0 ? `
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <div style="width: 24px; height: 10px; background: rgba(255,255,255,0.18); border: 1px dashed rgba(255,255,255,0.35); border-radius: 2px;"></div>
+                        <span>${spreadLabel}</span>
+                    </div>
+                ` : ''}
             </div>
         `;
 
@@ -0,0 +1,415 @@
+/**
+ * ForecastVerification — verification page (/#/verification).
+ * Pulls /api/wind/forecast/verification with model / date-range / source filters
+ * and draws error vs lead time, error by hour, the rideable contingency table,
+ * the ensemble reliability diagram and direction-error roses (inline SVG).
+ */
+const MODEL_COLORS = ['#4ECDC4', '#FFD700', '#FF6B6B', '#A78BFA', '#7DD3FC', '#FFB347'];
+
+class ForecastVerification {
+    constructor(i18n) {
+        this.i18n = i18n || window.i18n;
+        this.container = null;
+        this.models = null;          // [{ id, name }] из /wind/forecast/models
+        this.filters = null;         // { from, to, source, models: Set }
+        this._lastQuery = null;
+        this._lastRenderedAt = 0;
+    }
+
+    t(key, fallback) {
+        const value = this.i18n && this.i18n.t(key);
+        return value && value !== key ? value : (fallback || key);
+    }
+
+    init() {
+        this.container = document.getElementById('forecastVerification');
+        return !!this.container;
+    }
+
+    async display() {
+        if (!this.container && !this.init()) return;
+
+        try {
+            if (!this.models) {
+                const response = await fetch('/api/wind/forecast/models');
+                if (!response.ok) throw new Error(`API ${response.status}`);
+                this.models = (await response.json()).models.map(m => ({ id: m.id, name: m.name }));
+            }
+            if (!this.filters) {
+                const to = new Date();
+                const from = new Date(to.getTime() - 364 * 24 * 60 * 60 * 1000);
+                this.filters = {
+                    from: from.toISOString().slice(0, 10),
+                    to: to.toISOString().slice(0, 10),
+                    source: 'all',
+                    models: new Set(this.models.map(m => m.id))
+                };
+            }
+
+            const query = this._query();
+            if (query === this._lastQuery && Date.now() - this._lastRenderedAt < 60 * 1000) return; // 1-min in-memory cache
+
+            this._showLoading();
+            const response = await fetch(`/api/wind/forecast/verification?${query}`);
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `API ${response.status}`);
+            }
+            this._render(await response.json());
+            this._lastQuery = query;
+            this._lastRenderedAt = Date.now();
+        } catch (error) {
+            console.error('ForecastVerification error:', error);
+            this._showError(error);
+        }
+    }
+
+    _query() {
+        const params = new URLSearchParams({
+            from: this.filters.from,
+            to: this.filters.to,
+            source: this.filters.source,
+            models: [...this.filters.models].join(','),
+            sport: window.settings?.getSetting('boardType') || 'twintip',
+            weight: window.settings?.getSetting('riderWeight') || 75
+        });
+        return params.toString();
+    }
+
+    _color(modelId) {
+        const index = this.models.findIndex(m => m.id === modelId);
+        return MODEL_COLORS[(index < 0 ? 0 : index) % MODEL_COLORS.length];
+    }
+
+    _showLoading() {
+        const body = this.container.querySelector('[data-verification-body]');
+        const target = body || this.container;
+        target.innerHTML = `
+            <div class="text-center py-4">
+                <div class="inline-block w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin mb-2"></div>
+                <p class="text-white/70 text-xs">${this.t('trends.loading', 'Loading...')}</p>
+            </div>
+        `;
+    }
+
+    _showError(error) {
+        const body = this.container.querySelector('[data-verification-body]');
+        const target = body || this.container;
+        target.innerHTML = `
+            <div class="text-center py-4">
+                <p class="text-red-400 text-sm">${this.t('history.loadingError', 'Loading error')}: ${error.message}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Filter bar: models, dates, source. Re-fetches on every change.
+     */
+    _renderFilters() {
+        const chip = (model) => {
+            const active = this.filters.models.has(model.id);
+            return `
+                <button type="button" data-model="${model.id}"
+                        style="padding: 4px 10px; border-radius: 999px; font-size: 0.75rem; font-weight: 600;
+                               border: 1px solid ${this._color(model.id)};
+                               background: ${active ? this._color(model.id) : 'transparent'};
+                               color: ${active ? '#1a1a2e' : 'rgba(255,255,255,0.8)'};">
+                    ${model.name}
+                </button>
+            `;
+        };
+        const sources = ['all', 'live', 'backtest'].map(source => `
+            <option value="${source}" ${this.filters.source === source ? 'selected' : ''}>
+                ${this.t(`history.verification.source.${source}`, source)}
+            </option>
+        `).join('');
+        const inputStyle = 'background: rgba(255,255,255,0.1); color: #fff; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; padding: 4px 8px; font-size: 0.8rem;';
+
+        return `
+            <div style="display: flex; flex-wrap: wrap; gap: 6px; justify-content: center; margin-bottom: 10px;">
+                ${this.models.map(chip).join('')}
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px; justify-content: center; align-items: center; margin-bottom: 16px;">
+                <input type="date" data-filter="from" value="${this.filters.from}" style="${inputStyle}">
+                <span class="text-white/60">→</span>
+                <input type="date" data-filter="to" value="${this.filters.to}" style="${inputStyle}">
+                <select data-filter="source" style="${inputStyle}">${sources}</select>
+            </div>
+        `;
+    }
+
+    _bindFilters() {
+        this.container.querySelectorAll('[data-model]').forEach(button => {
+            button.addEventListener('click', () => {
+                const id = button.dataset.model;
+                if (this.filters.models.has(id)) {
+                    if (this.filters.models.size === 1) return; // хотя бы одна модель
+                    this.filters.models.delete(id);
+                } else {
+                    this.filters.models.add(id);
+                }
+                this.display();
+            });
+        });
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.filters[input.dataset.filter] = input.value;
+                this.display();
+            });
+        });
+    }
+
+    _render(report) {
+        const currentUnit = window.settings?.getSetting('windSpeedUnit') || 'knots';
+        const unitSymbol = window.unitConverter?.getUnitSymbol(currentUnit) || 'kn';
+        const conv = (knots) => window.unitConverter
+            ? window.unitConverter.convert(knots, 'knots', currentUnit)
+            : knots;
+        const fmt = (v) => v == null ? '—' : conv(v).toFixed(1);
+        const fmtBias = (v) => v == null ? '—' : `${conv(v) > 0 ? '+' : ''}${conv(v).toFixed(1)}`;
+        const pct = (v) => v == null ? '—' : `${Math.round(v * 100)}%`;
+        const num = (v) => v == null ? '—' : v.toFixed(2);
+
+        const section = (title, hint, content) => `
+            <div style="background: rgba(255,255,255,0.04); border-radius: 12px; padding: 12px; margin-bottom: 12px;">
+                <h4 style="font-size: 0.9rem; font-weight: 700; color: #fff; margin-bottom: 4px;">${title}</h4>
+                ${hint ? `<p class="text-white/50" style="font-size: 0.65rem; margin-bottom: 8px;">${hint}</p>` : ''}
+                ${content}
+            </div>
+        `;
+
+        const evaluated = report.models.filter(m => m.overall.count > 0);
+        let body;
+        if (evaluated.length === 0 && report.leadTime.length === 0) {
+            body = `
+                <p class="text-white/70 text-sm text-center" style="padding: 16px;">
+                    ${this.t('history.verification.noData', 'No verified forecasts for this period')}
+                </p>
+            `;
+        } else {
+            const overall = evaluated.map(m => `
+                <div style="display: grid; grid-template-columns: 1fr repeat(4, auto); gap: 10px; align-items: center;
+                            padding: 6px 10px; border-left: 3px solid ${this._color(m.modelId)}; margin-bottom: 4px;">
+                    <div style="font-size: 0.85rem; font-weight: 600; color: #fff;">
+                        ${m.name}
+                        <span class="text-white/50" style="font-size: 0.65rem; font-weight: 400;">
+                            ${m.overall.count.toLocaleString()} ${this.t('history.accuracy.evalShort', 'eval.')}
+                        </span>
+                    </div>
+                    <div style="font-size: 0.8rem; color: #fff; text-align: right;">MAE ${fmt(m.overall.mae)}</div>
+                    <div style="font-size: 0.8rem; color: #fff; text-align: right;">RMSE ${fmt(m.overall.rmse)}</div>
+                    <div style="font-size: 0.8rem; text-align: right; color: ${m.overall.bias > 0 ? '#FFB347' : '#7DD3FC'};">
+                        ${this.t('history.accuracy.bias', 'Bias')} ${fmtBias(m.overall.bias)}
+                    </div>
+                    <div style="font-size: 0.8rem; color: #fff; text-align: right;">
+                        ${m.overall.directionMae != null ? `${m.overall.directionMae}°` : '—'}
+                    </div>
+                </div>
+            `).join('');
+
+            // Lead time: MAE per model and lead bin
+            const leadSeries = this._seriesBy(report.leadTime, r => r.leadFrom, r => conv(r.mae));
+            const hourSeries = evaluated.map(m => ({
+                modelId: m.modelId,
+                points: m.byHour.map(h => ({ x: h.hour, y: conv(h.mae) }))
+            }));
+
+            const contingencyRows = report.contingency.map(c => `
+                <tr style="border-top: 1px solid rgba(255,255,255,0.08);">
+                    <td style="padding: 4px 6px; color: ${this._color(c.modelId)}; font-weight: 600;">${c.name}</td>
+                    <td style="padding: 4px 6px; text-align: right;">${pct(c.hitRate)}</td>
+                    <td style="padding: 4px 6px; text-align: right;">${pct(c.falseAlarmRatio)}</td>
+                    <td style="padding: 4px 6px; text-align: right;">${num(c.criticalSuccessIndex)}</td>
+                    <td style="padding: 4px 6px; text-align: right;">${num(c.frequencyBias)}</td>
+                    <td style="padding: 4px 6px; text-align: right;">${num(c.heidkeSkillScore)}</td>
+                </tr>
+            `).join('');
+            const contingency = `
+                <table style="width: 100%; font-size: 0.75rem; color: #fff; font-variant-numeric: tabular-nums;">
+                    <thead class="text-white/60">
+                        <tr>
+                            <th></th>
+                            <th style="text-align: right; padding: 4px 6px;">${this.t('history.verification.hitRate', 'Hit rate')}</th>
+                            <th style="text-align: right; padding: 4px 6px;">${this.t('history.verification.falseAlarmRatio', 'False alarms')}</th>
+                            <th style="text-align: right; padding: 4px 6px;">CSI</th>
+                            <th style="text-align: right; padding: 4px 6px;">${this.t('history.verification.frequencyBias', 'Freq. bias')}</th>
+                            <th style="text-align: right; padding: 4px 6px;">HSS</th>
+                        </tr>
+                    </thead>
+                    <tbody>${contingencyRows}</tbody>
+                </table>
+            `;
+
+            const reliability = report.reliability;
+            const reliabilityHint = `${this.t('history.verification.reliabilityHint', 'Ensemble rideable probability vs how often it was rideable')}.
+                Brier ${reliability.brierScore ?? '—'} · BSS ${reliability.brierSkillScore ?? '—'} · n = ${reliability.count.toLocaleString()}`;
+
+            const range = `${fmt(report.minWind)}–${fmt(report.maxWind)} ${unitSymbol}`;
+            body = [
+                section(
+                    this.t('history.verification.overall', 'Overall'),
+                    `${this.t('history.verification.source.live', 'live')}: ${report.sources.live.toLocaleString()} ·
+                     ${this.t('history.verification.source.backtest', 'backtest')}: ${report.sources.backtest.toLocaleString()}`,
+                    overall
+                ),
+                section(
+                    this.t('history.verification.leadTime', 'Error vs lead time'),
+                    `MAE, ${unitSymbol} · ${this.t('history.verification.leadHint', 'live snapshots, hours ahead')}`,
+                    leadSeries.length > 0
+                        ? this._lineChart(leadSeries, x => `${x}h`)
+                        : `<p class="text-white/50 text-xs">${this.t('history.verification.noLive', 'No live snapshots in this period')}</p>`
+                ),
+                section(
+                    this.t('history.verification.byHour', 'Error by hour of day'),
+                    `MAE, ${unitSymbol}`,
+                    this._lineChart(hourSeries, x => `${x}:00`)
+                ),
+                section(
+                    this.t('history.verification.contingency', 'Rideable yes / no'),
+                    `${this.t('history.verification.contingencyHint', 'Forecast vs actual hour inside your range')} ${range}`,
+                    contingency
+                ),
+                section(
+                    this.t('history.verification.reliability', 'Ensemble reliability'),
+                    reliabilityHint,
+                    this._reliabilityChart(reliability)
+                ),
+                section(
+                    this.t('history.verification.directionRose', 'Direction error'),
+                    this.t('history.verification.directionHint', 'Mean error by actual wind direction; orange — forecast turned clockwise'),
+                    `<div style="display: flex; flex-wrap: wrap; gap: 12px; justify-content: center;">
+                        ${report.directionRose.map(rose => this._rose(rose)).join('')}
+                    </div>`
+                )
+            ].join('');
+        }
+
+        this.container.innerHTML = `
+            ${this._renderFilters()}
+            <div data-verification-body>${body}</div>
+        `;
+        this._bindFilters();
+    }
+
+    /**
+     * Rows → [{ modelId, points: [{ x, y }] }]
+     */
+    _seriesBy(rows, xOf, yOf) {
+        const byModel = new Map();
+        for (const row of rows) {
+            if (!byModel.has(row.modelId)) byModel.set(row.modelId, []);
+            byModel.get(row.modelId).push({ x: xOf(row), y: yOf(row) });
+        }
+        return [...byModel.entries()].map(([modelId, points]) => ({ modelId, points }));
+    }
+
+    _lineChart(series, formatX) {
+        const width = 600;
+        const height = 160;
+        const padding = { top: 10, right: 10, bottom: 24, left: 34 };
+        const xs = [...new Set(series.flatMap(s => s.points.map(p => p.x)))].sort((a, b) => a - b);
+        const yMax = Math.max(1, ...series.flatMap(s => s.points.map(p => p.y))) * 1.1;
+        if (xs.length === 0) return '';
+
+        const xMin = xs[0];
+        const xMax = xs[xs.length - 1] === xMin ? xMin + 1 : xs[xs.length - 1];
+        const toX = x => padding.left + ((x - xMin) / (xMax - xMin)) * (width - padding.left - padding.right);
+        const toY = y => padding.top + (1 - y / yMax) * (height - padding.top - padding.bottom);
+        const labelStep = Math.ceil(xs.length / 8);
+
+        return `
+            <svg width="100%" viewBox="0 0 ${width} ${height}" style="display: block;">
+                ${[0, 0.5, 1].map(r => `
+                    <line x1="${padding.left}" x2="${width - padding.right}" y1="${toY(yMax * r)}" y2="${toY(yMax * r)}"
+                          stroke="rgba(255,255,255,0.1)" stroke-dasharray="4,4"/>
+                    <text x="${padding.left - 4}" y="${toY(yMax * r) + 4}" text-anchor="end"
+                          fill="rgba(255,255,255,0.6)" font-size="10">${(yMax * r).toFixed(1)}</text>
+                `).join('')}
+                ${xs.filter((_, i) => i % labelStep === 0).map(x => `
+                    <text x="${toX(x)}" y="${height - 6}" text-anchor="middle" fill="rgba(255,255,255,0.6)" font-size="10">${formatX(x)}</text>
+                `).join('')}
+                ${series.map(s => `
+                    <path d="${s.points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${toX(p.x)} ${toY(p.y)}`).join(' ')}"
+                          fill="none" stroke="${this._color(s.modelId)}" stroke-width="2"/>
+                    ${s.points.map(p => `<circle cx="${toX(p.x)}" cy="${toY(p.y)}" r="2.5" fill="${this._color(s.modelId)}"/>`).join('')}
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    _reliabilityChart(reliability) {
+        const size = 220;
+        const padding = 28;
+        const inner = size - padding * 2;
+        const toX = p => padding + p * inner;
+        const toY = p => size - padding - p * inner;
+        const maxCount = Math.max(1, ...reliability.bins.map(b => b.count));
+        const used = reliability.bins.filter(b => b.count > 0);
+
+        return `
+            <svg width="100%" viewBox="0 0 ${size} ${size}" style="display: block; max-width: 280px; margin: 0 auto;">
+                <rect x="${padding}" y="${padding}" width="${inner}" height="${inner}" fill="none" stroke="rgba(255,255,255,0.15)"/>
+                <line x1="${toX(0)}" y1="${toY(0)}" x2="${toX(1)}" y2="${toY(1)}" stroke="rgba(255,255,255,0.35)" stroke-dasharray="4,4"/>
+                ${reliability.baseRate != null ? `
+                    <line x1="${toX(0)}" y1="${toY(reliability.baseRate)}" x2="${toX(1)}" y2="${toY(reliability.baseRate)}"
+                          stroke="rgba(255,215,0,0.35)" stroke-dasharray="2,3"/>
+                ` : ''}
+                <path d="${used.map((b, i) => `${i === 0 ? 'M' : 'L'} ${toX(b.meanProbability)} ${toY(b.observedFrequency)}`).join(' ')}"
+                      fill="none" stroke="#4ECDC4" stroke-width="2"/>
+                ${used.map(b => `
+                    <circle cx="${toX(b.meanProbability)}" cy="${toY(b.observedFrequency)}"
+                            r="${2 + 5 * Math.sqrt(b.count / maxCount)}" fill="#4ECDC4" opacity="0.8">
+                        <title>${Math.round(b.from * 100)}–${Math.round(b.to * 100)}%: ${Math.round(b.observedFrequency * 100)}% (n = ${b.count})</title>
+                    </circle>
+                `).join('')}
+                ${[0, 0.5, 1].map(p => `
+                    <text x="${toX(p)}" y="${size - padding + 14}" text-anchor="middle" fill="rgba(255,255,255,0.6)" font-size="9">${p * 100}%</text>
+                    <text x="${padding - 4}" y="${toY(p) + 3}" text-anchor="end" fill="rgba(255,255,255,0.6)" font-size="9">${p * 100}%</text>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Direction-error rose of one model: petal length — MAE, colour — sign of the bias
+     */
+    _rose(rose) {
+        const size = 150;
+        const center = size / 2;
+        const radius = center - 14;
+        const maxMae = Math.max(10, ...rose.sectors.map(s => s.mae || 0));
+        const width = 360 / rose.sectors.length;
+        const point = (direction, r) => {
+            const rad = (direction - 90) * Math.PI / 180;
+            return `${center + Math.cos(rad) * r} ${center + Math.sin(rad) * r}`;
+        };
+
+        const petals = rose.sectors.filter(s => s.count > 0).map(s => {
+            const r = (s.mae / maxMae) * radius;
+            const color = s.bias > 0 ? 'rgba(255,179,71,0.75)' : 'rgba(125,211,252,0.75)';
+            return `
+                <path d="M ${center} ${center} L ${point(s.direction - width / 2, r)} L ${point(s.direction + width / 2, r)} Z"
+                      fill="${color}" stroke="rgba(0,0,0,0.2)">
+                    <title>${Math.round(s.direction)}°: MAE ${s.mae}°, ${this.t('history.accuracy.bias', 'Bias')} ${s.bias > 0 ? '+' : ''}${s.bias}° (n = ${s.count})</title>
+                </path>
+            `;
+        }).join('');
+
+        return `
+            <div style="text-align: center;">
+                <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+                    <circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="rgba(255,255,255,0.15)"/>
+                    <circle cx="${center}" cy="${center}" r="${radius / 2}" fill="none" stroke="rgba(255,255,255,0.1)"/>
+                    ${petals}
+                    <text x="${center}" y="10" text-anchor="middle" fill="rgba(255,255,255,0.6)" font-size="10">N</text>
+                    <text x="${center}" y="${size - 2}" text-anchor="middle" fill="rgba(255,255,255,0.6)" font-size="10">S</text>
+                </svg>
+                <div style="font-size: 0.75rem; font-weight: 600; color: ${this._color(rose.modelId)};">
+                    ${rose.name} · ${maxMae.toFixed(0)}°
+                </div>
+            </div>
+        `;
+    }
+}
+
+export default ForecastVerification;
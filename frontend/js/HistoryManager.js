@@ -67,7 +67,8 @@ class HistoryManager {
         }
 
         const speeds = data.map(entry => entry.windSpeed);
-        const directions = data.map(entry => entry.windDirection);
+        // Замеры без направления не считаем северными
+        const directions = data.map(entry => entry.windDirection).filter(dir => dir !== null && dir !== undefined);
 
         return {
             entries: data.length,
@@ -126,7 +127,7 @@ class HistoryManager {
             }
         }
 
-        return { direction: mostCommon, count: maxCount, percentage: (maxCount / directions.length * 100).toFixed(1) };
+        return { direction: mostCommon, count: maxCount, percentage: directions.length ? (maxCount / directions.length * 100).toFixed(1) : '0.0' };
     }
 
     // Экспорт истории в JSON
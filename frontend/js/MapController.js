@@ -13,6 +13,30 @@ class MapController {
         this.beachSouth = config.locations.beachSouth;
         this.seaBearing = config.bearings.sea;
         this.landBearing = config.bearings.land;
+        // Пляж/парковка размечены только для спота по умолчанию (Pak Nam Pran)
+        this.showLocalMarkers = true;
+        this.spotName = 'JollyKite Spot';
+    }
+
+    /**
+     * Перенастроить карту на выбранный спот (вызывать до initMap)
+     * @param {Object} spot - спот из /api/spots
+     */
+    setSpot(spot) {
+        if (!spot || spot.isDefault || spot.lat == null || spot.lon == null) return;
+
+        this.spotLocation = [spot.lat, spot.lon];
+        this.spotName = spot.name;
+        this.seaBearing = spot.shoreBearing;
+        this.landBearing = (spot.shoreBearing + 180) % 360;
+        this.showLocalMarkers = false;
+
+        // Кайтер в море на том же расстоянии от берега, что и на основном споте (~1.5 км)
+        const distanceKm = 1.5;
+        const bearingRad = spot.shoreBearing * Math.PI / 180;
+        const dLat = distanceKm * Math.cos(bearingRad) / 111.32;
+        const dLon = distanceKm * Math.sin(bearingRad) / (111.32 * Math.cos(spot.lat * Math.PI / 180));
+        this.kiterLocation = [spot.lat + dLat, spot.lon + dLon];
     }
 
     initMap() {
@@ -58,7 +82,12 @@ class MapController {
                 iconAnchor: [15, 15]
             })
         }).addTo(this.map);
-        spotMarker.bindPopup('<b>JollyKite Spot</b><br>Лучшее место для кайтсерфинга!');
+        spotMarker.bindPopup(`<b>${this.spotName}</b><br>Лучшее место для кайтсерфинга!`);
+
+        if (!this.showLocalMarkers) {
+            this.spotMarkers = [spotMarker];
+            return;
+        }
 
         // Маркер пляжа
         const beachMarker = L.marker(config.locations.beach, {
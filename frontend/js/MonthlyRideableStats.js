@@ -2,7 +2,7 @@
  * MonthlyRideableStats — number of "rideable days" per month for the user's
  * selected sport AND rider weight.
  *
- * A day is rideable when, during working hours (6:00–19:00 Bangkok), there
+ * A day is rideable when, during the station's collection hours (6:00–19:00 Bangkok by default), there
  * were ≥ minHours hourly readings with:
  *   • direction not offshore (SW–NW excluded), AND
  *   • a kite size in the sport's quiver that is within ±35% of optimal for
@@ -406,8 +406,8 @@ class MonthlyRideableStats {
       return `<div style="font-size: 0.8rem; color: rgba(255,255,255,0.55); padding: 8px 0;">${this.t('history.monthly.noData', 'Нет архивных данных')}</div>`;
     }
 
-    const WORK_START = 6;
-    const WORK_END = 19; // exclusive
+    const WORK_START = payload.startHour ?? 6;
+    const WORK_END = payload.endHour ?? 19; // exclusive
     const HOURS = [];
     for (let h = WORK_START; h < WORK_END; h++) HOURS.push(h);
     const SPEED_CAP = 30; // kn — bar height cap
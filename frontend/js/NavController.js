@@ -3,8 +3,8 @@
  *
  * Wires:
  *   - #menuButton toggles #navDropdown
- *   - dropdown items dispatch nav: 'forecast' | 'history' | 'settings'
- *   - hash routes ('', '#/forecast', '#/history') show/hide elements with [data-route]
+ *   - dropdown items dispatch nav: 'forecast' | 'history' | 'verification' | 'settings'
+ *   - hash routes ('', '#/forecast', '#/history', '#/verification') show/hide elements with [data-route]
  */
 class NavController {
     constructor(menuController) {
@@ -75,6 +75,10 @@ class NavController {
             location.hash = '#/history';
             return;
         }
+        if (target === 'verification') {
+            location.hash = '#/verification';
+            return;
+        }
         if (target === 'home') {
             location.hash = '';
         }
@@ -119,6 +123,7 @@ class NavController {
         const hash = location.hash || '';
         if (hash === '#/forecast') return 'forecast';
         if (hash === '#/history') return 'history';
+        if (hash === '#/verification') return 'verification';
         return 'home';
     }
 
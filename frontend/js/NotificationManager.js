@@ -82,6 +82,27 @@ class NotificationManager {
         }
     }
 
+    /**
+     * Re-send the existing subscription to the backend
+     * (after a spot change, so notifications follow the selected spot)
+     */
+    async resyncSubscription() {
+        if (!this.isSupported) return false;
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return false;
+
+        const response = await fetch(`${this.apiBaseUrl}/notifications/subscribe`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(subscription)
+        });
+        return response.ok;
+    }
+
     /**
      * Unsubscribe from push notifications
      */
@@ -135,6 +156,84 @@ class NotificationManager {
         }
     }
 
+    /**
+     * Call a per-subscriber notifications API (rules, safety alerts) on behalf
+     * of the current subscription. These belong to the subscription, not to a
+     * spot, so the unscoped API is used.
+     * @param {string} path - path under /notifications, e.g. '/rules/5'
+     * @param {Object|null} body - extra body fields for POST/PUT
+     */
+    async subscriberRequest(method, path, body = null) {
+        if (!this.subscription) {
+            await this.isSubscribed();
+        }
+        if (!this.subscription) {
+            throw new Error('Not subscribed');
+        }
+
+        const endpoint = this.subscription.endpoint;
+        const hasBody = method !== 'GET' && method !== 'DELETE';
+        const url = `${config.api.backend}/notifications${path}` +
+            (hasBody ? '' : `?endpoint=${encodeURIComponent(endpoint)}`);
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: hasBody ? JSON.stringify({ endpoint, ...body }) : undefined
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Backend returned ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Get alert rules of this subscription ({ rules, defaults, sectors, sports })
+     */
+    async getRules() {
+        return this.subscriberRequest('GET', '/rules');
+    }
+
+    async createRule(rule) {
+        const data = await this.subscriberRequest('POST', '/rules', { rule });
+        return data.rule;
+    }
+
+    async updateRule(id, changes) {
+        const data = await this.subscriberRequest('PUT', `/rules/${id}`, { rule: changes });
+        return data.rule;
+    }
+
+    async deleteRule(id) {
+        const data = await this.subscriberRequest('DELETE', `/rules/${id}`);
+        return data.removed;
+    }
+
+    /**
+     * Safety warnings opt-in ({ settings|null, defaults, kinds, cooldownMinutes })
+     */
+    async getSafetyAlerts() {
+        return this.subscriberRequest('GET', '/safety-alerts');
+    }
+
+    /**
+     * Opt in or change safety warnings
+     * @param {Object} settings - { kinds: ['offshore', 'dropping', 'gust'], gustThreshold }
+     */
+    async saveSafetyAlerts(settings) {
+        const data = await this.subscriberRequest('PUT', '/safety-alerts', settings);
+        return data.settings;
+    }
+
+    async disableSafetyAlerts() {
+        const data = await this.subscriberRequest('DELETE', '/safety-alerts');
+        return data.removed;
+    }
+
     /**
      * Convert base64 string to Uint8Array
      * Required for VAPID key
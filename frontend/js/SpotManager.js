@@ -0,0 +1,91 @@
+import config from './config.js';
+
+/**
+ * SpotManager - list of kite spots from the backend and the rider's current choice.
+ *
+ * The selected spot id lives in settings (`spotId`); null means the backend
+ * default spot, which keeps using the unscoped /api/... routes. Any other
+ * spot is served from /api/spots/:spotId/...
+ */
+class SpotManager {
+    constructor(settingsManager) {
+        this.settings = settingsManager;
+        this.apiBaseUrl = config.api.backend || '/api';
+        this.spots = [];
+    }
+
+    /**
+     * Load spot list from backend (falls back to the built-in default spot offline)
+     */
+    async load() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/spots`);
+            if (!response.ok) {
+                throw new Error(`Backend returned ${response.status}`);
+            }
+            this.spots = await response.json();
+        } catch (error) {
+            console.warn('⚠ Не удалось загрузить список спотов:', error.message);
+            this.spots = [];
+        }
+
+        if (this.spots.length === 0) {
+            this.spots = [{
+                id: null,
+                name: 'Pak Nam Pran',
+                lat: config.locations.spot[0],
+                lon: config.locations.spot[1],
+                timezone: config.forecast.timezone,
+                shoreBearing: config.bearings.sea,
+                isDefault: true,
+                stations: []
+            }];
+        }
+        return this.spots;
+    }
+
+    getSpots() {
+        return this.spots;
+    }
+
+    getDefaultSpot() {
+        return this.spots.find(s => s.isDefault) || this.spots[0] || null;
+    }
+
+    /**
+     * Currently selected spot (unknown/removed ids fall back to the default)
+     */
+    getCurrentSpot() {
+        const spotId = this.settings.getSetting('spotId');
+        return this.spots.find(s => s.id === spotId) || this.getDefaultSpot();
+    }
+
+    /**
+     * API base for the selected spot
+     */
+    getApiBase() {
+        const spot = this.getCurrentSpot();
+        if (!spot || !spot.id || spot.isDefault) {
+            return this.apiBaseUrl;
+        }
+        return `${this.apiBaseUrl}/spots/${encodeURIComponent(spot.id)}`;
+    }
+
+    /**
+     * Select a spot; returns true if the selection changed
+     */
+    selectSpot(spotId) {
+        const spot = this.spots.find(s => s.id === spotId);
+        if (!spot) {
+            console.warn('Unknown spot:', spotId);
+            return false;
+        }
+        const value = spot.isDefault ? null : spot.id;
+        if (this.settings.getSetting('spotId') === value) {
+            return false;
+        }
+        return this.settings.setSetting('spotId', value);
+    }
+}
+
+export default SpotManager;
@@ -12,6 +12,7 @@ class TodayWindTimeline {
         this.settings = settings;
         this.container = null;
         this.apiUrl = '/api';
+        this.lastRender = null; // аргументы последней отрисовки — для обновления наукаста по SSE
     }
 
     init() {
@@ -104,6 +105,75 @@ class TodayWindTimeline {
         }
     }
 
+    /**
+     * Fetch the model ensemble (P10–P90 band); optional, null on failure
+     */
+    async fetchEnsemble() {
+        try {
+            const sport = this.settings?.getSetting('boardType') || 'twintip';
+            const weight = this.settings?.getSetting('riderWeight') || 75;
+            const response = await fetch(`${this.apiUrl}/wind/forecast/ensemble`
+                + `?sport=${encodeURIComponent(sport)}&weight=${encodeURIComponent(weight)}`);
+            if (!response.ok) {
+                throw new Error(`API returned ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Ensemble unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch today's / tomorrow's sea-breeze prediction; optional, null on failure
+     */
+    async fetchSeaBreeze() {
+        try {
+            const response = await fetch(`${this.apiUrl}/wind/seabreeze`);
+            if (!response.ok) {
+                throw new Error(`API returned ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Sea breeze prediction unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the 0–3 h nowcast (15-minute steps); optional, null on failure
+     */
+    async fetchNowcast() {
+        try {
+            const response = await fetch(`${this.apiUrl}/wind/nowcast`);
+            if (!response.ok) {
+                throw new Error(`API returned ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Nowcast unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Redraw with a nowcast pushed through the SSE stream
+     */
+    updateNowcast(nowcast) {
+        if (!this.lastRender) return;
+        this.lastRender.nowcast = nowcast;
+        const { timeline, forecastStartIndex, currentTime, correctionFactor, hours, spread, seaBreeze } = this.lastRender;
+        this.renderTimeline(timeline, forecastStartIndex, currentTime, correctionFactor, hours, spread, seaBreeze, nowcast);
+    }
+
+    /**
+     * 13.25 → "13:15"
+     */
+    formatHour(value) {
+        const minutes = Math.round(value * 60);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Display the combined timeline
      */
@@ -120,7 +190,12 @@ class TodayWindTimeline {
             this.showLoading();
 
             console.log('📡 Fetching timeline data...');
-            const data = await this.fetchTimelineData();
+            const [data, ensemble, seaBreeze, nowcast] = await Promise.all([
+                this.fetchTimelineData(),
+                this.fetchEnsemble(),
+                this.fetchSeaBreeze(),
+                this.fetchNowcast()
+            ]);
             console.log('✅ Timeline data received:', data);
 
             if (!data.history || data.history.length === 0) {
@@ -210,7 +285,20 @@ class TodayWindTimeline {
             console.log(`⏰ Time range: ${timeline[0]?.hour}:${timeline[0]?.minute} → ${timeline[timeline.length-1]?.hour}:${timeline[timeline.length-1]?.minute}`);
             console.log(`🔢 Correction factor: ${data.correctionFactor}`);
 
-            this.renderTimeline(timeline, forecastStartIndex, currentTime, data.correctionFactor);
+            // Ensemble band: today's hours from the forecast start on
+            const forecastStartMinutes = forecastStartIndex < timeline.length
+                ? timeline[forecastStartIndex].hour * 60 + timeline[forecastStartIndex].minute
+                : null;
+            const spread = forecastStartMinutes === null ? [] : (ensemble?.hours || [])
+                .map(h => ({ ...h, date: new Date(h.date) }))
+                .filter(h => h.date.toDateString() === new Date().toDateString())
+                .map(h => ({ hour: h.date.getHours(), minute: h.date.getMinutes(), p10: h.p10, p90: h.p90 }))
+                .filter(h => h.hour * 60 + h.minute >= forecastStartMinutes - 60);
+
+            const correctionFactor = data.correctionFactor;
+            const hours = data.hours;
+            this.lastRender = { timeline, forecastStartIndex, currentTime, correctionFactor, hours, spread, seaBreeze, nowcast };
+            this.renderTimeline(timeline, forecastStartIndex, currentTime, correctionFactor, hours, spread, seaBreeze, nowcast);
         } catch (error) {
             this.showError(error);
         }
@@ -258,12 +346,22 @@ class TodayWindTimeline {
 
     /**
      * Render the timeline SVG
+     * @param {Object} hours - часы сбора спота { start, end } из /wind/today/full
+     * @param {Array} spread - ансамбль на будущие часы [{ hour, minute, p10, p90 }]
+     * @param {Object|null} seaBreeze - прогноз бриза из /wind/seabreeze (days[0] — сегодня, days[1] — завтра)
+     * @param {Object|null} nowcast - наукаст из /wind/nowcast: points [{ time, speed, p10, p90 }] на 3 часа
      */
-    renderTimeline(timeline, forecastStartIndex, currentTime, correctionFactor) {
+    renderTimeline(timeline, forecastStartIndex, currentTime, correctionFactor, hours = { start: 6, end: 19 }, spread = [], seaBreeze = null, nowcast = null) {
         if (timeline.length === 0) return;
 
+        // Nowcast steps of today
+        const nowcastSteps = (nowcast?.points || [])
+            .map(p => ({ ...p, date: new Date(p.time) }))
+            .filter(p => p.date.toDateString() === new Date().toDateString())
+            .map(p => ({ hour: p.date.getHours(), minute: p.date.getMinutes(), speed: p.speed, p10: p.p10, p90: p.p90 }));
+
         const speeds = timeline.map(t => t.speed);
-        const maxSpeed = Math.max(...speeds) * 1.1;
+        const maxSpeed = Math.max(...speeds, ...spread.map(s => s.p90), ...nowcastSteps.map(s => s.p90)) * 1.1;
 
         // Find peak values in history data
         const peaks = this.findPeaks(timeline, forecastStartIndex);
@@ -273,9 +371,9 @@ class TodayWindTimeline {
         const padding = { top: 35, right: 30, bottom: 40, left: 50 };
         const chartWidth = width - padding.left - padding.right;
 
-        // Time scale: 6:00 (360 min) to 19:00 (1140 min) = 780 minutes total
-        const startTimeMinutes = 6 * 60; // 6:00
-        const endTimeMinutes = 19 * 60;  // 19:00
+        // Time scale: часы сбора спота (6:00–19:00 по умолчанию, до 0:00–24:00)
+        const startTimeMinutes = hours.start * 60;
+        const endTimeMinutes = hours.end * 60;
         const totalMinutes = endTimeMinutes - startTimeMinutes;
 
         // Calculate time position for each point (0 to 1)
@@ -289,15 +387,96 @@ class TodayWindTimeline {
         const windGradient = this.createGradient(speeds, 'todayWindGradient', timePositions, chartWidth);
         const windAreaPath = windPath + ` L ${chartWidth} ${height} L 0 ${height} Z`;
 
+        // P10–P90 band of the model ensemble, clipped to the time scale
+        const bandPoints = spread
+            .map(s => ({ ...s, position: (s.hour * 60 + s.minute - startTimeMinutes) / totalMinutes }))
+            .filter(s => s.position >= 0 && s.position <= 1);
+        let spreadPath = '';
+        if (bandPoints.length >= 2) {
+            const toY = v => height - (v / maxSpeed) * height;
+            const top = bandPoints.map((s, i) => `${i === 0 ? 'M' : 'L'} ${s.position * chartWidth} ${toY(s.p90)}`).join(' ');
+            const bottom = bandPoints.slice().reverse().map(s => `L ${s.position * chartWidth} ${toY(s.p10)}`).join(' ');
+            spreadPath = `${top} ${bottom} Z`;
+        }
+
+        // Nowcast line with its 80% interval, clipped to the time scale
+        const nowcastPoints = nowcastSteps
+            .map(s => ({ ...s, position: (s.hour * 60 + s.minute - startTimeMinutes) / totalMinutes }))
+            .filter(s => s.position >= 0 && s.position <= 1);
+        let nowcastPath = '';
+        let nowcastBandPath = '';
+        if (nowcastPoints.length >= 2) {
+            const toY = v => height - (v / maxSpeed) * height;
+            nowcastPath = nowcastPoints.map((s, i) => `${i === 0 ? 'M' : 'L'} ${s.position * chartWidth} ${toY(s.speed)}`).join(' ');
+            const top = nowcastPoints.map((s, i) => `${i === 0 ? 'M' : 'L'} ${s.position * chartWidth} ${toY(s.p90)}`).join(' ');
+            const bottom = nowcastPoints.slice().reverse().map(s => `L ${s.position * chartWidth} ${toY(s.p10)}`).join(' ');
+            nowcastBandPath = `${top} ${bottom} Z`;
+        }
+
+        // Sea breeze: observed onset, or the predicted onset with its likely window
+        const [breezeToday, breezeTomorrow] = seaBreeze?.days || [];
+        const toX = hour => ((hour * 60 - startTimeMinutes) / totalMinutes) * chartWidth;
+        let breezeMarker = null;
+        if (breezeToday?.observed) {
+            breezeMarker = {
+                x: toX(breezeToday.observed.onsetHour),
+                label: this.i18n
+                    ? this.i18n.t('forecast.seaBreezeObserved', { time: this.formatHour(breezeToday.observed.onsetHour) })
+                    : `Бриз пришёл в ${this.formatHour(breezeToday.observed.onsetHour)}`,
+                observed: true
+            };
+        } else if (breezeToday?.status === 'forecast' && breezeToday.onset && breezeToday.probability !== null) {
+            const params = {
+                time: this.formatHour(breezeToday.onset.hour),
+                probability: Math.round(breezeToday.probability * 100)
+            };
+            breezeMarker = {
+                x: toX(breezeToday.onset.hour),
+                from: toX(breezeToday.onset.earliest),
+                to: toX(breezeToday.onset.latest),
+                label: this.i18n ? this.i18n.t('forecast.seaBreeze', params) : `Бриз ${params.time} · ${params.probability}%`,
+                observed: false
+            };
+        }
+        if (breezeMarker && (breezeMarker.x < 0 || breezeMarker.x > chartWidth)) {
+            breezeMarker = null;
+        }
+
+        // Caption for tomorrow's breeze
+        let breezeCaption = '';
+        if (breezeTomorrow?.probability != null) {
+            const probability = Math.round(breezeTomorrow.probability * 100);
+            if (breezeTomorrow.onset && probability >= 50) {
+                const unit = this.settings ? this.settings.getSetting('windSpeedUnit') : 'knots';
+                const unitShort = unit === 'knots'
+                    ? (this.i18n ? this.i18n.t('units.knotsShort') : 'kn')
+                    : (this.i18n ? this.i18n.t('units.msShort') : 'm/s');
+                const peak = unit === 'ms' ? UnitConverter.knotsToMs(breezeTomorrow.peakSpeed) : breezeTomorrow.peakSpeed;
+                const params = {
+                    time: this.formatHour(breezeTomorrow.onset.hour),
+                    probability,
+                    speed: `${peak.toFixed(0)} ${unitShort}`
+                };
+                breezeCaption = this.i18n
+                    ? this.i18n.t('forecast.seaBreezeTomorrow', params)
+                    : `Завтра: бриз около ${params.time} (${probability}%), до ${params.speed}`;
+            } else {
+                breezeCaption = this.i18n
+                    ? this.i18n.t('forecast.seaBreezeTomorrowUnlikely', { probability })
+                    : `Завтра: бриз маловероятен (${probability}%)`;
+            }
+        }
+
         // Calculate position of the divider (between history and forecast)
         let dividerX = null;
         if (forecastStartIndex > 0 && forecastStartIndex < timeline.length) {
             dividerX = timePositions[forecastStartIndex] * chartWidth;
         }
 
-        // Generate time labels (every 2 hours from 6:00 to 18:00)
+        // Generate time labels (every 2 hours, every 3 for more than 16 hours; none on the right edge)
+        const labelStep = hours.end - hours.start > 16 ? 3 : 2;
         const timeLabels = [];
-        for (let hour = 6; hour <= 18; hour += 2) {
+        for (let hour = Math.ceil(hours.start / labelStep) * labelStep; hour < hours.end; hour += labelStep) {
             const timeMinutes = hour * 60;
             const x = ((timeMinutes - startTimeMinutes) / totalMinutes) * chartWidth;
             timeLabels.push({ hour, x });
@@ -328,6 +507,37 @@ class TodayWindTimeline {
                             <!-- Filled area under wind curve -->
                             <path d="${windAreaPath}" fill="url(#todayWindGradient)" opacity="0.6"/>
 
+                            <!-- Ensemble spread (P10–P90) -->
+                            ${spreadPath ? `
+                                <path d="${spreadPath}" fill="rgba(255,215,0,0.15)" stroke="rgba(255,215,0,0.4)"
+                                      stroke-width="1" stroke-dasharray="4,3">
+                                    <title>${this.i18n ? this.i18n.t('forecast.spread') : 'Model spread (10–90%)'}</title>
+                                </path>
+                            ` : ''}
+
+                            <!-- Nowcast (0–3 h) with its 80% interval -->
+                            ${nowcastPath ? `
+                                <path d="${nowcastBandPath}" fill="rgba(79,195,247,0.18)" stroke="none"/>
+                                <path d="${nowcastPath}" fill="none" stroke="#4FC3F7" stroke-width="2.5">
+                                    <title>${this.i18n ? this.i18n.t('forecast.nowcast') : 'Nowcast, 0–3 h (80% interval)'}</title>
+                                </path>
+                            ` : ''}
+
+                            <!-- Sea-breeze onset -->
+                            ${breezeMarker ? `
+                                ${breezeMarker.observed ? '' : `
+                                    <rect x="${Math.max(0, breezeMarker.from)}" y="0"
+                                          width="${Math.max(0, Math.min(chartWidth, breezeMarker.to) - Math.max(0, breezeMarker.from))}"
+                                          height="${height}" fill="rgba(78,205,196,0.12)"/>
+                                `}
+                                <line x1="${breezeMarker.x}" y1="0" x2="${breezeMarker.x}" y2="${height}"
+                                      stroke="#4ECDC4" stroke-width="2" ${breezeMarker.observed ? '' : 'stroke-dasharray="3,3"'} opacity="0.8"/>
+                                <text x="${breezeMarker.x}" y="${height - 6}" text-anchor="${breezeMarker.x > chartWidth * 0.8 ? 'end' : 'middle'}"
+                                      fill="#4ECDC4" font-size="12" font-weight="600">
+                                    🌊 ${breezeMarker.label}
+                                </text>
+                            ` : ''}
+
                             <!-- Smooth wind curve line -->
                             <path d="${windPath}" fill="none" stroke="url(#todayWindGradient)"
                                   stroke-width="3" filter="url(#glowToday)"/>
@@ -434,6 +644,9 @@ class TodayWindTimeline {
                         </g>
                     </svg>
                 </div>
+                ${breezeCaption ? `
+                    <div class="text-sm" style="color: #4ECDC4; text-align: center; margin-top: 4px;">🌊 ${breezeCaption}</div>
+                ` : ''}
             </div>
         `;
 
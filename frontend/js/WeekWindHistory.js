@@ -1,12 +1,14 @@
 /**
  * WeekWindHistory - displays wind history for the last 7 days
- * Shows actual wind data for each day from 6:00 to 19:00
+ * Shows actual wind data for each day within the spot's collection hours
+ * (6:00 to 19:00 by default, up to the full day)
  */
 class WeekWindHistory {
     constructor(i18n = null) {
         this.i18n = i18n;
         this.container = null;
         this.apiUrl = '/api';
+        this.hours = { start: 6, end: 19 }; // collectHours спота, задаёт App.applySpot()
     }
 
     init() {
@@ -185,8 +187,10 @@ class WeekWindHistory {
                     return dt.getHours() + dt.getMinutes() / 60;
                 });
 
-                // Calculate time positions (6:00 = 0, 19:00 = 1)
-                const timePositions = times.map(t => (t - 6) / 13);
+                // Calculate time positions (start of collection hours = 0, end = 1)
+                const { start: startHour, end: endHour } = this.hours;
+                const span = endHour - startHour;
+                const timePositions = times.map(t => (t - startHour) / span);
 
                 // SVG dimensions (height increased for better visibility on mobile)
                 const width = 1000;
@@ -237,10 +241,11 @@ class WeekWindHistory {
                     }
                 }
 
-                // Generate time labels (every 3 hours for better readability on mobile)
+                // Generate time labels (every 3 hours for better readability on mobile, every 4 for a full day)
+                const labelStep = span > 16 ? 4 : 3;
                 const timeLabels = [];
-                for (let hour = 6; hour <= 18; hour += 3) {
-                    const pos = (hour - 6) / 13;
+                for (let hour = startHour; hour < endHour; hour += labelStep) {
+                    const pos = (hour - startHour) / span;
                     timeLabels.push({ hour, x: pos * chartWidth });
                 }
 
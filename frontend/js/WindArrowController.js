@@ -103,6 +103,12 @@ class WindArrowController {
             return;
         }
 
+        // Станция не прислала направление — стрелку некуда повернуть, убираем
+        if (this.windDirection === null || this.windDirection === undefined) {
+            this.clear();
+            return;
+        }
+
         console.log('📊 Получаем информацию о безопасности...');
         const safety = this.windDataManager.getWindSafety(this.windDirection, this.windSpeed);
         console.log('✅ Безопасность:', safety);
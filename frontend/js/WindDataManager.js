@@ -54,10 +54,37 @@ class WindDataManager {
         }
     }
 
+    /**
+     * Ансамбль всех моделей: P10–P90 и вероятность ветра в диапазоне райдера.
+     * Необязательное дополнение к прогнозу — при ошибке возвращает null.
+     */
+    async fetchEnsembleForecast(sport = 'twintip', weight = 75) {
+        try {
+            const response = await fetch(`${this.backendApiUrl}/wind/forecast/ensemble`
+                + `?sport=${encodeURIComponent(sport)}&weight=${encodeURIComponent(weight)}`);
+
+            if (!response.ok) {
+                throw new Error(`Backend returned ${response.status}`);
+            }
+
+            const ensemble = await response.json();
+            return {
+                ...ensemble,
+                hours: ensemble.hours.map(hour => ({
+                    ...hour,
+                    date: new Date(hour.date)
+                }))
+            };
+        } catch (error) {
+            console.warn('Ансамбль прогноза недоступен:', error.message);
+            return null;
+        }
+    }
+
 
-    getWindSafety(direction, speed) {
+    getWindSafety(direction, speed, gust = null) {
         // Delegate to the centralized WindUtils
-        return WindUtils.getWindSafety(direction, speed);
+        return WindUtils.getWindSafety(direction, speed, gust);
     }
 
     startAutoUpdate(callback, intervalMs = config.intervals.autoUpdate) {
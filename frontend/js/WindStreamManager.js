@@ -6,6 +6,7 @@ class WindStreamManager {
         this.apiBaseUrl = apiBaseUrl;
         this.eventSource = null;
         this.onUpdateCallback = null;
+        this.onNowcastCallback = null;
         this.reconnectTimeout = null;
         this.isConnected = false;
     }
@@ -19,6 +20,14 @@ class WindStreamManager {
         this.createConnection();
     }
 
+    /**
+     * Listen for nowcast updates (pushed after every collection)
+     * @param {Function} callback - Called with the /wind/nowcast payload
+     */
+    onNowcast(callback) {
+        this.onNowcastCallback = callback;
+    }
+
     createConnection() {
         if (this.eventSource) {
             this.eventSource.close();
@@ -46,6 +55,9 @@ class WindStreamManager {
                 if (update.type === 'wind_update' && this.onUpdateCallback) {
                     console.log('📨 Received wind update via SSE');
                     this.onUpdateCallback(update.data, update.trend);
+                } else if (update.type === 'nowcast' && this.onNowcastCallback) {
+                    console.log('📨 Received nowcast via SSE');
+                    this.onNowcastCallback(update.data);
                 }
             } catch (error) {
                 console.error('Error parsing SSE message:', error);
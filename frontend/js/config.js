@@ -34,52 +34,7 @@ const config = {
         trendAnalysis: 5 * 60 * 1000 // 5 minutes for trend analysis
     },
 
-    // Wind Safety Parameters
-    windSafety: {
-        // Wind direction ranges (degrees)
-        offshore: { min: 225, max: 315 }, // SW-NW dangerous (blowing from land to sea)
-        onshore: { min: 45, max: 135 },   // NE-SE safe (blowing from sea to land)
-
-        // Wind speed thresholds (knots)
-        speeds: {
-            veryLow: 5,     // Below this is too weak
-            low: 8,         // Light wind
-            moderate: 12,   // Good for beginners
-            good: 15,       // Good conditions
-            strong: 20,     // For experienced
-            veryStrong: 25, // Strong wind
-            extreme: 30     // Dangerous
-        },
-
-        // Safety levels configuration with i18n keys
-        levels: {
-            low: {
-                level: 'low',
-                i18nKey: 'wind.safety.weak',
-                color: '#87CEEB'
-            },
-            danger: {
-                level: 'danger',
-                i18nKey: 'wind.safety.dangerous',
-                color: '#FF4500'
-            },
-            high: {
-                level: 'high',
-                i18nKey: 'wind.safety.excellent',
-                color: '#00FF00'
-            },
-            good: {
-                level: 'good',
-                i18nKey: 'wind.safety.good',
-                color: '#FFD700'
-            },
-            medium: {
-                level: 'medium',
-                i18nKey: 'wind.safety.moderate',
-                color: '#FFA500'
-            }
-        }
-    },
+    // Wind Safety: правила в backend/src/SafetyEngine.js (загружаются с /api/safety/engine.js)
 
     // Wind Statistics Configuration
     statistics: {
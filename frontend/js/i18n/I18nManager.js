@@ -255,13 +255,15 @@ class I18nManager {
 
   /**
    * Перевести все элементы с атрибутом data-i18n
+   * (параметры подстановки — JSON в data-i18n-params)
    */
   translatePage() {
     const elements = document.querySelectorAll('[data-i18n]');
 
     elements.forEach(element => {
       const key = element.getAttribute('data-i18n');
-      const translation = this.t(key);
+      const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+      const translation = this.t(key, params);
 
       // Определить, куда вставлять текст
       if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
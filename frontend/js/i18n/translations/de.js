@@ -18,6 +18,7 @@ export default {
     home: 'Wind jetzt',
     forecast: 'Vorhersage',
     history: 'Verlauf',
+    verification: 'Prognoseprüfung',
     settings: 'Einstellungen',
   },
 
@@ -35,6 +36,8 @@ export default {
     weightHint: 'Wird zur Berechnung der optimalen Kitegröße verwendet',
     close: 'Schließen',
     feedback: 'Feedback',
+    spot: 'Spot',
+    spotHint: 'Wind, Vorhersage, Verlauf und Benachrichtigungen für den gewählten Spot',
   },
 
   // Einheiten
@@ -86,6 +89,23 @@ export default {
       good: 'Gute Bedingungen',
       excellent: 'Perfekte Bedingungen!',
       dangerous: 'Gefährlich!',
+      unknown: 'Keine Bewertung',
+    },
+    sectors: {
+      onshore: 'Auflandig',
+      sideOnshore: 'Schräg auflandig',
+      sideOffshore: 'Schräg ablandig',
+      offshore: 'Ablandig',
+      unknown: 'Richtung unbekannt',
+    },
+    safetyReasons: {
+      tooWeak: 'Wind zu schwach',
+      tooStrong: 'Wind zu stark',
+      strong: 'Starker Wind',
+      offshore: 'Ablandiger Wind',
+      sideOffshore: 'Schräg ablandiger Wind',
+      gusty: 'Böiger Wind',
+      directionUnknown: 'Keine Richtungsmessung',
     },
   },
 
@@ -118,7 +138,37 @@ export default {
     notSubscribed: 'Nicht abonniert',
     enable: 'Benachrichtigungen aktivieren',
     disable: 'Benachrichtigungen deaktivieren',
-    description: 'Erhalten Sie eine Benachrichtigung, wenn der Wind konstant über 10 Knoten bleibt (maximal einmal pro Tag)',
+    description: 'Ohne eigene Regeln: Wind 15 Minuten konstant über 8 Knoten (max. einmal pro Tag)',
+    rules: {
+      title: 'Meine Regeln',
+      hint: 'Du wirst benachrichtigt, sobald eine Regel zutrifft. Ohne Regeln gilt die Standardbenachrichtigung.',
+      empty: 'Noch keine Regeln — Standardbenachrichtigung aktiv',
+      add: 'Regel hinzufügen',
+      delete: 'Löschen',
+      minWind: 'Min. Wind (kn)',
+      maxWind: 'Max. Wind (kn)',
+      sectors: 'Windrichtung',
+      useRiderRange: 'Nur Wind passend zu meinen Kites (Board und Gewicht)',
+      riderRange: 'passend zu Kites',
+      quietFrom: 'Ruhe ab (h)',
+      quietTo: 'bis (h)',
+      cooldown: 'Höchstens alle (h) wiederholen',
+      every: 'alle {hours} h',
+      quiet: 'Ruhe {from}–{to}',
+      enabled: 'Aktiv',
+      saveError: 'Regel konnte nicht gespeichert werden',
+      loadError: 'Regeln konnten nicht geladen werden',
+      noSectors: 'Mindestens eine Richtung wählen',
+    },
+    safety: {
+      title: 'Warnungen auf dem Wasser',
+      hint: 'Getrennt von normalen Benachrichtigungen: wir warnen, wenn es gefährlich wird',
+      offshore: 'Wind dreht ablandig',
+      dropping: 'Wind lässt stark nach',
+      gust: 'Böen über dem Grenzwert',
+      gustThreshold: 'Böen-Grenzwert (kn)',
+      saveError: 'Warnungseinstellungen konnten nicht gespeichert werden',
+    },
   },
 
   // Vorhersage
@@ -136,6 +186,13 @@ export default {
     noData: 'Keine Vorhersagedaten',
     usingModel: 'Modell',
     longTitle: '10-Tage-Windvorhersage',
+    spread: 'Modellstreuung (10–90%)',
+    rideableChance: 'Fahrbar-Chance',
+    seaBreeze: 'Seewind {time} · {probability}%',
+    seaBreezeObserved: 'Seewind seit {time}',
+    seaBreezeTomorrow: 'Morgen: Seewind gegen {time} ({probability}%), bis {speed}',
+    seaBreezeTomorrowUnlikely: 'Morgen: Seewind unwahrscheinlich ({probability}%)',
+    nowcast: 'Nowcast, 0–3 h (80%-Intervall)',
   },
 
   // Verlauf
@@ -172,6 +229,31 @@ export default {
       dir: 'Richt.',
       hint: 'RMSE/MAE — mittlerer Geschwindigkeitsfehler; Bias > 0 — Modell überschätzt; Richt. — mittlerer Richtungsfehler.',
     },
+    verification: {
+      title: '🎯 Prognoseprüfung',
+      subtitle: 'Fehler nach Vorlaufzeit und Stunde, fahrbar ja/nein, Ensemble-Zuverlässigkeit und Richtung',
+      link: 'Ausführliche Prognoseprüfung →',
+      noData: 'Keine geprüften Prognosen in diesem Zeitraum',
+      noLive: 'Keine Live-Snapshots in diesem Zeitraum',
+      overall: 'Gesamt',
+      leadTime: 'Fehler nach Vorlaufzeit',
+      leadHint: 'Live-Snapshots, Stunden im Voraus',
+      byHour: 'Fehler nach Tageszeit',
+      contingency: 'Fahrbar ja / nein',
+      contingencyHint: 'Prognose vs. tatsächliche Stunde in deinem Bereich',
+      hitRate: 'Trefferquote',
+      falseAlarmRatio: 'Fehlalarme',
+      frequencyBias: 'Häufigkeitsbias',
+      reliability: 'Ensemble-Zuverlässigkeit',
+      reliabilityHint: 'Fahrbar-Wahrscheinlichkeit des Ensembles vs. wie oft es fahrbar war',
+      directionRose: 'Richtungsfehler',
+      directionHint: 'Mittlerer Fehler nach tatsächlicher Windrichtung; orange — Prognose im Uhrzeigersinn gedreht',
+      source: {
+        all: 'Alle Daten',
+        live: 'live',
+        backtest: 'Backtest',
+      },
+    },
   },
 
   // Kite-Empfehlungen
@@ -214,8 +296,9 @@ export default {
     secondsAgo: 's her',
     minutesAgo: 'm her',
     at: 'um',
+    backupStation: 'Ersatz',
     stationOffline: 'Station Offline',
-    offlineNoticeText: 'Winddaten werden nur von <strong>6:00 bis 19:00</strong> (thailändische Zeit) gesammelt.<br>Bitte kommen Sie während der Arbeitszeiten zurück.',
+    offlineNoticeText: 'Winddaten werden nur von <strong>{start} bis {end}</strong> (thailändische Zeit) gesammelt.<br>Bitte kommen Sie während der Arbeitszeiten zurück.',
     offshore: 'Ablandig',
     onshore: 'Auflandig',
     sideshore: 'Seitlich',
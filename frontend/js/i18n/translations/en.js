@@ -18,6 +18,7 @@ export default {
     home: 'Wind now',
     forecast: 'Forecast',
     history: 'History',
+    verification: 'Forecast check',
     settings: 'Settings',
   },
 
@@ -35,6 +36,8 @@ export default {
     weightHint: 'Used to calculate optimal kite size',
     close: 'Close',
     feedback: 'Feedback',
+    spot: 'Spot',
+    spotHint: 'Wind, forecast, history and notifications for the selected spot',
   },
 
   // Units
@@ -86,6 +89,23 @@ export default {
       good: 'Good conditions',
       excellent: 'Perfect conditions!',
       dangerous: 'Dangerous!',
+      unknown: 'No assessment',
+    },
+    sectors: {
+      onshore: 'Onshore',
+      sideOnshore: 'Side-onshore',
+      sideOffshore: 'Side-offshore',
+      offshore: 'Offshore',
+      unknown: 'Direction unknown',
+    },
+    safetyReasons: {
+      tooWeak: 'Wind too weak',
+      tooStrong: 'Wind too strong',
+      strong: 'Strong wind',
+      offshore: 'Offshore wind',
+      sideOffshore: 'Side-offshore wind',
+      gusty: 'Gusty wind',
+      directionUnknown: 'No direction reading',
     },
   },
 
@@ -118,7 +138,37 @@ export default {
     notSubscribed: 'Not subscribed',
     enable: 'Enable notifications',
     disable: 'Disable notifications',
-    description: 'Get notified when wind is steady above 10 knots for 20 minutes (max once per day)',
+    description: 'Without your own rules: wind steady above 8 knots for 15 minutes (max once per day)',
+    rules: {
+      title: 'My alert rules',
+      hint: 'You get an alert when any rule matches. Without rules the default alert is used.',
+      empty: 'No rules yet — the default alert is used',
+      add: 'Add rule',
+      delete: 'Delete',
+      minWind: 'Min wind (kn)',
+      maxWind: 'Max wind (kn)',
+      sectors: 'Wind direction',
+      useRiderRange: 'Only wind that suits my kites (board type and weight)',
+      riderRange: 'fits my kites',
+      quietFrom: 'Quiet from (h)',
+      quietTo: 'to (h)',
+      cooldown: 'Repeat at most every (h)',
+      every: 'every {hours} h',
+      quiet: 'quiet {from}–{to}',
+      enabled: 'Enabled',
+      saveError: 'Could not save the rule',
+      loadError: 'Could not load rules',
+      noSectors: 'Select at least one direction',
+    },
+    safety: {
+      title: 'On-the-water warnings',
+      hint: 'Separate from regular alerts: we warn you when conditions turn dangerous',
+      offshore: 'Wind swings offshore',
+      dropping: 'Wind drops sharply',
+      gust: 'Gusts above threshold',
+      gustThreshold: 'Gust threshold (kn)',
+      saveError: 'Could not save warning settings',
+    },
   },
 
   // Forecast
@@ -136,6 +186,13 @@ export default {
     noData: 'No forecast data',
     usingModel: 'Model',
     longTitle: '10-Day Wind Forecast',
+    spread: 'Model spread (10–90%)',
+    rideableChance: 'Rideable chance',
+    seaBreeze: 'Sea breeze {time} · {probability}%',
+    seaBreezeObserved: 'Sea breeze in at {time}',
+    seaBreezeTomorrow: 'Tomorrow: sea breeze around {time} ({probability}%), up to {speed}',
+    seaBreezeTomorrowUnlikely: 'Tomorrow: sea breeze unlikely ({probability}%)',
+    nowcast: 'Nowcast, 0–3 h (80% interval)',
   },
 
   // History
@@ -172,6 +229,31 @@ export default {
       dir: 'dir',
       hint: 'RMSE/MAE — mean speed error; Bias > 0 — model overestimates; dir — mean direction error.',
     },
+    verification: {
+      title: '🎯 Forecast verification',
+      subtitle: 'Error by lead time and hour, rideable yes/no, ensemble reliability and direction',
+      link: 'Detailed forecast verification →',
+      noData: 'No verified forecasts for this period',
+      noLive: 'No live snapshots in this period',
+      overall: 'Overall',
+      leadTime: 'Error vs lead time',
+      leadHint: 'live snapshots, hours ahead',
+      byHour: 'Error by hour of day',
+      contingency: 'Rideable yes / no',
+      contingencyHint: 'Forecast vs actual hour inside your range',
+      hitRate: 'Hit rate',
+      falseAlarmRatio: 'False alarms',
+      frequencyBias: 'Freq. bias',
+      reliability: 'Ensemble reliability',
+      reliabilityHint: 'Ensemble rideable probability vs how often it was rideable',
+      directionRose: 'Direction error',
+      directionHint: 'Mean error by actual wind direction; orange — forecast turned clockwise',
+      source: {
+        all: 'All data',
+        live: 'live',
+        backtest: 'backtest',
+      },
+    },
   },
 
   // Kite recommendations
@@ -214,8 +296,9 @@ export default {
     secondsAgo: 's ago',
     minutesAgo: 'm ago',
     at: 'at',
+    backupStation: 'backup',
     stationOffline: 'Station Offline',
-    offlineNoticeText: 'Wind data is collected only from <strong>6:00 to 19:00</strong> (Thailand time).<br>Please return during working hours for current data.',
+    offlineNoticeText: 'Wind data is collected only from <strong>{start} to {end}</strong> (Thailand time).<br>Please return during working hours for current data.',
     offshore: 'Offshore',
     onshore: 'Onshore',
     sideshore: 'Sideshore',
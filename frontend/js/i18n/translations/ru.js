@@ -18,6 +18,7 @@ export default {
     home: 'Ветер сейчас',
     forecast: 'Прогноз',
     history: 'История',
+    verification: 'Проверка прогнозов',
     settings: 'Настройки',
   },
 
@@ -36,6 +37,8 @@ export default {
     weightHint: 'Используется для расчета оптимального размера кайта',
     close: 'Закрыть',
     feedback: 'Обратная связь',
+    spot: 'Спот',
+    spotHint: 'Ветер, прогноз, история и уведомления для выбранного спота',
   },
 
   // Единицы измерения
@@ -87,6 +90,23 @@ export default {
       good: 'Хорошие условия',
       excellent: 'Отличные условия!',
       dangerous: 'Опасно!',
+      unknown: 'Нет оценки',
+    },
+    sectors: {
+      onshore: 'Прижим',
+      sideOnshore: 'Боково-прижимной',
+      sideOffshore: 'Боково-отжимной',
+      offshore: 'Отжим',
+      unknown: 'Направление неизвестно',
+    },
+    safetyReasons: {
+      tooWeak: 'Слишком слабый ветер',
+      tooStrong: 'Слишком сильный ветер',
+      strong: 'Сильный ветер',
+      offshore: 'Отжимной ветер',
+      sideOffshore: 'Боково-отжимной ветер',
+      gusty: 'Порывистый ветер',
+      directionUnknown: 'Нет данных о направлении',
     },
   },
 
@@ -119,7 +139,37 @@ export default {
     notSubscribed: 'Не подписаны',
     enable: 'Включить уведомления',
     disable: 'Выключить уведомления',
-    description: 'Получайте уведомление когда ветер устойчиво держится выше 10 узлов в течение 20 минут (не чаще 1 раза в день)',
+    description: 'Без своих правил: ветер устойчиво держится от 8 узлов 15 минут (не чаще 1 раза в день)',
+    rules: {
+      title: 'Мои правила',
+      hint: 'Уведомление придёт, когда сработает любое правило. Без правил действует стандартное уведомление.',
+      empty: 'Правил пока нет — используется стандартное уведомление',
+      add: 'Добавить правило',
+      delete: 'Удалить',
+      minWind: 'Мин. ветер (уз)',
+      maxWind: 'Макс. ветер (уз)',
+      sectors: 'Направление ветра',
+      useRiderRange: 'Только ветер под мои кайты (тип доски и вес)',
+      riderRange: 'под кайты',
+      quietFrom: 'Не беспокоить с (ч)',
+      quietTo: 'до (ч)',
+      cooldown: 'Повторять не чаще чем раз в (ч)',
+      every: 'раз в {hours} ч',
+      quiet: 'тишина {from}–{to}',
+      enabled: 'Включено',
+      saveError: 'Не удалось сохранить правило',
+      loadError: 'Не удалось загрузить правила',
+      noSectors: 'Выберите хотя бы одно направление',
+    },
+    safety: {
+      title: 'Предупреждения на воде',
+      hint: 'Отдельно от обычных уведомлений: сообщим, если на воде стало опасно',
+      offshore: 'Ветер уходит в отжим',
+      dropping: 'Ветер резко стихает',
+      gust: 'Порывы сильнее порога',
+      gustThreshold: 'Порог порывов (уз)',
+      saveError: 'Не удалось сохранить настройки предупреждений',
+    },
   },
 
   // Прогноз
@@ -137,6 +187,13 @@ export default {
     noData: 'Нет данных прогноза',
     usingModel: 'Модель',
     longTitle: 'Прогноз ветра на 10 дней',
+    spread: 'Разброс моделей (10–90%)',
+    rideableChance: 'Шанс покататься',
+    seaBreeze: 'Бриз {time} · {probability}%',
+    seaBreezeObserved: 'Бриз пришёл в {time}',
+    seaBreezeTomorrow: 'Завтра: бриз около {time} ({probability}%), до {speed}',
+    seaBreezeTomorrowUnlikely: 'Завтра: бриз маловероятен ({probability}%)',
+    nowcast: 'Наукаст на 0–3 ч (интервал 80%)',
   },
 
   // История
@@ -173,6 +230,31 @@ export default {
       dir: 'напр.',
       hint: 'RMSE/MAE — средняя ошибка модели по скорости; Bias > 0 — модель завышает; напр. — средняя ошибка направления.',
     },
+    verification: {
+      title: '🎯 Проверка прогнозов',
+      subtitle: 'Ошибка по заблаговременности и часам, катабельность да/нет, надёжность ансамбля и направление',
+      link: 'Подробная проверка прогнозов →',
+      noData: 'За этот период нет проверенных прогнозов',
+      noLive: 'За этот период нет живых снимков прогноза',
+      overall: 'Итого',
+      leadTime: 'Ошибка по заблаговременности',
+      leadHint: 'живые снимки, часов вперёд',
+      byHour: 'Ошибка по часам суток',
+      contingency: 'Катабельно да / нет',
+      contingencyHint: 'Прогноз и факт попадания часа в ваш диапазон',
+      hitRate: 'Попадания',
+      falseAlarmRatio: 'Ложные тревоги',
+      frequencyBias: 'Смещ. частоты',
+      reliability: 'Надёжность ансамбля',
+      reliabilityHint: 'Вероятность катабельности от ансамбля и как часто было катабельно',
+      directionRose: 'Ошибка направления',
+      directionHint: 'Средняя ошибка по фактическому направлению; оранжевый — прогноз повёрнут по часовой',
+      source: {
+        all: 'Все данные',
+        live: 'живые',
+        backtest: 'бэктест',
+      },
+    },
   },
 
   // Рекомендации по кайту
@@ -215,8 +297,9 @@ export default {
     secondsAgo: 'с назад',
     minutesAgo: 'м назад',
     at: 'в',
+    backupStation: 'резерв',
     stationOffline: 'Станция не работает',
-    offlineNoticeText: 'Данные о ветре собираются только с <strong>6:00 до 19:00</strong> (время Таиланда).<br>Пожалуйста, вернитесь в рабочее время для получения актуальных данных.',
+    offlineNoticeText: 'Данные о ветре собираются только с <strong>{start} до {end}</strong> (время Таиланда).<br>Пожалуйста, вернитесь в рабочее время для получения актуальных данных.',
     offshore: 'Отжим',
     onshore: 'Прижим',
     sideshore: 'Боковой',
@@ -18,6 +18,7 @@ export default {
     home: 'ลมตอนนี้',
     forecast: 'พยากรณ์',
     history: 'ประวัติ',
+    verification: 'ตรวจสอบพยากรณ์',
     settings: 'ตั้งค่า',
   },
 
@@ -35,6 +36,8 @@ export default {
     weightHint: 'ใช้สำหรับคำนวณขนาดว่าวที่เหมาะสม',
     close: 'ปิด',
     feedback: 'ข้อเสนอแนะ',
+    spot: 'สปอต',
+    spotHint: 'ลม พยากรณ์ ประวัติ และการแจ้งเตือนสำหรับสปอตที่เลือก',
   },
 
   // หน่วย
@@ -86,6 +89,23 @@ export default {
       good: 'สภาพดี',
       excellent: 'สภาพที่สมบูรณ์แบบ!',
       dangerous: 'อันตราย!',
+      unknown: 'ไม่มีการประเมิน',
+    },
+    sectors: {
+      onshore: 'ลมเข้าฝั่ง',
+      sideOnshore: 'ลมเฉียงเข้าฝั่ง',
+      sideOffshore: 'ลมเฉียงออกฝั่ง',
+      offshore: 'ลมจากฝั่ง',
+      unknown: 'ไม่ทราบทิศทาง',
+    },
+    safetyReasons: {
+      tooWeak: 'ลมอ่อนเกินไป',
+      tooStrong: 'ลมแรงเกินไป',
+      strong: 'ลมแรง',
+      offshore: 'ลมจากฝั่ง',
+      sideOffshore: 'ลมเฉียงออกฝั่ง',
+      gusty: 'ลมกระโชก',
+      directionUnknown: 'ไม่มีข้อมูลทิศทางลม',
     },
   },
 
@@ -118,7 +138,37 @@ export default {
     notSubscribed: 'ยังไม่ได้สมัคร',
     enable: 'เปิดการแจ้งเตือน',
     disable: 'ปิดการแจ้งเตือน',
-    description: 'รับการแจ้งเตือนเมื่อลมคงที่เหนือ 10 นอตเป็นเวลา 20 นาที (สูงสุดวันละ 1 ครั้ง)',
+    description: 'หากไม่มีกฎของคุณเอง: ลมคงที่มากกว่า 8 นอตเป็นเวลา 15 นาที (สูงสุดวันละครั้ง)',
+    rules: {
+      title: 'กฎการแจ้งเตือนของฉัน',
+      hint: 'คุณจะได้รับการแจ้งเตือนเมื่อกฎใดกฎหนึ่งตรงเงื่อนไข หากไม่มีกฎจะใช้การแจ้งเตือนมาตรฐาน',
+      empty: 'ยังไม่มีกฎ — ใช้การแจ้งเตือนมาตรฐาน',
+      add: 'เพิ่มกฎ',
+      delete: 'ลบ',
+      minWind: 'ลมต่ำสุด (นอต)',
+      maxWind: 'ลมสูงสุด (นอต)',
+      sectors: 'ทิศทางลม',
+      useRiderRange: 'เฉพาะลมที่เหมาะกับไคท์ของฉัน (ประเภทบอร์ดและน้ำหนัก)',
+      riderRange: 'เหมาะกับไคท์',
+      quietFrom: 'ห้ามรบกวนตั้งแต่ (ชม.)',
+      quietTo: 'ถึง (ชม.)',
+      cooldown: 'แจ้งซ้ำไม่บ่อยกว่าทุก (ชม.)',
+      every: 'ทุก {hours} ชม.',
+      quiet: 'ห้ามรบกวน {from}–{to}',
+      enabled: 'เปิดใช้งาน',
+      saveError: 'ไม่สามารถบันทึกกฎได้',
+      loadError: 'ไม่สามารถโหลดกฎได้',
+      noSectors: 'เลือกอย่างน้อยหนึ่งทิศทาง',
+    },
+    safety: {
+      title: 'คำเตือนขณะอยู่ในน้ำ',
+      hint: 'แยกจากการแจ้งเตือนปกติ: เราจะเตือนเมื่อสภาพลมเริ่มอันตราย',
+      offshore: 'ลมเปลี่ยนเป็นพัดออกจากฝั่ง',
+      dropping: 'ลมอ่อนลงอย่างรวดเร็ว',
+      gust: 'ลมกระโชกเกินเกณฑ์',
+      gustThreshold: 'เกณฑ์ลมกระโชก (นอต)',
+      saveError: 'บันทึกการตั้งค่าคำเตือนไม่สำเร็จ',
+    },
   },
 
   // พยากรณ์อากาศ
@@ -136,6 +186,13 @@ export default {
     noData: 'ไม่มีข้อมูลพยากรณ์',
     usingModel: 'โมเดล',
     longTitle: 'พยากรณ์ลม 10 วัน',
+    spread: 'ช่วงคาดการณ์ของโมเดล (10–90%)',
+    rideableChance: 'โอกาสเล่นได้',
+    seaBreeze: 'ลมทะเล {time} · {probability}%',
+    seaBreezeObserved: 'ลมทะเลเข้าเมื่อ {time}',
+    seaBreezeTomorrow: 'พรุ่งนี้: ลมทะเลเข้าราว {time} ({probability}%) สูงสุด {speed}',
+    seaBreezeTomorrowUnlikely: 'พรุ่งนี้: ลมทะเลไม่น่าจะเข้า ({probability}%)',
+    nowcast: 'พยากรณ์ระยะสั้น 0–3 ชม. (ช่วง 80%)',
   },
 
   // ประวัติ
@@ -172,6 +229,31 @@ export default {
       dir: 'ทิศ',
       hint: 'RMSE/MAE — ค่าเฉลี่ยความคลาดเคลื่อนของความเร็ว; Bias > 0 — โมเดลประเมินสูง; ทิศ — ค่าเฉลี่ยความคลาดเคลื่อนของทิศทาง',
     },
+    verification: {
+      title: '🎯 ตรวจสอบพยากรณ์',
+      subtitle: 'ความคลาดเคลื่อนตามระยะล่วงหน้าและชั่วโมง เล่นได้/ไม่ได้ ความน่าเชื่อถือของ ensemble และทิศทาง',
+      link: 'ตรวจสอบพยากรณ์โดยละเอียด →',
+      noData: 'ไม่มีพยากรณ์ที่ตรวจสอบแล้วในช่วงนี้',
+      noLive: 'ไม่มีสแนปช็อตสดในช่วงนี้',
+      overall: 'ภาพรวม',
+      leadTime: 'ความคลาดเคลื่อนตามระยะล่วงหน้า',
+      leadHint: 'สแนปช็อตสด ชั่วโมงล่วงหน้า',
+      byHour: 'ความคลาดเคลื่อนตามชั่วโมงของวัน',
+      contingency: 'เล่นได้ ใช่ / ไม่',
+      contingencyHint: 'พยากรณ์เทียบกับชั่วโมงจริงที่อยู่ในช่วงของคุณ',
+      hitRate: 'อัตราถูก',
+      falseAlarmRatio: 'เตือนผิด',
+      frequencyBias: 'อคติความถี่',
+      reliability: 'ความน่าเชื่อถือของ ensemble',
+      reliabilityHint: 'ความน่าจะเป็นเล่นได้จาก ensemble เทียบกับความถี่ที่เล่นได้จริง',
+      directionRose: 'ความคลาดเคลื่อนทิศทาง',
+      directionHint: 'ค่าคลาดเคลื่อนเฉลี่ยตามทิศลมจริง สีส้ม — พยากรณ์หมุนตามเข็มนาฬิกา',
+      source: {
+        all: 'ข้อมูลทั้งหมด',
+        live: 'สด',
+        backtest: 'แบ็กเทสต์',
+      },
+    },
   },
 
   // คำแนะนำเกี่ยวกับเครื่อง
@@ -214,8 +296,9 @@ export default {
     secondsAgo: 'วินาทีที่แล้ว',
     minutesAgo: 'นาทีที่แล้ว',
     at: 'เวลา',
+    backupStation: 'สถานีสำรอง',
     stationOffline: 'สถานีออฟไลน์',
-    offlineNoticeText: 'ข้อมูลลมถูกรวบรวมเฉพาะเวลา <strong>6:00 ถึง 19:00</strong> (เวลาไทย)<br>กรุณากลับมาในช่วงเวลาทำการ',
+    offlineNoticeText: 'ข้อมูลลมถูกรวบรวมเฉพาะเวลา <strong>{start} ถึง {end}</strong> (เวลาไทย)<br>กรุณากลับมาในช่วงเวลาทำการ',
     offshore: 'ลมจากฝั่ง',
     onshore: 'ลมเข้าฝั่ง',
     sideshore: 'ลมข้าง',
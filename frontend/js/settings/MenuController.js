@@ -12,10 +12,14 @@ class MenuController {
    * Конструктор
    * @param {SettingsManager} settingsManager - Менеджер настроек
    * @param {I18nManager} i18nManager - Менеджер переводов
+   * @param {SpotManager|null} spotManager - Список спотов (для выбора спота)
+   * @param {NotificationManager|null} notificationManager - Подписка (для правил уведомлений)
    */
-  constructor(settingsManager, i18nManager) {
+  constructor(settingsManager, i18nManager, spotManager = null, notificationManager = null) {
     this.settings = settingsManager;
     this.i18n = i18nManager;
+    this.spotManager = spotManager;
+    this.notificationManager = notificationManager;
 
     // DOM элементы
     this.menuButton = null;
@@ -27,6 +31,11 @@ class MenuController {
     this.boardTypeButtons = [];
     this.weightInput = null;
     this.weightButtons = [];
+    this.spotSelector = null;
+    this.alertRules = null;
+    this.alertRulesList = null;
+    this.alertRuleForm = null;
+    this.safetyAlerts = null;
 
     this.isOpen = false;
   }
@@ -64,6 +73,15 @@ class MenuController {
         this.settingsMenu.querySelectorAll('.weight-button')
       );
 
+      // Контейнер выбора спота (кнопки строятся из списка спотов)
+      this.spotSelector = document.getElementById('spotSelector');
+
+      // Правила уведомлений
+      this.alertRules = document.getElementById('alertRules');
+      this.alertRulesList = document.getElementById('alertRulesList');
+      this.alertRuleForm = document.getElementById('alertRuleForm');
+      this.safetyAlerts = document.getElementById('safetyAlerts');
+
       console.log('Weight input found:', !!this.weightInput);
       console.log('Weight buttons found:', this.weightButtons.length);
 
@@ -75,7 +93,9 @@ class MenuController {
       this.updateUnitButtons();
       this.updateBoardTypeButtons();
       this.updateWeightInput();
+      this.renderSpotOptions();
       this.translateUI();
+      this.renderAlertRules();
 
       console.log('✓ MenuController initialized');
       return true;
@@ -164,6 +184,22 @@ class MenuController {
       });
     });
 
+    // Добавление правила уведомлений
+    this.alertRuleForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAlertRuleSubmit();
+    });
+
+    // Предупреждения на воде сохраняются сразу при изменении
+    this.safetyAlerts?.querySelectorAll('input').forEach((input) => {
+      input.addEventListener('change', () => this.handleSafetyAlertsChange());
+    });
+
+    // Подписка включена/выключена — показать или скрыть правила
+    window.addEventListener('notificationSubscriptionChanged', () => {
+      this.renderAlertRules();
+    });
+
     // Слушать изменения настроек
     this.settings.on('change:locale', (locale) => {
       this.i18n.setLocale(locale);
@@ -180,6 +216,7 @@ class MenuController {
     // Слушать смену языка из I18nManager
     this.i18n.on('localeChanged', () => {
       this.translateUI();
+      this.renderAlertRules();
     });
   }
 
@@ -456,6 +493,238 @@ class MenuController {
     this.weightInput.value = currentWeight;
   }
 
+  /**
+   * Построить кнопки выбора спота
+   */
+  renderSpotOptions() {
+    if (!this.spotSelector || !this.spotManager) return;
+
+    const spots = this.spotManager.getSpots();
+    const current = this.spotManager.getCurrentSpot();
+
+    this.spotSelector.innerHTML = '';
+    spots.forEach((spot) => {
+      const button = document.createElement('button');
+      button.className = 'spot-option';
+      button.dataset.spot = spot.id || '';
+      button.textContent = spot.name;
+      if (current && spot.id === current.id) {
+        button.classList.add('active');
+      }
+      button.addEventListener('click', () => this.handleSpotChange(spot.id));
+      this.spotSelector.appendChild(button);
+    });
+
+    // Один спот — выбирать нечего
+    const section = this.spotSelector.closest('.settings-section');
+    if (section) {
+      section.style.display = spots.length > 1 ? '' : 'none';
+    }
+  }
+
+  /**
+   * Обработать смену спота
+   * @param {string} spotId - ID спота
+   */
+  handleSpotChange(spotId) {
+    if (!this.spotManager || !this.spotManager.selectSpot(spotId)) return;
+
+    this.renderSpotOptions();
+    console.log('Spot changed to:', spotId);
+
+    // App перепривязывает подписку на уведомления и перезагружает данные
+    window.dispatchEvent(new CustomEvent('spotChanged', { detail: { spotId } }));
+  }
+
+  /**
+   * Загрузить и показать правила уведомлений текущей подписки
+   */
+  async renderAlertRules() {
+    if (!this.alertRules || !this.notificationManager) return;
+
+    const subscribed = await this.notificationManager.isSubscribed();
+    this.alertRules.style.display = subscribed ? '' : 'none';
+    if (!subscribed) return;
+
+    this.renderSafetyAlerts();
+
+    this.alertRulesList.innerHTML = '';
+    let data;
+    try {
+      data = await this.notificationManager.getRules();
+    } catch (error) {
+      console.error('Failed to load alert rules:', error);
+      this.alertRulesList.textContent = this.i18n.t('notifications.rules.loadError');
+      return;
+    }
+
+    if (data.rules.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'alert-rules__empty';
+      empty.textContent = this.i18n.t('notifications.rules.empty');
+      this.alertRulesList.appendChild(empty);
+      return;
+    }
+
+    data.rules.forEach((rule) => {
+      this.alertRulesList.appendChild(this.createAlertRuleItem(rule));
+    });
+  }
+
+  /**
+   * Отметить включённые предупреждения на воде
+   */
+  async renderSafetyAlerts() {
+    if (!this.safetyAlerts) return;
+
+    try {
+      const data = await this.notificationManager.getSafetyAlerts();
+      const settings = data.settings;
+      this.safetyAlerts.querySelectorAll('input[name="safetyKind"]').forEach((input) => {
+        input.checked = !!settings && settings.kinds.includes(input.value);
+      });
+      document.getElementById('safetyGustThreshold').value =
+        (settings || data.defaults).gustThreshold;
+    } catch (error) {
+      console.error('Failed to load safety alerts:', error);
+    }
+  }
+
+  /**
+   * Сохранить предупреждения на воде (ни одного типа — отписка)
+   */
+  async handleSafetyAlertsChange() {
+    const error = document.getElementById('safetyAlertError');
+    const kinds = Array.from(this.safetyAlerts.querySelectorAll('input[name="safetyKind"]:checked'))
+      .map(input => input.value);
+    const gustThreshold = Number(document.getElementById('safetyGustThreshold').value);
+
+    error.textContent = '';
+    try {
+      if (kinds.length === 0) {
+        await this.notificationManager.disableSafetyAlerts();
+      } else {
+        await this.notificationManager.saveSafetyAlerts({ kinds, gustThreshold });
+      }
+    } catch (err) {
+      console.error('Failed to save safety alerts:', err);
+      error.textContent = `${this.i18n.t('notifications.safety.saveError')}: ${err.message}`;
+    }
+  }
+
+  /**
+   * Строка правила: переключатель, краткое описание и кнопка удаления
+   * @param {Object} rule - Правило с backend
+   * @returns {HTMLElement}
+   */
+  createAlertRuleItem(rule) {
+    const item = document.createElement('div');
+    item.className = 'alert-rule' + (rule.enabled ? '' : ' inactive');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = rule.enabled;
+    toggle.title = this.i18n.t('notifications.rules.enabled');
+    toggle.addEventListener('change', async () => {
+      try {
+        await this.notificationManager.updateRule(rule.id, { enabled: toggle.checked });
+        item.classList.toggle('inactive', !toggle.checked);
+      } catch (error) {
+        console.error('Failed to update alert rule:', error);
+        toggle.checked = !toggle.checked;
+      }
+    });
+
+    const summary = document.createElement('span');
+    summary.className = 'alert-rule__summary';
+    summary.textContent = this.formatAlertRule(rule);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'alert-rule__delete';
+    remove.textContent = '✕';
+    remove.title = this.i18n.t('notifications.rules.delete');
+    remove.addEventListener('click', async () => {
+      try {
+        await this.notificationManager.deleteRule(rule.id);
+        this.renderAlertRules();
+      } catch (error) {
+        console.error('Failed to delete alert rule:', error);
+      }
+    });
+
+    item.append(toggle, summary, remove);
+    return item;
+  }
+
+  /**
+   * Краткое описание правила: «12–25 уз · Прижим, Боково-прижимной · раз в 24 ч»
+   * @param {Object} rule - Правило
+   * @returns {string}
+   */
+  formatAlertRule(rule) {
+    const unit = this.i18n.t('units.knotsShort');
+    const parts = [];
+
+    const min = rule.minWind ?? 0;
+    parts.push(rule.maxWind !== null ? `${min}–${rule.maxWind} ${unit}` : `≥${min} ${unit}`);
+    if (rule.sport) {
+      parts.push(this.i18n.t('notifications.rules.riderRange'));
+    }
+    parts.push(rule.sectors.map(sector => this.i18n.t(`wind.sectors.${sector}`)).join(', '));
+    if (rule.quietStart !== null && rule.quietEnd !== null) {
+      parts.push(this.i18n.t('notifications.rules.quiet', { from: rule.quietStart, to: rule.quietEnd }));
+    }
+    if (rule.cooldownMinutes) {
+      parts.push(this.i18n.t('notifications.rules.every', { hours: Math.round(rule.cooldownMinutes / 60) }));
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Создать правило из формы
+   */
+  async handleAlertRuleSubmit() {
+    const form = this.alertRuleForm;
+    const error = document.getElementById('alertRuleError');
+    const submit = form.querySelector('.alert-rule-form__submit');
+    const value = (name) => {
+      const raw = form.elements[name].value;
+      return raw === '' ? null : Number(raw);
+    };
+
+    const sectors = Array.from(form.querySelectorAll('input[name="sectors"]:checked'))
+      .map(input => input.value);
+    if (sectors.length === 0) {
+      error.textContent = this.i18n.t('notifications.rules.noSectors');
+      return;
+    }
+
+    const useRiderRange = form.elements.useRiderRange.checked;
+    const rule = {
+      minWind: value('minWind'),
+      maxWind: value('maxWind'),
+      sectors,
+      sport: useRiderRange ? (this.settings.getSetting('boardType') || 'twintip') : null,
+      riderWeight: useRiderRange ? (this.settings.getSetting('riderWeight') || 75) : null,
+      quietStart: value('quietStart'),
+      quietEnd: value('quietEnd'),
+      cooldownMinutes: value('cooldownMinutes')
+    };
+
+    error.textContent = '';
+    submit.disabled = true;
+    try {
+      await this.notificationManager.createRule(rule);
+      await this.renderAlertRules();
+    } catch (err) {
+      console.error('Failed to save alert rule:', err);
+      error.textContent = `${this.i18n.t('notifications.rules.saveError')}: ${err.message}`;
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
   /**
    * Получить текущее состояние меню
    * @returns {boolean} Открыто ли меню
@@ -18,6 +18,7 @@ class SettingsManager {
     version: '2.6.0',
     boardType: 'twintip',   // twintip, hydrofoil
     riderWeight: 75,        // kg (40-120)
+    spotId: null,           // null = спот по умолчанию (Pak Nam Pran)
   };
 
   /**
@@ -31,6 +32,7 @@ class SettingsManager {
     version: (value) => typeof value === 'string',
     boardType: (value) => ['twintip', 'hydrofoil', 'wingfoil'].includes(value),
     riderWeight: (value) => typeof value === 'number' && value >= 40 && value <= 120,
+    spotId: (value) => value === null || (typeof value === 'string' && value.length > 0),
   };
 
   /**
@@ -6,6 +6,15 @@
 import config from '../config.js';
 
 class WindUtils {
+    // Модуль SafetyEngine с backend (см. loadSafetyEngine)
+    static safetyEngine = null;
+
+    // Ориентация пляжа и дисциплина для оценки безопасности
+    static safetyContext = {
+        shoreBearing: config.bearings.sea,
+        sport: 'twintip'
+    };
+
     /**
      * Convert miles per hour to meters per second
      * @param {number} mph - Speed in miles per hour
@@ -48,7 +57,11 @@ class WindUtils {
      * @returns {string} Cardinal direction (N, NE, E, etc. or translated)
      */
     static degreesToCardinal(degrees) {
-        const deg = parseFloat(degrees) || 0;
+        // Нет направления (станция не прислала) — без румба
+        if (degrees === null || degrees === undefined || !isFinite(parseFloat(degrees))) {
+            return '—';
+        }
+        const deg = parseFloat(degrees);
         const normalized = ((deg % 360) + 360) % 360; // Normalize to 0-360
 
         for (const direction of config.cardinalDirections) {
@@ -75,66 +88,70 @@ class WindUtils {
         return i18n ? i18n.t('wind.directions.N') : 'N';
     }
 
+    /**
+     * Load the shared safety engine (backend/src/SafetyEngine.js) from the backend.
+     * The same module classifies wind on the server, so all views agree.
+     * @param {string} apiBase - unscoped API base URL
+     * @returns {Promise<boolean>} true if the engine is available
+     */
+    static async loadSafetyEngine(apiBase = config.api.backend) {
+        try {
+            WindUtils.safetyEngine = await import(`${apiBase}/safety/engine.js`);
+            console.log(`✓ Safety engine v${WindUtils.safetyEngine.SAFETY_ENGINE_VERSION} loaded`);
+        } catch (error) {
+            console.warn('⚠ Не удалось загрузить движок безопасности:', error.message);
+        }
+        return WindUtils.safetyEngine !== null;
+    }
+
+    /**
+     * Set spot orientation and sport used for safety assessment
+     * @param {Object} context - { shoreBearing, sport }
+     */
+    static setSafetyContext(context) {
+        WindUtils.safetyContext = { ...WindUtils.safetyContext, ...context };
+    }
+
     /**
      * Get wind safety assessment
      * @param {number} direction - Wind direction in degrees
      * @param {number} speed - Wind speed in knots
-     * @returns {Object} Safety assessment with level, text, color, and type
+     * @param {number|null} gust - Gust speed in knots (optional)
+     * @returns {Object} Safety assessment with level, text, color, sector and reasons
      */
-    static getWindSafety(direction, speed) {
-        const dir = parseInt(direction);
-        const knots = parseFloat(speed) || 0;
-        const { offshore, onshore, speeds, levels } = config.windSafety;
-
-        // Determine wind type relative to shore
-        const isOffshore = (dir >= offshore.min && dir <= offshore.max);
-        const isOnshore = (dir >= onshore.min && dir <= onshore.max);
-
-        let safety = { ...levels.medium }; // Default to medium
+    static getWindSafety(direction, speed, gust = null) {
+        const i18n = window.i18n;
+        const engine = WindUtils.safetyEngine;
 
-        // Evaluate safety based on speed and direction
-        if (knots < speeds.veryLow) {
-            // Too weak wind
-            safety = { ...levels.low };
-        } else if (isOffshore || knots > speeds.extreme) {
-            // Offshore (dangerous) or too strong
-            safety = { ...levels.danger };
-        } else if (isOnshore && knots >= speeds.moderate && knots <= speeds.veryStrong) {
-            // Onshore with good wind speed
-            safety = { ...levels.high };
-        } else if (isOnshore && knots >= speeds.veryLow && knots < speeds.moderate) {
-            // Onshore with light-moderate wind
-            safety = { ...levels.good };
-        } else if (knots >= speeds.low && knots <= speeds.good) {
-            // Sideshore with moderate wind
-            safety = { ...levels.good };
+        if (!engine) {
+            // Движок ещё не загружен (или офлайн без кэша) — без оценки
+            return {
+                level: 'unknown',
+                i18nKey: 'wind.safety.unknown',
+                text: i18n ? i18n.t('wind.safety.unknown') : 'unknown',
+                color: '#808080',
+                sector: null,
+                reasons: [],
+                isOffshore: false,
+                isOnshore: false,
+                windSpeed: parseFloat(speed) || 0,
+                windDirection: direction !== null && direction !== undefined ? parseInt(direction) : null,
+                windType: 'sideshore'
+            };
         }
 
-        // Get text from i18n
-        const i18n = window.i18n;
-        if (i18n && safety.i18nKey) {
-            safety.text = i18n.t(safety.i18nKey);
-        } else {
-            safety.text = safety.level;
-        }
+        const safety = engine.evaluateSafety({
+            direction,
+            speed,
+            gust,
+            ...WindUtils.safetyContext
+        });
 
-        // Add wind type information
-        let windType = 'sideshore';
+        safety.text = i18n ? i18n.t(safety.i18nKey) : safety.level;
+        safety.sectorText = i18n ? i18n.t(safety.sectorI18nKey) : safety.sector;
+        safety.reasonTexts = i18n ? safety.reasonI18nKeys.map(key => i18n.t(key)) : safety.reasons;
 
-        if (isOffshore) {
-            windType = 'offshore';
-        } else if (isOnshore) {
-            windType = 'onshore';
-        }
-
-        return {
-            ...safety,
-            isOffshore,
-            isOnshore,
-            windSpeed: knots,
-            windDirection: dir,
-            windType
-        };
+        return safety;
     }
 
     /**
@@ -194,17 +211,10 @@ class WindUtils {
      * @returns {boolean} True if conditions are suitable
      */
     static isSuitableForKiting(speed, direction) {
-        const safety = this.getWindSafety(direction, speed);
-        const knots = parseFloat(speed) || 0;
-
-        // Not suitable if too weak, too strong, or offshore
-        if (knots < config.windSafety.speeds.low ||
-            knots > config.windSafety.speeds.extreme ||
-            safety.isOffshore) {
-            return false;
-        }
+        const { level } = this.getWindSafety(direction, speed);
 
-        return true;
+        // Not suitable if too weak, dangerous (too strong / offshore) or not assessed
+        return level !== 'low' && level !== 'danger' && level !== 'unknown';
     }
 
     /**
@@ -1,6 +1,6 @@
 // JollyKite Service Worker
 // Version must match frontend/version.json
-const APP_VERSION = '2.12.4';
+const APP_VERSION = '2.20.1';
 const CACHE_NAME = `jollykite-v${APP_VERSION}`;
 const API_CACHE_NAME = `jollykite-api-v${APP_VERSION}`;
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 часа в миллисекундах
@@ -33,6 +33,8 @@ const CORE_ASSETS = [
   '/js/NavController.js',
   '/js/ForecastLongPage.js',
   '/js/ForecastAccuracy.js',
+  '/js/ForecastVerification.js',
+  '/js/SpotManager.js',
   '/js/utils/KiteSizeCalculator.js',
   // i18n System
   '/js/i18n/I18nManager.js',
@@ -52,7 +54,8 @@ const CORE_ASSETS = [
 const API_ENDPOINTS = [
   '/api/wind/current',
   '/api/wind/forecast',
-  '/api/wind/trend'
+  '/api/wind/trend',
+  '/api/safety/engine.js'
 ];
 
 // Установка Service Worker
@@ -164,6 +167,32 @@ function isHTMLRequest(request) {
   return request.headers.get('accept').includes('text/html');
 }
 
+// Копия ответа с меткой времени кэширования
+function withTimestamp(response) {
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: {
+      ...Object.fromEntries(response.headers.entries()),
+      'sw-cached-at': Date.now().toString()
+    }
+  });
+}
+
+// Условный запрос по валидаторам кэшированного ответа (ETag / Last-Modified)
+function withValidators(request, cachedResponse) {
+  const etag = cachedResponse?.headers.get('etag');
+  const lastModified = cachedResponse?.headers.get('last-modified');
+  if (!etag && !lastModified) {
+    return request;
+  }
+
+  const headers = new Headers(request.headers);
+  if (etag) headers.set('If-None-Match', etag);
+  if (lastModified) headers.set('If-Modified-Since', lastModified);
+  return new Request(request, { headers });
+}
+
 // Обработка API запросов
 async function handleApiRequest(request) {
   const url = request.url;
@@ -185,23 +214,22 @@ async function handleApiRequest(request) {
   }
 
   try {
-    // Попытка получить данные из сети (только для GET)
-    const response = await fetch(request);
+    // Попытка получить данные из сети (только для GET).
+    // Если в кэше есть ETag/Last-Modified, запрос условный: сервер ответит 304 без тела
+    const cache = await caches.open(API_CACHE_NAME);
+    const cachedCopy = await cache.match(request);
+    const response = await fetch(withValidators(request, cachedCopy));
+
+    if (response.status === 304 && cachedCopy) {
+      // Данные не изменились — продлеваем кэшированную копию
+      await cache.put(request, withTimestamp(cachedCopy.clone()));
+      console.log('[SW] API response not modified:', url);
+      return cachedCopy;
+    }
 
     if (response.ok) {
       // Кэшируем успешный ответ с временной меткой
-      const cache = await caches.open(API_CACHE_NAME);
-      const responseClone = response.clone();
-      const responseWithTimestamp = new Response(responseClone.body, {
-        status: responseClone.status,
-        statusText: responseClone.statusText,
-        headers: {
-          ...Object.fromEntries(responseClone.headers.entries()),
-          'sw-cached-at': Date.now().toString()
-        }
-      });
-
-      await cache.put(request, responseWithTimestamp);
+      await cache.put(request, withTimestamp(response.clone()));
       console.log('[SW] API response cached:', url);
       return response;
     }
@@ -363,8 +391,9 @@ self.addEventListener('push', async event => {
       icon: '/icons/icon-192x192.png',
       badge: '/icons/icon-72x72.png',
       vibrate: [200, 100, 200, 100, 200],
-      tag: 'wind-alert',
-      requireInteraction: true,
+      // Forecast digests and safety warnings must not replace a live wind alert (and vice versa)
+      tag: data.type === 'forecast' ? 'wind-forecast' : data.type === 'safety' ? 'wind-safety' : 'wind-alert',
+      requireInteraction: data.type !== 'forecast',
       data: {
         url: data.url || '/',
         windSpeed: data.windSpeed,